@@ -0,0 +1,39 @@
+/**
+ * Express App - Middleware stack and route mounting
+ */
+
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const config = require('./config');
+const db = require('./db');
+const routes = require('./routes');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+
+const app = express();
+
+app.set('trust proxy', 1);
+app.use(helmet());
+app.use(cors({
+    // No CORS_ORIGINS configured: allow any origin outside production
+    origin: config.corsOrigins.length ? config.corsOrigins : !config.isProduction,
+    credentials: true
+}));
+app.use(express.json({ limit: '1mb' }));
+
+// Health check (used by Render and uptime pings)
+app.get('/health', async (req, res) => {
+    try {
+        await db.query('SELECT 1');
+        res.json({ status: 'ok' });
+    } catch {
+        res.status(503).json({ status: 'error', database: 'unreachable' });
+    }
+});
+
+app.use('/api/v1', routes);
+
+app.use(notFound);
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,49 @@
+/**
+ * Database - PostgreSQL connection pool
+ */
+
+const { Pool, types } = require('pg');
+const config = require('./config');
+
+// Return DATE columns as 'YYYY-MM-DD' strings instead of local-midnight Date objects
+types.setTypeParser(1082, value => value);
+// NUMERIC/DECIMAL and BIGINT (COUNT, SUM) as JS numbers; amounts stay well inside double precision
+types.setTypeParser(1700, value => parseFloat(value));
+types.setTypeParser(20, value => parseInt(value, 10));
+
+const pool = new Pool({
+    connectionString: config.database.url,
+    ssl: config.database.ssl,
+    max: config.database.max
+});
+
+pool.on('error', (error) => {
+    console.error('[DB] Idle client error:', error);
+});
+
+/**
+ * Run a single query on the pool
+ */
+function query(text, params) {
+    return pool.query(text, params);
+}
+
+/**
+ * Run a callback inside BEGIN/COMMIT, rolling back on any error
+ */
+async function withTransaction(callback) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { pool, query, withTransaction };
@@ -0,0 +1,63 @@
+/**
+ * Auth Middleware - Bearer token verification
+ */
+
+const ApiError = require('../utils/ApiError');
+const authService = require('../services/auth');
+
+/**
+ * Require a valid access token and attach req.user
+ */
+async function authenticate(req, res, next) {
+    try {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            throw ApiError.unauthorized();
+        }
+
+        const payload = authService.verifyToken(token, 'access');
+        if (!payload) {
+            throw ApiError.unauthorized('Invalid or expired token');
+        }
+
+        const user = await authService.loadProfile(payload.sub);
+        if (!user) {
+            throw ApiError.unauthorized('User not found or inactive');
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Require the user to belong to a branch (for branch-scoped operations)
+ */
+function requireBranch(req, res, next) {
+    if (!req.user?.branchId) {
+        return next(ApiError.badRequest('User is not assigned to a branch'));
+    }
+    next();
+}
+
+/**
+ * Whether a loaded user holds a permission code
+ */
+function hasPermission(user, code) {
+    return !!user?.permissions?.includes(code);
+}
+
+/**
+ * Require at least one of the given permission codes
+ */
+function requirePermission(...codes) {
+    return (req, res, next) => {
+        if (codes.some(code => hasPermission(req.user, code))) return next();
+        next(ApiError.forbidden(`Missing permission: ${codes.join(' or ')}`));
+    };
+}
+
+module.exports = { authenticate, requireBranch, hasPermission, requirePermission };
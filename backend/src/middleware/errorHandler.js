@@ -0,0 +1,52 @@
+/**
+ * Error Middleware - Converts errors to the { success, error } envelope
+ */
+
+const ApiError = require('../utils/ApiError');
+const config = require('../config');
+
+// PostgreSQL error codes mapped to HTTP responses
+const PG_ERRORS = {
+    '23505': { status: 409, code: 'DUPLICATE', message: 'A record with the same unique value already exists' },
+    '23503': { status: 400, code: 'INVALID_REFERENCE', message: 'Referenced record does not exist or is in use' },
+    '23502': { status: 400, code: 'MISSING_FIELD', message: 'A required field is missing' },
+    '22P02': { status: 400, code: 'INVALID_INPUT', message: 'Invalid input value' },
+    '23514': { status: 400, code: 'CHECK_VIOLATION', message: 'Value violates a constraint' }
+};
+
+/**
+ * 404 for unknown routes
+ */
+function notFound(req, res, next) {
+    next(ApiError.notFound(`Route ${req.method} ${req.originalUrl} not found`));
+}
+
+/**
+ * Final error handler (Express knows it by its four parameters)
+ */
+function errorHandler(error, req, res, _next) {
+    let status = 500;
+    let body = { code: 'INTERNAL_ERROR', message: 'Internal server error' };
+
+    if (error instanceof ApiError) {
+        status = error.status;
+        body = { code: error.code, message: error.message };
+        if (error.details !== undefined) body.details = error.details;
+    } else if (error.type === 'entity.parse.failed') {
+        status = 400;
+        body = { code: 'INVALID_JSON', message: 'Malformed JSON body' };
+    } else if (PG_ERRORS[error.code]) {
+        const mapped = PG_ERRORS[error.code];
+        status = mapped.status;
+        body = { code: mapped.code, message: mapped.message };
+    }
+
+    if (status >= 500) {
+        console.error('[API] Unhandled error:', error);
+        if (!config.isProduction) body.details = error.message;
+    }
+
+    res.status(status).json({ success: false, error: body });
+}
+
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,123 @@
+/**
+ * Accounting Routes - /api/v1/accounting
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission } = require('../middleware/auth');
+const accounting = require('../services/accounting');
+const activity = require('../services/activity');
+const { getPagination, sendList } = require('../utils/http');
+
+const router = express.Router();
+
+// GET /accounting/accounts - chart of accounts with balances
+router.get('/accounts', requirePermission('report.financial'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query('SELECT * FROM accounts WHERE is_active = TRUE ORDER BY code');
+    res.json({ success: true, data: rows });
+}));
+
+// GET /accounting/mapping
+router.get('/mapping', requirePermission('settings.view'), asyncHandler(async (req, res) => {
+    const mapping = await accounting.getMapping(db, req.user.branchId);
+    res.json({ success: true, data: { ...mapping.roles, payment_methods: mapping.paymentMethods } });
+}));
+
+// PUT /accounting/mapping
+// Body: { cash: '1100', sales_revenue: '4100', payment_methods: { qris: '1120' } } - only the given keys change
+router.put('/mapping', requirePermission('settings.update'), asyncHandler(async (req, res) => {
+    const { payment_methods: paymentMethods = {}, ...roles } = req.body || {};
+
+    const unknownRole = Object.keys(roles).find(role => !accounting.DEFAULT_ACCOUNTS[role]);
+    if (unknownRole) throw ApiError.badRequest(`Unknown account role: ${unknownRole}`);
+
+    const codes = [...Object.values(roles), ...Object.values(paymentMethods)];
+    const { rows: found } = await db.query(
+        'SELECT code FROM accounts WHERE code = ANY($1) AND is_active = TRUE',
+        [codes]
+    );
+    const missing = codes.find(code => !found.some(a => a.code === code));
+    if (missing) throw ApiError.badRequest(`Account ${missing} does not exist`);
+
+    const data = await db.withTransaction(async (client) => {
+        const { rows } = await client.query(
+            'SELECT settings FROM branches WHERE id = $1 FOR UPDATE',
+            [req.user.branchId]
+        );
+        const current = rows[0].settings?.accounts || {};
+        const merged = {
+            ...current,
+            ...roles,
+            payment_methods: { ...current.payment_methods, ...paymentMethods }
+        };
+
+        await client.query(
+            `UPDATE branches
+             SET settings = jsonb_set(COALESCE(settings, '{}'), '{accounts}', $2::jsonb)
+             WHERE id = $1`,
+            [req.user.branchId, JSON.stringify(merged)]
+        );
+
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'update_account_mapping',
+            module: 'accounting',
+            entityType: 'branch',
+            entityId: req.user.branchId,
+            description: 'Changed journal account mapping',
+            metadata: { before: current, after: merged },
+            ...activity.requestInfo(req)
+        }, client);
+
+        const mapping = await accounting.getMapping(client, req.user.branchId);
+        return { ...mapping.roles, payment_methods: mapping.paymentMethods };
+    });
+
+    res.json({ success: true, data });
+}));
+
+// GET /accounting/journals
+router.get('/journals', requirePermission('report.financial'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query);
+    const params = [req.user.branchId];
+    const where = ['j.branch_id = $1'];
+
+    const filters = {
+        start_date: 'j.entry_date >= $',
+        end_date: 'j.entry_date <= $',
+        reference_type: 'j.reference_type = $',
+        reference_id: 'j.reference_id = $'
+    };
+    for (const [key, condition] of Object.entries(filters)) {
+        if (req.query[key]) {
+            params.push(req.query[key]);
+            where.push(condition + params.length);
+        }
+    }
+
+    const whereSql = `WHERE ${where.join(' AND ')}`;
+    const count = await db.query(`SELECT COUNT(*) AS total FROM journal_entries j ${whereSql}`, params);
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `SELECT j.*,
+                (SELECT json_agg(json_build_object(
+                    'account_code', a.code, 'account_name', a.name, 'entry_type', l.entry_type,
+                    'amount', l.amount, 'description', l.description
+                 ) ORDER BY l.entry_type DESC, a.code)
+                 FROM journal_lines l JOIN accounts a ON a.id = l.account_id
+                 WHERE l.journal_entry_id = j.id) AS lines
+         FROM journal_entries j
+         ${whereSql}
+         ORDER BY j.created_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows, count.rows[0].total, pagination);
+}));
+
+module.exports = router;
@@ -0,0 +1,154 @@
+/**
+ * Auth Routes - /api/v1/auth
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const authService = require('../services/auth');
+const activity = require('../services/activity');
+const approvals = require('../services/approvals');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { Keymap } = require('../utils/shared');
+
+const router = express.Router();
+
+/**
+ * Finish a login: stamp last_login_at, log it and return profile + tokens
+ */
+async function completeLogin(req, userId, method) {
+    await db.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [userId]);
+    const user = await authService.loadProfile(userId);
+
+    await activity.log({
+        branchId: user.branchId,
+        userId,
+        action: 'login',
+        module: 'auth',
+        description: `Logged in with ${method}`,
+        ...activity.requestInfo(req)
+    });
+
+    return { user, session: authService.issueTokens(userId) };
+}
+
+// POST /auth/login
+router.post('/login', asyncHandler(async (req, res) => {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+        throw ApiError.badRequest('Email and password are required');
+    }
+
+    const { rows } = await db.query(
+        `SELECT id FROM users
+         WHERE LOWER(email) = LOWER($1) AND is_active = TRUE
+           AND password_hash IS NOT NULL AND password_hash = crypt($2, password_hash)`,
+        [email, password]
+    );
+    if (!rows[0]) {
+        throw ApiError.unauthorized('Invalid email or password');
+    }
+
+    res.json({ success: true, data: await completeLogin(req, rows[0].id, 'password') });
+}));
+
+// POST /auth/login/pin
+router.post('/login/pin', asyncHandler(async (req, res) => {
+    const pin = String(req.body?.pin_code || '');
+    if (!/^\d{4,6}$/.test(pin)) {
+        throw ApiError.badRequest('PIN must be 4-6 digits');
+    }
+
+    const { rows } = await db.query(
+        'SELECT id FROM users WHERE pin_code = $1 AND is_active = TRUE',
+        [pin]
+    );
+    if (rows.length !== 1) {
+        throw ApiError.unauthorized('Invalid PIN');
+    }
+
+    res.json({ success: true, data: await completeLogin(req, rows[0].id, 'PIN') });
+}));
+
+// POST /auth/refresh
+router.post('/refresh', asyncHandler(async (req, res) => {
+    const payload = authService.verifyToken(req.body?.refresh_token, 'refresh');
+    if (!payload) {
+        throw ApiError.unauthorized('Invalid or expired refresh token');
+    }
+
+    const user = await authService.loadProfile(payload.sub);
+    if (!user) {
+        throw ApiError.unauthorized('User not found or inactive');
+    }
+
+    res.json({ success: true, data: authService.issueTokens(user.id) });
+}));
+
+// POST /auth/logout
+router.post('/logout', authenticate, asyncHandler(async (req, res) => {
+    await activity.log({
+        branchId: req.user.branchId,
+        userId: req.user.id,
+        action: 'logout',
+        module: 'auth',
+        ...activity.requestInfo(req)
+    });
+    res.json({ success: true, data: null });
+}));
+
+// POST /auth/approvals - manager PIN override for the signed-in cashier
+// Body: { pin_code, action, reason, scope } -> one-time approval token for that action
+router.post('/approvals', authenticate, requirePermission('pos.access'), asyncHandler(async (req, res) => {
+    const { pin_code: pin, action, reason, scope } = req.body || {};
+    const data = await db.withTransaction(
+        client => approvals.issue(client, req.user, { pin, action, reason, scope }, req)
+    );
+    res.status(201).json({ success: true, data });
+}));
+
+// GET /auth/me
+router.get('/me', authenticate, (req, res) => {
+    res.json({ success: true, data: req.user });
+});
+
+// PUT /auth/me/preferences
+// Body: { keymap: { 'pos.pay': 'F12', ... } } - only the given actions change, the user's other keys
+// stay; keymap null resets to the defaults
+router.put('/me/preferences', authenticate, asyncHandler(async (req, res) => {
+    const changes = req.body || {};
+    if (Object.keys(changes).some(key => key !== 'keymap')) throw ApiError.badRequest('Only keymap can be set');
+
+    const preferences = await db.withTransaction(async (client) => {
+        if (changes.keymap !== undefined && changes.keymap !== null) {
+            if (typeof changes.keymap !== 'object' || Array.isArray(changes.keymap)) {
+                throw ApiError.badRequest('keymap must be an object of action: key');
+            }
+            // The given keys over the user's own (for actions that still exist), checked together for clashes
+            const { rows } = await client.query('SELECT preferences FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+            const own = Object.entries(rows[0]?.preferences?.keymap || {})
+                .filter(([id]) => Keymap.ACTIONS.some(action => action.id === id));
+            const keymap = { ...Object.fromEntries(own), ...changes.keymap };
+            const errors = Keymap.validate(keymap);
+            if (errors.length) throw ApiError.badRequest(errors.join('; '));
+
+            // Keys equal to the defaults are not stored, so later default changes reach the user
+            const defaults = Keymap.resolve();
+            changes.keymap = Object.fromEntries(Object.entries(keymap)
+                .map(([id, combo]) => [id, Keymap.normalize(combo)])
+                .filter(([id, combo]) => combo !== defaults[id]));
+        }
+
+        const { rows } = await client.query(
+            `UPDATE users SET preferences = jsonb_strip_nulls(COALESCE(preferences, '{}') || $2::jsonb), updated_at = NOW()
+             WHERE id = $1
+             RETURNING preferences`,
+            [req.user.id, JSON.stringify(changes)]
+        );
+        return rows[0].preferences;
+    });
+    res.json({ success: true, data: preferences });
+}));
+
+module.exports = router;
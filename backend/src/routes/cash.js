@@ -0,0 +1,314 @@
+/**
+ * Cash Routes - /api/v1/cash
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission, hasPermission } = require('../middleware/auth');
+const numbering = require('../services/numbering');
+const accounting = require('../services/accounting');
+const cashSessions = require('../services/cashSessions');
+const { CashCount } = require('../utils/shared');
+const { getPagination, sendList, roundMoney } = require('../utils/http');
+
+const router = express.Router();
+
+// Manual movement types and which session counter they feed
+const MOVEMENT_COUNTERS = {
+    deposit: 'cash_in',
+    withdrawal: 'cash_out',
+    expense: 'cash_out'
+};
+
+// Session row with register and user names
+const SESSION_SELECT = `
+    SELECT s.*, r.code AS register_code, r.name AS register_name, r.branch_id,
+           uo.full_name AS opened_by_name, uc.full_name AS closed_by_name
+    FROM cash_sessions s
+    JOIN cash_registers r ON r.id = s.cash_register_id
+    LEFT JOIN users uo ON uo.id = s.opened_by
+    LEFT JOIN users uc ON uc.id = s.closed_by`;
+
+// GET /cash/registers
+router.get('/registers', requirePermission('pos.access', 'cash.session.open', 'cash.view.all'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        `SELECT r.*,
+                s.id AS open_session_id, s.session_number AS open_session_number,
+                u.full_name AS open_session_user
+         FROM cash_registers r
+         LEFT JOIN cash_sessions s ON s.cash_register_id = r.id AND s.status = 'open'
+         LEFT JOIN users u ON u.id = s.opened_by
+         WHERE r.branch_id = $1 AND r.is_active = TRUE
+         ORDER BY r.code`,
+        [req.user.branchId]
+    );
+    res.json({ success: true, data: rows });
+}));
+
+// GET /cash/sessions
+router.get('/sessions', requirePermission('cash.view.all'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query);
+    const params = [req.user.branchId];
+    const where = ['r.branch_id = $1'];
+
+    if (req.query.status) {
+        params.push(req.query.status);
+        where.push(`s.status = $${params.length}`);
+    }
+    if (req.query.cash_register_id) {
+        params.push(req.query.cash_register_id);
+        where.push(`s.cash_register_id = $${params.length}`);
+    }
+    if (req.query.start_date) {
+        params.push(req.query.start_date);
+        where.push(`s.opened_at::date >= $${params.length}`);
+    }
+    if (req.query.end_date) {
+        params.push(req.query.end_date);
+        where.push(`s.opened_at::date <= $${params.length}`);
+    }
+
+    const whereSql = `WHERE ${where.join(' AND ')}`;
+    const count = await db.query(
+        `SELECT COUNT(*) AS total FROM cash_sessions s JOIN cash_registers r ON r.id = s.cash_register_id ${whereSql}`,
+        params
+    );
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `${SESSION_SELECT} ${whereSql}
+         ORDER BY s.opened_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows, count.rows[0].total, pagination);
+}));
+
+// GET /cash/sessions/current - the caller's open session, if any
+router.get('/sessions/current', requirePermission('pos.access', 'cash.session.open'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        `${SESSION_SELECT}
+         WHERE s.opened_by = $1 AND s.status = 'open' AND r.branch_id = $2
+         ORDER BY s.opened_at DESC
+         LIMIT 1`,
+        [req.user.id, req.user.branchId]
+    );
+    const session = rows[0] || null;
+    if (session) session.expected_amount = cashSessions.expectedCash(session);
+    res.json({ success: true, data: session });
+}));
+
+// GET /cash/sessions/:id/report - X report while open, Z report once closed:
+// completed transactions by type, tenders taken, the voids (which stay on the report) and pay-ins/outs
+router.get('/sessions/:id/report', requirePermission('pos.access', 'cash.view.all'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(`${SESSION_SELECT} WHERE s.id = $1 AND r.branch_id = $2`, [req.params.id, req.user.branchId]);
+    const session = rows[0];
+    if (!session) throw ApiError.notFound('Cash session not found');
+    if (session.opened_by !== req.user.id && !hasPermission(req.user, 'cash.view.all')) {
+        throw ApiError.forbidden('Missing permission: cash.view.all');
+    }
+    if (session.status === 'open') session.expected_amount = cashSessions.expectedCash(session);
+
+    const [types, tenders, voids, movements] = await Promise.all([
+        db.query(
+            `SELECT transaction_type, COUNT(*)::int AS count, SUM(total_amount) AS total,
+                    SUM(discount_amount) AS discount, SUM(tax_amount) AS tax, SUM(change_amount) AS change
+             FROM transactions
+             WHERE cash_session_id = $1 AND status = 'completed'
+             GROUP BY transaction_type
+             ORDER BY transaction_type`,
+            [session.id]
+        ),
+        db.query(
+            `SELECT pm.code, pm.name, pm.type, COUNT(*)::int AS count, SUM(p.amount) AS amount
+             FROM payments p
+             JOIN transactions t ON t.id = p.transaction_id
+             JOIN payment_methods pm ON pm.id = p.payment_method_id
+             WHERE t.cash_session_id = $1 AND t.status = 'completed'
+             GROUP BY pm.id
+             ORDER BY pm.name`,
+            [session.id]
+        ),
+        db.query(
+            `SELECT t.id, t.transaction_number, t.transaction_type, t.total_amount, t.void_reason, t.voided_at,
+                    u.full_name AS voided_by_name
+             FROM transactions t
+             LEFT JOIN users u ON u.id = t.voided_by
+             WHERE t.cash_session_id = $1 AND t.status = 'cancelled'
+             ORDER BY t.voided_at`,
+            [session.id]
+        ),
+        db.query(
+            `SELECT m.id, m.movement_type, m.amount, m.reason, m.created_at, u.full_name AS created_by_name
+             FROM cash_movements m
+             LEFT JOIN users u ON u.id = m.created_by
+             WHERE m.cash_session_id = $1 AND m.movement_type IN ('deposit', 'withdrawal', 'expense')
+             ORDER BY m.created_at`,
+            [session.id]
+        )
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            type: session.status === 'open' ? 'X' : 'Z',
+            session,
+            transactions: types.rows,
+            tenders: tenders.rows,
+            voids: {
+                count: voids.rows.length,
+                // Voided refunds count against voided sales
+                total: roundMoney(voids.rows.reduce((sum, v) => sum + (v.transaction_type === 'return' ? -1 : 1) * Number(v.total_amount), 0)),
+                items: voids.rows
+            },
+            movements: movements.rows
+        }
+    });
+}));
+
+// POST /cash/sessions/open
+router.post('/sessions/open', requirePermission('cash.session.open'), asyncHandler(async (req, res) => {
+    const { cash_register_id: registerId } = req.body || {};
+    const openingAmount = roundMoney(req.body?.opening_amount);
+    if (!registerId) throw ApiError.badRequest('cash_register_id is required');
+    if (openingAmount < 0) throw ApiError.badRequest('Opening amount cannot be negative');
+
+    const session = await db.withTransaction(async (client) => {
+        const { rows: registers } = await client.query(
+            'SELECT * FROM cash_registers WHERE id = $1 AND branch_id = $2 AND is_active = TRUE FOR UPDATE',
+            [registerId, req.user.branchId]
+        );
+        if (!registers[0]) throw ApiError.badRequest('Cash register not found');
+
+        const { rows: open } = await client.query(
+            `SELECT id, cash_register_id, opened_by FROM cash_sessions
+             WHERE status = 'open' AND (cash_register_id = $1 OR opened_by = $2)`,
+            [registerId, req.user.id]
+        );
+        if (open.some(s => s.cash_register_id === registerId)) {
+            throw ApiError.conflict('This register already has an open session');
+        }
+        if (open.length) {
+            throw ApiError.conflict('You already have an open session on another register');
+        }
+
+        const number = await numbering.next(client, req.user.branchId, 'session');
+        const { rows } = await client.query(
+            `INSERT INTO cash_sessions (cash_register_id, session_number, opened_by, opening_amount, expected_amount)
+             VALUES ($1, $2, $3, $4, $4)
+             RETURNING *`,
+            [registerId, number, req.user.id, openingAmount]
+        );
+
+        await client.query(
+            `INSERT INTO cash_movements (cash_session_id, movement_type, amount, reason, created_by)
+             VALUES ($1, 'opening', $2, 'Opening float', $3)`,
+            [rows[0].id, openingAmount, req.user.id]
+        );
+
+        return rows[0];
+    });
+
+    res.status(201).json({ success: true, data: session });
+}));
+
+// POST /cash/sessions/:id/close
+// Body: { denominations: { 100000: 3, ... } } (the counted amount is their total) or { actual_amount },
+// plus notes - required when the count is over or short. Only the cashier who opened the session
+// closes it, unless the user oversees every drawer (cash.view.all)
+router.post('/sessions/:id/close', requirePermission('cash.session.close'), asyncHandler(async (req, res) => {
+    const { denominations } = req.body || {};
+    const notes = typeof req.body?.notes === 'string' ? req.body.notes.trim() : '';
+    let actualAmount;
+    if (denominations !== undefined && denominations !== null) {
+        const errors = CashCount.validate(denominations);
+        if (errors.length) throw ApiError.badRequest(errors.join('; '));
+        actualAmount = roundMoney(CashCount.total(denominations));
+        if (req.body.actual_amount !== undefined && roundMoney(req.body.actual_amount) !== actualAmount) {
+            throw ApiError.badRequest('actual_amount does not match the denomination count');
+        }
+    } else {
+        if (req.body?.actual_amount === undefined || req.body.actual_amount === '') {
+            throw ApiError.badRequest('actual_amount or denominations is required');
+        }
+        actualAmount = roundMoney(req.body.actual_amount);
+    }
+    if (actualAmount < 0) throw ApiError.badRequest('Counted amount cannot be negative');
+
+    const session = await db.withTransaction(async (client) => {
+        const current = await cashSessions.lockOpenSession(client, req.params.id, req.user.branchId);
+        if (current.opened_by !== req.user.id && !hasPermission(req.user, 'cash.view.all')) {
+            throw ApiError.forbidden('Only the cashier who opened this session can close it');
+        }
+        const expected = cashSessions.expectedCash(current);
+        const difference = roundMoney(actualAmount - expected);
+        if (difference !== 0 && !notes) {
+            throw ApiError.badRequest(`The drawer is ${difference > 0 ? 'over' : 'short'} by ${Math.abs(difference)}; notes are required`);
+        }
+
+        const { rows } = await client.query(
+            `UPDATE cash_sessions
+             SET status = 'closed', closed_by = $2, closed_at = NOW(),
+                 expected_amount = $3, actual_amount = $4, difference = $5,
+                 notes = COALESCE($6, notes), closing_count = $7, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [current.id, req.user.id, expected, actualAmount, difference, notes || null,
+                denominations ? JSON.stringify(CashCount.clean(denominations)) : null]
+        );
+
+        await client.query(
+            `INSERT INTO cash_movements (cash_session_id, movement_type, amount, reason, created_by)
+             VALUES ($1, 'closing', $2, 'Closing count', $3)`,
+            [current.id, actualAmount, req.user.id]
+        );
+
+        return rows[0];
+    });
+
+    res.json({ success: true, data: session });
+}));
+
+// POST /cash/movements - pay-in / pay-out
+router.post('/movements', requirePermission('cash.movement'), asyncHandler(async (req, res) => {
+    const { cash_session_id: sessionId, movement_type: type, reason } = req.body || {};
+    const amount = roundMoney(req.body?.amount);
+    if (!sessionId) throw ApiError.badRequest('cash_session_id is required');
+    if (!MOVEMENT_COUNTERS[type]) {
+        throw ApiError.badRequest(`movement_type must be one of: ${Object.keys(MOVEMENT_COUNTERS).join(', ')}`);
+    }
+    if (!(amount > 0)) throw ApiError.badRequest('Amount must be positive');
+    if (!reason) throw ApiError.badRequest('A reason is required');
+
+    const movement = await db.withTransaction(async (client) => {
+        const session = await cashSessions.lockOpenSession(client, sessionId, req.user.branchId);
+        const counter = MOVEMENT_COUNTERS[type];
+
+        if (counter === 'cash_out' && amount > cashSessions.expectedCash(session)) {
+            throw ApiError.badRequest('Amount exceeds cash in drawer');
+        }
+
+        const { rows } = await client.query(
+            `INSERT INTO cash_movements (cash_session_id, movement_type, amount, reason, notes, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [session.id, type, amount, reason, req.body.notes || null, req.user.id]
+        );
+
+        await client.query(
+            `UPDATE cash_sessions SET ${counter} = ${counter} + $2 WHERE id = $1`,
+            [session.id, amount]
+        );
+
+        await accounting.postCashMovement(client, req.user.branchId, rows[0], req.user.id);
+
+        return rows[0];
+    });
+
+    res.status(201).json({ success: true, data: movement });
+}));
+
+module.exports = router;
@@ -0,0 +1,234 @@
+/**
+ * Coupon Routes - /api/v1/coupons
+ *
+ * Coupons unlock a coupon-only promotion (promotions.requires_coupon) when a code is entered at the
+ * POS; sales redeem them (see services/coupons) and voids and full returns give the uses back.
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission } = require('../middleware/auth');
+const activity = require('../services/activity');
+const coupons = require('../services/coupons');
+const { Coupons } = require('../utils/shared');
+const { getPagination, sendList, buildInsert, buildUpdate, parseBoolean } = require('../utils/http');
+
+const router = express.Router();
+
+// Columns a client may write on coupons
+const COUPON_FIELDS = [
+    'promotion_id', 'code', 'name', 'description', 'valid_from', 'valid_until', 'min_spend', 'max_uses',
+    'max_uses_per_customer', 'is_active'
+];
+
+// Redemptions still counting, per coupon
+const USES_SQL = `(SELECT COUNT(*)::int FROM coupon_redemptions r WHERE r.coupon_id = c.id AND r.status = 'redeemed')`;
+
+/**
+ * Check a coupon as it would be saved (the current row with the changes) and normalize its code
+ */
+async function validateCoupon(body, current = {}) {
+    const merged = { ...current, ...body };
+    if (!merged.name) throw ApiError.badRequest('Name is required');
+    const errors = Coupons.validate(merged);
+    if (errors.length) throw ApiError.badRequest(errors.join('; '));
+
+    if (body.promotion_id !== undefined) {
+        const { rows } = await db.query('SELECT requires_coupon FROM promotions WHERE id = $1', [merged.promotion_id]);
+        if (!rows[0]) throw ApiError.badRequest('Promotion not found');
+        if (!rows[0].requires_coupon) throw ApiError.badRequest('The promotion applies by itself; mark it requires_coupon first');
+    }
+
+    if (body.code !== undefined) {
+        body.code = body.code ? Coupons.normalize(body.code) : null;
+        const { rows } = body.code ? await db.query('SELECT 1 FROM coupon_codes WHERE code = $1', [body.code]) : { rows: [] };
+        if (rows[0]) throw ApiError.conflict('Code is already in use');
+    }
+}
+
+// GET /coupons/check/:code - ?customer_id=; whether the POS can take a code, with the promotion it unlocks
+router.get('/check/:code', requirePermission('pos.access'), asyncHandler(async (req, res) => {
+    let customer = null;
+    if (req.query.customer_id) {
+        const { rows } = await db.query('SELECT * FROM customers WHERE id = $1 AND is_active = TRUE', [req.query.customer_id]);
+        customer = rows[0] || null;
+    }
+
+    const { code, coupon, promotion } = await coupons.check(db, req.params.code, { branchId: req.user.branchId, customer });
+    res.json({
+        success: true,
+        data: {
+            code,
+            coupon: { id: coupon.id, name: coupon.name, min_spend: Number(coupon.min_spend) || 0, valid_until: coupon.valid_until },
+            promotion
+        }
+    });
+}));
+
+// GET /coupons - ?search= (name or shared code), ?is_active=, ?promotion_id=
+router.get('/', requirePermission('promotion.view', 'promotion.manage'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query);
+    const params = [];
+    const where = [];
+    if (req.query.search) {
+        params.push(`%${req.query.search}%`);
+        where.push(`(c.name ILIKE $${params.length} OR c.code ILIKE $${params.length})`);
+    }
+    const active = parseBoolean(req.query.is_active);
+    if (active !== undefined) {
+        params.push(active);
+        where.push(`c.is_active = $${params.length}`);
+    }
+    if (req.query.promotion_id) {
+        params.push(req.query.promotion_id);
+        where.push(`c.promotion_id = $${params.length}`);
+    }
+
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const count = await db.query(`SELECT COUNT(*) AS total FROM coupons c ${whereSql}`, params);
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `SELECT c.*, p.name AS promotion_name, ${USES_SQL} AS uses,
+                (SELECT COUNT(*)::int FROM coupon_codes cc WHERE cc.coupon_id = c.id) AS code_count
+         FROM coupons c
+         JOIN promotions p ON p.id = c.promotion_id
+         ${whereSql}
+         ORDER BY c.is_active DESC, c.created_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows, count.rows[0].total, pagination);
+}));
+
+// GET /coupons/:id - with its uses and code batches
+router.get('/:id', requirePermission('promotion.view', 'promotion.manage'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        `SELECT c.*, p.name AS promotion_name, ${USES_SQL} AS uses,
+                (SELECT COALESCE(SUM(r.amount), 0) FROM coupon_redemptions r
+                 WHERE r.coupon_id = c.id AND r.status = 'redeemed') AS discount
+         FROM coupons c
+         JOIN promotions p ON p.id = c.promotion_id
+         WHERE c.id = $1`,
+        [req.params.id]
+    );
+    if (!rows[0]) throw ApiError.notFound('Coupon not found');
+
+    const { rows: batches } = await db.query(
+        `SELECT cc.batch, COUNT(*)::int AS codes, COUNT(r.id)::int AS used, MIN(cc.created_at) AS created_at
+         FROM coupon_codes cc
+         LEFT JOIN coupon_redemptions r ON r.coupon_code_id = cc.id AND r.status = 'redeemed'
+         WHERE cc.coupon_id = $1
+         GROUP BY cc.batch
+         ORDER BY cc.batch`,
+        [req.params.id]
+    );
+
+    res.json({ success: true, data: { ...rows[0], batches } });
+}));
+
+// GET /coupons/:id/codes - ?batch=, ?used=; up to 1000 a page to print or send a batch
+router.get('/:id/codes', requirePermission('promotion.manage'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query, { limit: 200, max: Coupons.MAX_BATCH });
+    const params = [req.params.id];
+    const where = ['cc.coupon_id = $1'];
+    if (req.query.batch) {
+        params.push(Number(req.query.batch));
+        where.push(`cc.batch = $${params.length}`);
+    }
+    const used = parseBoolean(req.query.used);
+    if (used !== undefined) where.push(`${used ? '' : 'NOT '}EXISTS (SELECT 1 FROM coupon_redemptions r WHERE r.coupon_code_id = cc.id AND r.status = 'redeemed')`);
+
+    const whereSql = `WHERE ${where.join(' AND ')}`;
+    const count = await db.query(`SELECT COUNT(*) AS total FROM coupon_codes cc ${whereSql}`, params);
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `SELECT cc.id, cc.code, cc.batch, cc.is_active, cc.created_at,
+                t.transaction_number AS used_on, r.created_at AS used_at
+         FROM coupon_codes cc
+         LEFT JOIN coupon_redemptions r ON r.coupon_code_id = cc.id AND r.status = 'redeemed'
+         LEFT JOIN transactions t ON t.id = r.transaction_id
+         ${whereSql}
+         ORDER BY cc.batch, cc.code
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows, count.rows[0].total, pagination);
+}));
+
+// POST /coupons
+router.post('/', requirePermission('promotion.manage'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    if (!body.promotion_id) throw ApiError.badRequest('promotion_id is required');
+    await validateCoupon(body);
+
+    const { columns, placeholders, values } = buildInsert({ ...body, created_by: req.user.id }, [...COUPON_FIELDS, 'created_by']);
+    const { rows } = await db.query(
+        `INSERT INTO coupons (${columns}) VALUES (${placeholders}) RETURNING *`,
+        values
+    );
+
+    res.status(201).json({ success: true, data: rows[0] });
+}));
+
+// POST /coupons/:id/codes
+// Body: { count, prefix } - a new batch of single-use codes, returned to print or send
+router.post('/:id/codes', requirePermission('promotion.manage'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const errors = Coupons.batchProblems(body);
+    if (errors.length) throw ApiError.badRequest(errors.join('; '));
+
+    const data = await db.withTransaction(async (client) => {
+        const batch = await coupons.generate(client, req.user, req.params.id, { count: Number(body.count), prefix: body.prefix });
+
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'generate_coupon_codes',
+            module: 'promotion',
+            entityType: 'coupon',
+            entityId: req.params.id,
+            description: `Generated ${batch.codes.length} coupon codes (batch ${batch.batch})`,
+            metadata: { batch: batch.batch, count: batch.codes.length },
+            ...activity.requestInfo(req)
+        }, client);
+
+        return batch;
+    });
+    res.status(201).json({ success: true, data });
+}));
+
+// PUT /coupons/:id
+router.put('/:id', requirePermission('promotion.manage'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const { rows: current } = await db.query('SELECT * FROM coupons WHERE id = $1', [req.params.id]);
+    if (!current[0]) throw ApiError.notFound('Coupon not found');
+    await validateCoupon(body, current[0]);
+
+    const { sets, values } = buildUpdate(body, COUPON_FIELDS, 2);
+    if (sets.length === 0) throw ApiError.badRequest('No fields to update');
+
+    const { rows } = await db.query(
+        `UPDATE coupons SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+        [req.params.id, ...values]
+    );
+
+    res.json({ success: true, data: rows[0] });
+}));
+
+// DELETE /coupons/:id (soft delete - its redemptions stay on the sales)
+router.delete('/:id', requirePermission('promotion.manage'), asyncHandler(async (req, res) => {
+    const { rowCount } = await db.query(
+        'UPDATE coupons SET is_active = FALSE WHERE id = $1 AND is_active = TRUE',
+        [req.params.id]
+    );
+    if (!rowCount) throw ApiError.notFound('Coupon not found');
+    res.json({ success: true, data: { id: req.params.id } });
+}));
+
+module.exports = router;
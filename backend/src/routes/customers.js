@@ -0,0 +1,258 @@
+/**
+ * Customer Routes - /api/v1/customers
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission, hasPermission } = require('../middleware/auth');
+const activity = require('../services/activity');
+const accounting = require('../services/accounting');
+const cashSessions = require('../services/cashSessions');
+const customerAccounts = require('../services/customerAccounts');
+const loyalty = require('../services/loyalty');
+const { getPagination, sendList, buildInsert, buildUpdate, roundMoney } = require('../utils/http');
+
+const router = express.Router();
+
+// Columns a client may write on customers (balances and points are system-maintained)
+const CUSTOMER_FIELDS = [
+    'group_id', 'code', 'name', 'email', 'phone', 'mobile', 'address', 'city', 'state',
+    'postal_code', 'country', 'company_name', 'tax_id', 'is_tax_exempt', 'credit_limit', 'notes', 'is_active'
+];
+
+// Customer fields that need a permission of their own to change, with their value on a new customer
+const GUARDED_FIELDS = {
+    is_tax_exempt: { permission: 'settings.update', initial: false },
+    credit_limit: { permission: 'pos.credit.override', initial: 0 }
+};
+
+// Customer row with group and order count
+const CUSTOMER_SELECT = `
+    SELECT c.*,
+           CASE WHEN g.id IS NULL THEN NULL
+                ELSE json_build_object('id', g.id, 'name', g.name, 'discount_rate', g.discount_rate, 'price_list_id', g.price_list_id)
+           END AS "group",
+           (SELECT COUNT(*) FROM transactions t
+            WHERE t.customer_id = c.id AND t.status = 'completed' AND t.transaction_type = 'sale') AS total_orders
+    FROM customers c
+    LEFT JOIN customer_groups g ON g.id = c.group_id`;
+
+/**
+ * Forbid changes to GUARDED_FIELDS without their permission; `current` is the row being updated
+ * (none for a new customer)
+ */
+function checkGuardedChange(req, body, current = null) {
+    for (const [field, { permission, initial }] of Object.entries(GUARDED_FIELDS)) {
+        if (body[field] === undefined || hasPermission(req.user, permission)) continue;
+        if (Number(body[field]) !== Number(current ? current[field] : initial)) {
+            throw ApiError.forbidden(`Missing permission: ${permission}`);
+        }
+    }
+}
+
+// GET /customers/meta/groups
+router.get('/meta/groups', requirePermission('customer.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query('SELECT * FROM customer_groups ORDER BY is_default DESC, name');
+    res.json({ success: true, data: rows });
+}));
+
+// GET /customers
+router.get('/', requirePermission('customer.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query);
+    const params = [];
+    const where = ['c.is_active = TRUE'];
+
+    if (req.query.search) {
+        params.push(`%${req.query.search}%`);
+        const p = `$${params.length}`;
+        where.push(`(c.name ILIKE ${p} OR c.phone ILIKE ${p} OR c.mobile ILIKE ${p} OR c.email ILIKE ${p} OR c.code ILIKE ${p})`);
+    }
+    if (req.query.group_id) {
+        params.push(req.query.group_id);
+        where.push(`c.group_id = $${params.length}`);
+    }
+
+    const whereSql = `WHERE ${where.join(' AND ')}`;
+    const count = await db.query(`SELECT COUNT(*) AS total FROM customers c ${whereSql}`, params);
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `${CUSTOMER_SELECT} ${whereSql} ORDER BY c.name LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows, count.rows[0].total, pagination);
+}));
+
+// GET /customers/:id
+router.get('/:id', requirePermission('customer.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(`${CUSTOMER_SELECT} WHERE c.id = $1`, [req.params.id]);
+    if (!rows[0]) throw ApiError.notFound('Customer not found');
+    res.json({ success: true, data: rows[0] });
+}));
+
+// GET /customers/:id/ledger - account entries, newest first, with the balance and limit
+router.get('/:id/ledger', requirePermission('customer.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const customer = await db.query(
+        'SELECT id, name, credit_limit, current_balance FROM customers WHERE id = $1',
+        [req.params.id]
+    );
+    if (!customer.rows[0]) throw ApiError.notFound('Customer not found');
+
+    const pagination = getPagination(req.query);
+    const count = await db.query('SELECT COUNT(*) AS total FROM customer_ledger WHERE customer_id = $1', [req.params.id]);
+    const { rows } = await db.query(
+        `SELECT l.*, u.full_name AS created_by_name, pm.name AS payment_method_name, t.transaction_number
+         FROM customer_ledger l
+         LEFT JOIN users u ON u.id = l.created_by
+         LEFT JOIN payment_methods pm ON pm.id = l.payment_method_id
+         LEFT JOIN transactions t ON l.reference_type = 'transaction' AND t.id = l.reference_id
+         WHERE l.customer_id = $1
+         ORDER BY l.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [req.params.id, pagination.limit, pagination.offset]
+    );
+
+    res.json({
+        success: true,
+        data: { customer: customer.rows[0], entries: rows },
+        meta: { page: pagination.page, limit: pagination.limit, total: count.rows[0].total }
+    });
+}));
+
+// GET /customers/:id/loyalty - points balance (after expiring lapsed points), what expires next
+// and the latest entries
+router.get('/:id/loyalty', requirePermission('customer.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const data = await db.withTransaction(async (client) => {
+        const balance = await loyalty.lockMember(client, req.params.id);
+        const expiring = await client.query(
+            `SELECT SUM(remaining)::int AS points, MIN(expires_at) AS expires_at
+             FROM loyalty_ledger
+             WHERE customer_id = $1 AND remaining > 0
+               AND expires_at = (SELECT MIN(expires_at) FROM loyalty_ledger WHERE customer_id = $1 AND remaining > 0)`,
+            [req.params.id]
+        );
+        const { rows: entries } = await client.query(
+            `SELECT l.*, t.transaction_number, u.full_name AS created_by_name
+             FROM loyalty_ledger l
+             LEFT JOIN transactions t ON l.reference_type = 'transaction' AND t.id = l.reference_id
+             LEFT JOIN users u ON u.id = l.created_by
+             WHERE l.customer_id = $1
+             ORDER BY l.created_at DESC
+             LIMIT 50`,
+            [req.params.id]
+        );
+        return { balance, expiring: expiring.rows[0].points ? expiring.rows[0] : null, entries };
+    });
+    res.json({ success: true, data });
+}));
+
+// POST /customers/:id/payments - money received against the account balance
+router.post('/:id/payments', requirePermission('pos.access'), asyncHandler(async (req, res) => {
+    const { payment_method_id: methodId, amount, reference_number: reference, notes } = req.body || {};
+    if (!methodId) throw ApiError.badRequest('payment_method_id is required');
+    if (!(Number(amount) > 0)) throw ApiError.badRequest('Amount must be positive');
+
+    const entry = await db.withTransaction(async (client) => {
+        const method = await client.query(
+            'SELECT id, code, name, type FROM payment_methods WHERE id = $1 AND is_active = TRUE',
+            [methodId]
+        );
+        if (!method.rows[0]) throw ApiError.badRequest('Payment method not found');
+        if (method.rows[0].type === 'credit') throw ApiError.badRequest('An account cannot be paid from itself');
+        if (method.rows[0].type === 'points') throw ApiError.badRequest('Loyalty points only pay for sales');
+        if (method.rows[0].type === 'gift_card') throw ApiError.badRequest('Gift cards only pay for sales');
+
+        // The money lands in the receiving cashier's drawer like any other payment
+        const session = await cashSessions.requireUserSession(client, req.user.id, req.user.branchId);
+        const customer = await customerAccounts.lockCustomer(client, req.params.id);
+
+        const posted = await customerAccounts.post(client, {
+            customerId: customer.id,
+            branchId: req.user.branchId,
+            type: 'payment',
+            amount: -roundMoney(amount),
+            methodId: method.rows[0].id,
+            referenceNumber: reference,
+            sessionId: session.id,
+            notes,
+            userId: req.user.id
+        });
+        await cashSessions.addSales(client, session.id, {
+            [cashSessions.salesCounter(method.rows[0].type)]: roundMoney(amount)
+        });
+        await accounting.postAccountPayment(client, posted, method.rows[0], customer, req.user.id);
+
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'receive_account_payment',
+            module: 'customers',
+            entityType: 'customer',
+            entityId: customer.id,
+            description: `Received ${roundMoney(amount)} on account from ${customer.name} (${method.rows[0].name})`,
+            metadata: { ledger_id: posted.id, balance_after: posted.balance_after },
+            ...activity.requestInfo(req)
+        }, client);
+
+        return posted;
+    });
+
+    res.status(201).json({ success: true, data: entry });
+}));
+
+// POST /customers
+router.post('/', requirePermission('customer.create'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    if (!body.name) throw ApiError.badRequest('Name is required');
+    checkGuardedChange(req, body);
+
+    // New customers join the default group unless one is given
+    if (!body.group_id) {
+        const group = await db.query('SELECT id FROM customer_groups WHERE is_default = TRUE LIMIT 1');
+        body.group_id = group.rows[0]?.id;
+    }
+
+    const { columns, placeholders, values } = buildInsert(body, CUSTOMER_FIELDS);
+    const { rows } = await db.query(
+        `INSERT INTO customers (${columns}) VALUES (${placeholders}) RETURNING *`,
+        values
+    );
+
+    res.status(201).json({ success: true, data: rows[0] });
+}));
+
+// PUT /customers/:id
+router.put('/:id', requirePermission('customer.update'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    if (body.name === '') throw ApiError.badRequest('Name cannot be empty');
+
+    const { sets, values } = buildUpdate(body, CUSTOMER_FIELDS, 2);
+    if (sets.length === 0) throw ApiError.badRequest('No fields to update');
+
+    const { rows: current } = await db.query('SELECT * FROM customers WHERE id = $1', [req.params.id]);
+    if (!current[0]) throw ApiError.notFound('Customer not found');
+    checkGuardedChange(req, body, current[0]);
+
+    const { rows } = await db.query(
+        `UPDATE customers SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+        [req.params.id, ...values]
+    );
+    if (!rows[0]) throw ApiError.notFound('Customer not found');
+
+    res.json({ success: true, data: rows[0] });
+}));
+
+// DELETE /customers/:id (soft delete - customers are referenced by sales history)
+router.delete('/:id', requirePermission('customer.delete'), asyncHandler(async (req, res) => {
+    const { rowCount } = await db.query(
+        'UPDATE customers SET is_active = FALSE WHERE id = $1 AND is_active = TRUE',
+        [req.params.id]
+    );
+    if (!rowCount) throw ApiError.notFound('Customer not found');
+    res.json({ success: true, data: { id: req.params.id } });
+}));
+
+module.exports = router;
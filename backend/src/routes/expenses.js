@@ -0,0 +1,122 @@
+/**
+ * Expense Routes - /api/v1/expenses
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission } = require('../middleware/auth');
+const numbering = require('../services/numbering');
+const accounting = require('../services/accounting');
+const cashSessions = require('../services/cashSessions');
+const { getPagination, sendList, roundMoney } = require('../utils/http');
+
+const router = express.Router();
+
+// Expense row with account and creator
+const EXPENSE_SELECT = `
+    SELECT e.*, a.code AS account_code, a.name AS account_name, u.full_name AS created_by_name
+    FROM expenses e
+    LEFT JOIN accounts a ON a.id = e.account_id
+    LEFT JOIN users u ON u.id = e.created_by`;
+
+// GET /expenses
+router.get('/', requirePermission('expense.view'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query);
+    const params = [req.user.branchId];
+    const where = ['e.branch_id = $1'];
+
+    const filters = {
+        start_date: 'e.expense_date >= $',
+        end_date: 'e.expense_date <= $',
+        category: 'e.category = $',
+        cash_session_id: 'e.cash_session_id = $'
+    };
+    for (const [key, condition] of Object.entries(filters)) {
+        if (req.query[key]) {
+            params.push(req.query[key]);
+            where.push(condition + params.length);
+        }
+    }
+
+    const whereSql = `WHERE ${where.join(' AND ')}`;
+    const count = await db.query(`SELECT COUNT(*) AS total FROM expenses e ${whereSql}`, params);
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `${EXPENSE_SELECT} ${whereSql}
+         ORDER BY e.expense_date DESC, e.created_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows, count.rows[0].total, pagination);
+}));
+
+// POST /expenses
+// Cash expenses paid from an open drawer (cash_session_id) also come out of that session.
+router.post('/', requirePermission('expense.create'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const amount = roundMoney(body.amount);
+    const taxAmount = roundMoney(body.tax_amount);
+    if (!(amount > 0)) throw ApiError.badRequest('Amount must be positive');
+    if (taxAmount < 0) throw ApiError.badRequest('Tax amount cannot be negative');
+    if (body.cash_session_id && body.payment_method !== 'cash') {
+        throw ApiError.badRequest('Only cash expenses can be paid from a cash session');
+    }
+
+    const expense = await db.withTransaction(async (client) => {
+        if (body.account_id) {
+            const { rows } = await client.query(
+                `SELECT id FROM accounts WHERE id = $1 AND type = 'expense' AND is_active = TRUE`,
+                [body.account_id]
+            );
+            if (!rows[0]) throw ApiError.badRequest('account_id must be an active expense account');
+        }
+
+        const session = body.cash_session_id
+            ? await cashSessions.lockOpenSession(client, body.cash_session_id, req.user.branchId)
+            : null;
+        const total = roundMoney(amount + taxAmount);
+        if (session && total > cashSessions.expectedCash(session)) {
+            throw ApiError.badRequest('Amount exceeds cash in drawer');
+        }
+
+        const number = await numbering.next(client, req.user.branchId, 'expense');
+        const { rows } = await client.query(
+            `INSERT INTO expenses (
+                branch_id, account_id, cash_session_id, expense_number, expense_date, category, vendor,
+                amount, tax_amount, total_amount, payment_method, reference_number, description, receipt_url, created_by
+             ) VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_DATE), $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+             RETURNING *`,
+            [
+                req.user.branchId, body.account_id || null, session?.id || null, number, body.expense_date || null,
+                body.category || null, body.vendor || null, amount, taxAmount, total,
+                body.payment_method || 'cash', body.reference_number || null, body.description || null,
+                body.receipt_url || null, req.user.id
+            ]
+        );
+        const created = rows[0];
+
+        if (session) {
+            await client.query(
+                `INSERT INTO cash_movements (cash_session_id, movement_type, reference_type, reference_id, amount, reason, created_by)
+                 VALUES ($1, 'expense', 'expense', $2, $3, $4, $5)`,
+                [session.id, created.id, total, created.description || created.category || number, req.user.id]
+            );
+            await client.query(
+                'UPDATE cash_sessions SET cash_out = cash_out + $2 WHERE id = $1',
+                [session.id, total]
+            );
+        }
+
+        await accounting.postExpense(client, created, req.user.id);
+
+        return created;
+    });
+
+    res.status(201).json({ success: true, data: expense });
+}));
+
+module.exports = router;
@@ -0,0 +1,127 @@
+/**
+ * Gift Card Routes - /api/v1/gift-cards
+ *
+ * Cards are issued and topped up by selling a gift card item and spent as the gift card tender
+ * (see services/giftCards); these routes look them up and switch them off and on.
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission } = require('../middleware/auth');
+const activity = require('../services/activity');
+const giftCards = require('../services/giftCards');
+const { GiftCards } = require('../utils/shared');
+const { getPagination, sendList } = require('../utils/http');
+
+const router = express.Router();
+
+// Statuses a card can be switched to by hand ('expired' is only set by expiry)
+const STATUSES = ['active', 'inactive'];
+
+/**
+ * A card with its issuing branch, buyer and full movement history, newest first
+ */
+async function cardDetail(client, card) {
+    const { rows: details } = await client.query(
+        `SELECT b.name AS branch_name, c.name AS customer_name
+         FROM gift_cards g
+         LEFT JOIN branches b ON b.id = g.branch_id
+         LEFT JOIN customers c ON c.id = g.customer_id
+         WHERE g.id = $1`,
+        [card.id]
+    );
+    const { rows: movements } = await client.query(
+        `SELECT m.*, t.transaction_number, b.name AS branch_name, u.full_name AS created_by_name
+         FROM gift_card_movements m
+         LEFT JOIN transactions t ON m.reference_type = 'transaction' AND t.id = m.reference_id
+         LEFT JOIN branches b ON b.id = m.branch_id
+         LEFT JOIN users u ON u.id = m.created_by
+         WHERE m.gift_card_id = $1
+         ORDER BY m.created_at DESC`,
+        [card.id]
+    );
+    return { ...card, ...details[0], movements };
+}
+
+// GET /gift-cards - ?search= (card number), ?status=
+router.get('/', requirePermission('pos.gift_card.manage', 'report.financial'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query);
+    const params = [];
+    const where = [];
+    if (req.query.search) {
+        params.push(`%${GiftCards.normalize(req.query.search)}%`);
+        where.push(`g.card_number LIKE $${params.length}`);
+    }
+    if (req.query.status) {
+        params.push(req.query.status);
+        where.push(`g.status = $${params.length}`);
+    }
+
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const count = await db.query(`SELECT COUNT(*) AS total FROM gift_cards g ${whereSql}`, params);
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `SELECT g.*, c.name AS customer_name
+         FROM gift_cards g
+         LEFT JOIN customers c ON c.id = g.customer_id
+         ${whereSql}
+         ORDER BY g.created_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows, count.rows[0].total, pagination);
+}));
+
+// GET /gift-cards/number/:number - balance check by the scanned number (expires a lapsed card first)
+router.get('/number/:number', requirePermission('pos.access', 'pos.gift_card.manage'), asyncHandler(async (req, res) => {
+    const data = await db.withTransaction(async (client) => {
+        const card = await giftCards.lockCard(client, { number: req.params.number });
+        if (!card) throw ApiError.notFound('Gift card not found');
+        return cardDetail(client, card);
+    });
+    res.json({ success: true, data });
+}));
+
+// GET /gift-cards/:id
+router.get('/:id', requirePermission('pos.access', 'pos.gift_card.manage'), asyncHandler(async (req, res) => {
+    const data = await db.withTransaction(async (client) => {
+        const card = await giftCards.lockCard(client, { id: req.params.id });
+        if (!card) throw ApiError.notFound('Gift card not found');
+        return cardDetail(client, card);
+    });
+    res.json({ success: true, data });
+}));
+
+// PUT /gift-cards/:id/status
+// Body: { status: 'active' | 'inactive', reason } - a deactivated card keeps its balance but cannot be used
+router.put('/:id/status', requirePermission('pos.gift_card.manage'), asyncHandler(async (req, res) => {
+    const { status } = req.body || {};
+    const reason = String(req.body?.reason || '').trim();
+    if (!STATUSES.includes(status)) throw ApiError.badRequest(`Status must be one of: ${STATUSES.join(', ')}`);
+    if (!reason) throw ApiError.badRequest('A reason is required');
+
+    const data = await db.withTransaction(async (client) => {
+        const card = await giftCards.setStatus(client, req.user, { id: req.params.id, status, reason });
+
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: status === 'active' ? 'activate_gift_card' : 'deactivate_gift_card',
+            module: 'pos',
+            entityType: 'gift_card',
+            entityId: card.id,
+            description: `Gift card ${GiftCards.mask(card.card_number)} ${status === 'active' ? 'reactivated' : 'deactivated'}: ${reason}`,
+            metadata: { status, balance: Number(card.balance) },
+            ...activity.requestInfo(req)
+        }, client);
+
+        return cardDetail(client, card);
+    });
+    res.json({ success: true, data });
+}));
+
+module.exports = router;
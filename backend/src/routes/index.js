@@ -0,0 +1,40 @@
+/**
+ * API Router - /api/v1
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+const { authenticate, requireBranch } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Brute-force protection on credential endpoints
+const authLimiter = rateLimit({
+    windowMs: config.rateLimit.windowMs,
+    max: config.rateLimit.max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { success: false, error: { code: 'RATE_LIMITED', message: 'Too many requests, please try again later' } }
+});
+
+router.use('/auth', authLimiter, require('./auth'));
+
+// Everything below requires a signed-in user assigned to a branch
+router.use(authenticate, requireBranch);
+
+router.use('/products', require('./products'));
+router.use('/inventory', require('./inventory'));
+router.use('/transactions', require('./transactions'));
+router.use('/customers', require('./customers'));
+router.use('/gift-cards', require('./giftCards'));
+router.use('/promotions', require('./promotions'));
+router.use('/coupons', require('./coupons'));
+router.use('/work-orders', require('./workOrders'));
+router.use('/cash', require('./cash'));
+router.use('/expenses', require('./expenses'));
+router.use('/accounting', require('./accounting'));
+router.use('/reports', require('./reports'));
+router.use('/settings', require('./settings'));
+
+module.exports = router;
@@ -0,0 +1,220 @@
+/**
+ * Inventory Routes - /api/v1/inventory
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission } = require('../middleware/auth');
+const numbering = require('../services/numbering');
+const inventory = require('../services/inventory');
+const { getPagination, sendList, parseBoolean } = require('../utils/http');
+
+const router = express.Router();
+
+/**
+ * Ensure a warehouse belongs to the user's branch
+ */
+async function assertBranchWarehouse(client, warehouseId, branchId) {
+    const { rows } = await client.query(
+        'SELECT id FROM warehouses WHERE id = $1 AND branch_id = $2 AND is_active = TRUE',
+        [warehouseId, branchId]
+    );
+    if (!rows[0]) throw ApiError.badRequest('Warehouse not found in this branch');
+}
+
+/**
+ * Validate movement lines ({ item_id, variant_id?, quantity })
+ */
+function validateLines(items, quantityField) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw ApiError.badRequest('At least one item is required');
+    }
+    for (const line of items) {
+        if (!line.item_id) throw ApiError.badRequest('item_id is required for every line');
+        if (!Number.isFinite(Number(line[quantityField]))) {
+            throw ApiError.badRequest(`${quantityField} must be a number`);
+        }
+    }
+}
+
+// GET /inventory/warehouses
+router.get('/warehouses', requirePermission('inventory.view'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        `SELECT * FROM warehouses WHERE branch_id = $1 AND is_active = TRUE
+         ORDER BY is_default DESC, name`,
+        [req.user.branchId]
+    );
+    res.json({ success: true, data: rows });
+}));
+
+// GET /inventory
+router.get('/', requirePermission('inventory.view'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query);
+    const params = [req.user.branchId];
+    const where = ['v.branch_id = $1'];
+
+    if (req.query.warehouse_id) {
+        params.push(req.query.warehouse_id);
+        where.push(`v.warehouse_id = $${params.length}`);
+    }
+    if (req.query.item_id) {
+        params.push(req.query.item_id);
+        where.push(`v.item_id = $${params.length}`);
+    }
+    if (req.query.search) {
+        params.push(`%${req.query.search}%`);
+        where.push(`(v.item_name ILIKE $${params.length} OR v.sku ILIKE $${params.length})`);
+    }
+    if (parseBoolean(req.query.low_stock)) {
+        where.push('v.quantity <= i.reorder_point');
+    }
+
+    const fromSql = `FROM v_inventory_summary v JOIN items i ON i.id = v.item_id WHERE ${where.join(' AND ')}`;
+    const count = await db.query(`SELECT COUNT(*) AS total ${fromSql}`, params);
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `SELECT v.*, i.reorder_point, i.min_stock_level ${fromSql}
+         ORDER BY v.item_name, v.variant_name NULLS FIRST
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows, count.rows[0].total, pagination);
+}));
+
+// POST /inventory/adjustments - set counted quantities
+router.post('/adjustments', requirePermission('inventory.adjust'), asyncHandler(async (req, res) => {
+    const { warehouse_id: warehouseId, reason = 'count', notes, items } = req.body || {};
+    if (!warehouseId) throw ApiError.badRequest('warehouse_id is required');
+    validateLines(items, 'quantity_after');
+
+    const adjustment = await db.withTransaction(async (client) => {
+        await assertBranchWarehouse(client, warehouseId, req.user.branchId);
+
+        const number = await numbering.next(client, req.user.branchId, 'adjustment');
+        const { rows } = await client.query(
+            `INSERT INTO stock_adjustments
+                (adjustment_number, warehouse_id, reason, notes, status, created_by, approved_by, approved_at)
+             VALUES ($1, $2, $3, $4, 'approved', $5, $5, NOW())
+             RETURNING *`,
+            [number, warehouseId, reason, notes || null, req.user.id]
+        );
+        const header = rows[0];
+
+        header.items = [];
+        for (const line of items) {
+            const variantId = line.variant_id || null;
+            await inventory.lockStock(client, warehouseId, line.item_id, variantId);
+            const current = await inventory.getStock(client, warehouseId, line.item_id, variantId);
+            const before = Number(current?.quantity || 0);
+            const unitCost = current?.avg_cost ?? null;
+            const after = Number(line.quantity_after);
+
+            if (after !== before) {
+                await inventory.moveStock(client, {
+                    warehouseId,
+                    itemId: line.item_id,
+                    variantId,
+                    quantity: after - before,
+                    movementType: 'adjustment',
+                    referenceType: 'adjustment',
+                    referenceId: header.id,
+                    unitCost,
+                    userId: req.user.id,
+                    notes: line.notes || reason
+                });
+            }
+
+            const inserted = await client.query(
+                `INSERT INTO stock_adjustment_items
+                    (adjustment_id, item_id, variant_id, quantity_before, quantity_after, unit_cost, notes)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 RETURNING *`,
+                [header.id, line.item_id, variantId, before, after, unitCost, line.notes || null]
+            );
+            header.items.push(inserted.rows[0]);
+        }
+
+        return header;
+    });
+
+    res.status(201).json({ success: true, data: adjustment });
+}));
+
+// POST /inventory/transfers - move stock between warehouses
+router.post('/transfers', requirePermission('inventory.transfer'), asyncHandler(async (req, res) => {
+    const { from_warehouse_id: fromId, to_warehouse_id: toId, notes, items } = req.body || {};
+    if (!fromId || !toId) throw ApiError.badRequest('from_warehouse_id and to_warehouse_id are required');
+    if (fromId === toId) throw ApiError.badRequest('Source and destination must differ');
+    validateLines(items, 'quantity');
+
+    const transfer = await db.withTransaction(async (client) => {
+        await assertBranchWarehouse(client, fromId, req.user.branchId);
+        const destination = await client.query('SELECT id FROM warehouses WHERE id = $1 AND is_active = TRUE', [toId]);
+        if (!destination.rows[0]) throw ApiError.badRequest('Destination warehouse not found');
+
+        const number = await numbering.next(client, req.user.branchId, 'transfer');
+        const { rows } = await client.query(
+            `INSERT INTO stock_transfers
+                (transfer_number, from_warehouse_id, to_warehouse_id, status, notes,
+                 transferred_at, received_at, created_by, approved_by, received_by)
+             VALUES ($1, $2, $3, 'completed', $4, NOW(), NOW(), $5, $5, $5)
+             RETURNING *`,
+            [number, fromId, toId, notes || null, req.user.id]
+        );
+        const header = rows[0];
+
+        header.items = [];
+        for (const line of items) {
+            const quantity = Number(line.quantity);
+            if (quantity <= 0) throw ApiError.badRequest('Transfer quantity must be positive');
+
+            const out = await inventory.moveStock(client, {
+                warehouseId: fromId,
+                itemId: line.item_id,
+                variantId: line.variant_id || null,
+                quantity: -quantity,
+                movementType: 'transfer',
+                referenceType: 'transfer',
+                referenceId: header.id,
+                userId: req.user.id
+            });
+            if (out.quantity_after < 0) {
+                throw ApiError.badRequest('Insufficient stock in source warehouse');
+            }
+
+            const source = await inventory.getStock(client, fromId, line.item_id, line.variant_id || null);
+            const unitCost = source?.avg_cost ?? null;
+
+            await inventory.moveStock(client, {
+                warehouseId: toId,
+                itemId: line.item_id,
+                variantId: line.variant_id || null,
+                quantity,
+                movementType: 'transfer',
+                referenceType: 'transfer',
+                referenceId: header.id,
+                unitCost,
+                userId: req.user.id
+            });
+
+            const inserted = await client.query(
+                `INSERT INTO stock_transfer_items
+                    (transfer_id, item_id, variant_id, quantity_sent, quantity_received, unit_cost, notes)
+                 VALUES ($1, $2, $3, $4, $4, $5, $6)
+                 RETURNING *`,
+                [header.id, line.item_id, line.variant_id || null, quantity, unitCost, line.notes || null]
+            );
+            header.items.push(inserted.rows[0]);
+        }
+
+        return header;
+    });
+
+    res.status(201).json({ success: true, data: transfer });
+}));
+
+module.exports = router;
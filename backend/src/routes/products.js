@@ -0,0 +1,404 @@
+/**
+ * Product Routes - /api/v1/products
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission, hasPermission } = require('../middleware/auth');
+const { getPagination, sendList, buildInsert, buildUpdate, parseBoolean } = require('../utils/http');
+const pricing = require('../services/pricing');
+const branches = require('../services/branches');
+const { Scale } = require('../utils/shared');
+
+const router = express.Router();
+
+// Columns a client may write on items
+const ITEM_FIELDS = [
+    'category_id', 'unit_id', 'type', 'sku', 'barcode', 'name', 'description', 'image_url',
+    'plu', 'cost_price', 'selling_price', 'min_price', 'tax_rate', 'is_tax_inclusive',
+    'track_inventory', 'min_stock_level', 'max_stock_level', 'reorder_point',
+    'is_active', 'is_sellable', 'is_purchasable', 'allow_decimal_qty', 'tags', 'attributes'
+];
+
+// Columns a client may write on item_variants
+const VARIANT_FIELDS = ['sku', 'barcode', 'name', 'cost_price', 'selling_price', 'attributes', 'is_active'];
+
+// Price columns that need item.price.update to change
+const PRICE_FIELDS = ['cost_price', 'selling_price', 'min_price'];
+
+// Item row with category, unit, branch stock and active variants with their own stock ($1 = branch id).
+// A bundle lists its components, and its stock is how many can be made from the scarcest
+// tracked component (null when none is tracked).
+const ITEM_SELECT = `
+    SELECT i.*,
+           CASE WHEN c.id IS NULL THEN NULL ELSE json_build_object('id', c.id, 'name', c.name) END AS category,
+           CASE WHEN u.id IS NULL THEN NULL ELSE json_build_object('id', u.id, 'code', u.code, 'name', u.name) END AS unit,
+           CASE WHEN i.type = 'bundle' THEN GREATEST(b.available, 0) ELSE COALESCE(s.stock, 0) END AS stock,
+           COALESCE(v.variants, '[]'::json) AS variants,
+           COALESCE(b.components, '[]'::json) AS components
+    FROM items i
+    LEFT JOIN categories c ON c.id = i.category_id
+    LEFT JOIN units u ON u.id = i.unit_id
+    LEFT JOIN LATERAL (
+        SELECT SUM(inv.quantity) AS stock
+        FROM inventory inv
+        JOIN warehouses w ON w.id = inv.warehouse_id
+        WHERE inv.item_id = i.id AND w.branch_id = $1
+    ) s ON TRUE
+    LEFT JOIN LATERAL (
+        SELECT json_agg(json_build_object(
+                   'id', iv.id, 'sku', iv.sku, 'barcode', iv.barcode, 'name', iv.name,
+                   'selling_price', iv.selling_price, 'attributes', iv.attributes,
+                   'stock', COALESCE((
+                       SELECT SUM(inv.quantity)
+                       FROM inventory inv
+                       JOIN warehouses w ON w.id = inv.warehouse_id
+                       WHERE inv.variant_id = iv.id AND w.branch_id = $1
+                   ), 0)
+               ) ORDER BY iv.name) AS variants
+        FROM item_variants iv
+        WHERE iv.item_id = i.id AND iv.is_active = TRUE
+    ) v ON TRUE
+    LEFT JOIN LATERAL (
+        SELECT json_agg(json_build_object(
+                   'item_id', bi.item_id, 'variant_id', bi.variant_id, 'name', ci.name, 'variant_name', cv.name,
+                   'quantity', bi.quantity, 'stock', cs.stock
+               ) ORDER BY ci.name) AS components,
+               MIN(FLOOR(cs.stock / bi.quantity)) FILTER (WHERE ci.type = 'product' AND ci.track_inventory) AS available
+        FROM bundle_items bi
+        JOIN items ci ON ci.id = bi.item_id
+        LEFT JOIN item_variants cv ON cv.id = bi.variant_id
+        LEFT JOIN LATERAL (
+            SELECT COALESCE(SUM(inv.quantity), 0) AS stock
+            FROM inventory inv
+            JOIN warehouses w ON w.id = inv.warehouse_id
+            WHERE inv.item_id = bi.item_id AND (bi.variant_id IS NULL OR inv.variant_id = bi.variant_id)
+              AND w.branch_id = $1
+        ) cs ON TRUE
+        WHERE bi.bundle_id = i.id
+    ) b ON TRUE`;
+
+/**
+ * Validate item payload
+ */
+function validateItem(body, isCreate) {
+    if (isCreate && !body.name) throw ApiError.badRequest('Name is required');
+    if (isCreate && (body.selling_price === undefined || body.selling_price === null)) {
+        throw ApiError.badRequest('Selling price is required');
+    }
+    if (body.selling_price !== undefined && Number(body.selling_price) < 0) {
+        throw ApiError.badRequest('Selling price cannot be negative');
+    }
+    if (body.type !== undefined && !['product', 'service', 'bundle', 'gift_card'].includes(body.type)) {
+        throw ApiError.badRequest('Type must be product, service, bundle or gift_card');
+    }
+    // Scale labels pad the PLU with zeros, so it is kept without them (empty clears it)
+    if (body.plu !== undefined) {
+        if ([null, ''].includes(body.plu)) {
+            body.plu = null;
+        } else if (/^\d{1,8}$/.test(String(body.plu).trim())) {
+            body.plu = Scale.normalizePlu(body.plu);
+        } else {
+            throw ApiError.badRequest('PLU must be 1 to 8 digits');
+        }
+    }
+    // An empty tax_rate means "use the branch default rate"
+    if (![undefined, null, ''].includes(body.tax_rate) && !(Number(body.tax_rate) >= 0 && Number(body.tax_rate) <= 100)) {
+        throw ApiError.badRequest('Tax rate must be between 0 and 100');
+    }
+}
+
+/**
+ * Validate variant payload
+ */
+function validateVariant(body, isCreate) {
+    if (isCreate && !body.name) throw ApiError.badRequest('Variant name is required');
+    ['cost_price', 'selling_price'].forEach((field) => {
+        // An empty price means "same as the item"
+        if (![undefined, null, ''].includes(body[field]) && !(Number(body[field]) >= 0)) {
+            throw ApiError.badRequest(`${field} cannot be negative`);
+        }
+    });
+    if (body.attributes !== undefined && (typeof body.attributes !== 'object' || Array.isArray(body.attributes) || body.attributes === null)) {
+        throw ApiError.badRequest('Attributes must be an object, e.g. {"size": "L", "color": "Red"}');
+    }
+}
+
+/**
+ * Forbid price changes without item.price.update; `current` is the row being updated
+ */
+function checkPriceChange(req, body, current) {
+    if (hasPermission(req.user, 'item.price.update')) return;
+    const changed = PRICE_FIELDS.filter(field => body[field] !== undefined && body[field] !== ''
+        && Number(body[field]) !== Number(current[field]));
+    if (changed.length) throw ApiError.forbidden('Missing permission: item.price.update');
+}
+
+/**
+ * Drop cost figures for users without item.price.view
+ */
+function visibleItem(req, item) {
+    if (!item || hasPermission(req.user, 'item.price.view')) return item;
+    const { cost_price: costPrice, ...rest } = item;
+    return rest;
+}
+
+// GET /products/meta/categories
+router.get('/meta/categories', requirePermission('item.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        'SELECT * FROM categories WHERE is_active = TRUE ORDER BY sort_order, name'
+    );
+    res.json({ success: true, data: rows });
+}));
+
+// GET /products/meta/units
+router.get('/meta/units', requirePermission('item.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query('SELECT * FROM units ORDER BY name');
+    res.json({ success: true, data: rows });
+}));
+
+// GET /products/pricing?customer_id= - price rules the POS resolves cart prices with (pricing.js):
+// the customer's group price list and discount plus the default list; walk-in gets the default list
+router.get('/pricing', requirePermission('item.view', 'pos.access'), asyncHandler(async (req, res) => {
+    let customer = null;
+    if (req.query.customer_id) {
+        const { rows } = await db.query('SELECT id, group_id FROM customers WHERE id = $1', [req.query.customer_id]);
+        if (!rows[0]) throw ApiError.notFound('Customer not found');
+        customer = rows[0];
+    }
+    res.json({ success: true, data: await pricing.loadRules(db, customer) });
+}));
+
+// GET /products/barcode/:barcode - by the item's or one of its variants' barcode/SKU;
+// a variant match comes back as the item with `variant` set to the scanned variant, and a
+// branch scale label as the item with the PLU with `scale_label` ({ kind, plu, value }) set
+router.get('/barcode/:barcode', requirePermission('item.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        `${ITEM_SELECT} WHERE (i.barcode = $2 OR i.sku = $2) AND i.is_active = TRUE LIMIT 1`,
+        [req.user.branchId, req.params.barcode]
+    );
+    if (rows[0]) {
+        res.json({ success: true, data: visibleItem(req, rows[0]) });
+        return;
+    }
+
+    const { rows: variants } = await db.query(
+        'SELECT * FROM item_variants WHERE (barcode = $1 OR sku = $1) AND is_active = TRUE LIMIT 1',
+        [req.params.barcode]
+    );
+    const { rows: items } = variants[0]
+        ? await db.query(`${ITEM_SELECT} WHERE i.id = $2 AND i.is_active = TRUE`, [req.user.branchId, variants[0].item_id])
+        : { rows: [] };
+    if (items[0]) {
+        res.json({ success: true, data: { ...visibleItem(req, items[0]), variant: visibleItem(req, variants[0]) } });
+        return;
+    }
+
+    const label = Scale.parse(req.params.barcode, await branches.getScaleSettings(req.user.branchId));
+    const { rows: weighed } = label
+        ? await db.query(`${ITEM_SELECT} WHERE i.plu = $2 AND i.is_active = TRUE`, [req.user.branchId, label.plu])
+        : { rows: [] };
+    if (!weighed[0]) throw ApiError.notFound('Product not found');
+    res.json({ success: true, data: { ...visibleItem(req, weighed[0]), scale_label: label } });
+}));
+
+// GET /products
+router.get('/', requirePermission('item.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query);
+    const params = [req.user.branchId];
+    const where = [];
+
+    const isActive = parseBoolean(req.query.is_active);
+    where.push(`i.is_active = ${isActive === false ? 'FALSE' : 'TRUE'}`);
+    if (req.query.search) {
+        params.push(`%${req.query.search}%`);
+        where.push(`(i.name ILIKE $${params.length} OR i.sku ILIKE $${params.length} OR i.barcode ILIKE $${params.length})`);
+    }
+    if (req.query.category_id) {
+        params.push(req.query.category_id);
+        where.push(`i.category_id = $${params.length}`);
+    }
+    if (req.query.type) {
+        params.push(req.query.type);
+        where.push(`i.type = $${params.length}`);
+    }
+
+    const whereSql = `WHERE ${where.join(' AND ')}`;
+    const count = await db.query(`SELECT COUNT(*) AS total FROM (${ITEM_SELECT} ${whereSql}) matched`, params);
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `${ITEM_SELECT} ${whereSql} ORDER BY i.name LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows.map(row => visibleItem(req, row)), count.rows[0].total, pagination);
+}));
+
+// GET /products/:id
+router.get('/:id', requirePermission('item.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(`${ITEM_SELECT} WHERE i.id = $2`, [req.user.branchId, req.params.id]);
+    if (!rows[0]) throw ApiError.notFound('Product not found');
+    res.json({ success: true, data: visibleItem(req, rows[0]) });
+}));
+
+// POST /products
+router.post('/', requirePermission('item.create'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    validateItem(body, true);
+
+    const { columns, placeholders, values } = buildInsert(body, ITEM_FIELDS);
+    const { rows } = await db.query(
+        `INSERT INTO items (${columns}) VALUES (${placeholders}) RETURNING *`,
+        values
+    );
+
+    res.status(201).json({ success: true, data: visibleItem(req, rows[0]) });
+}));
+
+// PUT /products/:id
+router.put('/:id', requirePermission('item.update'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    validateItem(body, false);
+
+    const { sets, values } = buildUpdate(body, ITEM_FIELDS, 2);
+    if (sets.length === 0) throw ApiError.badRequest('No fields to update');
+
+    if (!hasPermission(req.user, 'item.price.update')) {
+        const { rows: current } = await db.query(`SELECT ${PRICE_FIELDS.join(', ')} FROM items WHERE id = $1`, [req.params.id]);
+        if (!current[0]) throw ApiError.notFound('Product not found');
+        checkPriceChange(req, body, current[0]);
+    }
+
+    const { rows } = await db.query(
+        `UPDATE items SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+        [req.params.id, ...values]
+    );
+    if (!rows[0]) throw ApiError.notFound('Product not found');
+
+    res.json({ success: true, data: visibleItem(req, rows[0]) });
+}));
+
+// DELETE /products/:id (soft delete - items are referenced by sales history)
+router.delete('/:id', requirePermission('item.delete'), asyncHandler(async (req, res) => {
+    const { rowCount } = await db.query(
+        'UPDATE items SET is_active = FALSE WHERE id = $1 AND is_active = TRUE',
+        [req.params.id]
+    );
+    if (!rowCount) throw ApiError.notFound('Product not found');
+    res.json({ success: true, data: { id: req.params.id } });
+}));
+
+// PUT /products/:id/components - replace a bundle's components: [{ item_id, variant_id?, quantity }]
+router.put('/:id/components', requirePermission('item.update'), asyncHandler(async (req, res) => {
+    const components = req.body?.components;
+    if (!Array.isArray(components) || components.length === 0) throw ApiError.badRequest('A bundle needs at least one component');
+
+    const bundle = await db.withTransaction(async (client) => {
+        const { rows } = await client.query('SELECT id, type FROM items WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (!rows[0]) throw ApiError.notFound('Product not found');
+        if (rows[0].type !== 'bundle') throw ApiError.badRequest('Only bundles have components');
+
+        const { rows: parts } = await client.query(
+            'SELECT id, name, type FROM items WHERE id = ANY($1::uuid[]) AND is_active = TRUE',
+            [components.map(c => c.item_id)]
+        );
+        await client.query('DELETE FROM bundle_items WHERE bundle_id = $1', [req.params.id]);
+        for (const component of components) {
+            const part = parts.find(p => p.id === component.item_id);
+            if (!part) throw ApiError.badRequest(`Component ${component.item_id} not found`);
+            if (part.type === 'bundle') throw ApiError.badRequest(`${part.name} is a bundle; bundles cannot contain bundles`);
+            if (part.type === 'gift_card') throw ApiError.badRequest(`${part.name} is a gift card; sell it on its own line`);
+            if (!(Number(component.quantity) > 0)) throw ApiError.badRequest(`Invalid quantity for ${part.name}`);
+            if (component.variant_id) {
+                const { rows: variants } = await client.query(
+                    'SELECT id FROM item_variants WHERE id = $1 AND item_id = $2',
+                    [component.variant_id, part.id]
+                );
+                if (!variants[0]) throw ApiError.badRequest(`Variant not found for ${part.name}`);
+            }
+
+            await client.query(
+                'INSERT INTO bundle_items (bundle_id, item_id, variant_id, quantity) VALUES ($1, $2, $3, $4)',
+                [req.params.id, part.id, component.variant_id || null, Number(component.quantity)]
+            );
+        }
+
+        const { rows: items } = await client.query(`${ITEM_SELECT} WHERE i.id = $2`, [req.user.branchId, req.params.id]);
+        return items[0];
+    });
+
+    res.json({ success: true, data: visibleItem(req, bundle) });
+}));
+
+// GET /products/:id/variants (including inactive ones)
+router.get('/:id/variants', requirePermission('item.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        `SELECT iv.*, COALESCE(s.stock, 0) AS stock
+         FROM item_variants iv
+         LEFT JOIN LATERAL (
+             SELECT SUM(inv.quantity) AS stock
+             FROM inventory inv
+             JOIN warehouses w ON w.id = inv.warehouse_id
+             WHERE inv.variant_id = iv.id AND w.branch_id = $2
+         ) s ON TRUE
+         WHERE iv.item_id = $1
+         ORDER BY iv.name`,
+        [req.params.id, req.user.branchId]
+    );
+    res.json({ success: true, data: rows.map(row => visibleItem(req, row)) });
+}));
+
+// POST /products/:id/variants
+router.post('/:id/variants', requirePermission('item.update'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    validateVariant(body, true);
+
+    const { rows: items } = await db.query('SELECT id FROM items WHERE id = $1', [req.params.id]);
+    if (!items[0]) throw ApiError.notFound('Product not found');
+
+    const { columns, placeholders, values } = buildInsert({ ...body, item_id: req.params.id }, ['item_id', ...VARIANT_FIELDS]);
+    const { rows } = await db.query(
+        `INSERT INTO item_variants (${columns}) VALUES (${placeholders}) RETURNING *`,
+        values
+    );
+
+    res.status(201).json({ success: true, data: visibleItem(req, rows[0]) });
+}));
+
+// PUT /products/:id/variants/:variantId
+router.put('/:id/variants/:variantId', requirePermission('item.update'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    validateVariant(body, false);
+
+    const { sets, values } = buildUpdate(body, VARIANT_FIELDS, 3);
+    if (sets.length === 0) throw ApiError.badRequest('No fields to update');
+
+    const { rows: current } = await db.query(
+        'SELECT * FROM item_variants WHERE id = $1 AND item_id = $2',
+        [req.params.variantId, req.params.id]
+    );
+    if (!current[0]) throw ApiError.notFound('Variant not found');
+    checkPriceChange(req, body, current[0]);
+
+    const { rows } = await db.query(
+        `UPDATE item_variants SET ${sets.join(', ')} WHERE id = $1 AND item_id = $2 RETURNING *`,
+        [req.params.variantId, req.params.id, ...values]
+    );
+
+    res.json({ success: true, data: visibleItem(req, rows[0]) });
+}));
+
+// DELETE /products/:id/variants/:variantId (soft delete - variants are referenced by sales history)
+router.delete('/:id/variants/:variantId', requirePermission('item.update'), asyncHandler(async (req, res) => {
+    const { rowCount } = await db.query(
+        'UPDATE item_variants SET is_active = FALSE WHERE id = $1 AND item_id = $2 AND is_active = TRUE',
+        [req.params.variantId, req.params.id]
+    );
+    if (!rowCount) throw ApiError.notFound('Variant not found');
+    res.json({ success: true, data: { id: req.params.variantId } });
+}));
+
+module.exports = router;
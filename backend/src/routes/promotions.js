@@ -0,0 +1,145 @@
+/**
+ * Promotion Routes - /api/v1/promotions
+ *
+ * Promotions are defined here and applied by the POS and the sale (see js/promotions.js); what each
+ * took off is kept on transaction_items.promotions.
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission } = require('../middleware/auth');
+const promotions = require('../services/promotions');
+const { Promotions } = require('../utils/shared');
+const { getPagination, sendList, buildInsert, buildUpdate, parseBoolean } = require('../utils/http');
+
+const router = express.Router();
+
+// Columns a client may write on promotions
+const PROMOTION_FIELDS = [
+    'branch_id', 'code', 'name', 'description', 'promo_type', 'rules', 'customer_group_ids', 'valid_from',
+    'valid_until', 'days_of_week', 'start_time', 'end_time', 'priority', 'requires_coupon', 'is_active'
+];
+
+// Promotions a user's branch can see and manage: its own and those for every branch
+const BRANCH_SQL = '(branch_id IS NULL OR branch_id = $2)';
+
+/**
+ * Check a promotion as it would be saved (the current row with the changes) and coerce its rules.
+ * A promotion is for the user's branch or, with branch_id null, for every branch.
+ */
+function validatePromotion(req, body, current = {}) {
+    if (![undefined, null, '', req.user.branchId].includes(body.branch_id)) {
+        throw ApiError.forbidden('Promotions can only be set up for your own branch or every branch');
+    }
+    const merged = { ...current, ...body };
+    if (!merged.name) throw ApiError.badRequest('Name is required');
+    const errors = Promotions.validate(merged);
+    if (errors.length) throw ApiError.badRequest(errors.join('; '));
+    if (body.rules !== undefined || body.promo_type !== undefined) body.rules = Promotions.rules(merged.promo_type, merged.rules);
+}
+
+// GET /promotions/active - what the POS applies at this branch
+router.get('/active', requirePermission('pos.access', 'promotion.view'), asyncHandler(async (req, res) => {
+    res.json({ success: true, data: await promotions.loadActive(db, req.user.branchId) });
+}));
+
+// GET /promotions - ?search= (name or code), ?is_active=, ?promo_type=
+router.get('/', requirePermission('promotion.view', 'promotion.manage'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query);
+    const params = [req.user.branchId];
+    const where = ['(p.branch_id IS NULL OR p.branch_id = $1)'];
+    if (req.query.search) {
+        params.push(`%${req.query.search}%`);
+        where.push(`(p.name ILIKE $${params.length} OR p.code ILIKE $${params.length})`);
+    }
+    const active = parseBoolean(req.query.is_active);
+    if (active !== undefined) {
+        params.push(active);
+        where.push(`p.is_active = $${params.length}`);
+    }
+    if (req.query.promo_type) {
+        params.push(req.query.promo_type);
+        where.push(`p.promo_type = $${params.length}`);
+    }
+
+    const whereSql = `WHERE ${where.join(' AND ')}`;
+    const count = await db.query(`SELECT COUNT(*) AS total FROM promotions p ${whereSql}`, params);
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `SELECT p.*, b.name AS branch_name
+         FROM promotions p
+         LEFT JOIN branches b ON b.id = p.branch_id
+         ${whereSql}
+         ORDER BY p.is_active DESC, p.priority DESC, p.created_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows, count.rows[0].total, pagination);
+}));
+
+// GET /promotions/:id
+router.get('/:id', requirePermission('promotion.view', 'promotion.manage'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(`SELECT * FROM promotions WHERE id = $1 AND ${BRANCH_SQL}`, [req.params.id, req.user.branchId]);
+    if (!rows[0]) throw ApiError.notFound('Promotion not found');
+    res.json({ success: true, data: rows[0] });
+}));
+
+// POST /promotions
+router.post('/', requirePermission('promotion.manage'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    validatePromotion(req, body);
+
+    const { columns, placeholders, values } = buildInsert({ ...body, created_by: req.user.id }, [...PROMOTION_FIELDS, 'created_by']);
+    const { rows } = await db.query(
+        `INSERT INTO promotions (${columns}) VALUES (${placeholders}) RETURNING *`,
+        values
+    );
+
+    res.status(201).json({ success: true, data: rows[0] });
+}));
+
+// PUT /promotions/:id
+router.put('/:id', requirePermission('promotion.manage'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const { rows: current } = await db.query(`SELECT * FROM promotions WHERE id = $1 AND ${BRANCH_SQL}`, [req.params.id, req.user.branchId]);
+    if (!current[0]) throw ApiError.notFound('Promotion not found');
+    validatePromotion(req, body, current[0]);
+
+    // Coupons only unlock coupon-only promotions (see routes/coupons); one that applied by itself
+    // would still take their codes and use them up
+    if (current[0].requires_coupon && body.requires_coupon !== undefined && !parseBoolean(body.requires_coupon)) {
+        const { rows: coupons } = await db.query(
+            'SELECT COUNT(*)::int AS count FROM coupons WHERE promotion_id = $1 AND is_active = TRUE',
+            [req.params.id]
+        );
+        if (coupons[0].count > 0) {
+            throw ApiError.conflict(`${coupons[0].count} active coupon(s) unlock this promotion; deactivate them before it applies by itself`);
+        }
+    }
+
+    const { sets, values } = buildUpdate(body, PROMOTION_FIELDS, 3);
+    if (sets.length === 0) throw ApiError.badRequest('No fields to update');
+
+    const { rows } = await db.query(
+        `UPDATE promotions SET ${sets.join(', ')} WHERE id = $1 AND ${BRANCH_SQL} RETURNING *`,
+        [req.params.id, req.user.branchId, ...values]
+    );
+
+    res.json({ success: true, data: rows[0] });
+}));
+
+// DELETE /promotions/:id (soft delete - sales keep the promotions they were given)
+router.delete('/:id', requirePermission('promotion.manage'), asyncHandler(async (req, res) => {
+    const { rowCount } = await db.query(
+        `UPDATE promotions SET is_active = FALSE WHERE id = $1 AND ${BRANCH_SQL} AND is_active = TRUE`,
+        [req.params.id, req.user.branchId]
+    );
+    if (!rowCount) throw ApiError.notFound('Promotion not found');
+    res.json({ success: true, data: { id: req.params.id } });
+}));
+
+module.exports = router;
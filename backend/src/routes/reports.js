@@ -0,0 +1,164 @@
+/**
+ * Report Routes - /api/v1/reports
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Read and validate start_date/end_date (YYYY-MM-DD)
+ */
+function getDateRange(query) {
+    const pattern = /^\d{4}-\d{2}-\d{2}$/;
+    const { start_date: startDate, end_date: endDate } = query;
+    if (!pattern.test(startDate || '') || !pattern.test(endDate || '')) {
+        throw ApiError.badRequest('start_date and end_date are required (YYYY-MM-DD)');
+    }
+    return [startDate, endDate];
+}
+
+// GET /reports/sales/summary
+router.get('/sales/summary', requirePermission('report.sales'), asyncHandler(async (req, res) => {
+    const [startDate, endDate] = getDateRange(req.query);
+    const params = [req.user.branchId, startDate, endDate];
+
+    const { rows } = await db.query(
+        `SELECT COUNT(*) FILTER (WHERE transaction_type = 'sale') AS transaction_count,
+                COUNT(*) FILTER (WHERE transaction_type = 'return') AS return_count,
+                COALESCE(SUM(total_amount) FILTER (WHERE transaction_type = 'sale'), 0) AS gross_sales,
+                COALESCE(SUM(total_amount) FILTER (WHERE transaction_type = 'return'), 0) AS total_returns,
+                COALESCE(SUM(CASE WHEN transaction_type = 'return' THEN -total_amount ELSE total_amount END), 0) AS net_sales,
+                COALESCE(SUM(discount_amount), 0) AS total_discounts,
+                COALESCE(SUM(tax_amount), 0) AS total_tax
+         FROM transactions
+         WHERE branch_id = $1 AND status = 'completed'
+           AND transaction_date BETWEEN $2 AND $3`,
+        params
+    );
+
+    const byMethod = await db.query(
+        `SELECT pm.code, pm.name, pm.type, COALESCE(SUM(p.amount), 0) AS amount, COUNT(*) AS count
+         FROM payments p
+         JOIN transactions t ON t.id = p.transaction_id
+         JOIN payment_methods pm ON pm.id = p.payment_method_id
+         WHERE t.branch_id = $1 AND t.status = 'completed'
+           AND t.transaction_date BETWEEN $2 AND $3
+         GROUP BY pm.code, pm.name, pm.type
+         ORDER BY amount DESC`,
+        params
+    );
+
+    res.json({
+        success: true,
+        data: { ...rows[0], start_date: startDate, end_date: endDate, by_payment_method: byMethod.rows }
+    });
+}));
+
+// GET /reports/sales/by-item
+router.get('/sales/by-item', requirePermission('report.sales'), asyncHandler(async (req, res) => {
+    const [startDate, endDate] = getDateRange(req.query);
+
+    const { rows } = await db.query(
+        `SELECT i.id AS item_id, i.name, i.sku, i.type,
+                SUM(ti.quantity) AS quantity,
+                SUM(ti.total) AS total,
+                SUM(ti.quantity * ti.cost_price) AS cost
+         FROM transaction_items ti
+         JOIN transactions t ON t.id = ti.transaction_id
+         JOIN items i ON i.id = ti.item_id
+         WHERE t.branch_id = $1 AND t.status = 'completed' AND t.transaction_type = 'sale'
+           AND t.transaction_date BETWEEN $2 AND $3
+         GROUP BY i.id, i.name, i.sku, i.type
+         ORDER BY total DESC`,
+        [req.user.branchId, startDate, endDate]
+    );
+
+    res.json({ success: true, data: rows });
+}));
+
+// GET /reports/sales/by-promotion - what each promotion took off, on how many sales and lines
+router.get('/sales/by-promotion', requirePermission('report.sales'), asyncHandler(async (req, res) => {
+    const [startDate, endDate] = getDateRange(req.query);
+
+    const { rows } = await db.query(
+        `SELECT (p.value->>'promotion_id')::uuid AS promotion_id,
+                COALESCE(pr.name, MAX(p.value->>'name')) AS name,
+                pr.code, pr.promo_type,
+                COUNT(DISTINCT t.id) AS transaction_count,
+                COUNT(*) AS line_count,
+                SUM(ti.quantity) AS quantity,
+                SUM((p.value->>'amount')::numeric) AS discount,
+                SUM(ti.total) AS line_sales
+         FROM transaction_items ti
+         JOIN transactions t ON t.id = ti.transaction_id
+         CROSS JOIN LATERAL jsonb_array_elements(ti.promotions) AS p(value)
+         LEFT JOIN promotions pr ON pr.id = (p.value->>'promotion_id')::uuid
+         WHERE t.branch_id = $1 AND t.status = 'completed' AND t.transaction_type = 'sale'
+           AND t.transaction_date BETWEEN $2 AND $3
+           AND ti.promotions IS NOT NULL
+         GROUP BY (p.value->>'promotion_id')::uuid, pr.name, pr.code, pr.promo_type
+         ORDER BY discount DESC`,
+        [req.user.branchId, startDate, endDate]
+    );
+
+    res.json({ success: true, data: rows });
+}));
+
+// GET /reports/work-orders/summary
+router.get('/work-orders/summary', requirePermission('report.sales'), asyncHandler(async (req, res) => {
+    const [startDate, endDate] = getDateRange(req.query);
+
+    const { rows } = await db.query(
+        `SELECT status, COUNT(*) AS count,
+                COALESCE(SUM(total_cost), 0) AS total,
+                COALESCE(SUM(service_cost), 0) AS service,
+                COALESCE(SUM(parts_cost), 0) AS parts
+         FROM work_orders
+         WHERE branch_id = $1 AND received_at::date BETWEEN $2 AND $3
+         GROUP BY status`,
+        [req.user.branchId, startDate, endDate]
+    );
+
+    const summary = { total: 0, by_status: {}, revenue: { total: 0, service: 0, parts: 0 } };
+    for (const row of rows) {
+        summary.total += row.count;
+        summary.by_status[row.status] = row.count;
+        if (row.status !== 'cancelled') {
+            summary.revenue.total += row.total;
+            summary.revenue.service += row.service;
+            summary.revenue.parts += row.parts;
+        }
+    }
+
+    res.json({ success: true, data: summary });
+}));
+
+// GET /reports/inventory/valuation
+router.get('/inventory/valuation', requirePermission('report.inventory'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        `SELECT v.item_id, v.sku, v.item_name, v.variant_id, v.variant_name,
+                v.warehouse_id, v.warehouse_name, v.quantity,
+                COALESCE(NULLIF(v.avg_cost, 0), i.cost_price, 0) AS unit_cost,
+                v.quantity * COALESCE(NULLIF(v.avg_cost, 0), i.cost_price, 0) AS value
+         FROM v_inventory_summary v
+         JOIN items i ON i.id = v.item_id
+         WHERE v.branch_id = $1 AND v.quantity <> 0
+         ORDER BY value DESC`,
+        [req.user.branchId]
+    );
+
+    const totalValue = rows.reduce((sum, row) => sum + Number(row.value), 0);
+    const totalQuantity = rows.reduce((sum, row) => sum + Number(row.quantity), 0);
+
+    res.json({
+        success: true,
+        data: { items: rows, total_value: Math.round(totalValue * 100) / 100, total_quantity: totalQuantity }
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,362 @@
+/**
+ * Settings Routes - /api/v1/settings
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission } = require('../middleware/auth');
+const numbering = require('../services/numbering');
+const branches = require('../services/branches');
+const activity = require('../services/activity');
+const { Tax, Receipt, Scale, Display, Loyalty, GiftCards } = require('../utils/shared');
+
+const router = express.Router();
+
+// GET /settings/numbering
+router.get('/numbering', requirePermission('settings.view'), asyncHandler(async (req, res) => {
+    const data = await numbering.describe(db, req.user.branchId);
+    res.json({ success: true, data });
+}));
+
+// PUT /settings/numbering
+// Body: { transaction: { template, reset }, hold: {...}, ... } - only the given types change
+router.put('/numbering', requirePermission('settings.update'), asyncHandler(async (req, res) => {
+    const changes = req.body || {};
+    const types = Object.keys(changes);
+    if (types.length === 0) throw ApiError.badRequest('No numbering changes given');
+
+    const data = await db.withTransaction(async (client) => {
+        const { rows } = await client.query(
+            'SELECT settings FROM branches WHERE id = $1 FOR UPDATE',
+            [req.user.branchId]
+        );
+        const current = rows[0].settings?.numbering || {};
+
+        const merged = { ...current };
+        for (const type of types) {
+            const config = {
+                ...numbering.DOCUMENTS[type],
+                ...current[type],
+                ...changes[type]
+            };
+            numbering.validateConfig(type, config);
+            merged[type] = { template: config.template.trim(), reset: config.reset };
+        }
+
+        await client.query(
+            `UPDATE branches
+             SET settings = jsonb_set(COALESCE(settings, '{}'), '{numbering}', $2::jsonb)
+             WHERE id = $1`,
+            [req.user.branchId, JSON.stringify(merged)]
+        );
+
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'update_numbering',
+            module: 'settings',
+            entityType: 'branch',
+            entityId: req.user.branchId,
+            description: `Changed document numbering for ${types.join(', ')}`,
+            metadata: { before: current, after: merged },
+            ...activity.requestInfo(req)
+        }, client);
+
+        return numbering.describe(client, req.user.branchId);
+    });
+
+    res.json({ success: true, data });
+}));
+
+// GET /settings/tax - the POS needs these to price the cart
+router.get('/tax', requirePermission('settings.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const data = await branches.getTaxSettings(req.user.branchId);
+    res.json({ success: true, data });
+}));
+
+// PUT /settings/tax
+// Body: { default_rate: 11, rounding: 'line' | 'invoice' } - only the given keys change
+router.put('/tax', requirePermission('settings.update'), asyncHandler(async (req, res) => {
+    const changes = req.body || {};
+    const errors = Tax.validate(changes);
+    if (errors.length) throw ApiError.badRequest(errors.join('; '));
+
+    const data = await db.withTransaction(async (client) => {
+        const { rows } = await client.query(
+            'SELECT settings FROM branches WHERE id = $1 FOR UPDATE',
+            [req.user.branchId]
+        );
+        const current = Tax.settings(rows[0].settings?.tax || {});
+        const merged = Tax.settings({ ...current, ...changes });
+
+        await client.query(
+            `UPDATE branches
+             SET settings = jsonb_set(COALESCE(settings, '{}'), '{tax}', $2::jsonb)
+             WHERE id = $1`,
+            [req.user.branchId, JSON.stringify(merged)]
+        );
+
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'update_tax_settings',
+            module: 'settings',
+            entityType: 'branch',
+            entityId: req.user.branchId,
+            description: `Tax: default rate ${merged.default_rate}%, rounded per ${merged.rounding}`,
+            metadata: { before: current, after: merged },
+            ...activity.requestInfo(req)
+        }, client);
+
+        return merged;
+    });
+
+    res.json({ success: true, data });
+}));
+
+// GET /settings/receipt - store block and layout the POS prints receipts with
+router.get('/receipt', requirePermission('settings.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const branch = await branches.getBranch(req.user.branchId);
+    res.json({ success: true, data: Receipt.store(branch) });
+}));
+
+// PUT /settings/receipt
+// Body: { header, footer, paper_width: 58 | 80, show_tax_id } - only the given keys change
+router.put('/receipt', requirePermission('settings.update'), asyncHandler(async (req, res) => {
+    const changes = req.body || {};
+    const errors = Receipt.validate(changes);
+    if (errors.length) throw ApiError.badRequest(errors.join('; '));
+
+    const data = await db.withTransaction(async (client) => {
+        const { rows } = await client.query(
+            'SELECT settings FROM branches WHERE id = $1 FOR UPDATE',
+            [req.user.branchId]
+        );
+        const current = Receipt.settings(rows[0].settings?.receipt || {});
+        const merged = Receipt.settings({ ...current, ...changes });
+
+        await client.query(
+            `UPDATE branches
+             SET settings = jsonb_set(COALESCE(settings, '{}'), '{receipt}', $2::jsonb)
+             WHERE id = $1`,
+            [req.user.branchId, JSON.stringify(merged)]
+        );
+
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'update_receipt_settings',
+            module: 'settings',
+            entityType: 'branch',
+            entityId: req.user.branchId,
+            description: `Receipt layout: ${merged.paper_width}mm paper`,
+            metadata: { before: current, after: merged },
+            ...activity.requestInfo(req)
+        }, client);
+
+        return Receipt.store(await branches.getBranch(req.user.branchId, client));
+    });
+
+    res.json({ success: true, data });
+}));
+
+// GET /settings/scale - label layout the POS reads weighed-goods barcodes with
+router.get('/scale', requirePermission('settings.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const data = await branches.getScaleSettings(req.user.branchId);
+    res.json({ success: true, data });
+}));
+
+// PUT /settings/scale
+// Body: { enabled, weight_prefixes: ['20', ...], price_prefixes: ['25', ...], plu_length: 5,
+//         value_length: 5, weight_decimals: 3, price_decimals: 0 } - only the given keys change
+router.put('/scale', requirePermission('settings.update'), asyncHandler(async (req, res) => {
+    const changes = req.body || {};
+
+    const data = await db.withTransaction(async (client) => {
+        const { rows } = await client.query(
+            'SELECT settings FROM branches WHERE id = $1 FOR UPDATE',
+            [req.user.branchId]
+        );
+        const current = Scale.settings(rows[0].settings?.scale || {});
+        // The lengths and prefix lists are checked together, so validate them merged
+        const errors = Scale.validate({ ...current, ...changes });
+        if (errors.length) throw ApiError.badRequest(errors.join('; '));
+        const merged = Scale.settings({ ...current, ...changes });
+
+        await client.query(
+            `UPDATE branches
+             SET settings = jsonb_set(COALESCE(settings, '{}'), '{scale}', $2::jsonb)
+             WHERE id = $1`,
+            [req.user.branchId, JSON.stringify(merged)]
+        );
+
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'update_scale_settings',
+            module: 'settings',
+            entityType: 'branch',
+            entityId: req.user.branchId,
+            description: merged.enabled
+                ? `Scale labels: PLU ${merged.plu_length} digits, value ${merged.value_length} digits`
+                : 'Scale labels disabled',
+            metadata: { before: current, after: merged },
+            ...activity.requestInfo(req)
+        }, client);
+
+        return merged;
+    });
+
+    res.json({ success: true, data });
+}));
+
+// GET /settings/display - what the customer display shows while idle and at payment
+router.get('/display', requirePermission('settings.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const data = await branches.getDisplaySettings(req.user.branchId);
+    res.json({ success: true, data });
+}));
+
+// PUT /settings/display
+// Body: { welcome_text, promo_images: ['https://...', '/img/promo.png', 'data:image/...'],
+//         rotate_seconds: 8, payment_qr: { qris: 'https://...' } } - only the given keys change
+router.put('/display', requirePermission('settings.update'), asyncHandler(async (req, res) => {
+    const changes = req.body || {};
+    const errors = Display.validate(changes);
+    if (errors.length) throw ApiError.badRequest(errors.join('; '));
+
+    const data = await db.withTransaction(async (client) => {
+        const { rows } = await client.query(
+            'SELECT settings FROM branches WHERE id = $1 FOR UPDATE',
+            [req.user.branchId]
+        );
+        const current = Display.settings(rows[0].settings?.display || {});
+        const merged = Display.settings({ ...current, ...changes });
+
+        await client.query(
+            `UPDATE branches
+             SET settings = jsonb_set(COALESCE(settings, '{}'), '{display}', $2::jsonb)
+             WHERE id = $1`,
+            [req.user.branchId, JSON.stringify(merged)]
+        );
+
+        // Images can be data URIs, so the log keeps counts rather than the images themselves
+        const summary = s => ({
+            welcome_text: s.welcome_text,
+            promo_images: s.promo_images.length,
+            rotate_seconds: s.rotate_seconds,
+            payment_qr: Object.keys(s.payment_qr)
+        });
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'update_display_settings',
+            module: 'settings',
+            entityType: 'branch',
+            entityId: req.user.branchId,
+            description: `Customer display: ${merged.promo_images.length} promo image(s)`,
+            metadata: { before: summary(current), after: summary(merged) },
+            ...activity.requestInfo(req)
+        }, client);
+
+        return merged;
+    });
+
+    res.json({ success: true, data });
+}));
+
+// GET /settings/loyalty - the branch's points program
+router.get('/loyalty', requirePermission('settings.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const data = await branches.getLoyaltySettings(req.user.branchId);
+    res.json({ success: true, data });
+}));
+
+// PUT /settings/loyalty
+// Body: { enabled: true, spend_per_point: 10000, excluded_category_ids: [...], expiry_days: 365,
+//         point_value: 100, min_balance: 100, redeem_as: 'tender' | 'discount' } - only the given keys change
+router.put('/loyalty', requirePermission('settings.update'), asyncHandler(async (req, res) => {
+    const changes = req.body || {};
+    const errors = Loyalty.validate(changes);
+    if (errors.length) throw ApiError.badRequest(errors.join('; '));
+
+    const data = await db.withTransaction(async (client) => {
+        const { rows } = await client.query(
+            'SELECT settings FROM branches WHERE id = $1 FOR UPDATE',
+            [req.user.branchId]
+        );
+        const current = Loyalty.settings(rows[0].settings?.loyalty || {});
+        const merged = Loyalty.settings({ ...current, ...changes });
+
+        await client.query(
+            `UPDATE branches
+             SET settings = jsonb_set(COALESCE(settings, '{}'), '{loyalty}', $2::jsonb)
+             WHERE id = $1`,
+            [req.user.branchId, JSON.stringify(merged)]
+        );
+
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'update_loyalty_settings',
+            module: 'settings',
+            entityType: 'branch',
+            entityId: req.user.branchId,
+            description: `Loyalty program ${merged.enabled ? 'enabled' : 'disabled'}`,
+            metadata: { before: current, after: merged },
+            ...activity.requestInfo(req)
+        }, client);
+
+        return merged;
+    });
+
+    res.json({ success: true, data });
+}));
+
+// GET /settings/gift-cards - the branch's gift card program
+router.get('/gift-cards', requirePermission('settings.view', 'pos.access'), asyncHandler(async (req, res) => {
+    const data = await branches.getGiftCardSettings(req.user.branchId);
+    res.json({ success: true, data });
+}));
+
+// PUT /settings/gift-cards
+// Body: { expiry_days: 365, min_load: 10000, max_balance: 10000000 } - only the given keys change
+router.put('/gift-cards', requirePermission('settings.update'), asyncHandler(async (req, res) => {
+    const changes = req.body || {};
+    const errors = GiftCards.validate(changes);
+    if (errors.length) throw ApiError.badRequest(errors.join('; '));
+
+    const data = await db.withTransaction(async (client) => {
+        const { rows } = await client.query(
+            'SELECT settings FROM branches WHERE id = $1 FOR UPDATE',
+            [req.user.branchId]
+        );
+        const current = GiftCards.settings(rows[0].settings?.gift_cards || {});
+        const merged = GiftCards.settings({ ...current, ...changes });
+
+        await client.query(
+            `UPDATE branches
+             SET settings = jsonb_set(COALESCE(settings, '{}'), '{gift_cards}', $2::jsonb)
+             WHERE id = $1`,
+            [req.user.branchId, JSON.stringify(merged)]
+        );
+
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'update_gift_card_settings',
+            module: 'settings',
+            entityType: 'branch',
+            entityId: req.user.branchId,
+            description: 'Gift card settings updated',
+            metadata: { before: current, after: merged },
+            ...activity.requestInfo(req)
+        }, client);
+
+        return merged;
+    });
+
+    res.json({ success: true, data });
+}));
+
+module.exports = router;
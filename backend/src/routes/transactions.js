@@ -0,0 +1,404 @@
+/**
+ * Transaction Routes - /api/v1/transactions
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission, hasPermission } = require('../middleware/auth');
+const numbering = require('../services/numbering');
+const sales = require('../services/sales');
+const cashSessions = require('../services/cashSessions');
+const accounting = require('../services/accounting');
+const branches = require('../services/branches');
+const holds = require('../services/holds');
+const returns = require('../services/returns');
+const voids = require('../services/voids');
+const customerAccounts = require('../services/customerAccounts');
+const loyalty = require('../services/loyalty');
+const giftCards = require('../services/giftCards');
+const coupons = require('../services/coupons');
+const config = require('../config');
+const activity = require('../services/activity');
+const { Receipt } = require('../utils/shared');
+const { getPagination, sendList, parseBoolean, roundMoney } = require('../utils/http');
+
+const router = express.Router();
+
+// Transaction row with customer, cashier and voiding user names, and the sale a return/exchange refers to
+const TRANSACTION_SELECT = `
+    SELECT t.*,
+           CASE WHEN c.id IS NULL THEN NULL ELSE json_build_object('id', c.id, 'name', c.name, 'phone', c.phone) END AS customer,
+           u.full_name AS cashier_name,
+           vu.full_name AS voided_by_name,
+           r.transaction_number AS reference_number
+    FROM transactions t
+    LEFT JOIN customers c ON c.id = t.customer_id
+    LEFT JOIN users u ON u.id = t.cashier_id
+    LEFT JOIN users vu ON vu.id = t.voided_by
+    LEFT JOIN transactions r ON r.id = t.reference_id`;
+
+/**
+ * Load a transaction with its lines and payments
+ */
+async function getTransactionDetail(client, id, branchId) {
+    const { rows } = await client.query(
+        `${TRANSACTION_SELECT} WHERE t.id = $1 AND t.branch_id = $2`,
+        [id, branchId]
+    );
+    const transaction = rows[0];
+    if (!transaction) return null;
+
+    const [items, payments] = await Promise.all([
+        client.query(
+            `SELECT ti.*, i.name AS item_name, i.sku, iv.name AS variant_name
+             FROM transaction_items ti
+             JOIN items i ON i.id = ti.item_id
+             LEFT JOIN item_variants iv ON iv.id = ti.variant_id
+             WHERE ti.transaction_id = $1
+             ORDER BY ti.created_at, ti.id`,
+            [id]
+        ),
+        client.query(
+            `SELECT p.*, pm.code AS method_code, pm.name AS method_name, pm.type AS method_type
+             FROM payments p
+             JOIN payment_methods pm ON pm.id = p.payment_method_id
+             WHERE p.transaction_id = $1
+             ORDER BY p.created_at`,
+            [id]
+        )
+    ]);
+
+    transaction.items = items.rows;
+    transaction.payments = payments.rows;
+    transaction.loyalty = await loyalty.summary(client, { type: 'transaction', id });
+    transaction.gift_cards = await giftCards.summary(client, { type: 'transaction', id });
+    transaction.coupons = await coupons.summary(client, id);
+    return transaction;
+}
+
+// GET /transactions/meta/payment-methods
+router.get('/meta/payment-methods', requirePermission('pos.access'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        `SELECT * FROM payment_methods
+         WHERE is_active = TRUE
+         ORDER BY array_position(ARRAY['cash', 'card', 'ewallet', 'transfer', 'gift_card', 'credit', 'points'], type::text), name`
+    );
+    res.json({ success: true, data: rows });
+}));
+
+// Hold row with customer and creator ($1 = branch id); expired holds are left for the cleanup job
+const HOLD_SELECT = `
+    SELECT h.*,
+           CASE WHEN c.id IS NULL THEN NULL
+                ELSE json_build_object('id', c.id, 'name', c.name, 'phone', c.phone, 'group_id', c.group_id,
+                                       'is_tax_exempt', c.is_tax_exempt) END AS customer,
+           u.full_name AS created_by_name
+    FROM transaction_holds h
+    LEFT JOIN customers c ON c.id = h.customer_id
+    LEFT JOIN users u ON u.id = h.created_by
+    WHERE h.branch_id = $1 AND (h.expires_at IS NULL OR h.expires_at > NOW())`;
+
+// GET /transactions/holds
+router.get('/holds', requirePermission('pos.hold'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(`${HOLD_SELECT} ORDER BY h.created_at DESC`, [req.user.branchId]);
+    res.json({ success: true, data: rows });
+}));
+
+// POST /transactions/holds/:id/resume - releases the hold and returns it with any price changes
+router.post('/holds/:id/resume', requirePermission('pos.hold'), asyncHandler(async (req, res) => {
+    const hold = await db.withTransaction(async (client) => {
+        const { rows } = await client.query(`${HOLD_SELECT} AND h.id = $2 FOR UPDATE OF h`, [req.user.branchId, req.params.id]);
+        if (!rows[0]) throw ApiError.notFound('Hold not found or expired');
+
+        await client.query('DELETE FROM transaction_holds WHERE id = $1', [rows[0].id]);
+        return { ...rows[0], price_changes: await holds.priceChanges(client, rows[0].items, rows[0].customer) };
+    });
+
+    res.json({ success: true, data: hold });
+}));
+
+// POST /transactions/hold
+router.post('/hold', requirePermission('pos.hold'), asyncHandler(async (req, res) => {
+    const { items, totals, customer_id: customerId, hold_name: holdName } = req.body || {};
+    if (!Array.isArray(items) || items.length === 0) throw ApiError.badRequest('Cannot hold an empty cart');
+
+    const hold = await db.withTransaction(async (client) => {
+        const number = await numbering.next(client, req.user.branchId, 'hold');
+        const { rows } = await client.query(
+            `INSERT INTO transaction_holds (branch_id, customer_id, hold_number, hold_name, items, totals, created_by, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + $8 * INTERVAL '1 hour')
+             RETURNING *`,
+            [
+                req.user.branchId, customerId || null, number, holdName || null,
+                JSON.stringify(items), JSON.stringify(totals || {}), req.user.id, config.holds.ttlHours
+            ]
+        );
+        return rows[0];
+    });
+
+    res.status(201).json({ success: true, data: hold });
+}));
+
+// DELETE /transactions/holds/:id
+router.delete('/holds/:id', requirePermission('pos.hold'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        'DELETE FROM transaction_holds WHERE id = $1 AND branch_id = $2 RETURNING *',
+        [req.params.id, req.user.branchId]
+    );
+    if (!rows[0]) throw ApiError.notFound('Hold not found');
+    res.json({ success: true, data: rows[0] });
+}));
+
+// GET /transactions
+router.get('/', requirePermission('pos.access', 'report.sales'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query);
+    const params = [req.user.branchId];
+    const where = ['t.branch_id = $1'];
+
+    const filters = {
+        start_date: 't.transaction_date >= $',
+        end_date: 't.transaction_date <= $',
+        status: 't.status = $',
+        transaction_type: 't.transaction_type = $',
+        customer_id: 't.customer_id = $',
+        cash_session_id: 't.cash_session_id = $'
+    };
+    for (const [key, condition] of Object.entries(filters)) {
+        if (req.query[key]) {
+            params.push(req.query[key]);
+            where.push(condition + params.length);
+        }
+    }
+    if (req.query.search) {
+        params.push(`%${req.query.search}%`);
+        where.push(`(t.transaction_number ILIKE $${params.length} OR c.name ILIKE $${params.length})`);
+    }
+
+    const whereSql = `WHERE ${where.join(' AND ')}`;
+    const count = await db.query(
+        `SELECT COUNT(*) AS total FROM transactions t LEFT JOIN customers c ON c.id = t.customer_id ${whereSql}`,
+        params
+    );
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `${TRANSACTION_SELECT} ${whereSql}
+         ORDER BY t.transaction_time DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows, count.rows[0].total, pagination);
+}));
+
+// GET /transactions/lookup/:number - a sale by receipt number (typed or scanned) with what can still be returned
+router.get('/lookup/:number', requirePermission('pos.access'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        'SELECT id FROM transactions WHERE branch_id = $1 AND transaction_number = $2',
+        [req.user.branchId, req.params.number.trim()]
+    );
+    if (!rows[0]) throw ApiError.notFound('Transaction not found');
+
+    const transaction = await getTransactionDetail(db, rows[0].id, req.user.branchId);
+    transaction.items = await returns.returnableLines(db, transaction.id);
+    res.json({ success: true, data: transaction });
+}));
+
+// GET /transactions/:id
+router.get('/:id', requirePermission('pos.access', 'report.sales'), asyncHandler(async (req, res) => {
+    const transaction = await getTransactionDetail(db, req.params.id, req.user.branchId);
+    if (!transaction) throw ApiError.notFound('Transaction not found');
+    res.json({ success: true, data: transaction });
+}));
+
+/**
+ * Receipt for a transaction in the requested format: json (the document), html or escpos (raw bytes)
+ */
+async function sendReceipt(req, res, options = {}) {
+    const format = req.query.format || 'json';
+    if (!['json', 'html', 'escpos'].includes(format)) throw ApiError.badRequest('Format must be json, html or escpos');
+
+    const transaction = await getTransactionDetail(db, req.params.id, req.user.branchId);
+    if (!transaction) throw ApiError.notFound('Transaction not found');
+    const store = Receipt.store(await branches.getBranch(req.user.branchId));
+    const doc = Receipt.build(transaction, store, { ...options, width: req.query.width });
+
+    if (options.copy) {
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'reprint_receipt',
+            module: 'pos',
+            entityType: 'transaction',
+            entityId: transaction.id,
+            description: `Reprinted receipt ${transaction.transaction_number}`,
+            ...activity.requestInfo(req)
+        });
+    }
+
+    if (format === 'escpos') {
+        res.type('application/octet-stream').send(Buffer.from(Receipt.escpos(doc, { drawer: options.drawer })));
+    } else if (format === 'html') {
+        res.type('html').send(Receipt.html(doc));
+    } else {
+        res.json({ success: true, data: doc });
+    }
+}
+
+// GET /transactions/:id/receipt?format=json|html|escpos&width=58|80&drawer=true
+// drawer=true makes the ESC/POS receipt open the cash drawer (pos.open.drawer)
+router.get('/:id/receipt', requirePermission('pos.access', 'report.sales'), asyncHandler(async (req, res) => {
+    const drawer = parseBoolean(req.query.drawer) === true;
+    if (drawer && !hasPermission(req.user, 'pos.open.drawer')) throw ApiError.forbidden('Missing permission: pos.open.drawer');
+    await sendReceipt(req, res, { drawer });
+}));
+
+// POST /transactions/:id/reprint?format=json|html|escpos&width=58|80 - the receipt marked COPY, logged
+router.post('/:id/reprint', requirePermission('pos.access'), asyncHandler(async (req, res) => {
+    await sendReceipt(req, res, { copy: true });
+}));
+
+// POST /transactions
+router.post('/', requirePermission('pos.access'), asyncHandler(async (req, res) => {
+    const transaction = await db.withTransaction(async (client) => {
+        const id = await sales.postSale(client, req.user, req.body || {});
+        return getTransactionDetail(client, id, req.user.branchId);
+    });
+
+    res.status(201).json({ success: true, data: transaction });
+}));
+
+// POST /transactions/:id/return - give back lines of a sale; new items make it an exchange
+// Users without pos.refund pass a manager approval token scoped to the original transaction
+router.post('/:id/return', requirePermission('pos.access'), asyncHandler(async (req, res) => {
+    const transaction = await db.withTransaction(async (client) => {
+        const id = await returns.postReturn(client, req.user, req.params.id, req.body || {});
+        return getTransactionDetail(client, id, req.user.branchId);
+    });
+
+    res.status(201).json({ success: true, data: transaction });
+}));
+
+// POST /transactions/:id/void - cancel a completed transaction of the caller's open session,
+// reversing stock, drawer counters and journal. Users without pos.void pass a manager
+// approval token (approval_tokens, or approval_token) scoped to this transaction.
+router.post('/:id/void', requirePermission('pos.access'), asyncHandler(async (req, res) => {
+    const transaction = await db.withTransaction(async (client) => {
+        const voided = await voids.voidTransaction(client, req.user, req.params.id, {
+            reason: req.body?.reason,
+            approvalTokens: req.body?.approval_tokens || req.body?.approval_token
+        });
+
+        await activity.log({
+            branchId: req.user.branchId,
+            userId: req.user.id,
+            action: 'void_transaction',
+            module: 'pos',
+            entityType: 'transaction',
+            entityId: voided.id,
+            description: `Voided ${voided.transaction_number}: ${voided.void_reason}`,
+            metadata: { total_amount: Number(voided.total_amount) },
+            ...activity.requestInfo(req)
+        }, client);
+
+        return getTransactionDetail(client, voided.id, req.user.branchId);
+    });
+
+    res.json({ success: true, data: transaction });
+}));
+
+// POST /transactions/:id/payments
+router.post('/:id/payments', requirePermission('pos.access'), asyncHandler(async (req, res) => {
+    const { payment_method_id: methodId, amount, reference_number: reference, notes } = req.body || {};
+    if (!methodId) throw ApiError.badRequest('payment_method_id is required');
+    if (!(Number(amount) > 0)) throw ApiError.badRequest('Amount must be positive');
+
+    const transaction = await db.withTransaction(async (client) => {
+        const { rows } = await client.query(
+            'SELECT * FROM transactions WHERE id = $1 AND branch_id = $2 FOR UPDATE',
+            [req.params.id, req.user.branchId]
+        );
+        const current = rows[0];
+        if (!current) throw ApiError.notFound('Transaction not found');
+        if (current.status === 'cancelled' || current.status === 'refunded') {
+            throw ApiError.badRequest(`Transaction is ${current.status}`);
+        }
+        if (current.transaction_type === 'return') throw ApiError.badRequest('Returns do not take payments');
+
+        const method = await client.query(
+            'SELECT code, type FROM payment_methods WHERE id = $1 AND is_active = TRUE',
+            [methodId]
+        );
+        if (!method.rows[0]) throw ApiError.badRequest('Payment method not found');
+
+        const due = roundMoney(Number(current.total_amount) - Number(current.paid_amount) + Number(current.change_amount));
+        if (!(due > 0)) throw ApiError.badRequest('Transaction is already paid');
+        if (method.rows[0].type !== 'cash' && roundMoney(amount) > due) {
+            throw ApiError.badRequest('Non-cash payments cannot exceed the amount due; change is only given from cash');
+        }
+
+        // A gift card pays from the card scanned (gift_card_number)
+        const card = method.rows[0].type === 'gift_card'
+            ? await giftCards.redeem(client, req.user, {
+                number: req.body.gift_card_number,
+                amount: roundMoney(amount),
+                reference: { type: 'transaction', id: current.id },
+                notes: current.transaction_number
+            })
+            : null;
+
+        await client.query(
+            `INSERT INTO payments (transaction_id, payment_method_id, amount, reference_number, gift_card_id, notes)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [current.id, methodId, roundMoney(amount), reference || null, card?.id || null, notes || null]
+        );
+
+        const paid = roundMoney(Number(current.paid_amount) + Number(amount));
+        const total = Number(current.total_amount);
+        const change = roundMoney(Math.max(0, paid - total));
+        await client.query(
+            `UPDATE transactions SET paid_amount = $2, change_amount = $3, payment_status = $4 WHERE id = $1`,
+            [current.id, paid, change, sales.paymentStatus(paid, total)]
+        );
+
+        // Money taken now belongs to the receiving cashier's drawer
+        const received = roundMoney(Number(amount) - (change - Number(current.change_amount)));
+        const session = await cashSessions.requireUserSession(client, req.user.id, req.user.branchId);
+        await cashSessions.addSales(client, session.id, {
+            [cashSessions.salesCounter(method.rows[0].type)]: received
+        });
+        await accounting.postPayment(client, current, method.rows[0], received, req.user.id);
+
+        // Paying the balance on account moves it to the customer's account
+        if (method.rows[0].type === 'credit') {
+            await customerAccounts.charge(client, req.user, {
+                customer: current.customer_id ? { id: current.customer_id } : null,
+                amount: received,
+                tokens: req.body.approval_tokens,
+                reference: { type: 'transaction', id: current.id },
+                sessionId: session.id,
+                notes: current.transaction_number
+            });
+        }
+
+        // Points paid later are redeemed from the sale's member
+        if (method.rows[0].type === 'points') {
+            await loyalty.applySale(client, req.user, {
+                customer: current.customer_id ? { id: current.customer_id } : null,
+                settings: await branches.getLoyaltySettings(req.user.branchId, client),
+                lines: [],
+                tenders: [{ method: method.rows[0], amount: received }],
+                reference: { type: 'transaction', id: current.id },
+                notes: current.transaction_number
+            });
+        }
+
+        return getTransactionDetail(client, current.id, req.user.branchId);
+    });
+
+    res.status(201).json({ success: true, data: transaction });
+}));
+
+module.exports = router;
@@ -0,0 +1,298 @@
+/**
+ * Work Order Routes - /api/v1/work-orders
+ */
+
+const express = require('express');
+const db = require('../db');
+const ApiError = require('../utils/ApiError');
+const asyncHandler = require('../utils/asyncHandler');
+const { requirePermission, hasPermission } = require('../middleware/auth');
+const numbering = require('../services/numbering');
+const inventory = require('../services/inventory');
+const branches = require('../services/branches');
+const { getPagination, sendList, buildInsert, buildUpdate, roundMoney } = require('../utils/http');
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'in_progress', 'waiting_parts', 'completed', 'cancelled', 'delivered'];
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Columns a client may write on work orders (costs from items are system-maintained)
+const WORK_ORDER_FIELDS = [
+    'technician_id', 'device_type', 'device_brand', 'device_model', 'device_serial',
+    'device_condition', 'device_accessories', 'problem_description', 'diagnosis', 'solution',
+    'estimated_completion', 'estimated_cost', 'service_cost', 'priority', 'warranty_days',
+    'notes', 'internal_notes'
+];
+
+// Work order row with customer and technician
+const WORK_ORDER_SELECT = `
+    SELECT wo.*,
+           json_build_object('id', c.id, 'name', c.name, 'phone', c.phone) AS customer,
+           CASE WHEN t.id IS NULL THEN NULL ELSE json_build_object('id', t.id, 'name', t.name) END AS technician
+    FROM work_orders wo
+    JOIN customers c ON c.id = wo.customer_id
+    LEFT JOIN technicians t ON t.id = wo.technician_id`;
+
+/**
+ * Load a work order in the user's branch or throw 404
+ */
+async function findWorkOrder(client, id, branchId, lock = false) {
+    const { rows } = await client.query(
+        `SELECT * FROM work_orders WHERE id = $1 AND branch_id = $2 ${lock ? 'FOR UPDATE' : ''}`,
+        [id, branchId]
+    );
+    if (!rows[0]) throw ApiError.notFound('Work order not found');
+    return rows[0];
+}
+
+// GET /work-orders/meta/technicians
+router.get('/meta/technicians', requirePermission('workorder.view'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        'SELECT * FROM technicians WHERE branch_id = $1 AND is_active = TRUE ORDER BY name',
+        [req.user.branchId]
+    );
+    res.json({ success: true, data: rows });
+}));
+
+// GET /work-orders
+router.get('/', requirePermission('workorder.view'), asyncHandler(async (req, res) => {
+    const pagination = getPagination(req.query);
+    const params = [req.user.branchId];
+    const where = ['wo.branch_id = $1'];
+
+    if (req.query.status && req.query.status !== 'all') {
+        params.push(req.query.status);
+        where.push(`wo.status = $${params.length}`);
+    }
+    if (req.query.customer_id) {
+        params.push(req.query.customer_id);
+        where.push(`wo.customer_id = $${params.length}`);
+    }
+    if (req.query.search) {
+        params.push(`%${req.query.search}%`);
+        const p = `$${params.length}`;
+        where.push(`(wo.work_order_number ILIKE ${p} OR c.name ILIKE ${p} OR wo.device_model ILIKE ${p} OR wo.device_serial ILIKE ${p})`);
+    }
+
+    const whereSql = `WHERE ${where.join(' AND ')}`;
+    const count = await db.query(
+        `SELECT COUNT(*) AS total FROM work_orders wo JOIN customers c ON c.id = wo.customer_id ${whereSql}`,
+        params
+    );
+
+    params.push(pagination.limit, pagination.offset);
+    const { rows } = await db.query(
+        `${WORK_ORDER_SELECT} ${whereSql}
+         ORDER BY wo.received_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    sendList(res, rows, count.rows[0].total, pagination);
+}));
+
+// GET /work-orders/:id
+router.get('/:id', requirePermission('workorder.view'), asyncHandler(async (req, res) => {
+    const { rows } = await db.query(
+        `${WORK_ORDER_SELECT} WHERE wo.id = $1 AND wo.branch_id = $2`,
+        [req.params.id, req.user.branchId]
+    );
+    const workOrder = rows[0];
+    if (!workOrder) throw ApiError.notFound('Work order not found');
+
+    const [items, logs] = await Promise.all([
+        db.query(
+            `SELECT woi.*, i.name AS item_name, i.sku
+             FROM work_order_items woi JOIN items i ON i.id = woi.item_id
+             WHERE woi.work_order_id = $1 ORDER BY woi.created_at`,
+            [workOrder.id]
+        ),
+        db.query(
+            `SELECT l.*, u.full_name AS created_by_name
+             FROM work_order_logs l LEFT JOIN users u ON u.id = l.created_by
+             WHERE l.work_order_id = $1 ORDER BY l.created_at`,
+            [workOrder.id]
+        )
+    ]);
+
+    workOrder.items = items.rows;
+    workOrder.logs = logs.rows;
+    res.json({ success: true, data: workOrder });
+}));
+
+// POST /work-orders
+router.post('/', requirePermission('workorder.create'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    if (!body.customer_id) throw ApiError.badRequest('customer_id is required');
+    if (!body.problem_description) throw ApiError.badRequest('Problem description is required');
+    if (body.priority && !PRIORITIES.includes(body.priority)) throw ApiError.badRequest('Invalid priority');
+
+    const workOrder = await db.withTransaction(async (client) => {
+        const number = await numbering.next(client, req.user.branchId, 'work_order');
+
+        const { columns, placeholders, values } = buildInsert({
+            ...body,
+            branch_id: req.user.branchId,
+            work_order_number: number,
+            total_cost: roundMoney(body.service_cost),
+            created_by: req.user.id
+        }, ['branch_id', 'customer_id', 'work_order_number', 'total_cost', 'created_by', ...WORK_ORDER_FIELDS]);
+        const { rows } = await client.query(
+            `INSERT INTO work_orders (${columns}) VALUES (${placeholders}) RETURNING *`,
+            values
+        );
+
+        await client.query(
+            `INSERT INTO work_order_logs (work_order_id, from_status, to_status, notes, created_by)
+             VALUES ($1, NULL, 'pending', 'Work order created', $2)`,
+            [rows[0].id, req.user.id]
+        );
+
+        return rows[0];
+    });
+
+    res.status(201).json({ success: true, data: workOrder });
+}));
+
+// PUT /work-orders/:id
+router.put('/:id', requirePermission('workorder.update'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    if (body.priority && !PRIORITIES.includes(body.priority)) throw ApiError.badRequest('Invalid priority');
+
+    const { sets, values } = buildUpdate(body, WORK_ORDER_FIELDS, 3);
+    if (sets.length === 0) throw ApiError.badRequest('No fields to update');
+
+    const { rows } = await db.query(
+        `UPDATE work_orders
+         SET ${sets.join(', ')}
+         WHERE id = $1 AND branch_id = $2
+         RETURNING *`,
+        [req.params.id, req.user.branchId, ...values]
+    );
+    if (!rows[0]) throw ApiError.notFound('Work order not found');
+
+    // Keep total in step with the service/parts split
+    const { rows: updated } = await db.query(
+        'UPDATE work_orders SET total_cost = COALESCE(service_cost, 0) + COALESCE(parts_cost, 0) WHERE id = $1 RETURNING *',
+        [rows[0].id]
+    );
+
+    res.json({ success: true, data: updated[0] });
+}));
+
+/**
+ * Move a work order to a new status and log the change
+ */
+async function setStatus(client, req, id, status, notes) {
+    const current = await findWorkOrder(client, id, req.user.branchId, true);
+    if (current.status === status) return current;
+    if (['cancelled', 'delivered'].includes(current.status)) {
+        throw ApiError.badRequest(`Work order is already ${current.status}`);
+    }
+
+    const { rows } = await client.query(
+        `UPDATE work_orders
+         SET status = $2::work_order_status,
+             completed_at = CASE WHEN $2::work_order_status = 'completed' THEN NOW() ELSE completed_at END,
+             delivered_at = CASE WHEN $2::work_order_status = 'delivered' THEN NOW() ELSE delivered_at END,
+             warranty_until = CASE WHEN $2::work_order_status = 'delivered' AND warranty_days > 0
+                                   THEN CURRENT_DATE + warranty_days ELSE warranty_until END
+         WHERE id = $1
+         RETURNING *`,
+        [current.id, status]
+    );
+
+    await client.query(
+        `INSERT INTO work_order_logs (work_order_id, from_status, to_status, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [current.id, current.status, status, notes || null, req.user.id]
+    );
+
+    return rows[0];
+}
+
+// POST /work-orders/:id/status
+router.post('/:id/status', requirePermission('workorder.update'), asyncHandler(async (req, res) => {
+    const { status, notes } = req.body || {};
+    if (!STATUSES.includes(status)) throw ApiError.badRequest('Invalid status');
+    if (status === 'cancelled' && !hasPermission(req.user, 'workorder.delete')) {
+        throw ApiError.forbidden('Missing permission: workorder.delete');
+    }
+
+    const workOrder = await db.withTransaction(client => setStatus(client, req, req.params.id, status, notes));
+    res.json({ success: true, data: workOrder });
+}));
+
+// DELETE /work-orders/:id (cancels - work orders keep their history)
+router.delete('/:id', requirePermission('workorder.delete'), asyncHandler(async (req, res) => {
+    const reason = (req.body?.reason || req.query.reason || '').trim();
+    const workOrder = await db.withTransaction(
+        client => setStatus(client, req, req.params.id, 'cancelled', reason || 'Cancelled')
+    );
+    res.json({ success: true, data: workOrder });
+}));
+
+// POST /work-orders/:id/items - parts and labour used
+router.post('/:id/items', requirePermission('workorder.update'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const quantity = Number(body.quantity || 1);
+    if (!body.item_id) throw ApiError.badRequest('item_id is required');
+    if (!(quantity > 0)) throw ApiError.badRequest('Quantity must be positive');
+
+    const result = await db.withTransaction(async (client) => {
+        const workOrder = await findWorkOrder(client, req.params.id, req.user.branchId, true);
+        if (['cancelled', 'delivered'].includes(workOrder.status)) {
+            throw ApiError.badRequest(`Work order is already ${workOrder.status}`);
+        }
+
+        const { rows: found } = await client.query('SELECT * FROM items WHERE id = $1', [body.item_id]);
+        const item = found[0];
+        if (!item) throw ApiError.badRequest('Item not found');
+
+        const unitPrice = body.unit_price !== undefined ? Number(body.unit_price) : Number(item.selling_price);
+        const total = roundMoney(unitPrice * quantity);
+
+        const { rows } = await client.query(
+            `INSERT INTO work_order_items
+                (work_order_id, item_id, variant_id, item_type, quantity, unit_price, cost_price, total, notes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [
+                workOrder.id, item.id, body.variant_id || null, item.type, quantity,
+                unitPrice, item.cost_price || 0, total, body.notes || null
+            ]
+        );
+
+        // Parts come out of the branch's stock
+        if (item.type === 'product' && item.track_inventory) {
+            await inventory.moveStock(client, {
+                warehouseId: await branches.getDefaultWarehouseId(req.user.branchId, client),
+                itemId: item.id,
+                variantId: body.variant_id || null,
+                quantity: -quantity,
+                movementType: 'work_order',
+                referenceType: 'work_order',
+                referenceId: workOrder.id,
+                unitCost: item.cost_price,
+                userId: req.user.id
+            });
+        }
+
+        const costColumn = item.type === 'product' ? 'parts_cost' : 'service_cost';
+        const { rows: updated } = await client.query(
+            `UPDATE work_orders
+             SET ${costColumn} = COALESCE(${costColumn}, 0) + $2,
+                 total_cost = COALESCE(service_cost, 0) + COALESCE(parts_cost, 0) + $2
+             WHERE id = $1
+             RETURNING *`,
+            [workOrder.id, total]
+        );
+
+        return { item: rows[0], workOrder: updated[0] };
+    });
+
+    res.status(201).json({ success: true, data: result });
+}));
+
+module.exports = router;
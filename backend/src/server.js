@@ -0,0 +1,35 @@
+/**
+ * Server Entry - npm start
+ */
+
+const app = require('./app');
+const config = require('./config');
+const db = require('./db');
+const holds = require('./services/holds');
+const loyalty = require('./services/loyalty');
+const giftCards = require('./services/giftCards');
+
+const server = app.listen(config.port, () => {
+    console.log(`[API] Listening on port ${config.port} (${config.env})`);
+});
+
+const holdCleanup = holds.startCleanup();
+const loyaltyExpiry = loyalty.startExpiry();
+const giftCardExpiry = giftCards.startExpiry();
+
+/**
+ * Graceful shutdown on SIGTERM/SIGINT (Render sends SIGTERM on deploy)
+ */
+function shutdown(signal) {
+    console.log(`[API] ${signal} received, shutting down...`);
+    clearInterval(holdCleanup);
+    clearInterval(loyaltyExpiry);
+    clearInterval(giftCardExpiry);
+    server.close(async () => {
+        await db.pool.end();
+        process.exit(0);
+    });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,373 @@
+/**
+ * Accounting Service - Double-entry journal posting
+ *
+ * Posting rules turn business documents (sales, returns, cash movements, expenses)
+ * into balanced journal entries. Accounts are addressed by role ("cash", "sales_revenue", ...)
+ * and resolved to account codes through branches.settings.accounts, falling back to
+ * DEFAULT_ACCOUNTS (the seeded chart of accounts).
+ */
+
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/http');
+const numbering = require('./numbering');
+
+// Account role -> default account code
+const DEFAULT_ACCOUNTS = {
+    cash: '1100',
+    bank: '1110',
+    receivable: '1200',
+    inventory: '1300',
+    tax_payable: '2200',
+    gift_cards: '2300',
+    cash_transfer: '3100',
+    sales_revenue: '4100',
+    service_revenue: '4200',
+    sales_discounts: '4150',
+    sales_returns: '4160',
+    loyalty_redemptions: '4170',
+    gift_card_breakage: '4180',
+    cogs: '5100',
+    expense: '5900'
+};
+
+// Payment method type -> account role (override per method code in settings.accounts.payment_methods)
+const PAYMENT_ACCOUNTS = {
+    cash: 'cash',
+    card: 'bank',
+    ewallet: 'bank',
+    transfer: 'bank',
+    credit: 'receivable',
+    points: 'loyalty_redemptions',
+    gift_card: 'gift_cards'
+};
+
+// Journal entry description per transaction type
+const LABELS = { sale: 'Sale', return: 'Return', exchange: 'Exchange' };
+
+// Account types whose balance grows with debits
+const DEBIT_NORMAL = ['asset', 'expense'];
+
+/**
+ * Effective account mapping of a branch: { roles: {role: code}, paymentMethods: {code: accountCode} }
+ */
+async function getMapping(client, branchId) {
+    const { rows } = await client.query('SELECT settings FROM branches WHERE id = $1', [branchId]);
+    const { payment_methods: paymentMethods = {}, ...roles } = rows[0]?.settings?.accounts || {};
+    return { roles: { ...DEFAULT_ACCOUNTS, ...roles }, paymentMethods };
+}
+
+/**
+ * Account code for a payment method row
+ */
+function paymentAccount(mapping, method) {
+    return mapping.paymentMethods[method.code] || mapping.roles[PAYMENT_ACCOUNTS[method.type] || 'bank'];
+}
+
+/**
+ * Post a balanced journal entry and move the account balances.
+ * Lines: [{ account: '<code>', debit?: n, credit?: n, description? }]; zero lines are dropped
+ * and negative amounts switch sides. Throws when debits and credits differ.
+ */
+async function post(client, entry) {
+    const lines = [];
+    for (const line of entry.lines) {
+        const amount = roundMoney((line.debit || 0) - (line.credit || 0));
+        if (amount === 0) continue;
+        lines.push({
+            account: line.account,
+            type: amount > 0 ? 'debit' : 'credit',
+            amount: Math.abs(amount),
+            description: line.description || null
+        });
+    }
+    if (lines.length === 0) return null;
+
+    const totalDebit = roundMoney(lines.filter(l => l.type === 'debit').reduce((sum, l) => sum + l.amount, 0));
+    const totalCredit = roundMoney(lines.filter(l => l.type === 'credit').reduce((sum, l) => sum + l.amount, 0));
+    if (totalDebit !== totalCredit) {
+        throw new ApiError(422, `Journal entry is not balanced (debit ${totalDebit}, credit ${totalCredit})`, 'UNBALANCED_JOURNAL', {
+            reference_type: entry.referenceType, reference_id: entry.referenceId, lines
+        });
+    }
+
+    const codes = [...new Set(lines.map(l => l.account))];
+    const { rows: accounts } = await client.query(
+        'SELECT id, code, type FROM accounts WHERE code = ANY($1) AND is_active = TRUE',
+        [codes]
+    );
+    const missing = codes.find(code => !accounts.some(a => a.code === code));
+    if (missing) throw ApiError.badRequest(`Account ${missing} is not set up or inactive`);
+
+    const number = await numbering.next(client, entry.branchId, 'journal');
+    const { rows } = await client.query(
+        `INSERT INTO journal_entries (
+            branch_id, entry_number, entry_date, reference_type, reference_id, description,
+            total_debit, total_credit, is_posted, posted_at, posted_by, created_by
+         ) VALUES ($1, $2, COALESCE($3, CURRENT_DATE), $4, $5, $6, $7, $7, TRUE, NOW(), $8, $8)
+         RETURNING *`,
+        [
+            entry.branchId, number, entry.date || null, entry.referenceType || null, entry.referenceId || null,
+            entry.description || null, totalDebit, entry.userId || null
+        ]
+    );
+    const journal = rows[0];
+
+    for (const line of lines) {
+        const account = accounts.find(a => a.code === line.account);
+        await client.query(
+            `INSERT INTO journal_lines (journal_entry_id, account_id, entry_type, amount, description)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [journal.id, account.id, line.type, line.amount, line.description]
+        );
+
+        const increases = DEBIT_NORMAL.includes(account.type) === (line.type === 'debit');
+        await client.query(
+            'UPDATE accounts SET current_balance = current_balance + $2, updated_at = NOW() WHERE id = $1',
+            [account.id, increases ? line.amount : -line.amount]
+        );
+    }
+
+    return journal;
+}
+
+/**
+ * Sale, return or exchange: tenders against revenue, discounts and tax, plus COGS against inventory.
+ * Returns post the same lines with the opposite sign, using the sales returns account for revenue;
+ * an exchange's returned lines (negative quantities) do the same. Written-off lines keep their cost.
+ * Gift card loads are not revenue: they are owed to the card holder until spent.
+ */
+async function postTransaction(client, transactionId, userId) {
+    const { rows } = await client.query('SELECT * FROM transactions WHERE id = $1', [transactionId]);
+    const transaction = rows[0];
+    const mapping = await getMapping(client, transaction.branch_id);
+    const accounts = mapping.roles;
+
+    const [items, payments] = await Promise.all([
+        client.query(
+            `SELECT ti.*, i.type AS item_type, i.track_inventory, i.is_tax_inclusive
+             FROM transaction_items ti JOIN items i ON i.id = ti.item_id
+             WHERE ti.transaction_id = $1`,
+            [transactionId]
+        ),
+        client.query(
+            `SELECT p.amount, pm.code, pm.type
+             FROM payments p JOIN payment_methods pm ON pm.id = p.payment_method_id
+             WHERE p.transaction_id = $1`,
+            [transactionId]
+        )
+    ]);
+
+    const isReturn = transaction.transaction_type === 'return';
+    const sign = isReturn ? -1 : 1;
+    const lines = [];
+
+    // Money side: tenders (change comes back out of cash), anything unpaid is receivable
+    let change = Number(transaction.change_amount) || 0;
+    let settled = 0;
+    for (const payment of payments.rows) {
+        let amount = Number(payment.amount);
+        if (payment.type === 'cash' && change > 0) {
+            const returned = Math.min(change, amount);
+            amount -= returned;
+            change -= returned;
+        }
+        settled += amount;
+        lines.push({ account: paymentAccount(mapping, payment), debit: sign * amount, description: payment.code });
+    }
+    const unpaid = roundMoney(Number(transaction.total_amount) - settled);
+    lines.push({ account: accounts.receivable, debit: sign * unpaid, description: 'Unpaid balance' });
+
+    // Revenue side, one line per revenue account. Revenue and discounts are booked without tax:
+    // for tax-inclusive lines the gross is scaled by the line's net-of-tax share.
+    const revenue = {};
+    let discounts = 0;
+    let cost = 0;
+    for (const item of items.rows) {
+        const returned = isReturn || Number(item.quantity) < 0;
+        const role = item.item_type === 'gift_card'
+            ? 'gift_cards'
+            : (returned ? 'sales_returns' : (item.item_type === 'service' ? 'service_revenue' : 'sales_revenue'));
+        const base = Number(item.subtotal) - Number(item.discount_amount);
+        const net = Number(item.total) - Number(item.tax_amount);
+        const ratio = !item.is_tax_inclusive ? 1 : (base !== 0 ? net / base : 100 / (100 + Number(item.tax_rate)));
+        const gross = roundMoney(Number(item.subtotal) * ratio);
+        revenue[accounts[role]] = (revenue[accounts[role]] || 0) + gross;
+        discounts += gross - net;
+        // Bundles carry the cost of their tracked components
+        const stocked = (item.item_type === 'product' && item.track_inventory) || item.item_type === 'bundle';
+        if (stocked && item.restock !== false) {
+            cost += Number(item.cost_price) * Number(item.quantity);
+        }
+    }
+    for (const [account, amount] of Object.entries(revenue)) {
+        lines.push({ account, credit: sign * amount });
+    }
+    lines.push({ account: accounts.sales_discounts, debit: sign * discounts, description: 'Discounts' });
+    lines.push({ account: accounts.tax_payable, credit: sign * Number(transaction.tax_amount), description: 'Output tax' });
+
+    // Cost side
+    lines.push({ account: accounts.cogs, debit: sign * roundMoney(cost), description: 'Cost of goods sold' });
+    lines.push({ account: accounts.inventory, credit: sign * roundMoney(cost), description: 'Cost of goods sold' });
+
+    return post(client, {
+        branchId: transaction.branch_id,
+        userId,
+        date: transaction.transaction_date,
+        referenceType: 'transaction',
+        referenceId: transaction.id,
+        description: `${LABELS[transaction.transaction_type] || 'Sale'} ${transaction.transaction_number}`,
+        lines
+    });
+}
+
+/**
+ * Later payment against a transaction's unpaid balance
+ */
+async function postPayment(client, transaction, method, amount, userId) {
+    const mapping = await getMapping(client, transaction.branch_id);
+    return post(client, {
+        branchId: transaction.branch_id,
+        userId,
+        referenceType: 'transaction',
+        referenceId: transaction.id,
+        description: `Payment for ${transaction.transaction_number}`,
+        lines: [
+            { account: paymentAccount(mapping, method), debit: amount, description: method.code },
+            { account: mapping.roles.receivable, credit: amount }
+        ]
+    });
+}
+
+/**
+ * Payment received on a customer's account (not tied to one sale): settles receivable
+ */
+async function postAccountPayment(client, entry, method, customer, userId) {
+    const mapping = await getMapping(client, entry.branch_id);
+    const amount = -Number(entry.amount);
+    return post(client, {
+        branchId: entry.branch_id,
+        userId,
+        referenceType: 'customer_payment',
+        referenceId: entry.id,
+        description: `Account payment from ${customer.name}`,
+        lines: [
+            { account: paymentAccount(mapping, method), debit: amount, description: method.code },
+            { account: mapping.roles.receivable, credit: amount }
+        ]
+    });
+}
+
+/**
+ * Gift card balance written off when the card expires: the liability becomes breakage income
+ */
+async function postGiftCardExpiry(client, movement, card) {
+    const { roles: accounts } = await getMapping(client, card.branch_id);
+    const amount = -Number(movement.amount);
+    return post(client, {
+        branchId: card.branch_id,
+        referenceType: 'gift_card_movement',
+        referenceId: movement.id,
+        description: `Gift card ${card.card_number} expired`,
+        lines: [
+            { account: accounts.gift_cards, debit: amount },
+            { account: accounts.gift_card_breakage, credit: amount }
+        ]
+    });
+}
+
+/**
+ * Reverse every journal entry posted for a document (e.g. a sale and its later payments):
+ * one entry with the same accounts on the opposite sides, referenced as `referenceType`
+ */
+async function reverse(client, { branchId, userId, sourceType, sourceId, referenceType, description }) {
+    const { rows } = await client.query(
+        `SELECT a.code, l.entry_type, l.amount, l.description
+         FROM journal_entries e
+         JOIN journal_lines l ON l.journal_entry_id = e.id
+         JOIN accounts a ON a.id = l.account_id
+         WHERE e.reference_type = $1 AND e.reference_id = $2`,
+        [sourceType, sourceId]
+    );
+
+    return post(client, {
+        branchId,
+        userId,
+        referenceType,
+        referenceId: sourceId,
+        description,
+        lines: rows.map(line => ({
+            account: line.code,
+            [line.entry_type === 'debit' ? 'credit' : 'debit']: Number(line.amount),
+            description: line.description
+        }))
+    });
+}
+
+/**
+ * Drawer pay-in / pay-out / paid-out expense
+ */
+async function postCashMovement(client, branchId, movement, userId) {
+    const { roles: accounts } = await getMapping(client, branchId);
+    const amount = Number(movement.amount);
+    const counter = {
+        deposit: accounts.cash_transfer,
+        withdrawal: accounts.cash_transfer,
+        expense: accounts.expense
+    }[movement.movement_type];
+    if (!counter) return null;
+
+    const cashIn = movement.movement_type === 'deposit' ? amount : -amount;
+    return post(client, {
+        branchId,
+        userId,
+        referenceType: 'cash_movement',
+        referenceId: movement.id,
+        description: `Cash ${movement.movement_type}: ${movement.reason || ''}`.trim(),
+        lines: [
+            { account: accounts.cash, debit: cashIn },
+            { account: counter, credit: cashIn }
+        ]
+    });
+}
+
+/**
+ * Expense: expense account (and recoverable input tax) against cash or bank
+ */
+async function postExpense(client, expense, userId) {
+    const { roles: accounts } = await getMapping(client, expense.branch_id);
+
+    let expenseAccount = accounts.expense;
+    if (expense.account_id) {
+        const { rows } = await client.query('SELECT code FROM accounts WHERE id = $1', [expense.account_id]);
+        if (rows[0]) expenseAccount = rows[0].code;
+    }
+    const paidFrom = expense.payment_method === 'cash' ? accounts.cash : accounts.bank;
+
+    return post(client, {
+        branchId: expense.branch_id,
+        userId,
+        date: expense.expense_date,
+        referenceType: 'expense',
+        referenceId: expense.id,
+        description: `Expense ${expense.expense_number}${expense.description ? `: ${expense.description}` : ''}`,
+        lines: [
+            { account: expenseAccount, debit: Number(expense.amount) },
+            { account: accounts.tax_payable, debit: Number(expense.tax_amount) || 0, description: 'Input tax' },
+            { account: paidFrom, credit: Number(expense.total_amount) }
+        ]
+    });
+}
+
+module.exports = {
+    DEFAULT_ACCOUNTS,
+    PAYMENT_ACCOUNTS,
+    getMapping,
+    post,
+    postTransaction,
+    postPayment,
+    postAccountPayment,
+    postGiftCardExpiry,
+    reverse,
+    postCashMovement,
+    postExpense
+};
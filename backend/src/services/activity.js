@@ -0,0 +1,40 @@
+/**
+ * Activity Service - Business event log (activity_logs)
+ */
+
+const db = require('../db');
+
+/**
+ * Record an activity
+ */
+async function log(entry, client = db) {
+    await client.query(
+        `INSERT INTO activity_logs
+            (branch_id, user_id, action, module, entity_type, entity_id, description, metadata, ip_address, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+            entry.branchId || null,
+            entry.userId || null,
+            entry.action,
+            entry.module || null,
+            entry.entityType || null,
+            entry.entityId || null,
+            entry.description || null,
+            entry.metadata || {},
+            entry.ip || null,
+            entry.userAgent || null
+        ]
+    );
+}
+
+/**
+ * Extract request origin info for logging
+ */
+function requestInfo(req) {
+    return {
+        ip: (req.ip || '').replace(/^::ffff:/, '') || null,
+        userAgent: req.headers['user-agent'] || null
+    };
+}
+
+module.exports = { log, requestInfo };
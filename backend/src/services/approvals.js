@@ -0,0 +1,161 @@
+/**
+ * Approval Service - One-time manager overrides for restricted POS actions
+ *
+ * A manager enters their PIN on the cashier's terminal; the cashier gets a short-lived token
+ * that covers exactly one action (and its scope, e.g. one transaction) and can be used once.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const ApiError = require('../utils/ApiError');
+const authService = require('./auth');
+const activity = require('./activity');
+
+// Action -> permission the approving manager must hold (and that lets a user skip approval)
+const ACTIONS = {
+    discount: { permission: 'pos.discount.max', label: 'Discount above limit' },
+    void: { permission: 'pos.void', label: 'Void transaction' },
+    refund: { permission: 'pos.refund', label: 'Refund' },
+    price_override: { permission: 'pos.price.override', label: 'Price override' },
+    delete_line: { permission: 'pos.void', label: 'Remove printed line' },
+    credit_limit: { permission: 'pos.credit.override', label: 'Charge above credit limit' }
+};
+
+/**
+ * Error telling the client to collect a manager approval and retry with the token
+ */
+function approvalRequired(action, scope = {}, message) {
+    return new ApiError(403, message || `Manager approval required: ${ACTIONS[action].label}`, 'APPROVAL_REQUIRED', {
+        action,
+        scope
+    });
+}
+
+/**
+ * Whether a token's scope covers every key of the required scope
+ */
+function scopeMatches(granted, required) {
+    return Object.entries(required).every(([key, value]) => String(granted?.[key]) === String(value));
+}
+
+/**
+ * Check a manager PIN and issue an approval for the requesting user
+ */
+async function issue(client, requester, { pin, action, reason, scope = {} }, req) {
+    const definition = ACTIONS[action];
+    if (!definition) throw ApiError.badRequest(`Unknown approval action: ${action}`);
+    if (!reason || !String(reason).trim()) throw ApiError.badRequest('A reason is required');
+    if (!/^\d{4,6}$/.test(String(pin || ''))) throw ApiError.badRequest('PIN must be 4-6 digits');
+    if (!scope || typeof scope !== 'object' || Array.isArray(scope)) throw ApiError.badRequest('Scope must be an object');
+
+    const { rows } = await client.query(
+        'SELECT id FROM users WHERE pin_code = $1 AND is_active = TRUE',
+        [String(pin)]
+    );
+    if (rows.length !== 1) throw ApiError.unauthorized('Invalid PIN');
+
+    const approver = await authService.loadProfile(rows[0].id, client);
+    if (approver.id === requester.id) throw ApiError.forbidden('Another user must approve this action');
+    if (approver.branchId && approver.branchId !== requester.branchId) {
+        throw ApiError.forbidden('Approver does not belong to this branch');
+    }
+    if (!approver.permissions.includes(definition.permission)) {
+        throw ApiError.forbidden(`${approver.fullName} cannot approve: ${definition.label}`);
+    }
+
+    const id = crypto.randomUUID();
+    const token = jwt.sign({ sub: id, type: 'approval', action }, config.jwt.secret, {
+        expiresIn: config.jwt.approvalExpiresIn
+    });
+
+    const { rows: created } = await client.query(
+        `INSERT INTO approvals (id, branch_id, action, scope, reason, requested_by, approved_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, TO_TIMESTAMP($8))
+         RETURNING *`,
+        [id, requester.branchId, action, scope, String(reason).trim(), requester.id, approver.id, jwt.decode(token).exp]
+    );
+    const approval = created[0];
+
+    await activity.log({
+        branchId: requester.branchId,
+        userId: approver.id,
+        action: 'approve_override',
+        module: 'pos',
+        entityType: 'approval',
+        entityId: approval.id,
+        description: `${approver.fullName} approved "${definition.label}" for ${requester.fullName}: ${approval.reason}`,
+        metadata: {
+            approval_action: action,
+            scope,
+            reason: approval.reason,
+            requested_by: requester.id,
+            approved_by: approver.id
+        },
+        ...activity.requestInfo(req)
+    }, client);
+
+    return {
+        approvalToken: token,
+        action,
+        scope,
+        expiresAt: approval.expires_at,
+        approvedBy: { id: approver.id, name: approver.fullName }
+    };
+}
+
+/**
+ * Use up one of the given tokens that covers the action and scope for this user.
+ * Throws APPROVAL_REQUIRED when none does, so the client can ask a manager and retry.
+ */
+async function consume(client, tokens, user, action, scope = {}, reference = {}) {
+    for (const token of [].concat(tokens || [])) {
+        const payload = authService.verifyToken(token, 'approval');
+        if (!payload || payload.action !== action) continue;
+
+        const { rows } = await client.query(
+            `SELECT * FROM approvals
+             WHERE id = $1 AND action = $2 AND requested_by = $3 AND used_at IS NULL AND expires_at > NOW()
+             FOR UPDATE`,
+            [payload.sub, action, user.id]
+        );
+        if (!rows[0] || !scopeMatches(rows[0].scope, scope)) continue;
+
+        const { rows: used } = await client.query(
+            `UPDATE approvals SET used_at = NOW(), reference_type = $2, reference_id = $3
+             WHERE id = $1 RETURNING *`,
+            [rows[0].id, reference.type || null, reference.id || null]
+        );
+        return used[0];
+    }
+    throw approvalRequired(action, scope);
+}
+
+/**
+ * Mark every still-valid token of the action as used by one document
+ */
+async function consumeAll(client, tokens, user, action, reference = {}) {
+    const ids = [].concat(tokens || [])
+        .map(token => authService.verifyToken(token, 'approval'))
+        .filter(payload => payload?.action === action)
+        .map(payload => payload.sub);
+    if (ids.length === 0) return [];
+
+    const { rows } = await client.query(
+        `UPDATE approvals SET used_at = NOW(), reference_type = $4, reference_id = $5
+         WHERE id = ANY($1::uuid[]) AND action = $2 AND requested_by = $3 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING *`,
+        [ids, action, user.id, reference.type || null, reference.id || null]
+    );
+    return rows;
+}
+
+/**
+ * Let users with the action's permission through; everyone else needs a manager approval
+ */
+async function authorize(client, user, action, { tokens, scope = {}, reference } = {}) {
+    if (user.permissions?.includes(ACTIONS[action].permission)) return null;
+    return consume(client, tokens, user, action, scope, reference);
+}
+
+module.exports = { ACTIONS, approvalRequired, issue, consume, consumeAll, authorize };
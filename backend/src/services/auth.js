@@ -0,0 +1,102 @@
+/**
+ * Auth Service - Token issuing and user profile loading
+ */
+
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const db = require('../db');
+
+/**
+ * Issue an access/refresh token pair
+ */
+function issueTokens(userId) {
+    const accessToken = jwt.sign({ sub: userId, type: 'access' }, config.jwt.secret, {
+        expiresIn: config.jwt.expiresIn
+    });
+    const refreshToken = jwt.sign({ sub: userId, type: 'refresh' }, config.jwt.secret, {
+        expiresIn: config.jwt.refreshExpiresIn
+    });
+    return { accessToken, refreshToken, expiresIn: config.jwt.expiresIn };
+}
+
+/**
+ * Verify a token and check its type, returning the payload or null
+ */
+function verifyToken(token, type) {
+    try {
+        const payload = jwt.verify(token, config.jwt.secret);
+        return payload.type === type ? payload : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Load an active user with branch, role names and effective permissions
+ */
+async function loadProfile(userId, client = db) {
+    const { rows } = await client.query(
+        `SELECT u.id, u.email, u.full_name, u.phone, u.avatar_url, u.branch_id, u.is_active, u.preferences,
+                b.code AS branch_code, b.name AS branch_name
+         FROM users u
+         LEFT JOIN branches b ON b.id = u.branch_id
+         WHERE u.id = $1`,
+        [userId]
+    );
+    const user = rows[0];
+    if (!user || !user.is_active) return null;
+
+    const roles = await client.query(
+        `SELECT DISTINCT r.name, r.max_discount_percent
+         FROM user_roles ur
+         JOIN roles r ON r.id = ur.role_id
+         WHERE ur.user_id = $1 AND (ur.branch_id IS NULL OR ur.branch_id = $2)
+         ORDER BY r.name`,
+        [userId, user.branch_id]
+    );
+
+    const permissions = await loadPermissions(client, userId, user.branch_id);
+    const maxDiscountPercent = permissions.includes('pos.discount.max')
+        ? 100
+        : Math.max(0, ...roles.rows.map(r => Number(r.max_discount_percent) || 0));
+
+    return {
+        id: user.id,
+        email: user.email,
+        fullName: user.full_name,
+        phone: user.phone,
+        avatarUrl: user.avatar_url,
+        branchId: user.branch_id,
+        branch: user.branch_id
+            ? { id: user.branch_id, code: user.branch_code, name: user.branch_name }
+            : null,
+        roles: roles.rows.map(r => r.name),
+        permissions,
+        maxDiscountPercent,
+        preferences: user.preferences || {}
+    };
+}
+
+/**
+ * Effective permission codes from the user's global roles and roles in the branch.
+ * Super Admin holds every permission, including ones added after the role was seeded.
+ */
+async function loadPermissions(client, userId, branchId) {
+    const { rows } = await client.query(
+        `SELECT DISTINCT p.code
+         FROM permissions p
+         WHERE EXISTS (
+             SELECT 1 FROM user_roles ur
+             JOIN roles r ON r.id = ur.role_id
+             LEFT JOIN role_permissions rp ON rp.role_id = r.id
+             WHERE ur.user_id = $1
+               AND (ur.branch_id IS NULL OR ur.branch_id = $2)
+               AND (rp.permission_id = p.id OR (r.name = 'Super Admin' AND r.is_system))
+         )
+         ORDER BY p.code`,
+        [userId, branchId]
+    );
+    return rows.map(r => r.code);
+}
+
+module.exports = { issueTokens, verifyToken, loadProfile };
@@ -0,0 +1,81 @@
+/**
+ * Branch Service - Branch and warehouse lookups
+ */
+
+const ApiError = require('../utils/ApiError');
+const db = require('../db');
+const { Tax, Scale, Display, Loyalty, GiftCards } = require('../utils/shared');
+
+/**
+ * Default (or first active) warehouse of a branch
+ */
+async function getDefaultWarehouseId(branchId, client = db) {
+    const { rows } = await client.query(
+        `SELECT id FROM warehouses
+         WHERE branch_id = $1 AND is_active = TRUE
+         ORDER BY is_default DESC, created_at
+         LIMIT 1`,
+        [branchId]
+    );
+    if (!rows[0]) throw ApiError.badRequest('Branch has no active warehouse');
+    return rows[0].id;
+}
+
+/**
+ * Branch row with settings
+ */
+async function getBranch(branchId, client = db) {
+    const { rows } = await client.query('SELECT * FROM branches WHERE id = $1', [branchId]);
+    if (!rows[0]) throw ApiError.notFound('Branch not found');
+    return rows[0];
+}
+
+/**
+ * Branch tax settings (settings.tax) completed with defaults
+ */
+async function getTaxSettings(branchId, client = db) {
+    const { rows } = await client.query("SELECT settings->'tax' AS tax FROM branches WHERE id = $1", [branchId]);
+    return Tax.settings(rows[0]?.tax || {});
+}
+
+/**
+ * Branch scale label layout (settings.scale) completed with defaults
+ */
+async function getScaleSettings(branchId, client = db) {
+    const { rows } = await client.query("SELECT settings->'scale' AS scale FROM branches WHERE id = $1", [branchId]);
+    return Scale.settings(rows[0]?.scale || {});
+}
+
+/**
+ * Branch customer display settings (settings.display) completed with defaults
+ */
+async function getDisplaySettings(branchId, client = db) {
+    const { rows } = await client.query("SELECT settings->'display' AS display FROM branches WHERE id = $1", [branchId]);
+    return Display.settings(rows[0]?.display || {});
+}
+
+/**
+ * Branch loyalty program (settings.loyalty) completed with defaults
+ */
+async function getLoyaltySettings(branchId, client = db) {
+    const { rows } = await client.query("SELECT settings->'loyalty' AS loyalty FROM branches WHERE id = $1", [branchId]);
+    return Loyalty.settings(rows[0]?.loyalty || {});
+}
+
+/**
+ * Branch gift card program (settings.gift_cards) completed with defaults
+ */
+async function getGiftCardSettings(branchId, client = db) {
+    const { rows } = await client.query("SELECT settings->'gift_cards' AS gift_cards FROM branches WHERE id = $1", [branchId]);
+    return GiftCards.settings(rows[0]?.gift_cards || {});
+}
+
+module.exports = {
+    getDefaultWarehouseId,
+    getBranch,
+    getTaxSettings,
+    getScaleSettings,
+    getDisplaySettings,
+    getLoyaltySettings,
+    getGiftCardSettings
+};
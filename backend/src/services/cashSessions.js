@@ -0,0 +1,87 @@
+/**
+ * Cash Session Service - Open shift lookup and sales counters
+ */
+
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/http');
+
+/**
+ * Session counter fed by a payment method type
+ */
+function salesCounter(methodType) {
+    if (methodType === 'cash') return 'cash_sales';
+    if (methodType === 'card') return 'card_sales';
+    return 'other_sales';
+}
+
+/**
+ * Cash that should be in the drawer
+ */
+function expectedCash(session) {
+    return roundMoney(
+        Number(session.opening_amount) + Number(session.cash_sales) +
+        Number(session.cash_in) - Number(session.cash_out)
+    );
+}
+
+/**
+ * Lock an open session in the user's branch
+ */
+async function lockOpenSession(client, sessionId, branchId) {
+    const { rows } = await client.query(
+        `SELECT s.* FROM cash_sessions s
+         JOIN cash_registers r ON r.id = s.cash_register_id
+         WHERE s.id = $1 AND r.branch_id = $2
+         FOR UPDATE OF s`,
+        [sessionId, branchId]
+    );
+    if (!rows[0]) throw ApiError.notFound('Cash session not found');
+    if (rows[0].status !== 'open') throw ApiError.badRequest('Cash session is already closed');
+    return rows[0];
+}
+
+/**
+ * The user's open session in a branch, locked for the rest of the DB transaction
+ */
+async function lockUserSession(client, userId, branchId) {
+    const { rows } = await client.query(
+        `SELECT s.* FROM cash_sessions s
+         JOIN cash_registers r ON r.id = s.cash_register_id
+         WHERE s.opened_by = $1 AND r.branch_id = $2 AND s.status = 'open'
+         ORDER BY s.opened_at DESC
+         LIMIT 1
+         FOR UPDATE OF s`,
+        [userId, branchId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * The user's open session, locked; money cannot be taken or paid out without one
+ */
+async function requireUserSession(client, userId, branchId) {
+    const session = await lockUserSession(client, userId, branchId);
+    if (!session) throw new ApiError(409, 'Open a shift on a register first', 'NO_OPEN_SHIFT');
+    return session;
+}
+
+/**
+ * Add signed amounts to a session's sales counters, e.g. { cash_sales: 50000 }
+ */
+async function addSales(client, sessionId, amounts) {
+    const columns = ['cash_sales', 'card_sales', 'other_sales'];
+    const values = columns.map(column => roundMoney(amounts[column] || 0));
+    if (values.every(value => value === 0)) return;
+
+    await client.query(
+        `UPDATE cash_sessions
+         SET cash_sales = cash_sales + $2,
+             card_sales = card_sales + $3,
+             other_sales = other_sales + $4,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [sessionId, ...values]
+    );
+}
+
+module.exports = { salesCounter, expectedCash, lockOpenSession, lockUserSession, requireUserSession, addSales };
@@ -0,0 +1,205 @@
+/**
+ * Coupon Service - Checks entered coupon codes, records their redemptions on sales, reverses them on
+ * voids and full returns, and generates batches of single-use codes
+ *
+ * A 'redeemed' row in coupon_redemptions counts towards its coupon's caps (max_uses,
+ * max_uses_per_customer) and uses up a single-use code; reversing it (a void, or a return of what its
+ * promotion discounted) gives the use back.
+ */
+
+const crypto = require('crypto');
+const ApiError = require('../utils/ApiError');
+const { Coupons } = require('../utils/shared');
+
+/**
+ * Coupon a code belongs to (a generated code or the coupon's shared code), optionally locked for a
+ * redemption: { coupon, codeRow (null for the shared code), code } or null when unknown
+ */
+async function find(client, code, lock = false) {
+    const value = Coupons.normalize(code);
+    const { rows: codes } = await client.query('SELECT * FROM coupon_codes WHERE code = $1', [value]);
+    const codeRow = codes[0] || null;
+    const { rows } = await client.query(
+        `SELECT * FROM coupons WHERE ${codeRow ? 'id' : 'code'} = $1${lock ? ' FOR UPDATE' : ''}`,
+        [codeRow ? codeRow.coupon_id : value]
+    );
+    return rows[0] ? { coupon: rows[0], codeRow, code: value } : null;
+}
+
+/**
+ * Check a code can be used now at the user's branch, by the customer (or a walk-in):
+ * returns { code, coupon, codeId, promotion }. Whether the cart qualifies is left to the pricing.
+ */
+async function check(client, code, { branchId, customer = null, lock = false }) {
+    const shown = Coupons.normalize(code);
+    const problem = Coupons.codeProblem(shown);
+    if (problem) throw ApiError.badRequest(problem);
+
+    const found = await find(client, shown, lock);
+    if (!found) throw ApiError.badRequest(`Coupon ${shown} not found`);
+    const { coupon, codeRow } = found;
+
+    const now = new Date();
+    if (!coupon.is_active || (codeRow && !codeRow.is_active)) throw ApiError.badRequest(`Coupon ${shown} is no longer valid`);
+    if (coupon.valid_from && new Date(coupon.valid_from) > now) throw ApiError.badRequest(`Coupon ${shown} is not valid yet`);
+    if (coupon.valid_until && new Date(coupon.valid_until) < now) throw ApiError.badRequest(`Coupon ${shown} has expired`);
+
+    const { rows: promotions } = await client.query('SELECT * FROM promotions WHERE id = $1', [coupon.promotion_id]);
+    const promotion = promotions[0];
+    if (!promotion || !promotion.is_active) throw ApiError.badRequest(`Coupon ${shown} is no longer valid`);
+    // A promotion that applies by itself needs no code, and would use one up for nothing
+    if (!promotion.requires_coupon) throw ApiError.badRequest(`Coupon ${shown} is not needed: its promotion applies by itself`);
+    if (promotion.branch_id && promotion.branch_id !== branchId) {
+        throw ApiError.badRequest(`Coupon ${shown} cannot be used at this branch`);
+    }
+
+    const { rows } = await client.query(
+        `SELECT COUNT(*)::int AS uses,
+                COUNT(*) FILTER (WHERE customer_id = $2::uuid)::int AS customer_uses,
+                COUNT(*) FILTER (WHERE coupon_code_id = $3::uuid)::int AS code_uses
+         FROM coupon_redemptions
+         WHERE coupon_id = $1 AND status = 'redeemed'`,
+        [coupon.id, customer?.id || null, codeRow?.id || null]
+    );
+    const usage = rows[0];
+    if (codeRow && usage.code_uses > 0) throw ApiError.badRequest(`Coupon ${shown} has already been used`);
+    if (coupon.max_uses !== null && usage.uses >= coupon.max_uses) throw ApiError.badRequest(`Coupon ${shown} has been used up`);
+    if (coupon.max_uses_per_customer !== null) {
+        if (!customer) throw ApiError.badRequest(`Select the customer to use coupon ${shown}`);
+        if (usage.customer_uses >= coupon.max_uses_per_customer) {
+            throw ApiError.badRequest(`${customer.name} has already used coupon ${shown} ${usage.customer_uses} time(s)`);
+        }
+    }
+
+    return { code: shown, coupon, codeId: codeRow?.id || null, promotion };
+}
+
+/**
+ * The codes entered on a sale (input.coupon_codes), checked and their coupons locked until the
+ * sale commits. One code per coupon, and no two coupons for the same promotion.
+ */
+async function resolve(client, codes, { branchId, customer }) {
+    if (codes === undefined || codes === null) return [];
+    if (!Array.isArray(codes)) throw ApiError.badRequest('Coupon codes must be a list');
+
+    const resolved = [];
+    for (const code of codes) {
+        const entry = await check(client, code, { branchId, customer, lock: true });
+        const same = resolved.find(r => r.coupon.id === entry.coupon.id || r.promotion.id === entry.promotion.id);
+        if (same) throw ApiError.badRequest(`Coupons ${same.code} and ${entry.code} cannot be used together`);
+        resolved.push(entry);
+    }
+    return resolved;
+}
+
+/**
+ * Record the coupons of a posted sale; each carries the amount its promotion took off (see sales.priceSale)
+ */
+async function redeem(client, user, coupons, { transaction, customer }) {
+    for (const entry of coupons) {
+        await client.query(
+            `INSERT INTO coupon_redemptions (
+                coupon_id, coupon_code_id, code, transaction_id, customer_id, branch_id, amount, created_by
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [
+                entry.coupon.id, entry.codeId, entry.code, transaction.id, customer?.id || null,
+                user.branchId, entry.amount, user.id
+            ]
+        );
+    }
+}
+
+/**
+ * Give back the uses of a sale's coupons: reversal is the sale itself when it is voided, or the
+ * return that brought goods back - all of the sale, or (promotionIds) lines those coupons'
+ * promotions took something off. Returns how many were reversed.
+ */
+async function reverse(client, transactionId, reversalId, promotionIds = null) {
+    const { rowCount } = await client.query(
+        `UPDATE coupon_redemptions r SET status = 'reversed', reversed_by = $2, reversed_at = NOW()
+         FROM coupons c
+         WHERE c.id = r.coupon_id AND r.transaction_id = $1 AND r.status = 'redeemed'
+           AND ($3::uuid[] IS NULL OR c.promotion_id = ANY($3::uuid[]))`,
+        [transactionId, reversalId, promotionIds]
+    );
+    return rowCount;
+}
+
+/**
+ * Redeem again the coupons a return reversed, when that return is voided - even past a cap reached
+ * meanwhile, as the sale had the use first
+ */
+async function restore(client, reversalId) {
+    await client.query(
+        `UPDATE coupon_redemptions SET status = 'redeemed', reversed_by = NULL, reversed_at = NULL
+         WHERE reversed_by = $1 AND transaction_id <> $1`,
+        [reversalId]
+    );
+}
+
+/**
+ * Coupons used on a transaction, for receipts: [{ code, name, amount, status }] or null
+ */
+async function summary(client, transactionId) {
+    const { rows } = await client.query(
+        `SELECT r.code, c.name, r.amount, r.status
+         FROM coupon_redemptions r
+         JOIN coupons c ON c.id = r.coupon_id
+         WHERE r.transaction_id = $1
+         ORDER BY r.created_at`,
+        [transactionId]
+    );
+    return rows.length ? rows.map(row => ({ ...row, amount: Number(row.amount) })) : null;
+}
+
+/**
+ * Random code: the prefix then Coupons.CODE_LENGTH characters of Coupons.ALPHABET
+ */
+function randomCode(prefix) {
+    let code = prefix;
+    for (let i = 0; i < Coupons.CODE_LENGTH; i++) code += Coupons.ALPHABET[crypto.randomInt(Coupons.ALPHABET.length)];
+    return code;
+}
+
+/**
+ * Generate a batch of unique single-use codes for a coupon; returns { batch, codes }
+ */
+async function generate(client, user, couponId, { count, prefix = '' }) {
+    const { rows } = await client.query('SELECT * FROM coupons WHERE id = $1 FOR UPDATE', [couponId]);
+    if (!rows[0]) throw ApiError.notFound('Coupon not found');
+
+    const { rows: batches } = await client.query(
+        'SELECT COALESCE(MAX(batch), 0) + 1 AS batch FROM coupon_codes WHERE coupon_id = $1',
+        [couponId]
+    );
+    const batch = batches[0].batch;
+    const start = Coupons.normalize(prefix);
+
+    // Codes already taken (by another coupon's codes or a shared code) are drawn again
+    const codes = [];
+    for (let tries = 0; codes.length < count && tries < 5; tries++) {
+        const fresh = Array.from({ length: count - codes.length }, () => randomCode(start));
+        const { rows: inserted } = await client.query(
+            `INSERT INTO coupon_codes (coupon_id, code, batch, created_by)
+             SELECT $1, fresh.code, $3, $4 FROM unnest($2::text[]) AS fresh(code)
+             WHERE NOT EXISTS (SELECT 1 FROM coupons c WHERE c.code = fresh.code)
+             ON CONFLICT (code) DO NOTHING
+             RETURNING code`,
+            [couponId, fresh, batch, user.id]
+        );
+        codes.push(...inserted.map(row => row.code));
+    }
+    if (codes.length < count) throw ApiError.badRequest('Could not generate enough unique codes; use a longer prefix');
+
+    return { batch, codes };
+}
+
+module.exports = {
+    check,
+    resolve,
+    redeem,
+    reverse,
+    restore,
+    summary,
+    generate
+};
@@ -0,0 +1,121 @@
+/**
+ * Customer Account Service - On-account balances and their ledger
+ *
+ * customers.current_balance is what the customer owes (negative = store credit they hold). Every
+ * change goes through post() so customer_ledger explains the balance: sales charged to the account
+ * (the 'credit' payment method type), payments received on account, store credit from returns and
+ * the reversals of voided documents.
+ */
+
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/http');
+const approvals = require('./approvals');
+
+/**
+ * Sum of the tenders paid with the customer account (signed as given)
+ */
+function accountAmount(tenders) {
+    return roundMoney(tenders.filter(t => t.method.type === 'credit').reduce((sum, t) => sum + t.amount, 0));
+}
+
+/**
+ * Customer row locked for a balance change
+ */
+async function lockCustomer(client, customerId) {
+    const { rows } = await client.query('SELECT * FROM customers WHERE id = $1 FOR UPDATE', [customerId]);
+    if (!rows[0]) throw ApiError.notFound('Customer not found');
+    return rows[0];
+}
+
+/**
+ * Move a customer's balance by a signed amount and record it in the ledger; returns the entry
+ */
+async function post(client, { customerId, branchId, type, amount, referenceType, referenceId, methodId, referenceNumber, sessionId, notes, userId }) {
+    const { rows: updated } = await client.query(
+        `UPDATE customers SET current_balance = current_balance + $2, updated_at = NOW()
+         WHERE id = $1
+         RETURNING current_balance`,
+        [customerId, roundMoney(amount)]
+    );
+    if (!updated[0]) throw ApiError.notFound('Customer not found');
+
+    const { rows } = await client.query(
+        `INSERT INTO customer_ledger (
+            customer_id, branch_id, entry_type, amount, balance_after, reference_type, reference_id,
+            payment_method_id, reference_number, cash_session_id, notes, created_by
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+            customerId, branchId || null, type, roundMoney(amount), updated[0].current_balance,
+            referenceType || null, referenceId || null, methodId || null, referenceNumber || null,
+            sessionId || null, notes || null, userId || null
+        ]
+    );
+    return rows[0];
+}
+
+/**
+ * Charge a sale to the customer's account. Going over credit_limit needs pos.credit.override
+ * or a manager approval for this customer and amount.
+ */
+async function charge(client, user, { customer, amount, tokens, reference, sessionId, notes }) {
+    if (!customer) throw ApiError.badRequest('Charging to an account needs a customer');
+    const locked = await lockCustomer(client, customer.id);
+    const balance = roundMoney(Number(locked.current_balance) + amount);
+    const limit = Number(locked.credit_limit) || 0;
+
+    if (balance > limit) {
+        const scope = { customer_id: locked.id, amount };
+        try {
+            await approvals.authorize(client, user, 'credit_limit', { tokens, scope, reference });
+        } catch (error) {
+            if (error.code !== 'APPROVAL_REQUIRED') throw error;
+            throw approvals.approvalRequired('credit_limit', scope,
+                `${locked.name} would owe ${balance} against a credit limit of ${limit}; manager approval required`);
+        }
+    }
+
+    return post(client, {
+        customerId: locked.id,
+        branchId: user.branchId,
+        type: 'charge',
+        amount,
+        referenceType: reference.type,
+        referenceId: reference.id,
+        sessionId,
+        notes,
+        userId: user.id
+    });
+}
+
+/**
+ * Undo what a document did to customer balances (e.g. when it is voided): one 'void' entry per
+ * customer for the net of the document's entries
+ */
+async function reverse(client, user, reference, notes) {
+    const { rows } = await client.query(
+        `SELECT customer_id, SUM(amount) AS amount
+         FROM customer_ledger
+         WHERE reference_type = $1 AND reference_id = $2
+         GROUP BY customer_id`,
+        [reference.type, reference.id]
+    );
+
+    const entries = [];
+    for (const row of rows.filter(r => roundMoney(r.amount) !== 0)) {
+        await lockCustomer(client, row.customer_id);
+        entries.push(await post(client, {
+            customerId: row.customer_id,
+            branchId: user.branchId,
+            type: 'void',
+            amount: -Number(row.amount),
+            referenceType: reference.type,
+            referenceId: reference.id,
+            notes,
+            userId: user.id
+        }));
+    }
+    return entries;
+}
+
+module.exports = { accountAmount, lockCustomer, post, charge, reverse };
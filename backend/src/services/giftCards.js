@@ -0,0 +1,331 @@
+/**
+ * Gift Card Service - Prepaid cards loaded by sale lines, spent as a tender, refunded, voided and expired
+ *
+ * gift_cards.balance is what the holder can still spend. Every change goes through post() so
+ * gift_card_movements explains it. Until it is spent the money is owed to the holder (the gift_cards
+ * liability account); a card that expires writes what is left off to breakage.
+ */
+
+const db = require('../db');
+const config = require('../config');
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/http');
+const accounting = require('./accounting');
+const { GiftCards } = require('../utils/shared');
+
+/**
+ * When a load made now expires under a branch's program (null = never)
+ */
+function expiresAt(settings) {
+    return settings.expiry_days ? new Date(Date.now() + settings.expiry_days * 24 * 60 * 60 * 1000) : null;
+}
+
+/**
+ * Sum of the tenders paid with gift cards (signed as given)
+ */
+function tenderAmount(tenders) {
+    return roundMoney(tenders.filter(t => t.method.type === 'gift_card').reduce((sum, t) => sum + t.amount, 0));
+}
+
+/**
+ * Move a card's balance by a signed amount and record it; returns the updated card and the movement
+ */
+async function post(client, { card, branchId, type, amount, expiresAt: expiry, referenceType, referenceId, notes, userId }) {
+    const { rows: updated } = await client.query(
+        `UPDATE gift_cards SET balance = balance + $2, expires_at = COALESCE($3, expires_at)
+         WHERE id = $1
+         RETURNING *`,
+        [card.id, roundMoney(amount), expiry || null]
+    );
+
+    const { rows } = await client.query(
+        `INSERT INTO gift_card_movements (
+            gift_card_id, branch_id, movement_type, amount, balance_after, reference_type, reference_id, notes, created_by
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+            card.id, branchId || null, type, roundMoney(amount), updated[0].balance,
+            referenceType || null, referenceId || null, notes || null, userId || null
+        ]
+    );
+    return { card: updated[0], movement: rows[0] };
+}
+
+/**
+ * Close cards past their expiry, one or all, writing their balance off to breakage;
+ * returns the amount written off
+ */
+async function expire(client, cardId = null) {
+    const { rows } = await client.query(
+        `SELECT * FROM gift_cards
+         WHERE status <> 'expired' AND expires_at <= NOW() AND ($1::uuid IS NULL OR id = $1)
+         FOR UPDATE`,
+        [cardId]
+    );
+
+    let total = 0;
+    for (const card of rows) {
+        await client.query("UPDATE gift_cards SET status = 'expired' WHERE id = $1", [card.id]);
+        const balance = Number(card.balance);
+        if (!(balance > 0)) continue;
+
+        const { movement } = await post(client, {
+            card,
+            branchId: card.branch_id,
+            type: 'expire',
+            amount: -balance,
+            notes: 'Card expired'
+        });
+        await accounting.postGiftCardExpiry(client, movement, card);
+        total = roundMoney(total + balance);
+    }
+    return total;
+}
+
+/**
+ * Card row locked for a change (by id or number), after expiring it if it has lapsed; null when unknown
+ */
+async function lockCard(client, { id, number }) {
+    const select = () => client.query(
+        `SELECT * FROM gift_cards WHERE ${id ? 'id' : 'card_number'} = $1 FOR UPDATE`,
+        [id || GiftCards.normalize(number)]
+    );
+    const { rows } = await select();
+    if (!rows[0]) return null;
+    if (rows[0].status !== 'expired' && rows[0].expires_at && new Date(rows[0].expires_at) <= new Date()) {
+        await expire(client, rows[0].id);
+        return (await select()).rows[0];
+    }
+    return rows[0];
+}
+
+/**
+ * Why a card cannot be loaded or spent (null when it can)
+ */
+function unusable(card) {
+    if (card.status === 'inactive') return `Gift card ${GiftCards.mask(card.card_number)} is deactivated`;
+    if (card.status === 'expired') return `Gift card ${GiftCards.mask(card.card_number)} has expired`;
+    return null;
+}
+
+/**
+ * Load an amount onto a card sold on a sale line: issues the card the first time its number is sold,
+ * tops it up after that. Each load pushes the expiry out by the branch's expiry_days.
+ */
+async function load(client, user, { number, amount, settings, customer, reference, notes }) {
+    const problem = GiftCards.numberProblem(number);
+    if (problem) throw ApiError.badRequest(problem);
+
+    let card = await lockCard(client, { number });
+    const issued = !card;
+    if (issued) {
+        const { rows } = await client.query(
+            `INSERT INTO gift_cards (card_number, branch_id, customer_id, created_by)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [GiftCards.normalize(number), user.branchId, customer?.id || null, user.id]
+        );
+        card = rows[0];
+    }
+
+    const refused = unusable(card) || GiftCards.loadProblem(amount, Number(card.balance), settings);
+    if (refused) throw ApiError.badRequest(refused);
+
+    const expiry = expiresAt(settings);
+    const later = expiry && card.expires_at && new Date(card.expires_at) > expiry ? null : expiry;
+    return post(client, {
+        card,
+        branchId: user.branchId,
+        type: issued ? 'issue' : 'top_up',
+        amount,
+        expiresAt: later,
+        referenceType: reference.type,
+        referenceId: reference.id,
+        notes,
+        userId: user.id
+    });
+}
+
+/**
+ * Spend from a card for a gift card tender; returns the card
+ */
+async function redeem(client, user, { number, amount, reference, notes }) {
+    if (!number) throw ApiError.badRequest('Enter the gift card number');
+    const card = await lockCard(client, { number });
+    if (!card) throw ApiError.badRequest(`Gift card ${GiftCards.mask(number)} not found`);
+
+    const problem = unusable(card);
+    if (problem) throw ApiError.badRequest(problem);
+    if (roundMoney(amount) > Number(card.balance)) {
+        throw ApiError.badRequest(`Gift card ${GiftCards.mask(card.card_number)} only has ${Number(card.balance)} left`);
+    }
+
+    const posted = await post(client, {
+        card,
+        branchId: user.branchId,
+        type: 'redeem',
+        amount: -amount,
+        referenceType: reference.type,
+        referenceId: reference.id,
+        notes,
+        userId: user.id
+    });
+    return posted.card;
+}
+
+/**
+ * Gift card lines and tenders of a posted sale: tenders are spent from their cards (tender.giftCardId
+ * is set for the payment row) and lines ([{ number, amount }]) loaded. Gift cards cannot pay for
+ * gift cards.
+ */
+async function applySale(client, user, { lines, tenders, total, settings, customer, reference, notes }) {
+    const loads = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+    if (loads > 0 && tenderAmount(tenders) > roundMoney(total - loads)) {
+        throw ApiError.badRequest('Gift cards cannot be paid for with a gift card');
+    }
+    const numbers = lines.map(line => GiftCards.normalize(line.number));
+    if (new Set(numbers).size !== numbers.length) throw ApiError.badRequest('Each gift card can only be loaded once per sale');
+
+    for (const tender of tenders.filter(t => t.method.type === 'gift_card')) {
+        const card = await redeem(client, user, { number: tender.giftCardNumber, amount: tender.amount, reference, notes });
+        tender.giftCardId = card.id;
+    }
+    for (const line of lines) {
+        await load(client, user, { number: line.number, amount: line.amount, settings, customer, reference, notes });
+    }
+}
+
+/**
+ * Gift card tenders of a return or exchange: refunds go back onto the card the sale was paid from
+ * (tender.giftCardId), an exchange's payments are spent like a sale's
+ */
+async function applyReturn(client, user, { tenders, refund, reference, notes }) {
+    for (const tender of tenders.filter(t => t.method.type === 'gift_card')) {
+        if (refund <= 0) {
+            const card = await redeem(client, user, { number: tender.giftCardNumber, amount: tender.amount, reference, notes });
+            tender.giftCardId = card.id;
+            continue;
+        }
+
+        const card = await lockCard(client, { id: tender.giftCardId });
+        const problem = card ? unusable(card) : 'Gift card not found';
+        if (problem) throw ApiError.badRequest(`${problem}; refund to store credit instead`);
+        await post(client, {
+            card,
+            branchId: user.branchId,
+            type: 'refund',
+            amount: Math.abs(tender.amount),
+            referenceType: reference.type,
+            referenceId: reference.id,
+            notes,
+            userId: user.id
+        });
+    }
+}
+
+/**
+ * Undo what a document did to gift cards (e.g. when it is voided): one 'void' movement per card for
+ * the net of the document's movements. A load can only be taken back while the card still holds it.
+ */
+async function reverse(client, user, reference, notes) {
+    const { rows } = await client.query(
+        `SELECT gift_card_id, SUM(amount) AS amount
+         FROM gift_card_movements
+         WHERE reference_type = $1 AND reference_id = $2
+         GROUP BY gift_card_id`,
+        [reference.type, reference.id]
+    );
+
+    for (const row of rows.filter(r => roundMoney(r.amount) !== 0)) {
+        const card = await lockCard(client, { id: row.gift_card_id });
+        const amount = roundMoney(row.amount);
+        if (amount > Number(card.balance)) {
+            throw ApiError.badRequest(`Gift card ${GiftCards.mask(card.card_number)} no longer holds the ${amount} loaded; it cannot be voided`);
+        }
+        await post(client, {
+            card,
+            branchId: user.branchId,
+            type: 'void',
+            amount: -amount,
+            referenceType: reference.type,
+            referenceId: reference.id,
+            notes,
+            userId: user.id
+        });
+    }
+}
+
+/**
+ * Deactivate ('inactive') or reactivate ('active') a card; the balance stays on it. Expired cards are final.
+ */
+async function setStatus(client, user, { id, status, reason }) {
+    const card = await lockCard(client, { id });
+    if (!card) throw ApiError.notFound('Gift card not found');
+    if (card.status === 'expired') throw ApiError.badRequest('Expired gift cards cannot be changed');
+    if (card.status === status) throw ApiError.badRequest(`Gift card is already ${status}`);
+
+    await client.query('UPDATE gift_cards SET status = $2 WHERE id = $1', [card.id, status]);
+    const { card: updated } = await post(client, {
+        card,
+        branchId: user.branchId,
+        type: status === 'active' ? 'activate' : 'deactivate',
+        amount: 0,
+        notes: reason,
+        userId: user.id
+    });
+    return updated;
+}
+
+/**
+ * What a document did to gift cards, for receipts: [{ card_number (masked), amount, balance, expires_at }]
+ * or null
+ */
+async function summary(client, reference) {
+    const { rows } = await client.query(
+        `SELECT g.card_number, g.expires_at, SUM(m.amount) AS amount,
+                (ARRAY_AGG(m.balance_after ORDER BY m.created_at DESC))[1] AS balance
+         FROM gift_card_movements m
+         JOIN gift_cards g ON g.id = m.gift_card_id
+         WHERE m.reference_type = $1 AND m.reference_id = $2
+         GROUP BY g.id
+         ORDER BY MIN(m.created_at)`,
+        [reference.type, reference.id]
+    );
+    if (rows.length === 0) return null;
+
+    return rows.map(row => ({
+        card_number: GiftCards.mask(row.card_number),
+        amount: Number(row.amount),
+        balance: Number(row.balance),
+        expires_at: row.expires_at
+    }));
+}
+
+/**
+ * Expire lapsed cards now and every config.giftCards.expiryIntervalMinutes; returns the timer
+ */
+function startExpiry() {
+    const run = () => db.withTransaction(client => expire(client))
+        .then((amount) => {
+            if (amount) console.log(`[GiftCards] Wrote off ${amount} on expired cards`);
+        })
+        .catch(error => console.error('[GiftCards] Expiry failed:', error.message));
+
+    run();
+    const timer = setInterval(run, config.giftCards.expiryIntervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    tenderAmount,
+    expire,
+    lockCard,
+    redeem,
+    applySale,
+    applyReturn,
+    reverse,
+    setStatus,
+    summary,
+    startExpiry
+};
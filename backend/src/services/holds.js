@@ -0,0 +1,73 @@
+/**
+ * Hold Service - Parked carts: resume with price checks and expiry cleanup
+ */
+
+const db = require('../db');
+const config = require('../config');
+const pricing = require('./pricing');
+const { Pricing } = require('../utils/shared');
+
+/**
+ * Held lines whose price changed, or whose item or variant can no longer be sold, since the cart was parked.
+ * Prices are resolved for the hold's customer (null for walk-in) like a sale would be.
+ */
+async function priceChanges(client, items, customer = null) {
+    const ids = [...new Set(items.map(item => item.id).filter(Boolean))];
+    if (ids.length === 0) return [];
+
+    const variantIds = [...new Set(items.map(item => item.variant_id).filter(Boolean))];
+    const [{ rows }, { rows: variants }] = await Promise.all([
+        client.query('SELECT id, name, selling_price, is_active, is_sellable FROM items WHERE id = ANY($1::uuid[])', [ids]),
+        client.query('SELECT id, selling_price, is_active FROM item_variants WHERE id = ANY($1::uuid[])', [variantIds])
+    ]);
+    const rules = await pricing.loadRules(client, customer, ids);
+    const changes = [];
+    for (const held of items) {
+        const current = rows.find(row => row.id === held.id);
+        const variant = held.variant_id ? variants.find(row => row.id === held.variant_id) : null;
+        const change = { item_id: held.id, variant_id: held.variant_id || null, name: held.name, held_price: Number(held.price) };
+        if (!current || !current.is_active || !current.is_sellable || (held.variant_id && !variant?.is_active)) {
+            changes.push({ ...change, current_price: null, available: false });
+            continue;
+        }
+        // Label prices were printed by the scale and gift card lines are the amount loaded; both stand
+        if (held.fixed_price) continue;
+        const catalogPrice = Number(variant?.selling_price ?? current.selling_price);
+        const price = Pricing.resolve(rules, {
+            itemId: held.id,
+            variantId: held.variant_id,
+            quantity: Number(held.quantity) || 1,
+            catalogPrice
+        }).price;
+        if (price !== Number(held.price)) {
+            changes.push({ ...change, current_price: price, catalog_price: catalogPrice, available: true });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Delete holds past expires_at; returns how many went
+ */
+async function purgeExpired(client = db) {
+    const { rowCount } = await client.query('DELETE FROM transaction_holds WHERE expires_at <= NOW()');
+    return rowCount;
+}
+
+/**
+ * Purge expired holds now and every config.holds.cleanupIntervalMinutes; returns the timer
+ */
+function startCleanup() {
+    const run = () => purgeExpired()
+        .then((count) => {
+            if (count) console.log(`[Holds] Removed ${count} expired hold(s)`);
+        })
+        .catch(error => console.error('[Holds] Cleanup failed:', error.message));
+
+    run();
+    const timer = setInterval(run, config.holds.cleanupIntervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = { priceChanges, purgeExpired, startCleanup };
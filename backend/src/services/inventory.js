@@ -0,0 +1,86 @@
+/**
+ * Inventory Service - Stock levels and movement audit trail
+ */
+
+/**
+ * Lock one warehouse/item/variant stock line until the surrounding DB transaction ends.
+ * Also covers the first insert (the UNIQUE constraint does not cover NULL variants).
+ */
+async function lockStock(client, warehouseId, itemId, variantId = null) {
+    await client.query(
+        'SELECT pg_advisory_xact_lock(hashtext($1))',
+        [`inventory:${warehouseId}:${itemId}:${variantId || ''}`]
+    );
+}
+
+/**
+ * Current stock line (or null) for a warehouse/item/variant
+ */
+async function getStock(client, warehouseId, itemId, variantId = null) {
+    const { rows } = await client.query(
+        `SELECT id, quantity, avg_cost FROM inventory
+         WHERE warehouse_id = $1 AND item_id = $2
+           AND COALESCE(variant_id, uuid_nil()) = COALESCE($3::uuid, uuid_nil())`,
+        [warehouseId, itemId, variantId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Apply a signed quantity change to one stock line and record the movement.
+ * The stock line is locked for the rest of the surrounding DB transaction.
+ */
+async function moveStock(client, movement) {
+    const {
+        warehouseId, itemId, variantId = null, quantity, movementType,
+        referenceType = null, referenceId = null, unitCost = null, userId = null, notes = null
+    } = movement;
+
+    await lockStock(client, warehouseId, itemId, variantId);
+
+    let line = await getStock(client, warehouseId, itemId, variantId);
+    if (!line) {
+        const { rows } = await client.query(
+            `INSERT INTO inventory (warehouse_id, item_id, variant_id, quantity)
+             VALUES ($1, $2, $3, 0)
+             RETURNING id, quantity, avg_cost`,
+            [warehouseId, itemId, variantId]
+        );
+        line = rows[0];
+    }
+
+    const before = Number(line.quantity);
+    const after = Math.round((before + Number(quantity)) * 1000) / 1000;
+
+    // Incoming stock with a known cost moves the weighted average
+    let avgCost = Number(line.avg_cost) || 0;
+    if (quantity > 0 && unitCost !== null && after > 0) {
+        avgCost = (Math.max(before, 0) * avgCost + quantity * Number(unitCost)) / (Math.max(before, 0) + quantity);
+    }
+
+    await client.query(
+        `UPDATE inventory
+         SET quantity = $2,
+             avg_cost = $3,
+             last_sold_at = CASE WHEN $4 = 'sale' THEN NOW() ELSE last_sold_at END,
+             last_restock_at = CASE WHEN $4 = 'in' THEN NOW() ELSE last_restock_at END
+         WHERE id = $1`,
+        [line.id, after, avgCost, movementType]
+    );
+
+    const { rows: inserted } = await client.query(
+        `INSERT INTO stock_movements (
+            warehouse_id, item_id, variant_id, movement_type, reference_type, reference_id,
+            quantity, unit_cost, quantity_before, quantity_after, notes, created_by
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+            warehouseId, itemId, variantId, movementType, referenceType, referenceId,
+            quantity, unitCost, before, after, notes, userId
+        ]
+    );
+
+    return inserted[0];
+}
+
+module.exports = { lockStock, getStock, moveStock };
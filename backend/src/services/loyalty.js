@@ -0,0 +1,365 @@
+/**
+ * Loyalty Service - Members' points: earned on sales, redeemed as a tender or a discount, taken back
+ * on returns and voids, and expired
+ *
+ * customers.loyalty_points is the balance. Every change goes through post() so loyalty_ledger explains
+ * it: positive entries keep their unused points in `remaining` until expires_at, and negative entries
+ * use up the soonest-expiring points first. The program itself is per branch (see Loyalty.settings).
+ */
+
+const db = require('../db');
+const config = require('../config');
+const ApiError = require('../utils/ApiError');
+const branches = require('./branches');
+const { Loyalty } = require('../utils/shared');
+
+/**
+ * When points earned now expire under a branch's program (null = never)
+ */
+function expiresAt(settings) {
+    return settings.expiry_days ? new Date(Date.now() + settings.expiry_days * 24 * 60 * 60 * 1000) : null;
+}
+
+/**
+ * Use up points from a member's positive entries, soonest to expire first
+ */
+async function consume(client, customerId, points) {
+    const { rows } = await client.query(
+        `SELECT id, remaining FROM loyalty_ledger
+         WHERE customer_id = $1 AND remaining > 0
+         ORDER BY expires_at NULLS LAST, created_at
+         FOR UPDATE`,
+        [customerId]
+    );
+
+    let left = points;
+    for (const row of rows) {
+        if (left <= 0) break;
+        const used = Math.min(left, row.remaining);
+        await client.query('UPDATE loyalty_ledger SET remaining = remaining - $2 WHERE id = $1', [row.id, used]);
+        left -= used;
+    }
+}
+
+/**
+ * Move a member's points by a signed amount and record it in the ledger; returns the entry
+ */
+async function post(client, { customerId, branchId, type, points, expiresAt: expiry, referenceType, referenceId, notes, userId }) {
+    const { rows: updated } = await client.query(
+        `UPDATE customers SET loyalty_points = COALESCE(loyalty_points, 0) + $2, updated_at = NOW()
+         WHERE id = $1
+         RETURNING loyalty_points`,
+        [customerId, points]
+    );
+    if (!updated[0]) throw ApiError.notFound('Customer not found');
+    if (points < 0) await consume(client, customerId, -points);
+
+    const { rows } = await client.query(
+        `INSERT INTO loyalty_ledger (
+            customer_id, branch_id, entry_type, points, balance_after, remaining, expires_at,
+            reference_type, reference_id, notes, created_by
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+            customerId, branchId || null, type, points, updated[0].loyalty_points,
+            Math.max(0, points), points > 0 ? expiry || null : null,
+            referenceType || null, referenceId || null, notes || null, userId || null
+        ]
+    );
+    return rows[0];
+}
+
+/**
+ * Write off a locked member's points past their expiry (per branch that gave them), never taking
+ * the balance below zero; returns the points expired
+ */
+async function expireLocked(client, customerId) {
+    const { rows: lapsed } = await client.query(
+        `SELECT branch_id, SUM(remaining)::int AS points
+         FROM loyalty_ledger
+         WHERE customer_id = $1 AND remaining > 0 AND expires_at <= NOW()
+         GROUP BY branch_id`,
+        [customerId]
+    );
+    if (!lapsed.length) return 0;
+
+    const { rows } = await client.query('SELECT loyalty_points FROM customers WHERE id = $1', [customerId]);
+    let balance = Math.max(0, Number(rows[0]?.loyalty_points) || 0);
+    let expired = 0;
+    for (const row of lapsed) {
+        const points = Math.min(row.points, balance);
+        if (points <= 0) continue;
+        await post(client, {
+            customerId,
+            branchId: row.branch_id,
+            type: 'expire',
+            points: -points,
+            notes: 'Points expired'
+        });
+        balance -= points;
+        expired += points;
+    }
+
+    // Lapsed points the balance no longer held are gone too
+    await client.query(
+        'UPDATE loyalty_ledger SET remaining = 0 WHERE customer_id = $1 AND remaining > 0 AND expires_at <= NOW()',
+        [customerId]
+    );
+    return expired;
+}
+
+/**
+ * Write off points past their expiry, for one member or all, each member locked first;
+ * returns the points expired
+ */
+async function expire(client, customerId = null) {
+    const { rows } = await client.query(
+        `SELECT DISTINCT customer_id FROM loyalty_ledger
+         WHERE remaining > 0 AND expires_at <= NOW() AND ($1::uuid IS NULL OR customer_id = $1)`,
+        [customerId]
+    );
+
+    let total = 0;
+    for (const row of rows) {
+        const { rows: locked } = await client.query('SELECT id FROM customers WHERE id = $1 FOR UPDATE', [row.customer_id]);
+        if (locked[0]) total += await expireLocked(client, row.customer_id);
+    }
+    return total;
+}
+
+/**
+ * Lock a member for a points change and expire what has lapsed; returns their balance
+ */
+async function lockMember(client, customerId) {
+    const { rows } = await client.query('SELECT id FROM customers WHERE id = $1 FOR UPDATE', [customerId]);
+    if (!rows[0]) throw ApiError.notFound('Customer not found');
+    await expireLocked(client, customerId);
+
+    const balance = await client.query('SELECT loyalty_points FROM customers WHERE id = $1', [customerId]);
+    return Number(balance.rows[0].loyalty_points) || 0;
+}
+
+/**
+ * Rupiah paid with the loyalty points tender (signed as given)
+ */
+function tenderAmount(tenders) {
+    return tenders.filter(t => t.method.type === 'points').reduce((sum, t) => sum + t.amount, 0);
+}
+
+/**
+ * Points a sale request redeems as a discount (redeem_points), checked against the branch's program
+ */
+function discountPoints(input, settings, customer) {
+    const points = Number(input.redeem_points || 0);
+    if (!points) return 0;
+    if (!customer) throw ApiError.badRequest('Redeeming points needs a member');
+    if (!settings.enabled || settings.redeem_as !== 'discount') {
+        throw ApiError.badRequest('Points are not redeemed as a discount at this branch');
+    }
+    if (!(Number.isInteger(points) && points > 0)) throw ApiError.badRequest('Redeem a whole number of points');
+    return points;
+}
+
+/**
+ * Take points off a member for a sale: checks the program, the minimum balance and what they hold
+ */
+async function redeem(client, user, { customer, points, settings, reference, notes }) {
+    const balance = await lockMember(client, customer.id);
+    const problem = Loyalty.redeemProblem(points, balance, settings);
+    if (problem) throw ApiError.badRequest(problem);
+
+    return post(client, {
+        customerId: customer.id,
+        branchId: user.branchId,
+        type: 'redeem',
+        points: -points,
+        referenceType: reference.type,
+        referenceId: reference.id,
+        notes,
+        userId: user.id
+    });
+}
+
+/**
+ * Points paid with the points tender, for a sale or an exchange's payment
+ */
+function tenderedPoints(tenders, settings, customer) {
+    const amount = tenderAmount(tenders);
+    if (!amount) return { amount: 0, points: 0 };
+    if (!customer) throw ApiError.badRequest('Paying with points needs a member');
+    if (!settings.enabled || settings.redeem_as !== 'tender') {
+        throw ApiError.badRequest('Points are not taken as a payment at this branch');
+    }
+
+    const points = Loyalty.pointsFor(amount, settings);
+    if (points === null) throw ApiError.badRequest(`Points pay in steps of ${settings.point_value}`);
+    return { amount, points };
+}
+
+/**
+ * Earn and burn for a posted sale. lines: [{ category_id, amount }] as paid (after discounts and
+ * tax); the part paid with points earns nothing.
+ */
+async function applySale(client, user, { customer, settings, lines, tenders, redeemPoints = 0, reference, notes }) {
+    const tendered = tenderedPoints(tenders, settings, customer);
+    if (!customer) return;
+
+    const redeemed = tendered.points + redeemPoints;
+    if (redeemed > 0) await redeem(client, user, { customer, points: redeemed, settings, reference, notes });
+
+    const earned = settings.enabled ? Loyalty.points(Loyalty.eligibleAmount(lines, settings) - tendered.amount, settings) : 0;
+    if (earned > 0) {
+        await lockMember(client, customer.id);
+        await post(client, {
+            customerId: customer.id,
+            branchId: user.branchId,
+            type: 'earn',
+            points: earned,
+            expiresAt: expiresAt(settings),
+            referenceType: reference.type,
+            referenceId: reference.id,
+            notes,
+            userId: user.id
+        });
+    }
+}
+
+/**
+ * Points a sale earned that its returns have not taken back yet, with the member who earned them
+ */
+async function earnedLeft(client, original) {
+    const { rows } = await client.query(
+        `SELECT l.customer_id,
+                SUM(l.points) FILTER (WHERE l.reference_id = $1 AND l.entry_type = 'earn') AS earned,
+                SUM(l.points) FILTER (WHERE l.reference_id <> $1 AND l.entry_type = 'reverse') AS reversed
+         FROM loyalty_ledger l
+         LEFT JOIN transactions t ON t.id = l.reference_id
+         WHERE l.reference_type = 'transaction'
+           AND (l.reference_id = $1 OR (t.reference_id = $1 AND t.status = 'completed'))
+         GROUP BY l.customer_id`,
+        [original.id]
+    );
+    const row = rows.find(r => Number(r.earned) > 0);
+    return row ? { customerId: row.customer_id, points: Number(row.earned) + (Number(row.reversed) || 0) } : null;
+}
+
+/**
+ * Points on a return or exchange against a sale: the returned goods' points come back off the member
+ * who earned them (never more than the sale earned), points refunded go back to them, and an
+ * exchange's new goods earn (or are paid with points) like a sale. returned / fresh: [{ category_id, amount }]
+ */
+async function applyReturn(client, user, { original, customer, settings, returned, fresh, tenders, refund, reference, notes }) {
+    const entry = { branchId: user.branchId, referenceType: reference.type, referenceId: reference.id, notes, userId: user.id };
+    let net = Loyalty.eligibleAmount(fresh, settings) - Loyalty.eligibleAmount(returned, settings);
+
+    const paidWith = tenderAmount(tenders);
+    if (refund > 0 && paidWith && original.customer_id) {
+        // A refund split over the sale's tenders may not come to whole points; the member gets the whole ones
+        const points = Math.floor(Math.abs(paidWith) / settings.point_value);
+        if (points > 0) {
+            await lockMember(client, original.customer_id);
+            await post(client, { ...entry, customerId: original.customer_id, type: 'refund', points, expiresAt: expiresAt(settings) });
+        }
+    } else if (refund <= 0) {
+        const tendered = tenderedPoints(tenders, settings, customer);
+        if (tendered.points > 0) await redeem(client, user, { customer, points: tendered.points, settings, reference, notes });
+        net -= tendered.amount;
+    }
+
+    if (net > 0 && customer && settings.enabled) {
+        const points = Loyalty.points(net, settings);
+        if (points > 0) {
+            await lockMember(client, customer.id);
+            await post(client, { ...entry, customerId: customer.id, type: 'earn', points, expiresAt: expiresAt(settings) });
+        }
+    } else if (net < 0) {
+        const earned = await earnedLeft(client, original);
+        if (earned) {
+            // Points already spent cannot be taken back; the balance never goes below zero
+            const balance = await lockMember(client, earned.customerId);
+            const points = Math.min(-Loyalty.points(net, settings), earned.points, balance);
+            if (points > 0) await post(client, { ...entry, customerId: earned.customerId, type: 'reverse', points: -points });
+        }
+    }
+}
+
+/**
+ * Undo what a document did to members' points (e.g. when it is voided): one 'void' entry per
+ * member for the net of the document's entries, taking back no more than the member still holds
+ */
+async function reverse(client, user, reference, notes) {
+    const { rows } = await client.query(
+        `SELECT customer_id, SUM(points)::int AS points
+         FROM loyalty_ledger
+         WHERE reference_type = $1 AND reference_id = $2
+         GROUP BY customer_id`,
+        [reference.type, reference.id]
+    );
+
+    const settings = await branches.getLoyaltySettings(user.branchId, client);
+    for (const row of rows.filter(r => r.points !== 0)) {
+        const balance = await lockMember(client, row.customer_id);
+        const points = Math.min(row.points, balance);
+        if (points === 0) continue;
+        await post(client, {
+            customerId: row.customer_id,
+            branchId: user.branchId,
+            type: 'void',
+            points: -points,
+            expiresAt: expiresAt(settings),
+            referenceType: reference.type,
+            referenceId: reference.id,
+            notes,
+            userId: user.id
+        });
+    }
+}
+
+/**
+ * What a document did to points, for receipts: { earned, redeemed, adjusted, balance } or null
+ */
+async function summary(client, reference) {
+    const { rows } = await client.query(
+        `SELECT entry_type, points, balance_after FROM loyalty_ledger
+         WHERE reference_type = $1 AND reference_id = $2
+         ORDER BY created_at, id`,
+        [reference.type, reference.id]
+    );
+    if (rows.length === 0) return null;
+
+    const sum = types => rows.filter(r => types.includes(r.entry_type)).reduce((total, r) => total + r.points, 0);
+    return {
+        earned: sum(['earn']),
+        redeemed: -sum(['redeem']),
+        adjusted: sum(['reverse', 'refund', 'void']),
+        balance: rows[rows.length - 1].balance_after
+    };
+}
+
+/**
+ * Expire lapsed points now and every config.loyalty.expiryIntervalMinutes; returns the timer
+ */
+function startExpiry() {
+    const run = () => db.withTransaction(client => expire(client))
+        .then((points) => {
+            if (points) console.log(`[Loyalty] Expired ${points} point(s)`);
+        })
+        .catch(error => console.error('[Loyalty] Expiry failed:', error.message));
+
+    run();
+    const timer = setInterval(run, config.loyalty.expiryIntervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    post,
+    expire,
+    lockMember,
+    discountPoints,
+    applySale,
+    applyReturn,
+    reverse,
+    summary,
+    startExpiry
+};
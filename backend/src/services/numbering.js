@@ -0,0 +1,173 @@
+/**
+ * Numbering Service - Document numbers per branch
+ *
+ * Each document type has a template and a reset period, overridable per branch in
+ * branches.settings.numbering, e.g.
+ *   { "transaction": { "template": "{branch.code}-INV-{YYYYMMDD}-{seq:5}", "reset": "daily" } }
+ *
+ * Counters live in document_sequences and are incremented inside the caller's DB
+ * transaction: the row stays locked until commit, so concurrent documents queue up,
+ * and a rolled-back document gives its number back (no gaps).
+ */
+
+const ApiError = require('../utils/ApiError');
+
+// Default template and reset period per document type
+const DOCUMENTS = {
+    transaction: { template: '{branch.code}-INV-{YYMMDD}-{seq:4}', reset: 'daily' },
+    hold: { template: '{branch.code}-HLD-{YYMMDD}-{seq:4}', reset: 'daily' },
+    work_order: { template: '{branch.code}-WO-{YYMM}-{seq:4}', reset: 'monthly' },
+    session: { template: '{branch.code}-CS-{YYMMDD}-{seq:3}', reset: 'daily' },
+    journal: { template: '{branch.code}-JE-{YYMM}-{seq:5}', reset: 'monthly' },
+    expense: { template: '{branch.code}-EXP-{YYMM}-{seq:4}', reset: 'monthly' },
+    adjustment: { template: '{branch.code}-ADJ-{YYMM}-{seq:4}', reset: 'monthly' },
+    transfer: { template: '{branch.code}-TRF-{YYMM}-{seq:4}', reset: 'monthly' }
+};
+
+// Reset period -> date parts (year, month, day) the template must show, so a number issued in one
+// period never comes round again in a later one
+const RESETS = {
+    daily: ['year', 'month', 'day'],
+    monthly: ['year', 'month'],
+    yearly: ['year'],
+    never: []
+};
+
+const TOKEN_PATTERN = /\{([^}]+)\}/g;
+
+// Date token -> the date parts it shows
+const DATE_TOKENS = {
+    YYYY: ['year'],
+    YY: ['year'],
+    MM: ['month'],
+    DD: ['day'],
+    YYYYMM: ['year', 'month'],
+    YYMM: ['year', 'month'],
+    YYYYMMDD: ['year', 'month', 'day'],
+    YYMMDD: ['year', 'month', 'day']
+};
+
+/**
+ * Effective numbering config for a document type, falling back to the defaults
+ */
+function resolveConfig(settings, type) {
+    const doc = DOCUMENTS[type];
+    if (!doc) throw new Error(`Unknown document type: ${type}`);
+    return { ...doc, ...(settings?.numbering?.[type] || {}) };
+}
+
+/**
+ * Check a template/reset pair, throwing a 400 with the problem
+ */
+function validateConfig(type, { template, reset }) {
+    if (!DOCUMENTS[type]) throw ApiError.badRequest(`Unknown document type: ${type}`);
+    if (!RESETS[reset]) throw ApiError.badRequest(`${type}: reset must be one of ${Object.keys(RESETS).join(', ')}`);
+    if (typeof template !== 'string' || !template.trim()) throw ApiError.badRequest(`${type}: template is required`);
+
+    const tokens = [...template.matchAll(TOKEN_PATTERN)].map(match => match[1]);
+    const seqTokens = tokens.filter(token => /^seq(:\d+)?$/.test(token));
+    if (seqTokens.length !== 1) throw ApiError.badRequest(`${type}: template needs exactly one {seq} or {seq:N} token`);
+
+    const unknown = tokens.find(token => token !== 'branch.code' && !DATE_TOKENS[token] && !/^seq(:\d+)?$/.test(token));
+    if (unknown) throw ApiError.badRequest(`${type}: unknown token {${unknown}}`);
+
+    // Numbers are unique across all branches
+    if (!tokens.includes('branch.code')) throw ApiError.badRequest(`${type}: template must include {branch.code}`);
+
+    const shown = tokens.flatMap(token => DATE_TOKENS[token] || []);
+    const missing = RESETS[reset].filter(part => !shown.includes(part));
+    if (missing.length) throw ApiError.badRequest(`${type}: a ${reset} reset needs the ${missing.join(', ')} in the template`);
+}
+
+/**
+ * Counter key for the reset period containing a date (YYYY-MM-DD)
+ */
+function periodKey(reset, date) {
+    if (reset === 'daily') return date;
+    if (reset === 'monthly') return date.slice(0, 7);
+    if (reset === 'yearly') return date.slice(0, 4);
+    return 'all';
+}
+
+/**
+ * Fill a template for a branch code, date (YYYY-MM-DD) and sequence value
+ */
+function format(template, branchCode, date, seq) {
+    const [yyyy, mm, dd] = date.split('-');
+    const values = {
+        'branch.code': branchCode,
+        YYYY: yyyy,
+        YY: yyyy.slice(2),
+        MM: mm,
+        DD: dd,
+        YYYYMM: yyyy + mm,
+        YYMM: yyyy.slice(2) + mm,
+        YYYYMMDD: yyyy + mm + dd,
+        YYMMDD: yyyy.slice(2) + mm + dd
+    };
+
+    return template.replace(TOKEN_PATTERN, (match, token) => {
+        const seqMatch = token.match(/^seq(?::(\d+))?$/);
+        if (seqMatch) return String(seq).padStart(Number(seqMatch[1] || 1), '0');
+        return values[token] ?? match;
+    });
+}
+
+/**
+ * Branch code, settings and today's date in the branch time zone (settings.timezone)
+ */
+async function loadBranch(client, branchId) {
+    const { rows } = await client.query(
+        `SELECT code, settings,
+                TO_CHAR(COALESCE((NOW() AT TIME ZONE NULLIF(settings->>'timezone', ''))::date, CURRENT_DATE), 'YYYY-MM-DD') AS today
+         FROM branches WHERE id = $1`,
+        [branchId]
+    );
+    if (!rows[0]) throw ApiError.badRequest('Branch not found');
+    return rows[0];
+}
+
+/**
+ * Next number for a document type, e.g. HQ-INV-260118-0001.
+ * Must be called inside the DB transaction that stores the document.
+ */
+async function next(client, branchId, type) {
+    const branch = await loadBranch(client, branchId);
+    const config = resolveConfig(branch.settings, type);
+
+    const { rows } = await client.query(
+        `INSERT INTO document_sequences (branch_id, document_type, period_key, last_value)
+         VALUES ($1, $2, $3, 1)
+         ON CONFLICT (branch_id, document_type, period_key)
+         DO UPDATE SET last_value = document_sequences.last_value + 1, updated_at = NOW()
+         RETURNING last_value`,
+        [branchId, type, periodKey(config.reset, branch.today)]
+    );
+
+    return format(config.template, branch.code, branch.today, rows[0].last_value);
+}
+
+/**
+ * Effective config for every document type with the number it would issue next
+ */
+async function describe(client, branchId) {
+    const branch = await loadBranch(client, branchId);
+    const { rows: counters } = await client.query(
+        'SELECT document_type, period_key, last_value FROM document_sequences WHERE branch_id = $1',
+        [branchId]
+    );
+
+    return Object.keys(DOCUMENTS).map((type) => {
+        const config = resolveConfig(branch.settings, type);
+        const key = periodKey(config.reset, branch.today);
+        const counter = counters.find(c => c.document_type === type && c.period_key === key);
+        return {
+            document_type: type,
+            template: config.template,
+            reset: config.reset,
+            next_number: format(config.template, branch.code, branch.today, (counter?.last_value || 0) + 1)
+        };
+    });
+}
+
+module.exports = { DOCUMENTS, RESETS, next, describe, validateConfig, format };
@@ -0,0 +1,60 @@
+/**
+ * Pricing Service - Loads the price rules a customer buys at for the shared Pricing resolver
+ */
+
+const db = require('../db');
+
+// A price list in force now, with its rows (optionally only for some items)
+const LIST_SELECT = `
+    SELECT pl.id, pl.code, pl.name, pl.is_active, pl.valid_from, pl.valid_until,
+           COALESCE((
+               SELECT json_agg(json_build_object(
+                          'item_id', pli.item_id, 'variant_id', pli.variant_id,
+                          'price', pli.price, 'min_qty', pli.min_qty
+                      ) ORDER BY pli.min_qty)
+               FROM price_list_items pli
+               WHERE pli.price_list_id = pl.id AND ($1::uuid[] IS NULL OR pli.item_id = ANY($1::uuid[]))
+           ), '[]'::json) AS items
+    FROM price_lists pl
+    WHERE pl.is_active = TRUE
+      AND (pl.valid_from IS NULL OR pl.valid_from <= NOW())
+      AND (pl.valid_until IS NULL OR pl.valid_until >= NOW())`;
+
+/**
+ * Rules for Pricing.resolve: the customer's group (its price list and discount rate) and the
+ * default price list. Walk-in customers get the default list only. Pass itemIds to load just the
+ * rows a sale needs; the POS loads whole lists once per customer.
+ */
+async function loadRules(client = db, customer = null, itemIds = null) {
+    const ids = itemIds ? [...new Set(itemIds)] : null;
+
+    let group = null;
+    if (customer?.group_id) {
+        const { rows } = await client.query(
+            'SELECT id, code, name, discount_rate, price_list_id FROM customer_groups WHERE id = $1',
+            [customer.group_id]
+        );
+        group = rows[0] || null;
+    }
+
+    const { rows: groupLists } = group?.price_list_id
+        ? await client.query(`${LIST_SELECT} AND pl.id = $2`, [ids, group.price_list_id])
+        : { rows: [] };
+
+    // Several default lists may be active (e.g. a seasonal one); the most recently started wins
+    const { rows: defaultLists } = await client.query(
+        `${LIST_SELECT} AND pl.is_default = TRUE
+         ORDER BY pl.valid_from DESC NULLS LAST, pl.created_at DESC
+         LIMIT 1`,
+        [ids]
+    );
+
+    return {
+        customer_group: group ? { id: group.id, code: group.code, name: group.name } : null,
+        discount_rate: Number(group?.discount_rate) || 0,
+        group_list: groupLists[0] || null,
+        default_list: defaultLists[0] || null
+    };
+}
+
+module.exports = { loadRules };
@@ -0,0 +1,26 @@
+/**
+ * Promotions Service - Loads the promotions a branch runs for the shared Promotions evaluator
+ */
+
+const db = require('../db');
+
+/**
+ * Active promotions for a branch (its own and those for every branch) that have not ended.
+ * Weekdays, hours and customer groups are left to Promotions.isActive at the moment of the sale;
+ * coupon-only promotions come with their coupons (see services/coupons).
+ */
+async function loadActive(client = db, branchId) {
+    const { rows } = await client.query(
+        `SELECT id, code, name, description, promo_type, rules, customer_group_ids, valid_from, valid_until,
+                days_of_week, start_time, end_time, priority, is_active
+         FROM promotions
+         WHERE is_active = TRUE AND requires_coupon = FALSE
+           AND (branch_id IS NULL OR branch_id = $1)
+           AND (valid_until IS NULL OR valid_until >= NOW())
+         ORDER BY priority DESC, created_at`,
+        [branchId]
+    );
+    return rows;
+}
+
+module.exports = { loadActive };
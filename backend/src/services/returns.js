@@ -0,0 +1,362 @@
+/**
+ * Return Service - Returns and exchanges against an original sale
+ *
+ * A return (transaction_type 'return') carries the given-back lines with positive amounts, like the
+ * sale it reverses, and its payments are the refunds. An exchange ('exchange') nets the returned
+ * lines (negative quantities and amounts) against new sale lines in one document; its payments are
+ * what the customer paid, or negative amounts when the store paid back the difference.
+ * Returned lines point at the sold line (return_of_item_id), so nothing is returned twice.
+ */
+
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/http');
+const numbering = require('./numbering');
+const branches = require('./branches');
+const cashSessions = require('./cashSessions');
+const accounting = require('./accounting');
+const approvals = require('./approvals');
+const pricing = require('./pricing');
+const sales = require('./sales');
+const customerAccounts = require('./customerAccounts');
+const loyalty = require('./loyalty');
+const giftCards = require('./giftCards');
+const coupons = require('./coupons');
+const { Totals } = require('../utils/shared');
+
+// Where a refund goes: back to the tenders the sale was paid with, or onto the customer's store credit
+const REFUND_TO = ['original', 'store_credit'];
+
+// Money columns split pro rata when part of a line comes back
+const AMOUNT_COLUMNS = ['subtotal', 'discount_amount', 'tax_amount', 'total'];
+
+/**
+ * Sold lines of a transaction with what was already returned (by completed returns/exchanges)
+ * and what can still be: returnable_quantity, returnable_total
+ */
+async function returnableLines(client, transactionId) {
+    const { rows } = await client.query(
+        `SELECT ti.*, i.name AS item_name, i.sku, i.type AS item_type, i.track_inventory, i.category_id, iv.name AS variant_name,
+                COALESCE(r.quantity, 0) AS returned_quantity,
+                COALESCE(r.subtotal, 0) AS returned_subtotal,
+                COALESCE(r.discount_amount, 0) AS returned_discount_amount,
+                COALESCE(r.tax_amount, 0) AS returned_tax_amount,
+                COALESCE(r.total, 0) AS returned_total
+         FROM transaction_items ti
+         JOIN items i ON i.id = ti.item_id
+         LEFT JOIN item_variants iv ON iv.id = ti.variant_id
+         LEFT JOIN LATERAL (
+             SELECT SUM(ABS(rt.quantity)) AS quantity, SUM(ABS(rt.subtotal)) AS subtotal,
+                    SUM(ABS(rt.discount_amount)) AS discount_amount, SUM(ABS(rt.tax_amount)) AS tax_amount,
+                    SUM(ABS(rt.total)) AS total
+             FROM transaction_items rt
+             JOIN transactions t ON t.id = rt.transaction_id
+             WHERE rt.return_of_item_id = ti.id AND t.status = 'completed'
+         ) r ON TRUE
+         WHERE ti.transaction_id = $1 AND ti.quantity > 0
+         ORDER BY ti.created_at, ti.id`,
+        [transactionId]
+    );
+
+    return rows.map(row => ({
+        ...row,
+        returnable_quantity: Math.round((Number(row.quantity) - Number(row.returned_quantity)) * 1000) / 1000,
+        returnable_total: roundMoney(Number(row.total) - Number(row.returned_total))
+    }));
+}
+
+/**
+ * Amounts for returning part of a sold line; the last units take whatever is left so the
+ * returns of a line always add up to the sale exactly
+ */
+function returnAmounts(line, quantity) {
+    const last = quantity >= line.returnable_quantity;
+    const amounts = {};
+    for (const column of AMOUNT_COLUMNS) {
+        amounts[column] = last
+            ? roundMoney(Number(line[column]) - Number(line[`returned_${column}`]))
+            : roundMoney(Number(line[column]) * quantity / Number(line.quantity));
+    }
+    return amounts;
+}
+
+/**
+ * Validate the requested return lines against what is left to return
+ */
+function buildReturnLines(sold, requested) {
+    if (!Array.isArray(requested) || requested.length === 0) throw ApiError.badRequest('Select at least one line to return');
+    const ids = requested.map(request => request.transaction_item_id);
+    if (new Set(ids).size !== ids.length) throw ApiError.badRequest('Each sold line can only be listed once');
+
+    return requested.map((request) => {
+        const line = sold.find(l => l.id === request.transaction_item_id);
+        if (!line) throw ApiError.badRequest('Line not found on the original sale');
+        if (line.item_type === 'gift_card') throw ApiError.badRequest('Gift cards cannot be returned');
+
+        const quantity = Number(request.quantity);
+        if (!(quantity > 0)) throw ApiError.badRequest(`Invalid return quantity for ${line.item_name}`);
+        if (quantity > line.returnable_quantity) {
+            throw ApiError.badRequest(`Only ${line.returnable_quantity} of ${line.item_name} can still be returned`);
+        }
+
+        // Goods go back on the shelf unless written off (damaged, expired, ...)
+        const stocked = (line.item_type === 'product' && line.track_inventory) || !!line.components?.some(c => c.stocked);
+        return { line, quantity, restock: stocked && request.restock !== false, amounts: returnAmounts(line, quantity) };
+    });
+}
+
+/**
+ * Refund tenders: the store credit method, or the sale's own tenders pro rata to what each
+ * still holds (cash net of change, less earlier refunds); each gift card paid with is a tender
+ * of its own (giftCardId). Whatever the tenders cannot take is left to reduce the sale's unpaid balance.
+ */
+async function refundTenders(client, original, amount, refundTo) {
+    if (!(amount > 0)) return [];
+
+    if (refundTo === 'store_credit') {
+        const { rows } = await client.query(
+            "SELECT * FROM payment_methods WHERE code = 'store_credit' AND is_active = TRUE"
+        );
+        if (!rows[0]) throw ApiError.badRequest('No active store credit payment method');
+        return [{ method: rows[0], amount, reference: null, notes: 'Store credit' }];
+    }
+
+    const { rows: methods } = await client.query(
+        `SELECT pm.*, p.gift_card_id,
+                COALESCE(SUM(p.amount) FILTER (WHERE p.transaction_id = $1), 0) AS paid,
+                COALESCE(SUM(CASE WHEN t.transaction_type = 'return' THEN p.amount ELSE -p.amount END)
+                    FILTER (WHERE p.transaction_id <> $1 AND (t.transaction_type = 'return' OR p.amount < 0)), 0) AS refunded
+         FROM payments p
+         JOIN transactions t ON t.id = p.transaction_id
+         JOIN payment_methods pm ON pm.id = p.payment_method_id
+         WHERE p.transaction_id = $1 OR (t.reference_id = $1 AND t.status = 'completed')
+         GROUP BY pm.id, p.gift_card_id
+         ORDER BY pm.type = 'cash', pm.name`,
+        [original.id]
+    );
+
+    let change = Number(original.change_amount) || 0;
+    const available = methods.map((method) => {
+        let paid = Number(method.paid);
+        if (method.type === 'cash' && change > 0) {
+            const returned = Math.min(change, paid);
+            paid -= returned;
+            change -= returned;
+        }
+        return roundMoney(Math.max(0, paid - Number(method.refunded)));
+    });
+    const refundable = roundMoney(Math.min(amount, available.reduce((sum, value) => sum + value, 0)));
+
+    return Totals.allocate(refundable, available)
+        .map((share, i) => ({ method: methods[i], amount: share, reference: null, giftCardId: methods[i].gift_card_id, notes: 'Refund' }))
+        .filter(tender => tender.amount > 0);
+}
+
+/**
+ * Lock a completed sale (or exchange) of the branch that goods can be returned against
+ */
+async function lockOriginal(client, id, branchId) {
+    const { rows } = await client.query(
+        'SELECT * FROM transactions WHERE id = $1 AND branch_id = $2 FOR UPDATE',
+        [id, branchId]
+    );
+    const original = rows[0];
+    if (!original) throw ApiError.notFound('Original transaction not found');
+    if (!['sale', 'exchange'].includes(original.transaction_type) || original.status !== 'completed') {
+        throw ApiError.badRequest('Only completed sales can be returned');
+    }
+    return original;
+}
+
+/**
+ * Post a return, or an exchange when new items are given, against an original sale:
+ * returned lines (restocked or written off), new lines, refunds or payments, cash session
+ * totals, store credit and journal. Users without pos.refund need a manager approval.
+ * Must run inside db.withTransaction. Returns the new transaction id.
+ */
+async function postReturn(client, user, originalId, input) {
+    const { items = [], payments = [], refund_to: refundTo = 'original' } = input;
+    const reason = String(input.reason || '').trim();
+    if (!reason) throw ApiError.badRequest('A reason is required for returns');
+    if (!REFUND_TO.includes(refundTo)) throw ApiError.badRequest(`refund_to must be one of: ${REFUND_TO.join(', ')}`);
+    if (!Array.isArray(items) || !Array.isArray(payments)) throw ApiError.badRequest('Items and payments must be lists');
+
+    const branchId = user.branchId;
+    const original = await lockOriginal(client, originalId, branchId);
+    const returned = buildReturnLines(await returnableLines(client, original.id), input.lines);
+
+    const warehouse = await sales.resolveWarehouse(client, branchId, input.warehouse_id);
+    const session = await cashSessions.requireUserSession(client, user.id, branchId);
+    const customer = await sales.findCustomer(client, input.customer_id || original.customer_id);
+    if (refundTo === 'store_credit' && !customer) throw ApiError.badRequest('Store credit needs a customer');
+
+    const back = {};
+    for (const column of AMOUNT_COLUMNS) {
+        back[column] = roundMoney(returned.reduce((sum, r) => sum + r.amounts[column], 0));
+    }
+
+    // New goods make it an exchange, priced like any sale
+    const isExchange = items.length > 0;
+    let newLines = [];
+    let newTotals = { subtotal: 0, discount: 0, tax: 0, total: 0, cartDiscountPercent: 0 };
+    if (isExchange) {
+        const taxSettings = await branches.getTaxSettings(branchId, client);
+        const rules = await pricing.loadRules(client, customer, items.map(line => line.item_id));
+        newLines = await sales.buildLines(client, items, rules, await branches.getScaleSettings(branchId, client));
+        if (newLines.some(line => line.giftCardNumber)) throw ApiError.badRequest('Sell gift cards on a sale of their own');
+        newTotals = sales.priceSale(user, newLines, input, { taxSettings, customer });
+    }
+
+    // Exchanges hold the returned lines as negatives; returns keep them positive like the sale
+    const sign = isExchange ? -1 : 1;
+    const net = (column, fresh) => (isExchange ? roundMoney(fresh - back[column]) : back[column]);
+    const totalAmount = net('total', newTotals.total);
+
+    // Money: refunds go out for a return or an exchange in the customer's favour; otherwise the customer pays
+    let tenders = [];
+    let change = 0;
+    const refund = isExchange ? Math.max(0, -totalAmount) : totalAmount;
+    if (refund > 0) {
+        const refunds = await refundTenders(client, original, refund, refundTo);
+        tenders = refunds.map(tender => ({ ...tender, amount: sign * tender.amount }));
+    } else if (totalAmount > 0) {
+        tenders = await sales.buildPayments(client, payments);
+        change = sales.settle(tenders, totalAmount).change;
+    }
+    const paidAmount = roundMoney(tenders.reduce((sum, t) => sum + t.amount, 0));
+
+    const number = await numbering.next(client, branchId, 'transaction');
+    const { rows } = await client.query(
+        `INSERT INTO transactions (
+            branch_id, warehouse_id, customer_id, cash_session_id, transaction_number, transaction_type, reference_id,
+            subtotal, discount_amount, discount_percent, tax_amount, total_amount, paid_amount, change_amount,
+            status, payment_status, notes, created_by, cashier_id, completed_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 'completed', $15, $16, $17, $17, NOW())
+         RETURNING *`,
+        [
+            branchId, warehouse, customer?.id || null, session.id, number,
+            isExchange ? 'exchange' : 'return', original.id,
+            net('subtotal', newTotals.subtotal), net('discount_amount', newTotals.discount),
+            newTotals.cartDiscountPercent, net('tax_amount', newTotals.tax), totalAmount, paidAmount, change,
+            refund > 0 ? 'refunded' : sales.paymentStatus(paidAmount, totalAmount),
+            `Return of ${original.transaction_number}: ${reason}`, user.id
+        ]
+    );
+    const header = rows[0];
+    const reference = { type: 'transaction', id: header.id };
+
+    await approvals.authorize(client, user, 'refund', {
+        tokens: input.approval_tokens,
+        scope: { transaction_id: original.id },
+        reference
+    });
+
+    for (const { line, quantity, restock, amounts } of returned) {
+        await client.query(
+            `INSERT INTO transaction_items (
+                transaction_id, item_id, variant_id, quantity, unit_price, cost_price, discount_amount,
+                discount_percent, tax_rate, tax_amount, subtotal, total, return_of_item_id, restock, components, notes
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+            [
+                header.id, line.item_id, line.variant_id, sign * quantity, line.unit_price, line.cost_price,
+                sign * amounts.discount_amount, line.discount_percent, line.tax_rate, sign * amounts.tax_amount,
+                sign * amounts.subtotal, sign * amounts.total, line.id, restock,
+                line.components ? JSON.stringify(line.components) : null, restock ? null : 'Written off'
+            ]
+        );
+
+        if (restock) {
+            await sales.moveLineStock(client, {
+                itemId: line.item_id,
+                variantId: line.variant_id,
+                stocked: true,
+                costPrice: line.cost_price,
+                components: line.components
+            }, {
+                warehouseId: warehouse,
+                quantity,
+                movementType: 'return',
+                referenceType: 'transaction',
+                referenceId: header.id,
+                userId: user.id,
+                notes: number
+            });
+        }
+    }
+
+    if (isExchange) {
+        await sales.authorizeSale(client, user, input, newLines, newTotals, reference);
+        await sales.insertLines(client, user, header, newLines, warehouse);
+    }
+
+    // Refunds go back onto the gift cards the sale was paid from; an exchange paid by gift card spends it
+    await giftCards.applyReturn(client, user, { tenders, refund, reference, notes: number });
+
+    for (const tender of tenders) {
+        await client.query(
+            `INSERT INTO payments (transaction_id, payment_method_id, amount, reference_number, gift_card_id, notes)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [header.id, tender.method.id, tender.amount, tender.reference, tender.giftCardId || null, tender.notes]
+        );
+    }
+
+    // Refunds to the account lower what the customer owes (or become store credit); an exchange
+    // paid on account is charged like a sale
+    const onAccount = customerAccounts.accountAmount(tenders);
+    if (refund > 0 && onAccount !== 0 && customer) {
+        await customerAccounts.lockCustomer(client, customer.id);
+        await customerAccounts.post(client, {
+            customerId: customer.id,
+            branchId,
+            type: 'credit',
+            amount: -Math.abs(onAccount),
+            referenceType: reference.type,
+            referenceId: reference.id,
+            sessionId: session.id,
+            notes: number,
+            userId: user.id
+        });
+    } else if (onAccount > 0) {
+        await customerAccounts.charge(client, user, {
+            customer,
+            amount: onAccount,
+            tokens: input.approval_tokens,
+            reference,
+            sessionId: session.id,
+            notes: number
+        });
+    }
+
+    // Points follow the goods: returned ones take back what they earned, new ones earn
+    await loyalty.applyReturn(client, user, {
+        original,
+        customer,
+        settings: await branches.getLoyaltySettings(branchId, client),
+        returned: returned.map(r => ({ category_id: r.line.category_id, amount: r.amounts.total })),
+        fresh: newLines.map(line => ({ category_id: line.item.category_id, amount: line.totals.total })),
+        tenders,
+        refund,
+        reference,
+        notes: number
+    });
+
+    // Drawer counters move with the money: refunds (returns) take it out, exchange payments bring it in
+    const flows = tenders.map(tender => ({ ...tender, amount: isExchange ? tender.amount : -tender.amount }));
+    await cashSessions.addSales(client, session.id, sales.sessionAmounts(flows, change));
+
+    // The sale is fully refunded once every line has come back, and its coupons can be used again;
+    // before that, a coupon's use comes back with the goods its promotion took something off
+    const left = await returnableLines(client, original.id);
+    if (left.every(line => line.returnable_quantity <= 0)) {
+        await client.query("UPDATE transactions SET payment_status = 'refunded' WHERE id = $1", [original.id]);
+        await coupons.reverse(client, original.id, header.id);
+    } else {
+        const promoted = returned.flatMap(r => (r.line.promotions || []).filter(p => Number(p.amount) > 0).map(p => p.promotion_id));
+        if (promoted.length) await coupons.reverse(client, original.id, header.id, [...new Set(promoted)]);
+    }
+
+    await accounting.postTransaction(client, header.id, user.id);
+
+    return header.id;
+}
+
+module.exports = { REFUND_TO, returnableLines, postReturn };
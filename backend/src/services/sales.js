@@ -0,0 +1,487 @@
+/**
+ * Sales Service - Posts a sale with its stock, cash session and journal effects in one DB transaction
+ */
+
+const ApiError = require('../utils/ApiError');
+const { roundMoney } = require('../utils/http');
+const numbering = require('./numbering');
+const branches = require('./branches');
+const inventory = require('./inventory');
+const cashSessions = require('./cashSessions');
+const accounting = require('./accounting');
+const approvals = require('./approvals');
+const pricing = require('./pricing');
+const customerAccounts = require('./customerAccounts');
+const loyalty = require('./loyalty');
+const giftCards = require('./giftCards');
+const promotions = require('./promotions');
+const coupons = require('./coupons');
+const { Totals, Pricing, Scale, Loyalty, GiftCards, Promotions, Coupons } = require('../utils/shared');
+
+/**
+ * Payment status from amount paid vs total
+ */
+function paymentStatus(paid, total) {
+    if (paid <= 0) return 'pending';
+    return paid >= total ? 'paid' : 'partial';
+}
+
+/**
+ * Warehouse the sale ships from: the requested one (if it belongs to the branch) or the branch default
+ */
+async function resolveWarehouse(client, branchId, warehouseId) {
+    if (!warehouseId) return branches.getDefaultWarehouseId(branchId, client);
+
+    const { rows } = await client.query(
+        'SELECT id FROM warehouses WHERE id = $1 AND branch_id = $2 AND is_active = TRUE',
+        [warehouseId, branchId]
+    );
+    if (!rows[0]) throw ApiError.badRequest('Warehouse not found in this branch');
+    return rows[0].id;
+}
+
+/**
+ * Validate a line or cart discount from the request; returns { type, value } or null
+ */
+function readDiscount(source, label) {
+    const value = Number(source.discount_value || 0);
+    if (!value) return null;
+    if (!['percent', 'fixed'].includes(source.discount_type)) {
+        throw ApiError.badRequest(`Discount type for ${label} must be percent or fixed`);
+    }
+    if (!(value > 0)) throw ApiError.badRequest(`Invalid discount for ${label}`);
+    if (source.discount_type === 'percent' && value > 100) {
+        throw ApiError.badRequest(`Discount for ${label} cannot exceed 100%`);
+    }
+    return { type: source.discount_type, value };
+}
+
+/**
+ * Price the requested lines: the customer's price rules (group list, quantity tier, default list,
+ * group discount - see pricing.loadRules) over the catalog price, where a variant's price overrides
+ * its item's. A unit_price sent that differs from it is a price override (priceOverride), which
+ * authorizeSale has approved. A line scanned from a price label (scale_label) sells at the price
+ * printed on it, read with the branch's scaleSettings. Items with active variants are sold by variant.
+ * A gift card line loads its unit_price onto one card (gift_card_number), undiscounted.
+ */
+async function buildLines(client, items, rules = null, scaleSettings = null) {
+    const { rows: catalog } = await client.query(
+        `SELECT i.*, EXISTS (SELECT 1 FROM item_variants iv WHERE iv.item_id = i.id AND iv.is_active = TRUE) AS has_variants
+         FROM items i WHERE i.id = ANY($1::uuid[])`,
+        [items.map(line => line.item_id)]
+    );
+    const variantIds = items.map(line => line.variant_id).filter(Boolean);
+    const { rows: variants } = variantIds.length
+        ? await client.query('SELECT * FROM item_variants WHERE id = ANY($1::uuid[])', [variantIds])
+        : { rows: [] };
+    const bundleIds = catalog.filter(item => item.type === 'bundle').map(item => item.id);
+    const { rows: parts } = bundleIds.length
+        ? await client.query(
+            `SELECT bi.bundle_id, bi.item_id, bi.variant_id, bi.quantity,
+                    CASE WHEN cv.id IS NULL THEN ci.name ELSE ci.name || ' - ' || cv.name END AS name,
+                    COALESCE(cv.cost_price, ci.cost_price, 0) AS cost_price,
+                    ci.type = 'product' AND ci.track_inventory AS stocked
+             FROM bundle_items bi
+             JOIN items ci ON ci.id = bi.item_id
+             LEFT JOIN item_variants cv ON cv.id = bi.variant_id
+             WHERE bi.bundle_id = ANY($1::uuid[])
+             ORDER BY ci.name`,
+            [bundleIds]
+        )
+        : { rows: [] };
+
+    return items.map((line) => {
+        const item = catalog.find(i => i.id === line.item_id);
+        if (!item || !item.is_active || !item.is_sellable) throw ApiError.badRequest(`Item ${line.item_id} is not available for sale`);
+
+        const variant = line.variant_id ? variants.find(v => v.id === line.variant_id) : null;
+        if (line.variant_id && (!variant || variant.item_id !== item.id || !variant.is_active)) {
+            throw ApiError.badRequest(`Variant not found for ${item.name}`);
+        }
+        if (!variant && item.has_variants) throw ApiError.badRequest(`Choose a variant of ${item.name}`);
+
+        const quantity = Number(line.quantity);
+        if (!(quantity > 0)) throw ApiError.badRequest(`Invalid quantity for ${item.name}`);
+        if (!item.allow_decimal_qty && !Number.isInteger(quantity)) {
+            throw ApiError.badRequest(`${item.name} must be sold in whole units`);
+        }
+
+        const giftCard = item.type === 'gift_card';
+        if (giftCard) {
+            const problem = GiftCards.numberProblem(line.gift_card_number);
+            if (problem) throw ApiError.badRequest(problem);
+            if (quantity !== 1) throw ApiError.badRequest('Gift cards are sold one card per line');
+            if (line.discount_value) throw ApiError.badRequest('Gift cards cannot be discounted');
+        }
+
+        // A price label carries what the customer pays, whatever the price lists say
+        let labelPrice = null;
+        if (line.scale_label) {
+            const label = Scale.parse(line.scale_label, scaleSettings);
+            if (!label || !item.plu || Scale.normalizePlu(item.plu) !== label.plu) {
+                throw ApiError.badRequest(`Scale label ${line.scale_label} is not for ${item.name}`);
+            }
+            if (label.kind === 'price') labelPrice = roundMoney(label.value);
+        }
+
+        const listPrice = labelPrice ?? Pricing.resolve(rules, {
+            itemId: item.id,
+            variantId: variant?.id,
+            quantity,
+            catalogPrice: variant?.selling_price ?? item.selling_price
+        }).price;
+        const requested = line.unit_price === undefined || line.unit_price === null ? null : roundMoney(line.unit_price);
+        const priceOverride = !giftCard && requested !== null && requested !== listPrice;
+        const unitPrice = giftCard || priceOverride ? (requested ?? listPrice) : listPrice;
+        if (!(unitPrice >= 0)) throw ApiError.badRequest(`Invalid price for ${item.name}`);
+        // A price list or group discount may go under min_price; only prices below that need approval.
+        // A gift card's price is the amount loaded, bounded by the branch's program instead.
+        const minPrice = item.min_price === null || giftCard ? null : Math.min(Number(item.min_price), listPrice);
+
+        // A bundle sells at its own price; its cost is what its tracked components cost
+        let components = null;
+        let costPrice = Number(variant?.cost_price ?? item.cost_price ?? 0);
+        if (item.type === 'bundle') {
+            components = parts.filter(part => part.bundle_id === item.id).map(({ bundle_id: bundleId, ...part }) => part);
+            if (components.length === 0) throw ApiError.badRequest(`${item.name} has no components`);
+            costPrice = roundMoney(components.filter(c => c.stocked).reduce((sum, c) => sum + c.cost_price * c.quantity, 0));
+        }
+
+        return {
+            item, variant, quantity, unitPrice, minPrice, components,
+            discount: readDiscount(line, item.name),
+            costPrice,
+            priceOverride,
+            giftCardNumber: giftCard ? GiftCards.normalize(line.gift_card_number) : null,
+            notes: line.notes || (giftCard ? `Card ${GiftCards.mask(line.gift_card_number)}` : null)
+        };
+    });
+}
+
+/**
+ * Customer on the sale (active), or null for walk-in
+ */
+async function findCustomer(client, customerId) {
+    if (!customerId) return null;
+    const { rows } = await client.query('SELECT * FROM customers WHERE id = $1 AND is_active = TRUE', [customerId]);
+    if (!rows[0]) throw ApiError.badRequest('Customer not found');
+    return rows[0];
+}
+
+/**
+ * Recompute discounts, tax and totals with the POS's own Totals module and check the discounts:
+ * pos.discount to give any (the role's cap and discounts under min_price are left to authorizeSale).
+ * Loyalty points redeemed as a discount (redemption, in rupiah) and the active promotions the cart
+ * qualifies for need no permission. Each coupon entered (see coupons.resolve) adds its promotion and
+ * must get something off; what it got is set as its amount. Promotion days and hours are read in timeZone
+ * (the branch's). Gift card loads are neither taxed nor discounted.
+ */
+function priceSale(user, lines, input, {
+    taxSettings, customer, redemption = 0, promotions: active = [], coupons: entered = [], timeZone = null
+}) {
+    const cartDiscount = readDiscount(input, 'the cart');
+    const cart = lines.map(line => ({
+        item_id: line.item.id,
+        category_id: line.item.category_id,
+        unit_price: line.unitPrice,
+        quantity: line.quantity,
+        no_discount: !!line.giftCardNumber
+    }));
+    const promoted = Promotions.evaluate(cart, [...active, ...entered.map(entry => entry.promotion)], {
+        at: new Date(),
+        customerGroupId: customer?.group_id || null,
+        timeZone
+    });
+    for (const entry of entered) {
+        const problem = Coupons.spendProblem(entry.coupon, entry.promotion, cart);
+        if (problem) throw ApiError.badRequest(problem);
+        entry.amount = promoted.applied.find(a => a.promotion_id === entry.promotion.id)?.amount || 0;
+        if (!(entry.amount > 0)) throw ApiError.badRequest(`Coupon ${entry.code} gives nothing off this sale`);
+    }
+    const totals = Totals.calculate(lines.map((line, i) => ({
+        unit_price: line.unitPrice,
+        quantity: line.quantity,
+        promotion_discount: promoted.lines[i].discount,
+        discount_type: line.discount?.type,
+        discount_value: line.discount?.value,
+        min_price: line.minPrice,
+        tax_rate: line.giftCardNumber ? 0 : line.item.tax_rate,
+        is_tax_inclusive: line.giftCardNumber ? false : line.item.is_tax_inclusive,
+        no_discount: !!line.giftCardNumber
+    })), { cartDiscount, redemption, tax: taxSettings, taxExempt: !!customer?.is_tax_exempt });
+
+    if (totals.discount - totals.redemption - totals.promotion > 0 && !user.permissions.includes('pos.discount')) {
+        throw ApiError.forbidden('Missing permission: pos.discount');
+    }
+    if (totals.redemption < redemption) throw ApiError.badRequest('Points redeemed are worth more than the sale');
+
+    lines.forEach((line, i) => Object.assign(line, {
+        totals: totals.lines[i],
+        promotions: promoted.lines[i].promotions.length ? promoted.lines[i].promotions : null
+    }));
+    return totals;
+}
+
+/**
+ * Resolve the tendered payments against active payment methods
+ */
+async function buildPayments(client, payments) {
+    if (payments.length === 0) return [];
+
+    const { rows: methods } = await client.query(
+        'SELECT * FROM payment_methods WHERE id = ANY($1::uuid[]) AND is_active = TRUE',
+        [payments.map(p => p.payment_method_id)]
+    );
+
+    return payments.map((payment) => {
+        const method = methods.find(m => m.id === payment.payment_method_id);
+        if (!method) throw ApiError.badRequest('Payment method not found');
+
+        const amount = roundMoney(payment.amount);
+        if (!(amount > 0)) throw ApiError.badRequest('Payment amounts must be positive');
+
+        return {
+            method, amount,
+            reference: payment.reference_number || null,
+            giftCardNumber: method.type === 'gift_card' ? GiftCards.normalize(payment.gift_card_number) : null,
+            notes: payment.notes || null
+        };
+    });
+}
+
+/**
+ * Amount paid and change due. Change only comes back out of cash, so the other tenders
+ * together may not exceed the total.
+ */
+function settle(tenders, total) {
+    const paid = roundMoney(tenders.reduce((sum, p) => sum + p.amount, 0));
+    const nonCash = roundMoney(tenders.filter(p => p.method.type !== 'cash').reduce((sum, p) => sum + p.amount, 0));
+    if (nonCash > total) {
+        throw ApiError.badRequest('Non-cash payments cannot exceed the amount due; change is only given from cash');
+    }
+    return { paid, change: roundMoney(Math.max(0, paid - total)) };
+}
+
+/**
+ * Session counter amounts for the tenders; change is handed back from the cash taken
+ */
+function sessionAmounts(payments, change) {
+    const amounts = {};
+    let changeLeft = change;
+
+    for (const payment of payments) {
+        const counter = cashSessions.salesCounter(payment.method.type);
+        let amount = payment.amount;
+        if (counter === 'cash_sales' && changeLeft > 0) {
+            const returned = Math.min(changeLeft, amount);
+            amount -= returned;
+            changeLeft -= returned;
+        }
+        amounts[counter] = roundMoney((amounts[counter] || 0) + amount);
+    }
+    return amounts;
+}
+
+/**
+ * Manager approvals a priced sale needs: discounts above the user's cap, and a price_override for
+ * each line sold at another price than the server's or discounted under items.min_price. Lines
+ * removed after printing were approved at the terminal; those approvals are tied to the document too.
+ */
+async function authorizeSale(client, user, input, lines, totals, reference) {
+    if (totals.maxDiscountPercent > (user.maxDiscountPercent || 0)) {
+        await approvals.authorize(client, user, 'discount', {
+            tokens: input.approval_tokens,
+            scope: { percent: totals.maxDiscountPercent },
+            reference
+        });
+    }
+    for (const line of lines.filter(l => l.priceOverride || l.totals.belowMinPrice)) {
+        await approvals.authorize(client, user, 'price_override', {
+            tokens: input.approval_tokens,
+            scope: line.priceOverride ? { item_id: line.item.id, unit_price: line.unitPrice } : { item_id: line.item.id },
+            reference
+        });
+    }
+    await approvals.consumeAll(client, input.approval_tokens, user, 'delete_line', reference);
+}
+
+/**
+ * Move the stock of a line: a tracked product itself, or each tracked component of a bundle
+ * (line.components, per unit). movement.quantity is the signed quantity of the line.
+ */
+async function moveLineStock(client, line, movement) {
+    const moves = line.components
+        ? line.components.filter(c => c.stocked).map(c => ({
+            itemId: c.item_id,
+            variantId: c.variant_id,
+            quantity: movement.quantity * Number(c.quantity),
+            unitCost: c.cost_price
+        }))
+        : (line.stocked ? [{ itemId: line.itemId, variantId: line.variantId, quantity: movement.quantity, unitCost: line.costPrice }] : []);
+
+    for (const move of moves) {
+        await inventory.moveStock(client, { ...movement, ...move });
+    }
+}
+
+/**
+ * Store priced sale lines on a document (with the promotions that took part of their discount) and
+ * take tracked products (and bundle components) out of stock
+ */
+async function insertLines(client, user, header, lines, warehouse) {
+    for (const line of lines) {
+        await client.query(
+            `INSERT INTO transaction_items (
+                transaction_id, item_id, variant_id, quantity, unit_price, cost_price, discount_amount,
+                discount_percent, tax_rate, tax_amount, subtotal, total, components, promotions, notes
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+            [
+                header.id, line.item.id, line.variant?.id || null, line.quantity, line.unitPrice, line.costPrice,
+                line.totals.totalDiscount, line.totals.effectiveDiscountPercent, line.totals.taxRate, line.totals.tax,
+                line.totals.gross, line.totals.total, line.components ? JSON.stringify(line.components) : null,
+                line.promotions ? JSON.stringify(line.promotions) : null, line.notes
+            ]
+        );
+
+        await moveLineStock(client, {
+            itemId: line.item.id,
+            variantId: line.variant?.id || null,
+            stocked: line.item.type === 'product' && line.item.track_inventory,
+            costPrice: line.costPrice,
+            components: line.components
+        }, {
+            warehouseId: warehouse,
+            quantity: -line.quantity,
+            movementType: 'sale',
+            referenceType: 'transaction',
+            referenceId: header.id,
+            userId: user.id,
+            notes: header.transaction_number
+        });
+    }
+}
+
+/**
+ * Post a completed sale: header, lines, payments, stock out, cash session totals and journal.
+ * Each transaction_items row carries its full discount (promotions, its own, its share of the cart
+ * discount and of points redeemed) and the tax worked out after it; transactions.discount_amount is
+ * the sale's total discount and discount_percent the cart-level percent.
+ * Must run inside db.withTransaction so any failure rolls everything back.
+ * Returns the new transaction id.
+ */
+async function postSale(client, user, input) {
+    const { items, payments = [], customer_id: customerId, warehouse_id: warehouseId, notes } = input;
+    if (!Array.isArray(items) || items.length === 0) throw ApiError.badRequest('At least one item is required');
+    if (!Array.isArray(payments)) throw ApiError.badRequest('Payments must be a list');
+
+    const branchId = user.branchId;
+    const warehouse = await resolveWarehouse(client, branchId, warehouseId);
+    const session = await cashSessions.requireUserSession(client, user.id, branchId);
+
+    const customer = await findCustomer(client, customerId);
+    const taxSettings = await branches.getTaxSettings(branchId, client);
+    const loyaltySettings = await branches.getLoyaltySettings(branchId, client);
+    const redeemPoints = loyalty.discountPoints(input, loyaltySettings, customer);
+    const rules = await pricing.loadRules(client, customer, items.map(line => line.item_id));
+    const lines = await buildLines(client, items, rules, await branches.getScaleSettings(branchId, client));
+    const entered = await coupons.resolve(client, input.coupon_codes, { branchId, customer });
+    const totals = priceSale(user, lines, input, {
+        taxSettings,
+        customer,
+        redemption: Loyalty.value(redeemPoints, loyaltySettings),
+        promotions: await promotions.loadActive(client, branchId),
+        coupons: entered,
+        timeZone: (await branches.getBranch(branchId, client)).settings?.timezone
+    });
+    const tenders = await buildPayments(client, payments);
+    const charged = customerAccounts.accountAmount(tenders);
+    if (charged > 0 && !customer) throw ApiError.badRequest('Charging to an account needs a customer');
+
+    const totalAmount = totals.total;
+    const { paid: paidAmount, change: changeAmount } = settle(tenders, totalAmount);
+
+    const number = await numbering.next(client, branchId, 'transaction');
+    const { rows } = await client.query(
+        `INSERT INTO transactions (
+            branch_id, warehouse_id, customer_id, cash_session_id, transaction_number, subtotal,
+            discount_amount, discount_percent, tax_amount, total_amount, paid_amount, change_amount,
+            status, payment_status, notes, created_by, cashier_id, completed_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'completed', $13, $14, $15, $15, NOW())
+         RETURNING *`,
+        [
+            branchId, warehouse, customer?.id || null, session.id, number, totals.subtotal,
+            totals.discount, totals.cartDiscountPercent, totals.tax, totalAmount, paidAmount, changeAmount,
+            paymentStatus(paidAmount, totalAmount), notes || null, user.id
+        ]
+    );
+    const header = rows[0];
+
+    // Discounts above the role's cap, prices under min_price and removed printed lines need approvals
+    await authorizeSale(client, user, input, lines, totals, { type: 'transaction', id: header.id });
+    await insertLines(client, user, header, lines, warehouse);
+    await coupons.redeem(client, user, entered, { transaction: header, customer });
+
+    // Gift card tenders are spent from their cards and gift card lines loaded onto theirs
+    await giftCards.applySale(client, user, {
+        lines: lines.filter(line => line.giftCardNumber).map(line => ({ number: line.giftCardNumber, amount: line.totals.total })),
+        tenders,
+        total: totalAmount,
+        settings: await branches.getGiftCardSettings(branchId, client),
+        customer,
+        reference: { type: 'transaction', id: header.id },
+        notes: number
+    });
+
+    for (const payment of tenders) {
+        await client.query(
+            `INSERT INTO payments (transaction_id, payment_method_id, amount, reference_number, gift_card_id, notes)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [header.id, payment.method.id, payment.amount, payment.reference, payment.giftCardId || null, payment.notes]
+        );
+    }
+
+    await cashSessions.addSales(client, session.id, sessionAmounts(tenders, changeAmount));
+
+    // The account tender is owed by the customer, within their credit limit
+    if (charged > 0) {
+        await customerAccounts.charge(client, user, {
+            customer,
+            amount: charged,
+            tokens: input.approval_tokens,
+            reference: { type: 'transaction', id: header.id },
+            sessionId: session.id,
+            notes: number
+        });
+    }
+
+    // Members earn on what they paid for (gift cards earn when spent) and spend the points they redeemed
+    await loyalty.applySale(client, user, {
+        customer,
+        settings: loyaltySettings,
+        lines: lines.filter(line => !line.giftCardNumber)
+            .map(line => ({ category_id: line.item.category_id, amount: line.totals.total })),
+        tenders,
+        redeemPoints,
+        reference: { type: 'transaction', id: header.id },
+        notes: number
+    });
+
+    await accounting.postTransaction(client, header.id, user.id);
+
+    return header.id;
+}
+
+module.exports = {
+    paymentStatus,
+    resolveWarehouse,
+    findCustomer,
+    buildLines,
+    priceSale,
+    buildPayments,
+    settle,
+    sessionAmounts,
+    authorizeSale,
+    moveLineStock,
+    insertLines,
+    postSale
+};
@@ -0,0 +1,137 @@
+/**
+ * Void Service - Cancels a completed transaction of the cashier's open session and undoes its effects
+ *
+ * The transaction stays (status 'cancelled' with the reason) so it still shows on the session's
+ * Z report; its stock movements, drawer counters, store credit, points, gift cards, coupon uses and
+ * journal are reversed.
+ */
+
+const ApiError = require('../utils/ApiError');
+const cashSessions = require('./cashSessions');
+const inventory = require('./inventory');
+const accounting = require('./accounting');
+const approvals = require('./approvals');
+const customerAccounts = require('./customerAccounts');
+const loyalty = require('./loyalty');
+const giftCards = require('./giftCards');
+const coupons = require('./coupons');
+const sales = require('./sales');
+
+/**
+ * Void a transaction. Only completed transactions of the user's open cash session can be voided,
+ * and a sale with returns against it only once those are voided. Users without pos.void need a
+ * manager approval scoped to the transaction. Must run inside db.withTransaction.
+ */
+async function voidTransaction(client, user, id, { reason, approvalTokens } = {}) {
+    const why = String(reason || '').trim();
+    if (!why) throw ApiError.badRequest('A reason is required to void a transaction');
+
+    const { rows } = await client.query(
+        'SELECT * FROM transactions WHERE id = $1 AND branch_id = $2 FOR UPDATE',
+        [id, user.branchId]
+    );
+    const transaction = rows[0];
+    if (!transaction) throw ApiError.notFound('Transaction not found');
+    if (transaction.status !== 'completed') throw ApiError.badRequest('Only completed transactions can be voided');
+
+    const session = await cashSessions.lockUserSession(client, user.id, user.branchId);
+    if (!session || transaction.cash_session_id !== session.id) {
+        throw ApiError.badRequest('Only transactions from your open cash session can be voided');
+    }
+
+    const { rows: returned } = await client.query(
+        "SELECT transaction_number FROM transactions WHERE reference_id = $1 AND status = 'completed'",
+        [transaction.id]
+    );
+    if (returned.length) {
+        throw ApiError.badRequest(`Void the returns against this sale first: ${returned.map(r => r.transaction_number).join(', ')}`);
+    }
+
+    await approvals.authorize(client, user, 'void', {
+        tokens: approvalTokens,
+        scope: { transaction_id: transaction.id },
+        reference: { type: 'transaction', id: transaction.id }
+    });
+
+    // Stock: every movement the transaction made, the other way
+    const { rows: movements } = await client.query(
+        `SELECT * FROM stock_movements WHERE reference_type = 'transaction' AND reference_id = $1 ORDER BY created_at, id`,
+        [transaction.id]
+    );
+    for (const movement of movements) {
+        await inventory.moveStock(client, {
+            warehouseId: movement.warehouse_id,
+            itemId: movement.item_id,
+            variantId: movement.variant_id,
+            quantity: -Number(movement.quantity),
+            movementType: 'adjustment',
+            referenceType: 'transaction_void',
+            referenceId: transaction.id,
+            unitCost: movement.unit_cost,
+            userId: user.id,
+            notes: `Void ${transaction.transaction_number}`
+        });
+    }
+
+    // Drawer counters: take back what the transaction added (returns had taken their refunds out)
+    const { rows: payments } = await client.query(
+        `SELECT p.amount, pm.id, pm.code, pm.type
+         FROM payments p JOIN payment_methods pm ON pm.id = p.payment_method_id
+         WHERE p.transaction_id = $1`,
+        [transaction.id]
+    );
+    const isReturn = transaction.transaction_type === 'return';
+    const added = sales.sessionAmounts(
+        payments.map(p => ({ method: p, amount: Number(p.amount) })),
+        Number(transaction.change_amount) || 0
+    );
+    const undo = {};
+    for (const [counter, amount] of Object.entries(added)) undo[counter] = isReturn ? amount : -amount;
+    await cashSessions.addSales(client, session.id, undo);
+
+    // Charges to the customer's account, store credit given, loyalty points earned or spent and gift
+    // card loads and payments are taken back
+    await customerAccounts.reverse(client, user, { type: 'transaction', id: transaction.id }, `Void ${transaction.transaction_number}`);
+    await loyalty.reverse(client, user, { type: 'transaction', id: transaction.id }, `Void ${transaction.transaction_number}`);
+    await giftCards.reverse(client, user, { type: 'transaction', id: transaction.id }, `Void ${transaction.transaction_number}`);
+
+    // A voided sale gives its coupons their uses back; a voided return takes back the uses it gave
+    await coupons.restore(client, transaction.id);
+    await coupons.reverse(client, transaction.id, transaction.id);
+
+    await accounting.reverse(client, {
+        branchId: transaction.branch_id,
+        userId: user.id,
+        sourceType: 'transaction',
+        sourceId: transaction.id,
+        referenceType: 'transaction_void',
+        description: `Void ${transaction.transaction_number}`
+    });
+
+    const { rows: voided } = await client.query(
+        `UPDATE transactions
+         SET status = 'cancelled', voided_at = NOW(), voided_by = $2, void_reason = $3,
+             notes = CONCAT_WS(E'\\n', notes, $4::text), updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [transaction.id, user.id, why, `VOID: ${why}`]
+    );
+
+    // A voided return gives the sale back its unreturned lines
+    if (transaction.reference_id) {
+        const { rows: originals } = await client.query(
+            "SELECT * FROM transactions WHERE id = $1 AND payment_status = 'refunded'",
+            [transaction.reference_id]
+        );
+        if (originals[0]) {
+            await client.query('UPDATE transactions SET payment_status = $2 WHERE id = $1', [
+                originals[0].id,
+                sales.paymentStatus(Number(originals[0].paid_amount), Number(originals[0].total_amount))
+            ]);
+        }
+    }
+
+    return voided[0];
+}
+
+module.exports = { voidTransaction };
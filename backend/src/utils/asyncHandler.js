@@ -0,0 +1,8 @@
+/**
+ * Wrap an async route handler so rejections reach the error middleware
+ */
+module.exports = function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+};
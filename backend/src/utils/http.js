@@ -0,0 +1,64 @@
+/**
+ * HTTP helpers - pagination, partial updates and input coercion
+ */
+
+/**
+ * Parse page/limit query params
+ */
+function getPagination(query, { limit = 50, max = 200 } = {}) {
+    const parsedLimit = Math.min(Math.max(parseInt(query.limit, 10) || limit, 1), max);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    return { page, limit: parsedLimit, offset: (page - 1) * parsedLimit };
+}
+
+/**
+ * Send a paginated list
+ */
+function sendList(res, rows, total, { page, limit }) {
+    res.json({ success: true, data: rows, meta: { page, limit, total } });
+}
+
+/**
+ * Build column/placeholder lists from whitelisted body fields
+ */
+function buildInsert(body, fields) {
+    const columns = fields.filter(field => body[field] !== undefined);
+    const values = columns.map(field => (body[field] === '' ? null : body[field]));
+    return {
+        columns: columns.join(', '),
+        placeholders: columns.map((field, i) => `$${i + 1}`).join(', '),
+        values
+    };
+}
+
+/**
+ * Build "column = $n" assignments from whitelisted body fields
+ */
+function buildUpdate(body, fields, startIndex = 1) {
+    const sets = [];
+    const values = [];
+    for (const field of fields) {
+        if (body[field] !== undefined) {
+            values.push(body[field] === '' ? null : body[field]);
+            sets.push(`${field} = $${startIndex + values.length - 1}`);
+        }
+    }
+    return { sets, values };
+}
+
+/**
+ * Parse 'true'/'false' query strings, returning undefined when absent
+ */
+function parseBoolean(value) {
+    if (value === undefined || value === '' || value === 'all') return undefined;
+    return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Round to 2 decimals (currency columns are DECIMAL(15,2))
+ */
+function roundMoney(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+module.exports = { getPagination, sendList, buildInsert, buildUpdate, parseBoolean, roundMoney };
@@ -0,0 +1,25 @@
+/**
+ * Shared Modules - Calculation and receipt code the POS frontend and the API both run
+ *
+ * These live in frontend/js (the frontend has no build step) and are written to load as
+ * CommonJS too, so the API recomputes and prints with exactly the same code the cashier's screen used.
+ */
+
+const path = require('path');
+
+const SHARED_DIR = path.join(__dirname, '..', '..', '..', 'frontend', 'js');
+
+module.exports = {
+    CashCount: require(path.join(SHARED_DIR, 'cashcount.js')),
+    Coupons: require(path.join(SHARED_DIR, 'coupons.js')),
+    Display: require(path.join(SHARED_DIR, 'display.js')),
+    GiftCards: require(path.join(SHARED_DIR, 'giftcards.js')),
+    Keymap: require(path.join(SHARED_DIR, 'keymap.js')),
+    Loyalty: require(path.join(SHARED_DIR, 'loyalty.js')),
+    Pricing: require(path.join(SHARED_DIR, 'pricing.js')),
+    Promotions: require(path.join(SHARED_DIR, 'promotions.js')),
+    Receipt: require(path.join(SHARED_DIR, 'receipt.js')),
+    Scale: require(path.join(SHARED_DIR, 'scale.js')),
+    Tax: require(path.join(SHARED_DIR, 'tax.js')),
+    Totals: require(path.join(SHARED_DIR, 'totals.js'))
+};
@@ -0,0 +1,71 @@
+/**
+ * Document numbering - template checks and formatting
+ *
+ * A reset period is only safe when the template shows every date part of it: a daily counter under
+ * {DD} alone starts again next month and issues numbers already taken.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const numbering = require('../src/services/numbering');
+
+/**
+ * Message of the 400 a config is rejected with, or null when it is accepted
+ */
+function problem(type, config) {
+    try {
+        numbering.validateConfig(type, config);
+        return null;
+    } catch (error) {
+        assert.equal(error.status, 400);
+        return error.message;
+    }
+}
+
+test('the default templates are valid', () => {
+    for (const [type, config] of Object.entries(numbering.DOCUMENTS)) {
+        assert.equal(problem(type, config), null, type);
+    }
+});
+
+test('a daily reset needs the year, month and day', () => {
+    for (const template of ['{branch.code}-{YYMMDD}-{seq:4}', '{branch.code}-{YYYYMMDD}-{seq:4}',
+        '{branch.code}-{YYYY}{MM}{DD}-{seq:4}', '{branch.code}-{YY}/{MM}/{DD}-{seq:4}', '{branch.code}-{YYMM}{DD}-{seq:4}']) {
+        assert.equal(problem('transaction', { template, reset: 'daily' }), null, template);
+    }
+    assert.match(problem('transaction', { template: '{branch.code}-INV-{DD}-{seq:4}', reset: 'daily' }), /year, month/);
+    assert.match(problem('transaction', { template: '{branch.code}-INV-{MM}{DD}-{seq:4}', reset: 'daily' }), /needs the year in/);
+    assert.match(problem('transaction', { template: '{branch.code}-INV-{YYMM}-{seq:4}', reset: 'daily' }), /needs the day in/);
+});
+
+test('a monthly reset needs the year and month', () => {
+    for (const template of ['{branch.code}-{YYMM}-{seq}', '{branch.code}-{YYYYMM}-{seq}', '{branch.code}-{YYYY}-{MM}-{seq}',
+        '{branch.code}-{YYMMDD}-{seq}']) {
+        assert.equal(problem('journal', { template, reset: 'monthly' }), null, template);
+    }
+    assert.match(problem('journal', { template: '{branch.code}-JE-{MM}-{seq:5}', reset: 'monthly' }), /needs the year in/);
+    assert.match(problem('journal', { template: '{branch.code}-JE-{YYYY}-{seq:5}', reset: 'monthly' }), /needs the month in/);
+});
+
+test('a yearly reset needs the year; never needs no date', () => {
+    assert.equal(problem('expense', { template: '{branch.code}-EXP-{YY}-{seq:5}', reset: 'yearly' }), null);
+    assert.match(problem('expense', { template: '{branch.code}-EXP-{MM}-{seq:5}', reset: 'yearly' }), /needs the year in/);
+    assert.equal(problem('expense', { template: '{branch.code}-EXP-{seq:6}', reset: 'never' }), null);
+});
+
+test('templates need the branch code, one sequence and known tokens', () => {
+    assert.match(problem('hold', { template: 'HLD-{YYMMDD}-{seq}', reset: 'daily' }), /branch\.code/);
+    assert.match(problem('hold', { template: '{branch.code}-{YYMMDD}', reset: 'daily' }), /exactly one \{seq\}/);
+    assert.match(problem('hold', { template: '{branch.code}-{seq}-{seq:2}', reset: 'never' }), /exactly one \{seq\}/);
+    assert.match(problem('hold', { template: '{branch.code}-{HH}-{seq}', reset: 'never' }), /unknown token \{HH\}/);
+    assert.match(problem('hold', { template: '{branch.code}-{seq}', reset: 'hourly' }), /reset must be one of/);
+    assert.match(problem('hold', { template: ' ', reset: 'never' }), /template is required/);
+    assert.match(problem('invoice', { template: '{branch.code}-{seq}', reset: 'never' }), /Unknown document type/);
+});
+
+test('format fills the date tokens and pads the sequence', () => {
+    assert.equal(numbering.format('{branch.code}-INV-{YYMMDD}-{seq:4}', 'HQ', '2026-01-08', 42), 'HQ-INV-260108-0042');
+    assert.equal(numbering.format('{branch.code}/{YYYY}/{MM}/{DD}/{seq:3}', 'BDG', '2026-11-30', 7), 'BDG/2026/11/30/007');
+    assert.equal(numbering.format('{branch.code}-{YYYYMM}-{seq}', 'HQ', '2026-03-01', 12345), 'HQ-202603-12345');
+    assert.equal(numbering.format('{branch.code}-{YY}{MM}-{seq:2}', 'HQ', '2026-03-01', 123), 'HQ-2603-123');
+});
@@ -0,0 +1,155 @@
+/**
+ * Promotions - the evaluator the POS and the sale both run (frontend/js/promotions.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Promotions } = require('../src/utils/shared');
+
+/**
+ * A promotion that is always in force
+ */
+function promotion(id, promoType, rules, extra = {}) {
+    return { id, name: id, promo_type: promoType, rules: Promotions.rules(promoType, rules), priority: 0, is_active: true, ...extra };
+}
+
+/**
+ * A cart line
+ */
+function line(itemId, unitPrice, quantity, extra = {}) {
+    return { item_id: itemId, category_id: 'drinks', unit_price: unitPrice, quantity, ...extra };
+}
+
+test('buy x get y gives away the cheapest units of each group across mixed-price lines', () => {
+    const b2g1 = promotion('b2g1', 'buy_x_get_y', { buy_qty: 2, get_qty: 1 });
+    const result = Promotions.evaluate(
+        [line('latte', 30000, 2), line('tea', 20000, 1), line('water', 10000, 1)],
+        [b2g1]
+    );
+
+    // Dearest first: 30000, 30000, 20000 make a group and the tea goes free; the water is left over
+    assert.deepEqual(result.lines.map(l => l.discount), [0, 20000, 0]);
+    assert.equal(result.discount, 20000);
+    assert.deepEqual(result.applied, [{ promotion_id: 'b2g1', name: 'b2g1', amount: 20000 }]);
+});
+
+test('buy x get y at a percent off takes that share of the free units', () => {
+    const half = promotion('half', 'buy_x_get_y', { buy_qty: 1, get_qty: 1, percent: 50 });
+    const result = Promotions.evaluate([line('latte', 30000, 1), line('tea', 20000, 3)], [half]);
+
+    // Groups: (30000, 20000) and (20000, 20000); half of one tea each, the last tea stays whole
+    assert.deepEqual(result.lines.map(l => l.discount), [0, 20000]);
+});
+
+test('a bundle only applies while its units cost more than the bundle price', () => {
+    const bundle = promotion('three', 'bundle_price', { quantity: 3, price: 50000 });
+
+    assert.equal(Promotions.evaluate([line('tea', 10000, 3)], [bundle]).discount, 0);
+
+    const result = Promotions.evaluate([line('latte', 25000, 3), line('tea', 10000, 3)], [bundle]);
+    // 75000 of lattes for 50000; the teas (30000) are worth less than the bundle and stay full price
+    assert.deepEqual(result.lines.map(l => l.discount), [25000, 0]);
+    assert.equal(result.discount, 25000);
+});
+
+test('a bundle spread over lines of different prices splits its discount by price', () => {
+    const bundle = promotion('pair', 'bundle_price', { quantity: 2, price: 30000 });
+    const result = Promotions.evaluate([line('latte', 25000, 1), line('tea', 15000, 1)], [bundle]);
+
+    assert.equal(result.discount, 10000);
+    assert.deepEqual(result.lines.map(l => l.discount), [6250, 3750]);
+});
+
+test('the order giving the most off beats priority order', () => {
+    const tenOff = promotion('ten', 'percent_off', { percent: 10 }, { priority: 10 });
+    const bogo = promotion('bogo', 'buy_x_get_y', { buy_qty: 1, get_qty: 1 }, { priority: 1 });
+    const result = Promotions.evaluate([line('latte', 10000, 2)], [tenOff, bogo]);
+
+    // 10% first would take 2000 and leave no units for the free latte (10000)
+    assert.equal(result.discount, 10000);
+    assert.deepEqual(result.applied.map(a => a.promotion_id), ['bogo']);
+});
+
+test('equal discounts keep priority order', () => {
+    const first = promotion('first', 'percent_off', { percent: 10 }, { priority: 5 });
+    const second = promotion('second', 'percent_off', { percent: 10 }, { priority: 1 });
+    const result = Promotions.evaluate([line('latte', 10000, 1)], [second, first]);
+
+    assert.deepEqual(result.applied.map(a => a.promotion_id), ['first']);
+});
+
+test('one spend threshold, the one worth most, comes off what the line promotions left', () => {
+    const tenOff = promotion('ten', 'percent_off', { percent: 10 });
+    const fixed = promotion('spend80', 'spend_threshold', { min_spend: 80000, discount_type: 'fixed', discount_value: 5000 });
+    const percent = promotion('spend50', 'spend_threshold', { min_spend: 50000, discount_type: 'percent', discount_value: 10 });
+    const tooHigh = promotion('spend100', 'spend_threshold', { min_spend: 100000, discount_type: 'fixed', discount_value: 20000 });
+    const result = Promotions.evaluate([line('latte', 50000, 2)], [tenOff, fixed, percent, tooHigh]);
+
+    // 100000 less 10% is 90000 spent: too little for spend100, and 10% of it (9000) beats 5000
+    assert.deepEqual(result.applied, [
+        { promotion_id: 'ten', name: 'ten', amount: 10000 },
+        { promotion_id: 'spend50', name: 'spend50', amount: 9000 }
+    ]);
+    assert.equal(result.discount, 19000);
+});
+
+test('a spend threshold is shared over the lines it covers by what is left of each', () => {
+    const spend = promotion('spend', 'spend_threshold', {
+        min_spend: 40000, discount_type: 'fixed', discount_value: 6000, item_ids: ['latte', 'tea']
+    });
+    const result = Promotions.evaluate([line('latte', 30000, 1), line('tea', 15000, 1), line('water', 5000, 1)], [spend]);
+
+    assert.deepEqual(result.lines.map(l => l.discount), [4000, 2000, 0]);
+});
+
+test('weighed lines only count for percent off', () => {
+    const cheese = line('cheese', 120000, 0.25, { category_id: 'deli' });
+    const bogo = promotion('bogo', 'buy_x_get_y', { buy_qty: 1, get_qty: 1 });
+    const bundle = promotion('bundle', 'bundle_price', { quantity: 2, price: 1000 });
+    const tenOff = promotion('ten', 'percent_off', { percent: 10, category_ids: ['deli'] });
+
+    assert.equal(Promotions.evaluate([cheese, { ...cheese }], [bogo, bundle]).discount, 0);
+    assert.deepEqual(Promotions.evaluate([cheese], [bogo, bundle, tenOff]).applied, [{ promotion_id: 'ten', name: 'ten', amount: 3000 }]);
+});
+
+test('gift card lines are never discounted', () => {
+    const tenOff = promotion('ten', 'percent_off', { percent: 10 });
+    const result = Promotions.evaluate([line('card', 100000, 1, { no_discount: true }), line('latte', 20000, 1)], [tenOff]);
+
+    assert.deepEqual(result.lines.map(l => l.discount), [0, 2000]);
+});
+
+test('isActive reads hours past midnight in the branch time zone', () => {
+    const lateNight = promotion('late', 'percent_off', { percent: 10 }, { start_time: '22:00', end_time: '02:00' });
+    const timeZone = 'Asia/Jakarta';
+
+    assert.equal(Promotions.isActive(lateNight, { at: new Date('2026-01-16T16:30:00Z'), timeZone }), true); // 23:30
+    assert.equal(Promotions.isActive(lateNight, { at: new Date('2026-01-16T18:30:00Z'), timeZone }), true); // 01:30
+    assert.equal(Promotions.isActive(lateNight, { at: new Date('2026-01-16T20:00:00Z'), timeZone }), false); // 03:00
+    assert.equal(Promotions.isActive(lateNight, { at: new Date('2026-01-16T14:59:00Z'), timeZone }), false); // 21:59
+    assert.equal(Promotions.isActive(lateNight, { at: new Date('2026-01-16T16:30:00Z'), timeZone: 'UTC' }), false);
+});
+
+test('isActive reads the weekday in the branch time zone', () => {
+    // Friday 20:00 UTC is already Saturday 03:00 in Jakarta
+    const saturdays = promotion('sat', 'percent_off', { percent: 10 }, { days_of_week: [6] });
+    const at = new Date('2026-01-16T20:00:00Z');
+
+    assert.equal(Promotions.isActive(saturdays, { at, timeZone: 'Asia/Jakarta' }), true);
+    assert.equal(Promotions.isActive(saturdays, { at, timeZone: 'UTC' }), false);
+    assert.deepEqual(Promotions.clock(at, 'Asia/Jakarta'), { day: 6, minutes: 180 });
+    // An unknown zone falls back to the process's own rather than failing the sale
+    assert.deepEqual(Promotions.clock(at, 'Nowhere/Special'), Promotions.clock(at));
+});
+
+test('isActive checks the dates and customer groups', () => {
+    const at = new Date('2026-01-16T05:00:00Z');
+    const members = promotion('members', 'percent_off', { percent: 10 }, {
+        valid_from: '2026-01-01T00:00:00Z', valid_until: '2026-01-31T00:00:00Z', customer_group_ids: ['gold']
+    });
+
+    assert.equal(Promotions.isActive(members, { at, customerGroupId: 'gold' }), true);
+    assert.equal(Promotions.isActive(members, { at, customerGroupId: null }), false);
+    assert.equal(Promotions.isActive(members, { at: new Date('2026-02-01T00:00:00Z'), customerGroupId: 'gold' }), false);
+    assert.equal(Promotions.isActive({ ...members, is_active: false }, { at, customerGroupId: 'gold' }), false);
+});
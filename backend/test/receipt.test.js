@@ -0,0 +1,153 @@
+/**
+ * Receipt ESC/POS snapshots - the exact bytes sent to thermal printers for a sample sale
+ *
+ * Snapshots live in test/snapshots as hex, 16 bytes a line. After an intended layout change,
+ * rewrite them with UPDATE_SNAPSHOTS=1 npm test and review the diff.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Receipt } = require('../src/utils/shared');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const CUT = [GS, 0x56, 0x01];
+const DRAWER = [ESC, 0x70, 0x00, 0x19, 0xfa];
+
+const store = Receipt.store({
+    name: 'Toko Maju',
+    address: 'Jl. Merdeka No. 10, Bandung',
+    phone: '022-555-0101',
+    tax_id: '01.234.567.8-999.000',
+    settings: { timezone: 'Asia/Jakarta', receipt: { header: 'Open daily 08:00-21:00', footer: 'Terima kasih' } }
+});
+
+/**
+ * A sale of a discounted coffee, a weighed cheese and a bundle, paid in cash and QRIS.
+ * Tax added on top (11%) unless taxIncluded, where the same tax sits inside the prices.
+ */
+function sampleSale({ taxIncluded = false } = {}) {
+    return {
+        transaction_number: 'HQ-INV-260118-0042',
+        transaction_type: 'sale',
+        status: 'completed',
+        transaction_time: '2026-01-18T07:05:00Z',
+        cashier_name: 'Sari',
+        customer: { name: 'Budi Santoso' },
+        items: [
+            {
+                item_name: 'Coffee Latte', variant_name: 'Large', quantity: 2, unit_price: 25000, subtotal: 50000,
+                discount_amount: 7500, promotions: [{ name: 'Happy Hour 10%', amount: 5000 }]
+            },
+            { item_name: 'Cheddar Cheese (kg)', quantity: 0.25, unit_price: 120000, subtotal: 30000, discount_amount: 0 },
+            {
+                item_name: 'Breakfast Set', quantity: 1, unit_price: 45000, subtotal: 45000, discount_amount: 0,
+                components: [{ name: 'Croissant', quantity: 1 }, { name: 'Orange Juice', quantity: 1 }]
+            }
+        ],
+        subtotal: 125000,
+        discount_amount: 7500,
+        tax_amount: taxIncluded ? 11644.14 : 12925,
+        total_amount: taxIncluded ? 117500 : 130425,
+        payments: [
+            { method_name: 'Cash', amount: 100000 },
+            { method_name: 'QRIS', reference_number: 'QR8812', amount: taxIncluded ? 17500 : 30425 }
+        ],
+        change_amount: 0
+    };
+}
+
+/**
+ * Bytes as hex, 16 a line
+ */
+function hex(bytes) {
+    const lines = [];
+    for (let i = 0; i < bytes.length; i += 16) {
+        lines.push(Array.from(bytes.subarray(i, i + 16), b => b.toString(16).padStart(2, '0')).join(' '));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Compare bytes with a stored snapshot (or write it with UPDATE_SNAPSHOTS=1)
+ */
+function matchSnapshot(bytes, name) {
+    const file = path.join(SNAPSHOT_DIR, `${name}.hex`);
+    if (process.env.UPDATE_SNAPSHOTS === '1' || !fs.existsSync(file)) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, hex(bytes));
+        return;
+    }
+    assert.equal(hex(bytes), fs.readFileSync(file, 'utf8'), `ESC/POS bytes differ from snapshots/${name}.hex`);
+}
+
+/**
+ * Index of a byte sequence in bytes, or -1
+ */
+function indexOf(bytes, sequence) {
+    for (let i = 0; i + sequence.length <= bytes.length; i++) {
+        if (sequence.every((b, j) => bytes[i + j] === b)) return i;
+    }
+    return -1;
+}
+
+for (const width of Receipt.WIDTHS) {
+    test(`escpos ${width}mm receipt with tax added`, () => {
+        const bytes = Receipt.escpos(Receipt.build(sampleSale(), store, { width }));
+        matchSnapshot(bytes, `receipt-${width}mm-tax-added`);
+    });
+}
+
+test('escpos receipt with tax included in the prices', () => {
+    const doc = Receipt.build(sampleSale({ taxIncluded: true }), store, { width: 58 });
+    assert.equal(doc.taxIncluded, true);
+    matchSnapshot(Receipt.escpos(doc), 'receipt-58mm-tax-included');
+});
+
+test('escpos receipt opening the cash drawer', () => {
+    const bytes = Receipt.escpos(Receipt.build(sampleSale(), store, { width: 80 }), { drawer: true });
+    matchSnapshot(bytes, 'receipt-80mm-drawer');
+});
+
+test('escpos starts with initialise and ends with feed and cut; the drawer pulses only when asked', () => {
+    const doc = Receipt.build(sampleSale(), store, { width: 80 });
+    const plain = Receipt.escpos(doc);
+    const drawer = Receipt.escpos(doc, { drawer: true });
+
+    assert.deepEqual(Array.from(plain.subarray(0, 2)), [ESC, 0x40]);
+    assert.deepEqual(Array.from(plain.subarray(-6)), [ESC, 0x64, 4, ...CUT]);
+    assert.equal(indexOf(plain, DRAWER), -1);
+    assert.deepEqual(Array.from(drawer.subarray(-11)), [ESC, 0x64, 4, ...DRAWER, ...CUT]);
+});
+
+test('escpos prints the transaction number as a Code 128 barcode', () => {
+    const bytes = Receipt.escpos(Receipt.build(sampleSale(), store, { width: 58 }));
+    const data = Array.from('{BHQ-INV-260118-0042', char => char.charCodeAt(0));
+    assert.notEqual(indexOf(bytes, [GS, 0x6b, 73, data.length, ...data]), -1);
+});
+
+test('code128 adds the start, check and stop symbols', () => {
+    // Wikipedia in code set B: start 104, the letters, check symbol 88, stop
+    const widths = Receipt.code128('Wikipedia');
+    assert.equal(widths.length, 11 * 6 + 7);
+    assert.equal(widths.slice(0, 6).join(''), Receipt.CODE128[104]);
+    assert.equal(widths.slice(-13, -7).join(''), Receipt.CODE128[88]);
+    assert.equal(widths.slice(-7).join(''), Receipt.CODE128[106]);
+    assert.equal(Receipt.code128('Sold in Bogotá'), null);
+});
+
+test('html receipts carry the barcode as inline SVG', () => {
+    const html = Receipt.html(Receipt.build(sampleSale(), store, { width: 80 }));
+    assert.match(html, /<svg class="barcode"[^>]*>(<rect [^>]+\/>)+<\/svg>/);
+});
+
+test('escpos rows fit the paper width', () => {
+    for (const width of Receipt.WIDTHS) {
+        const rows = Receipt.layout(Receipt.build(sampleSale(), store, { width }));
+        assert.ok(rows.every(row => row.text.length <= Receipt.COLUMNS[width]), `a row is wider than ${width}mm paper`);
+    }
+});
@@ -0,0 +1,86 @@
+/**
+ * Scale labels - reading in-store EAN-13 labels and checking their settings (frontend/js/scale.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scale } = require('../src/utils/shared');
+
+/**
+ * A label from its first 12 digits, with the right check digit
+ */
+function label(digits) {
+    return digits + Scale.checkDigit(digits);
+}
+
+test('check digits follow EAN-13', () => {
+    assert.equal(Scale.checkDigit('400638133393'), 1);
+    assert.equal(label('200123400250'), '2001234002509');
+});
+
+test('a weight prefix gives the PLU and the weight in kg', () => {
+    assert.deepEqual(Scale.parse(label('200123400250')), { code: '2001234002509', kind: 'weight', plu: '1234', value: 0.25 });
+    assert.equal(Scale.parse(label('240000701500')).value, 1.5);
+});
+
+test('a price prefix gives the PLU and the price', () => {
+    const parsed = Scale.parse(label('250004215000'));
+
+    assert.equal(parsed.kind, 'price');
+    assert.equal(parsed.plu, '42');
+    assert.equal(parsed.value, 15000);
+});
+
+test('codes that are not scale labels are not read as one', () => {
+    const good = label('200123400250');
+    const badCheck = good.slice(0, 12) + ((Number(good[12]) + 1) % 10);
+
+    assert.equal(Scale.parse(badCheck), null);
+    assert.equal(Scale.parse(label('899123400250')), null); // not a 2x prefix
+    assert.equal(Scale.parse(label('200123400000')), null); // nothing weighed
+    assert.equal(Scale.parse('20012340025'), null);
+    assert.equal(Scale.parse('20012340025A8'), null);
+    assert.equal(Scale.parse(good, { enabled: false }), null);
+    assert.equal(Scale.parse(good, { weight_prefixes: ['21'] }), null);
+});
+
+test('custom PLU and value lengths and decimals', () => {
+    const settings = { plu_length: 4, value_length: 6, weight_decimals: 2, price_decimals: 2 };
+
+    assert.deepEqual(Scale.parse(label('210777012500'), settings), { code: label('210777012500'), kind: 'weight', plu: '777', value: 125 });
+    assert.equal(Scale.parse(label('260777123456'), settings).value, 1234.56);
+});
+
+test('a price check digit between the PLU and the value is skipped', () => {
+    // 25 PPPPP X VVVV C: five PLU digits, a price check digit, four price digits
+    const parsed = Scale.parse(label('250004271500'), { value_length: 4 });
+
+    assert.equal(parsed.plu, '42');
+    assert.equal(parsed.value, 1500);
+});
+
+test('settings fill in defaults and drop unknown prefixes', () => {
+    assert.deepEqual(Scale.settings(), Scale.DEFAULTS);
+    assert.deepEqual(Scale.settings({ weight_prefixes: ['20', 21, '21', '30'] }).weight_prefixes, ['20', '21']);
+    assert.equal(Scale.settings({ plu_length: '' }).plu_length, 5);
+});
+
+test('validate refuses prefixes set to carry both a weight and a price', () => {
+    assert.deepEqual(Scale.validate({ ...Scale.DEFAULTS }), []);
+    assert.deepEqual(
+        Scale.validate({ ...Scale.DEFAULTS, weight_prefixes: ['20', '21', '25'], price_prefixes: ['25', '26', '21'] }),
+        ['Prefixes cannot carry both a weight and a price: 21, 25']
+    );
+    assert.deepEqual(Scale.validate({ ...Scale.DEFAULTS, weight_prefixes: ['20', '30'] }), ['weight_prefixes must be a list of prefixes from 20 to 29']);
+});
+
+test('validate keeps the PLU and the value inside the label', () => {
+    assert.deepEqual(Scale.validate({ ...Scale.DEFAULTS, plu_length: 6, value_length: 5 }), [
+        'plu_length and value_length together cannot exceed 10 digits'
+    ]);
+    assert.deepEqual(Scale.validate({ ...Scale.DEFAULTS, plu_length: 0, value_length: 9, weight_decimals: 4 }), [
+        'plu_length must be a whole number from 1 to 8',
+        'value_length must be a whole number from 2 to 8',
+        'weight_decimals must be a whole number from 0 to 3'
+    ]);
+});
@@ -0,0 +1,48 @@
+/**
+ * Tax - rates, inclusive and exclusive prices and rounding (frontend/js/tax.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Tax } = require('../src/utils/shared');
+
+test('settings fall back to the defaults', () => {
+    assert.deepEqual(Tax.settings(), { default_rate: 0, rounding: 'line' });
+    assert.deepEqual(Tax.settings(null), { default_rate: 0, rounding: 'line' });
+    assert.deepEqual(Tax.settings({ default_rate: '11', rounding: 'invoice' }), { default_rate: 11, rounding: 'invoice' });
+    assert.deepEqual(Tax.settings({ default_rate: 11, rounding: 'weekly' }), { default_rate: 11, rounding: 'line' });
+});
+
+test('items without a rate of their own take the branch default', () => {
+    const settings = Tax.settings({ default_rate: 11 });
+
+    assert.equal(Tax.rateFor(null, settings), 11);
+    assert.equal(Tax.rateFor(undefined, settings), 11);
+    assert.equal(Tax.rateFor('', settings), 11);
+    assert.equal(Tax.rateFor(0, settings), 0);
+    assert.equal(Tax.rateFor('5', settings), 5);
+});
+
+test('tax is added on top of exclusive prices and found inside inclusive ones', () => {
+    assert.equal(Tax.portion(10000, 11, false), 1100);
+    assert.equal(Tax.round(Tax.portion(11100, 11, true)), 1100);
+    assert.equal(Tax.portion(10000, 0, false), 0);
+    assert.equal(Tax.portion(10000, 0, true), 0);
+});
+
+test('line rounding rounds each line; invoice rounding puts the difference on the line with the most tax', () => {
+    const lines = [100, 100, 200].map(amount => ({ amount, rate: 12, inclusive: true }));
+
+    // 10.714..., 10.714..., 21.428... come to 42.857... in all
+    assert.deepEqual(Tax.compute(lines, Tax.settings({ rounding: 'line' })), [10.71, 10.71, 21.43]);
+    assert.deepEqual(Tax.compute(lines, Tax.settings({ rounding: 'invoice' })), [10.71, 10.71, 21.44]);
+    assert.deepEqual(Tax.compute([], Tax.settings({ rounding: 'invoice' })), []);
+});
+
+test('validate reports bad rates and rounding modes', () => {
+    assert.deepEqual(Tax.validate({ default_rate: 11, rounding: 'invoice' }), []);
+    assert.deepEqual(Tax.validate({ default_rate: 101, rounding: 'cent' }), [
+        'default_rate must be between 0 and 100',
+        'rounding must be one of: line, invoice'
+    ]);
+});
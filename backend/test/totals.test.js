@@ -0,0 +1,115 @@
+/**
+ * Totals - the cart arithmetic the POS shows and the API posts (frontend/js/totals.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Totals } = require('../src/utils/shared');
+
+const TAX = { default_rate: 11, rounding: 'line' };
+
+/**
+ * Sum of a line field, rounded like money
+ */
+function sum(lines, key) {
+    return Totals.round(lines.reduce((total, line) => total + line[key], 0));
+}
+
+test('exclusive prices get tax added on top', () => {
+    const totals = Totals.calculate([{ unit_price: 10000, quantity: 2, tax_rate: 11 }], { tax: TAX });
+
+    assert.equal(totals.subtotal, 20000);
+    assert.equal(totals.tax, 2200);
+    assert.equal(totals.taxIncluded, 0);
+    assert.equal(totals.total, 22200);
+});
+
+test('inclusive prices already hold their tax', () => {
+    const totals = Totals.calculate([{ unit_price: 11100, quantity: 1, tax_rate: 11, is_tax_inclusive: true }], { tax: TAX });
+
+    assert.equal(totals.tax, 1100);
+    assert.equal(totals.taxIncluded, 1100);
+    assert.equal(totals.total, 11100);
+});
+
+test('exempt customers pay no tax; the tax inside inclusive prices is taken off as exempted', () => {
+    const totals = Totals.calculate([
+        { unit_price: 11100, quantity: 1, tax_rate: 11, is_tax_inclusive: true },
+        { unit_price: 10000, quantity: 1, tax_rate: 11 }
+    ], { tax: TAX, taxExempt: true });
+
+    assert.deepEqual(totals.lines.map(l => [l.tax, l.exempted, l.total]), [[0, 1100, 10000], [0, 0, 10000]]);
+    assert.equal(totals.tax, 0);
+    assert.equal(totals.taxExempted, 1100);
+    assert.equal(totals.total, 20000);
+});
+
+test('lines without a rate of their own use the branch default rate', () => {
+    const totals = Totals.calculate([
+        { unit_price: 10000, quantity: 1, tax_rate: null },
+        { unit_price: 10000, quantity: 1, tax_rate: 0 },
+        { unit_price: 10000, quantity: 1, tax_rate: 5 }
+    ], { tax: TAX });
+
+    assert.deepEqual(totals.lines.map(l => l.tax), [1100, 0, 500]);
+    assert.equal(Totals.calculate([{ unit_price: 10000, quantity: 1 }]).tax, 0);
+});
+
+test('the branch rounding mode decides where tax rounding goes', () => {
+    const lines = [100, 100, 200].map(price => ({ unit_price: price, quantity: 1, tax_rate: 12, is_tax_inclusive: true }));
+    const byLine = Totals.calculate(lines, { tax: { default_rate: 0, rounding: 'line' } });
+    const byInvoice = Totals.calculate(lines, { tax: { default_rate: 0, rounding: 'invoice' } });
+
+    assert.deepEqual(byLine.lines.map(l => l.tax), [10.71, 10.71, 21.43]);
+    assert.equal(byLine.tax, 42.85);
+    assert.deepEqual(byInvoice.lines.map(l => l.tax), [10.71, 10.71, 21.44]);
+    assert.equal(byInvoice.tax, 42.86);
+    assert.equal(byInvoice.taxRounding, 'invoice');
+    // Inclusive prices keep their totals whatever the rounding
+    assert.equal(byLine.total, 400);
+    assert.equal(byInvoice.total, 400);
+});
+
+test('the cart discount and the points redemption are shared out to the cent', () => {
+    const totals = Totals.calculate([
+        { unit_price: 10000, quantity: 1, tax_rate: 11 },
+        { unit_price: 6666.67, quantity: 3, tax_rate: 11, discount_type: 'percent', discount_value: 5 },
+        { unit_price: 3333, quantity: 1, tax_rate: 11, promotion_discount: 333 },
+        { unit_price: 50000, quantity: 1, tax_rate: 0, no_discount: true }
+    ], { tax: TAX, cartDiscount: { type: 'percent', value: 7 }, redemption: 1234.56 });
+
+    assert.equal(sum(totals.lines, 'cartShare'), totals.cartDiscount);
+    assert.equal(sum(totals.lines, 'redeemShare'), totals.redemption);
+    assert.equal(totals.redemption, 1234.56);
+    // The gift card load takes no part in either
+    assert.equal(totals.lines[3].cartShare, 0);
+    assert.equal(totals.lines[3].redeemShare, 0);
+    assert.equal(totals.lines[3].total, 50000);
+
+    assert.equal(sum(totals.lines, 'totalDiscount'), totals.discount);
+    assert.equal(totals.discount, Totals.round(totals.promotion + totals.lineDiscount + totals.cartDiscount + totals.redemption));
+    totals.lines.forEach((line) => { assert.equal(Totals.round(line.gross - line.totalDiscount), line.taxable); });
+    assert.equal(sum(totals.lines, 'tax'), totals.tax);
+    assert.equal(sum(totals.lines, 'total'), totals.total);
+    assert.equal(totals.total, Totals.round(totals.subtotal - totals.discount + totals.tax));
+});
+
+test('a redemption is never more than what the discounts leave', () => {
+    const totals = Totals.calculate([{ unit_price: 10000, quantity: 1 }], {
+        cartDiscount: { type: 'fixed', value: 4000 },
+        redemption: 8000
+    });
+
+    assert.equal(totals.cartDiscount, 4000);
+    assert.equal(totals.redemption, 6000);
+    assert.equal(totals.total, 0);
+});
+
+test('discounts below the minimum price are flagged; promotions and redemptions are not', () => {
+    const line = { unit_price: 25000, quantity: 2, min_price: 20000 };
+
+    assert.equal(Totals.calculate([{ ...line, discount_type: 'percent', discount_value: 10 }]).lines[0].belowMinPrice, false);
+    assert.equal(Totals.calculate([{ ...line, discount_type: 'percent', discount_value: 30 }]).lines[0].belowMinPrice, true);
+    assert.equal(Totals.calculate([line], { cartDiscount: { type: 'fixed', value: 12000 } }).lines[0].belowMinPrice, true);
+    assert.equal(Totals.calculate([{ ...line, promotion_discount: 20000 }], { redemption: 5000 }).lines[0].belowMinPrice, false);
+});
@@ -15,7 +15,7 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 -- ============================================================================
 
 -- Item types
-CREATE TYPE item_type AS ENUM ('product', 'service', 'bundle');
+CREATE TYPE item_type AS ENUM ('product', 'service', 'bundle', 'gift_card');
 
 -- Transaction statuses
 CREATE TYPE transaction_status AS ENUM ('draft', 'pending', 'completed', 'cancelled', 'refunded');
@@ -57,12 +57,25 @@ CREATE TABLE branches (
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Document number counters (per branch, document type and reset period)
+-- Templates live in branches.settings.numbering; the backend increments these rows
+-- inside the transaction that stores the document, so numbers are gap-free.
+CREATE TABLE document_sequences (
+    branch_id UUID NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL, -- 'transaction', 'hold', 'work_order', 'session', 'journal', 'expense', ...
+    period_key VARCHAR(10) NOT NULL, -- '2026-01-18' (daily), '2026-01' (monthly), '2026' (yearly), 'all' (never)
+    last_value INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (branch_id, document_type, period_key)
+);
+
 -- Roles
 CREATE TABLE roles (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(50) NOT NULL UNIQUE,
     description TEXT,
     is_system BOOLEAN DEFAULT FALSE,
+    max_discount_percent DECIMAL(5,2) DEFAULT 0, -- POS discount cap without manager approval (pos.discount.max lifts it)
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -96,6 +109,8 @@ CREATE TABLE users (
     phone VARCHAR(20),
     avatar_url TEXT,
     pin_code VARCHAR(10), -- For quick POS login
+    password_hash TEXT, -- pgcrypto crypt() hash, for logins handled by the backend
+    preferences JSONB DEFAULT '{}', -- The user's own POS settings, e.g. { keymap: { action: key } }
     is_active BOOLEAN DEFAULT TRUE,
     last_login_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
@@ -146,6 +161,7 @@ CREATE TABLE items (
     type item_type NOT NULL DEFAULT 'product',
     sku VARCHAR(50) UNIQUE,
     barcode VARCHAR(50) UNIQUE,
+    plu VARCHAR(8) UNIQUE, -- Code on in-store scale labels (weighed goods), see branches.settings.scale
     name VARCHAR(200) NOT NULL,
     description TEXT,
     image_url TEXT,
@@ -156,7 +172,7 @@ CREATE TABLE items (
     min_price DECIMAL(15,2), -- Minimum allowed selling price
     
     -- Tax
-    tax_rate DECIMAL(5,2) DEFAULT 0,
+    tax_rate DECIMAL(5,2), -- NULL = branch default rate (branches.settings.tax), 0 = not taxed
     is_tax_inclusive BOOLEAN DEFAULT FALSE,
     
     -- Inventory settings (for products)
@@ -235,6 +251,59 @@ CREATE TABLE price_list_items (
     UNIQUE(price_list_id, item_id, variant_id, min_qty)
 );
 
+-- Promotions: applied to the POS cart automatically (see js/promotions.js for the rules of each type)
+CREATE TABLE promotions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    branch_id UUID REFERENCES branches(id) ON DELETE CASCADE, -- NULL = every branch
+    code VARCHAR(30) UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    promo_type VARCHAR(20) NOT NULL CHECK (promo_type IN ('buy_x_get_y', 'bundle_price', 'percent_off', 'spend_threshold')),
+    rules JSONB NOT NULL DEFAULT '{}',
+    customer_group_ids UUID[], -- NULL or empty = every customer, walk-ins included
+    valid_from TIMESTAMPTZ,
+    valid_until TIMESTAMPTZ,
+    days_of_week SMALLINT[], -- 0 = Sunday; NULL = every day
+    start_time TIME, -- Daily hours (e.g. happy hour); a window past midnight wraps
+    end_time TIME,
+    priority INTEGER DEFAULT 0, -- Breaks ties between equally good combinations
+    requires_coupon BOOLEAN DEFAULT FALSE, -- Only applies when a code of one of its coupons is entered
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Coupons: campaigns whose codes, entered at the POS, unlock a coupon-only promotion.
+-- A campaign has a shared code (printed, sent on WhatsApp) and/or batches of single-use codes.
+CREATE TABLE coupons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    promotion_id UUID NOT NULL REFERENCES promotions(id), -- What the coupon gives, on which items
+    code VARCHAR(30) UNIQUE, -- Shared code; NULL = only its generated codes
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    valid_from TIMESTAMPTZ,
+    valid_until TIMESTAMPTZ,
+    min_spend DECIMAL(15,2) DEFAULT 0, -- What the promotion's items must come to
+    max_uses INTEGER, -- Redemptions over all codes and customers (NULL = unlimited)
+    max_uses_per_customer INTEGER, -- NULL = unlimited; a cap needs a customer on the sale
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Coupon Codes: single-use codes generated in batches for a coupon
+CREATE TABLE coupon_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    code VARCHAR(30) NOT NULL UNIQUE,
+    batch INTEGER NOT NULL, -- 1, 2, ... per coupon
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ============================================================================
 -- INVENTORY TABLES
 -- ============================================================================
@@ -402,6 +471,7 @@ CREATE TABLE customers (
     -- Business info
     company_name VARCHAR(200),
     tax_id VARCHAR(50),
+    is_tax_exempt BOOLEAN DEFAULT FALSE,
     
     -- Credit
     credit_limit DECIMAL(15,2) DEFAULT 0,
@@ -425,13 +495,49 @@ CREATE TABLE payment_methods (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     code VARCHAR(20) NOT NULL UNIQUE,
     name VARCHAR(50) NOT NULL,
-    type VARCHAR(20) NOT NULL, -- 'cash', 'card', 'transfer', 'ewallet', 'credit'
+    type VARCHAR(20) NOT NULL, -- 'cash', 'card', 'transfer', 'ewallet', 'credit', 'points', 'gift_card'
     is_active BOOLEAN DEFAULT TRUE,
     settings JSONB DEFAULT '{}',
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Gift Cards (and prepaid vouchers): loaded by 'gift_card' sale lines, spent as the gift card tender.
+-- The balance is owed to the holder (a liability) until spent or expired.
+CREATE TABLE gift_cards (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    card_number VARCHAR(30) NOT NULL UNIQUE, -- As scanned, without spaces or dashes
+    branch_id UUID REFERENCES branches(id), -- Where it was issued
+    customer_id UUID REFERENCES customers(id), -- Who bought it, if known
+
+    balance DECIMAL(15,2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- 'active', 'inactive', 'expired'
+    expires_at TIMESTAMPTZ, -- Set by the latest load (NULL = never)
+
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Gift Card Movements (every change to gift_cards.balance, and status changes)
+CREATE TABLE gift_card_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    gift_card_id UUID NOT NULL REFERENCES gift_cards(id),
+    branch_id UUID REFERENCES branches(id),
+
+    movement_type VARCHAR(20) NOT NULL, -- 'issue', 'top_up', 'redeem', 'refund', 'void', 'expire', 'deactivate', 'activate'
+    amount DECIMAL(15,2) NOT NULL, -- Signed change to the balance
+    balance_after DECIMAL(15,2) NOT NULL,
+
+    reference_type VARCHAR(50), -- 'transaction'
+    reference_id UUID,
+
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT clock_timestamp() -- Movements of one document keep their order
+);
+
 -- Transactions (Sales, Returns)
 CREATE TABLE transactions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -469,6 +575,11 @@ CREATE TABLE transactions (
     created_by UUID REFERENCES users(id),
     cashier_id UUID REFERENCES users(id),
     
+    -- Void (status 'cancelled')
+    voided_at TIMESTAMPTZ,
+    voided_by UUID REFERENCES users(id),
+    void_reason TEXT,
+    
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     completed_at TIMESTAMPTZ
@@ -498,6 +609,16 @@ CREATE TABLE transaction_items (
     subtotal DECIMAL(15,2) NOT NULL,
     total DECIMAL(15,2) NOT NULL,
     
+    -- Returns: the sold line this one gives back, and whether the goods went back into stock
+    return_of_item_id UUID REFERENCES transaction_items(id),
+    restock BOOLEAN,
+    
+    -- Bundles: what one unit contained when sold [{item_id, variant_id, name, quantity, cost_price, stocked}]
+    components JSONB,
+    
+    -- Promotions that took part of discount_amount [{promotion_id, name, amount}]
+    promotions JSONB,
+    
     notes TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -510,6 +631,7 @@ CREATE TABLE payments (
     
     amount DECIMAL(15,2) NOT NULL,
     reference_number VARCHAR(100), -- Card approval, transfer ref, etc.
+    gift_card_id UUID REFERENCES gift_cards(id), -- The card a gift card tender was paid from (or refunded to)
     
     notes TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW()
@@ -680,6 +802,7 @@ CREATE TABLE cash_sessions (
     expected_amount DECIMAL(15,2) DEFAULT 0,
     actual_amount DECIMAL(15,2),
     difference DECIMAL(15,2), -- Over/Short
+    closing_count JSONB, -- Pieces per denomination counted at close: { "100000": 3, ... }
     
     status VARCHAR(20) DEFAULT 'open', -- 'open', 'closed'
     
@@ -710,6 +833,67 @@ CREATE TABLE cash_movements (
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Customer Account Ledger (every change to customers.current_balance)
+CREATE TABLE customer_ledger (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES customers(id),
+    branch_id UUID REFERENCES branches(id),
+
+    entry_type VARCHAR(20) NOT NULL, -- 'charge', 'payment', 'credit', 'void'
+    amount DECIMAL(15,2) NOT NULL, -- Signed change to the balance: positive = customer owes more
+    balance_after DECIMAL(15,2) NOT NULL,
+
+    reference_type VARCHAR(50), -- 'transaction'
+    reference_id UUID,
+    payment_method_id UUID REFERENCES payment_methods(id), -- How an account payment was made
+    reference_number VARCHAR(100),
+    cash_session_id UUID REFERENCES cash_sessions(id),
+
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Loyalty Points Ledger (every change to customers.loyalty_points)
+CREATE TABLE loyalty_ledger (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES customers(id),
+    branch_id UUID REFERENCES branches(id),
+
+    entry_type VARCHAR(20) NOT NULL, -- 'earn', 'redeem', 'reverse', 'refund', 'void', 'expire'
+    points INTEGER NOT NULL, -- Signed change to the balance
+    balance_after INTEGER NOT NULL,
+    remaining INTEGER NOT NULL DEFAULT 0, -- Points of a positive entry not yet used up (oldest go first)
+    expires_at TIMESTAMPTZ, -- When the remaining points lapse (NULL = never)
+
+    reference_type VARCHAR(50), -- 'transaction'
+    reference_id UUID,
+
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT clock_timestamp() -- Entries of one document keep their order
+);
+
+-- Coupon Redemptions: a code used on a sale. A void or a full return reverses it, so it no
+-- longer counts towards the coupon's caps (and a single-use code can be used again).
+CREATE TABLE coupon_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    coupon_id UUID NOT NULL REFERENCES coupons(id),
+    coupon_code_id UUID REFERENCES coupon_codes(id), -- NULL for the shared code
+    code VARCHAR(30) NOT NULL, -- As entered, normalized
+    transaction_id UUID NOT NULL REFERENCES transactions(id),
+    customer_id UUID REFERENCES customers(id),
+    branch_id UUID REFERENCES branches(id),
+    amount DECIMAL(15,2) NOT NULL, -- What the coupon's promotion took off the sale
+
+    status VARCHAR(20) NOT NULL DEFAULT 'redeemed', -- 'redeemed', 'reversed'
+    reversed_by UUID REFERENCES transactions(id), -- The voided sale itself, or the return that brought it all back
+    reversed_at TIMESTAMPTZ,
+
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Chart of Accounts
 CREATE TABLE accounts (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -838,6 +1022,26 @@ CREATE TABLE activity_logs (
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Manager Approvals (one-time overrides for restricted POS actions)
+CREATE TABLE approvals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    branch_id UUID REFERENCES branches(id),
+
+    action VARCHAR(50) NOT NULL, -- 'discount', 'void', 'refund', 'price_override', 'delete_line', 'credit_limit'
+    scope JSONB DEFAULT '{}', -- what the approval covers, e.g. {"transaction_id": "..."}
+    reason TEXT NOT NULL,
+
+    requested_by UUID NOT NULL REFERENCES users(id),
+    approved_by UUID NOT NULL REFERENCES users(id),
+
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    reference_type VARCHAR(50),
+    reference_id UUID,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ============================================================================
 -- INDEXES
 -- ============================================================================
@@ -860,6 +1064,9 @@ CREATE INDEX idx_items_name ON items USING gin(to_tsvector('english', name));
 CREATE INDEX idx_item_variants_item ON item_variants(item_id);
 CREATE INDEX idx_item_variants_barcode ON item_variants(barcode);
 CREATE INDEX idx_bundle_items_bundle ON bundle_items(bundle_id);
+CREATE INDEX idx_promotions_branch ON promotions(branch_id) WHERE is_active = TRUE;
+CREATE INDEX idx_coupons_promotion ON coupons(promotion_id);
+CREATE INDEX idx_coupon_codes_coupon ON coupon_codes(coupon_id, batch);
 
 -- Inventory indexes
 CREATE INDEX idx_warehouses_branch ON warehouses(branch_id);
@@ -877,6 +1084,22 @@ CREATE INDEX idx_customers_group ON customers(group_id);
 CREATE INDEX idx_customers_email ON customers(email);
 CREATE INDEX idx_customers_phone ON customers(phone);
 CREATE INDEX idx_customers_name ON customers USING gin(to_tsvector('english', name));
+CREATE INDEX idx_customer_ledger_customer ON customer_ledger(customer_id, created_at);
+CREATE INDEX idx_customer_ledger_reference ON customer_ledger(reference_type, reference_id);
+CREATE INDEX idx_loyalty_ledger_customer ON loyalty_ledger(customer_id, created_at);
+CREATE INDEX idx_loyalty_ledger_reference ON loyalty_ledger(reference_type, reference_id);
+CREATE INDEX idx_loyalty_ledger_expiry ON loyalty_ledger(expires_at) WHERE remaining > 0;
+
+-- Gift card indexes
+CREATE INDEX idx_gift_cards_expiry ON gift_cards(expires_at) WHERE status <> 'expired';
+CREATE INDEX idx_gift_card_movements_card ON gift_card_movements(gift_card_id, created_at);
+CREATE INDEX idx_gift_card_movements_reference ON gift_card_movements(reference_type, reference_id);
+
+-- Coupon indexes
+CREATE INDEX idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id, customer_id) WHERE status = 'redeemed';
+CREATE INDEX idx_coupon_redemptions_code ON coupon_redemptions(coupon_code_id) WHERE status = 'redeemed';
+CREATE INDEX idx_coupon_redemptions_transaction ON coupon_redemptions(transaction_id);
+CREATE INDEX idx_coupon_redemptions_reversed ON coupon_redemptions(reversed_by);
 
 -- Transaction indexes
 CREATE INDEX idx_transactions_branch ON transactions(branch_id);
@@ -885,8 +1108,10 @@ CREATE INDEX idx_transactions_date ON transactions(transaction_date);
 CREATE INDEX idx_transactions_status ON transactions(status);
 CREATE INDEX idx_transactions_number ON transactions(transaction_number);
 CREATE INDEX idx_transactions_cash_session ON transactions(cash_session_id);
+CREATE INDEX idx_transactions_reference ON transactions(reference_id);
 CREATE INDEX idx_transaction_items_transaction ON transaction_items(transaction_id);
 CREATE INDEX idx_transaction_items_item ON transaction_items(item_id);
+CREATE INDEX idx_transaction_items_return_of ON transaction_items(return_of_item_id);
 CREATE INDEX idx_payments_transaction ON payments(transaction_id);
 CREATE INDEX idx_payments_method ON payments(payment_method_id);
 
@@ -918,6 +1143,8 @@ CREATE INDEX idx_activity_logs_user ON activity_logs(user_id);
 CREATE INDEX idx_activity_logs_action ON activity_logs(action);
 CREATE INDEX idx_activity_logs_entity ON activity_logs(entity_type, entity_id);
 CREATE INDEX idx_activity_logs_created ON activity_logs(created_at);
+CREATE INDEX idx_approvals_requested ON approvals(requested_by, created_at);
+CREATE INDEX idx_approvals_approved ON approvals(approved_by, created_at);
 
 -- ============================================================================
 -- TRIGGER FUNCTIONS
@@ -983,6 +1210,9 @@ CREATE TRIGGER set_updated_at_customers BEFORE UPDATE ON customers FOR EACH ROW
 CREATE TRIGGER set_updated_at_transactions BEFORE UPDATE ON transactions FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 CREATE TRIGGER set_updated_at_work_orders BEFORE UPDATE ON work_orders FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 CREATE TRIGGER set_updated_at_cash_sessions BEFORE UPDATE ON cash_sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+CREATE TRIGGER set_updated_at_gift_cards BEFORE UPDATE ON gift_cards FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+CREATE TRIGGER set_updated_at_promotions BEFORE UPDATE ON promotions FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+CREATE TRIGGER set_updated_at_coupons BEFORE UPDATE ON coupons FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
 -- Audit triggers (on important tables)
 CREATE TRIGGER audit_transactions AFTER INSERT OR UPDATE OR DELETE ON transactions FOR EACH ROW EXECUTE FUNCTION audit_trigger_func();
@@ -999,6 +1229,7 @@ CREATE TRIGGER audit_journal_entries AFTER INSERT OR UPDATE OR DELETE ON journal
 
 -- Enable RLS on all tables
 ALTER TABLE branches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_sequences ENABLE ROW LEVEL SECURITY;
 ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE permissions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
@@ -1011,6 +1242,9 @@ ALTER TABLE item_variants ENABLE ROW LEVEL SECURITY;
 ALTER TABLE bundle_items ENABLE ROW LEVEL SECURITY;
 ALTER TABLE price_lists ENABLE ROW LEVEL SECURITY;
 ALTER TABLE price_list_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coupons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coupon_codes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE warehouses ENABLE ROW LEVEL SECURITY;
 ALTER TABLE inventory ENABLE ROW LEVEL SECURITY;
 ALTER TABLE stock_movements ENABLE ROW LEVEL SECURITY;
@@ -1021,6 +1255,8 @@ ALTER TABLE stock_adjustment_items ENABLE ROW LEVEL SECURITY;
 ALTER TABLE customer_groups ENABLE ROW LEVEL SECURITY;
 ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payment_methods ENABLE ROW LEVEL SECURITY;
+ALTER TABLE gift_cards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE gift_card_movements ENABLE ROW LEVEL SECURITY;
 ALTER TABLE transactions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE transaction_items ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
@@ -1032,12 +1268,22 @@ ALTER TABLE work_order_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE cash_registers ENABLE ROW LEVEL SECURITY;
 ALTER TABLE cash_sessions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE cash_movements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE customer_ledger ENABLE ROW LEVEL SECURITY;
+ALTER TABLE loyalty_ledger ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coupon_redemptions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE accounts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE journal_entries ENABLE ROW LEVEL SECURITY;
 ALTER TABLE journal_lines ENABLE ROW LEVEL SECURITY;
 ALTER TABLE expenses ENABLE ROW LEVEL SECURITY;
 ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE activity_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE approvals ENABLE ROW LEVEL SECURITY;
+
+-- Supabase-only policies: they reference the auth schema, so skip them on plain PostgreSQL
+-- (local development). The backend connects as the table owner, which bypasses RLS.
+DO $policies$
+BEGIN
+IF EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = 'auth') THEN
 
 -- Service role bypass (for backend/admin)
 -- These policies allow service_role full access
@@ -1083,18 +1329,22 @@ FOR SELECT USING (
     branch_id IN (SELECT branch_id FROM users WHERE auth_id = auth.uid())
 );
 
+END IF;
+END
+$policies$;
+
 -- ============================================================================
 -- SEED DATA
 -- ============================================================================
 
 -- Default roles
-INSERT INTO roles (name, description, is_system) VALUES
-('Super Admin', 'Full system access', TRUE),
-('Branch Manager', 'Full access to branch operations', TRUE),
-('Cashier', 'POS and basic operations', TRUE),
-('Inventory Staff', 'Inventory management', TRUE),
-('Technician', 'Work order management', TRUE),
-('Accountant', 'Financial operations', TRUE);
+INSERT INTO roles (name, description, is_system, max_discount_percent) VALUES
+('Super Admin', 'Full system access', TRUE, 100),
+('Branch Manager', 'Full access to branch operations', TRUE, 100),
+('Cashier', 'POS and basic operations', TRUE, 10),
+('Inventory Staff', 'Inventory management', TRUE, 0),
+('Technician', 'Work order management', TRUE, 0),
+('Accountant', 'Financial operations', TRUE, 0);
 
 -- Default permissions
 INSERT INTO permissions (code, name, module) VALUES
@@ -1120,6 +1370,8 @@ INSERT INTO permissions (code, name, module) VALUES
 ('item.delete', 'Delete Items', 'item'),
 ('item.price.view', 'View Cost Prices', 'item'),
 ('item.price.update', 'Update Prices', 'item'),
+('promotion.view', 'View Promotions', 'promotion'),
+('promotion.manage', 'Manage Promotions', 'promotion'),
 
 -- Inventory
 ('inventory.view', 'View Inventory', 'inventory'),
@@ -1138,6 +1390,9 @@ INSERT INTO permissions (code, name, module) VALUES
 ('pos.discount.max', 'Apply Max Discount', 'pos'),
 ('pos.refund', 'Process Refunds', 'pos'),
 ('pos.void', 'Void Transactions', 'pos'),
+('pos.price.override', 'Sell Below Minimum Price', 'pos'),
+('pos.credit.override', 'Charge Accounts Above Credit Limit', 'pos'),
+('pos.gift_card.manage', 'Deactivate Gift Cards', 'pos'),
 ('pos.hold', 'Hold Transactions', 'pos'),
 ('pos.open.drawer', 'Open Cash Drawer', 'pos'),
 
@@ -1159,10 +1414,45 @@ INSERT INTO permissions (code, name, module) VALUES
 ('report.financial', 'Financial Reports', 'report'),
 ('report.export', 'Export Reports', 'report'),
 
+-- Expenses
+('expense.view', 'View Expenses', 'expense'),
+('expense.create', 'Record Expenses', 'expense'),
+
 -- Settings
 ('settings.view', 'View Settings', 'settings'),
 ('settings.update', 'Update Settings', 'settings');
 
+-- Default role permissions (the backend also treats Super Admin as holding every permission)
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'Super Admin'
+   OR (r.name = 'Branch Manager' AND p.code NOT IN ('branch.create', 'branch.delete'));
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM (VALUES
+    ('Cashier', ARRAY[
+        'dashboard.view', 'item.view', 'inventory.view', 'customer.view', 'customer.create', 'customer.update',
+        'pos.access', 'pos.discount', 'pos.hold', 'pos.open.drawer', 'workorder.view', 'workorder.create',
+        'cash.session.open', 'cash.session.close', 'cash.movement'
+    ]),
+    ('Inventory Staff', ARRAY[
+        'dashboard.view', 'item.view', 'item.create', 'item.update', 'item.price.view',
+        'inventory.view', 'inventory.adjust', 'inventory.transfer', 'report.inventory'
+    ]),
+    ('Technician', ARRAY[
+        'dashboard.view', 'item.view', 'customer.view', 'customer.create',
+        'workorder.view', 'workorder.create', 'workorder.update'
+    ]),
+    ('Accountant', ARRAY[
+        'dashboard.view', 'item.view', 'item.price.view', 'inventory.view', 'customer.view',
+        'promotion.view', 'cash.view.all', 'report.sales', 'report.inventory', 'report.financial', 'report.export',
+        'expense.view', 'expense.create', 'settings.view'
+    ])
+) AS grants(role_name, codes)
+JOIN roles r ON r.name = grants.role_name
+JOIN permissions p ON p.code = ANY(grants.codes);
+
 -- Default units
 INSERT INTO units (code, name) VALUES
 ('pcs', 'Pieces'),
@@ -1188,7 +1478,9 @@ INSERT INTO payment_methods (code, name, type) VALUES
 ('gopay', 'GoPay', 'ewallet'),
 ('ovo', 'OVO', 'ewallet'),
 ('dana', 'DANA', 'ewallet'),
-('store_credit', 'Store Credit', 'credit');
+('store_credit', 'Customer Account', 'credit'),
+('loyalty_points', 'Loyalty Points', 'points'),
+('gift_card', 'Gift Card', 'gift_card');
 
 -- Default chart of accounts
 INSERT INTO accounts (code, name, type, is_system) VALUES
@@ -1203,6 +1495,7 @@ INSERT INTO accounts (code, name, type, is_system) VALUES
 ('2000', 'Liabilities', 'liability', TRUE),
 ('2100', 'Accounts Payable', 'liability', TRUE),
 ('2200', 'Tax Payable', 'liability', TRUE),
+('2300', 'Gift Card Liability', 'liability', TRUE),
 
 -- Equity
 ('3000', 'Equity', 'equity', TRUE),
@@ -1212,6 +1505,10 @@ INSERT INTO accounts (code, name, type, is_system) VALUES
 -- Revenue
 ('4000', 'Revenue', 'revenue', TRUE),
 ('4100', 'Sales Revenue', 'revenue', TRUE),
+('4150', 'Sales Discounts', 'revenue', TRUE),
+('4160', 'Sales Returns', 'revenue', TRUE),
+('4170', 'Loyalty Redemptions', 'revenue', TRUE),
+('4180', 'Gift Card Breakage', 'revenue', TRUE),
 ('4200', 'Service Revenue', 'revenue', TRUE),
 ('4900', 'Other Revenue', 'revenue', TRUE),
 
@@ -1374,7 +1671,7 @@ SELECT
     SUM(CASE WHEN t.transaction_type = 'return' THEN 1 ELSE 0 END) AS returns_count,
     SUM(CASE WHEN t.transaction_type = 'sale' THEN t.total_amount ELSE 0 END) AS gross_sales,
     SUM(CASE WHEN t.transaction_type = 'return' THEN t.total_amount ELSE 0 END) AS total_returns,
-    SUM(CASE WHEN t.transaction_type = 'sale' THEN t.total_amount ELSE -t.total_amount END) AS net_sales,
+    SUM(CASE WHEN t.transaction_type = 'return' THEN -t.total_amount ELSE t.total_amount END) AS net_sales,
     SUM(t.discount_amount) AS total_discounts,
     SUM(t.tax_amount) AS total_tax
 FROM transactions t
@@ -66,7 +66,11 @@ const API = {
                         return this.request(endpoint, { ...options, retry: false });
                     }
                 }
-                throw new Error(data.error?.message || 'Request failed');
+                const error = new Error(data.error?.message || 'Request failed');
+                error.status = response.status;
+                error.code = data.error?.code;
+                error.details = data.error?.details;
+                throw error;
             }
 
             return data;
@@ -143,6 +147,17 @@ const API = {
             return API.request('/auth/me');
         },
 
+        async updatePreferences(changes) {
+            return API.request('/auth/me/preferences', { method: 'PUT', body: changes });
+        },
+
+        async approve(pin, action, reason, scope = {}) {
+            return API.request('/auth/approvals', {
+                method: 'POST',
+                body: { pin_code: pin, action, reason, scope }
+            });
+        },
+
         getStoredUser() {
             const user = localStorage.getItem('pos_user');
             return user ? JSON.parse(user) : null;
@@ -163,6 +178,10 @@ const API = {
             return API.request(`/products/${id}`);
         },
 
+        async pricing(customerId = null) {
+            return API.request(`/products/pricing${customerId ? `?customer_id=${customerId}` : ''}`);
+        },
+
         async getByBarcode(barcode) {
             return API.request(`/products/barcode/${barcode}`);
         },
@@ -179,6 +198,26 @@ const API = {
             return API.request(`/products/${id}`, { method: 'DELETE' });
         },
 
+        async setComponents(id, components) {
+            return API.request(`/products/${id}/components`, { method: 'PUT', body: { components } });
+        },
+
+        async getVariants(id) {
+            return API.request(`/products/${id}/variants`);
+        },
+
+        async createVariant(id, data) {
+            return API.request(`/products/${id}/variants`, { method: 'POST', body: data });
+        },
+
+        async updateVariant(id, variantId, data) {
+            return API.request(`/products/${id}/variants/${variantId}`, { method: 'PUT', body: data });
+        },
+
+        async deleteVariant(id, variantId) {
+            return API.request(`/products/${id}/variants/${variantId}`, { method: 'DELETE' });
+        },
+
         async getCategories() {
             return API.request('/products/meta/categories');
         },
@@ -229,13 +268,29 @@ const API = {
             return API.request('/transactions', { method: 'POST', body: data });
         },
 
-        async void(id, reason) {
+        async void(id, reason, approvalTokens = []) {
             return API.request(`/transactions/${id}/void`, {
                 method: 'POST',
-                body: { reason }
+                body: { reason, approval_tokens: approvalTokens }
             });
         },
 
+        async receipt(id) {
+            return API.request(`/transactions/${id}/receipt`);
+        },
+
+        async reprint(id) {
+            return API.request(`/transactions/${id}/reprint`, { method: 'POST' });
+        },
+
+        async lookup(number) {
+            return API.request(`/transactions/lookup/${encodeURIComponent(number)}`);
+        },
+
+        async return(id, data) {
+            return API.request(`/transactions/${id}/return`, { method: 'POST', body: data });
+        },
+
         async addPayment(id, payment) {
             return API.request(`/transactions/${id}/payments`, {
                 method: 'POST',
@@ -255,6 +310,10 @@ const API = {
             return API.request('/transactions/holds');
         },
 
+        async resumeHold(id) {
+            return API.request(`/transactions/holds/${id}/resume`, { method: 'POST' });
+        },
+
         async releaseHold(id) {
             return API.request(`/transactions/holds/${id}`, { method: 'DELETE' });
         }
@@ -288,6 +347,114 @@ const API = {
 
         async getGroups() {
             return API.request('/customers/meta/groups');
+        },
+
+        async getLoyalty(id) {
+            return API.request(`/customers/${id}/loyalty`);
+        },
+
+        async getLedger(id, params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return API.request(`/customers/${id}/ledger${query ? '?' + query : ''}`);
+        },
+
+        async receivePayment(id, data) {
+            return API.request(`/customers/${id}/payments`, { method: 'POST', body: data });
+        }
+    },
+
+    // =========================================================================
+    // GIFT CARDS
+    // =========================================================================
+
+    giftCards: {
+        async list(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return API.request(`/gift-cards${query ? '?' + query : ''}`);
+        },
+
+        async lookup(number) {
+            return API.request(`/gift-cards/number/${encodeURIComponent(number)}`);
+        },
+
+        async get(id) {
+            return API.request(`/gift-cards/${id}`);
+        },
+
+        async setStatus(id, data) {
+            return API.request(`/gift-cards/${id}/status`, { method: 'PUT', body: data });
+        }
+    },
+
+    // =========================================================================
+    // PROMOTIONS
+    // =========================================================================
+
+    promotions: {
+        async active() {
+            return API.request('/promotions/active');
+        },
+
+        async list(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return API.request(`/promotions${query ? '?' + query : ''}`);
+        },
+
+        async get(id) {
+            return API.request(`/promotions/${id}`);
+        },
+
+        async create(data) {
+            return API.request('/promotions', { method: 'POST', body: data });
+        },
+
+        async update(id, data) {
+            return API.request(`/promotions/${id}`, { method: 'PUT', body: data });
+        },
+
+        async delete(id) {
+            return API.request(`/promotions/${id}`, { method: 'DELETE' });
+        }
+    },
+
+    // =========================================================================
+    // COUPONS
+    // =========================================================================
+
+    coupons: {
+        async check(code, customerId) {
+            const query = customerId ? `?customer_id=${customerId}` : '';
+            return API.request(`/coupons/check/${encodeURIComponent(code)}${query}`);
+        },
+
+        async list(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return API.request(`/coupons${query ? '?' + query : ''}`);
+        },
+
+        async get(id) {
+            return API.request(`/coupons/${id}`);
+        },
+
+        async create(data) {
+            return API.request('/coupons', { method: 'POST', body: data });
+        },
+
+        async update(id, data) {
+            return API.request(`/coupons/${id}`, { method: 'PUT', body: data });
+        },
+
+        async delete(id) {
+            return API.request(`/coupons/${id}`, { method: 'DELETE' });
+        },
+
+        async codes(id, params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return API.request(`/coupons/${id}/codes${query ? '?' + query : ''}`);
+        },
+
+        async generateCodes(id, data) {
+            return API.request(`/coupons/${id}/codes`, { method: 'POST', body: data });
         }
     },
 
@@ -320,6 +487,13 @@ const API = {
             });
         },
 
+        async cancel(id, reason) {
+            return API.request(`/work-orders/${id}`, {
+                method: 'DELETE',
+                body: { reason }
+            });
+        },
+
         async addItem(id, item) {
             return API.request(`/work-orders/${id}/items`, {
                 method: 'POST',
@@ -350,6 +524,10 @@ const API = {
             return API.request('/cash/sessions/current');
         },
 
+        async getSessionReport(id) {
+            return API.request(`/cash/sessions/${id}/report`);
+        },
+
         async openSession(registerId, openingAmount) {
             return API.request('/cash/sessions/open', {
                 method: 'POST',
@@ -357,10 +535,10 @@ const API = {
             });
         },
 
-        async closeSession(id, actualAmount, notes) {
+        async closeSession(id, data) {
             return API.request(`/cash/sessions/${id}/close`, {
                 method: 'POST',
-                body: { actual_amount: actualAmount, notes }
+                body: data
             });
         },
 
@@ -372,6 +550,50 @@ const API = {
         }
     },
 
+    // =========================================================================
+    // EXPENSES
+    // =========================================================================
+
+    expenses: {
+        async list(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return API.request(`/expenses${query ? '?' + query : ''}`);
+        },
+
+        async create(data) {
+            return API.request('/expenses', {
+                method: 'POST',
+                body: data
+            });
+        }
+    },
+
+    // =========================================================================
+    // ACCOUNTING
+    // =========================================================================
+
+    accounting: {
+        async accounts() {
+            return API.request('/accounting/accounts');
+        },
+
+        async journals(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return API.request(`/accounting/journals${query ? '?' + query : ''}`);
+        },
+
+        async getMapping() {
+            return API.request('/accounting/mapping');
+        },
+
+        async updateMapping(mapping) {
+            return API.request('/accounting/mapping', {
+                method: 'PUT',
+                body: mapping
+            });
+        }
+    },
+
     // =========================================================================
     // REPORTS
     // =========================================================================
@@ -385,6 +607,10 @@ const API = {
             return API.request(`/reports/sales/by-item?start_date=${startDate}&end_date=${endDate}`);
         },
 
+        async salesByPromotion(startDate, endDate) {
+            return API.request(`/reports/sales/by-promotion?start_date=${startDate}&end_date=${endDate}`);
+        },
+
         async workOrdersSummary(startDate, endDate) {
             return API.request(`/reports/work-orders/summary?start_date=${startDate}&end_date=${endDate}`);
         },
@@ -392,6 +618,89 @@ const API = {
         async inventoryValuation() {
             return API.request('/reports/inventory/valuation');
         }
+    },
+
+    // =========================================================================
+    // SETTINGS
+    // =========================================================================
+
+    settings: {
+        async getNumbering() {
+            return API.request('/settings/numbering');
+        },
+
+        async updateNumbering(changes) {
+            return API.request('/settings/numbering', {
+                method: 'PUT',
+                body: changes
+            });
+        },
+
+        async getTax() {
+            return API.request('/settings/tax');
+        },
+
+        async updateTax(changes) {
+            return API.request('/settings/tax', {
+                method: 'PUT',
+                body: changes
+            });
+        },
+
+        async getScale() {
+            return API.request('/settings/scale');
+        },
+
+        async updateScale(changes) {
+            return API.request('/settings/scale', {
+                method: 'PUT',
+                body: changes
+            });
+        },
+
+        async getDisplay() {
+            return API.request('/settings/display');
+        },
+
+        async updateDisplay(changes) {
+            return API.request('/settings/display', {
+                method: 'PUT',
+                body: changes
+            });
+        },
+
+        async getLoyalty() {
+            return API.request('/settings/loyalty');
+        },
+
+        async updateLoyalty(changes) {
+            return API.request('/settings/loyalty', {
+                method: 'PUT',
+                body: changes
+            });
+        },
+
+        async getGiftCards() {
+            return API.request('/settings/gift-cards');
+        },
+
+        async updateGiftCards(changes) {
+            return API.request('/settings/gift-cards', {
+                method: 'PUT',
+                body: changes
+            });
+        },
+
+        async getReceipt() {
+            return API.request('/settings/receipt');
+        },
+
+        async updateReceipt(changes) {
+            return API.request('/settings/receipt', {
+                method: 'PUT',
+                body: changes
+            });
+        }
     }
 };
 
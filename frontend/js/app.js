@@ -5,6 +5,16 @@
 const App = {
     currentScreen: 'pos',
 
+    // Permission each screen needs (mirrors the API's route guards)
+    screenPermissions: {
+        pos: 'pos.access',
+        transactions: 'pos.access',
+        products: 'item.view',
+        customers: 'customer.view',
+        workorders: 'workorder.view',
+        reports: 'report.sales'
+    },
+
     /**
      * Initialize application
      */
@@ -15,6 +25,7 @@ const App = {
         const isAuthenticated = Auth.init();
 
         // Initialize all modules
+        await Transactions.init();
         await Products.init();
         await Customers.init();
         await WorkOrders.init();
@@ -46,34 +57,19 @@ const App = {
             }
         });
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            // F1 - POS
-            if (e.key === 'F1') {
-                e.preventDefault();
-                this.navigateTo('pos');
-            }
-            // F2 - Products
-            if (e.key === 'F2') {
-                e.preventDefault();
-                this.navigateTo('products');
-            }
-            // F3 - Customers
-            if (e.key === 'F3') {
-                e.preventDefault();
-                this.navigateTo('customers');
-            }
-            // Escape - Close modal
-            if (e.key === 'Escape') {
-                Utils.closeModal();
-            }
-        });
+        // Keyboard shortcuts (the user's keymap, see Keyboard)
+        Keyboard.init();
     },
 
     /**
      * Navigate to screen
      */
     async navigateTo(screen) {
+        if (!this.canAccess(screen)) {
+            Utils.toast('You do not have access to this screen', 'warning');
+            return;
+        }
+
         // Update nav
         document.querySelectorAll('.nav-item').forEach(item => {
             item.classList.toggle('active', item.dataset.screen === screen);
@@ -96,6 +92,9 @@ const App = {
                 await POS.init();
                 setTimeout(() => Utils.$('product-search')?.focus(), 100);
                 break;
+            case 'transactions':
+                await Transactions.load();
+                break;
             case 'products':
                 await Products.load();
                 break;
@@ -113,18 +112,46 @@ const App = {
         this.currentScreen = screen;
     },
 
+    /**
+     * Check whether the current user may open a screen
+     */
+    canAccess(screen) {
+        const permission = this.screenPermissions[screen];
+        return !permission || Auth.hasPermission(permission);
+    },
+
+    /**
+     * Hide navigation and actions the current user is not allowed to use
+     */
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(el => {
+            const permissions = el.dataset.permission.split(' ');
+            el.classList.toggle('hidden', !Auth.hasAnyPermission(...permissions));
+        });
+    },
+
     /**
      * Show main app
      */
-    showMainApp() {
+    async showMainApp() {
         Utils.$('login-screen').classList.remove('active');
         Utils.$('main-app').classList.remove('hidden');
 
+        // Pick up role changes made since the stored login
+        await Auth.refreshProfile();
+
         // Update user info
         Auth.updateUserUI();
+        this.applyPermissions();
+        Keyboard.load();
 
-        // Navigate to POS
-        this.navigateTo('pos');
+        // Navigate to POS, or the first screen the user can open
+        const screen = Object.keys(this.screenPermissions).find(s => this.canAccess(s));
+        if (screen) {
+            this.navigateTo(screen);
+        } else {
+            Utils.toast('Your account has no screens assigned', 'warning');
+        }
     },
 
     /**
@@ -139,6 +139,19 @@ const Auth = {
         }
     },
 
+    /**
+     * Reload the profile so role and permission changes apply without a new login
+     */
+    async refreshProfile() {
+        try {
+            const result = await API.auth.getProfile();
+            this.user = result.data;
+            localStorage.setItem('pos_user', JSON.stringify(this.user));
+        } catch (error) {
+            console.warn('Could not refresh profile:', error.message);
+        }
+    },
+
     /**
      * Update UI with user info
      */
@@ -157,6 +170,13 @@ const Auth = {
         if (!this.user) return false;
         if (this.user.roles?.includes('Super Admin')) return true;
         return this.user.permissions?.includes(permission);
+    },
+
+    /**
+     * Check that the user has at least one of the permissions
+     */
+    hasAnyPermission(...permissions) {
+        return permissions.some(permission => this.hasPermission(permission));
     }
 };
 
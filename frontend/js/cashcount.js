@@ -0,0 +1,55 @@
+/**
+ * Cash Count Module - Drawer counts by denomination, shared by the POS and the API
+ *
+ * A count is { denomination: pieces }, e.g. { 100000: 3, 50000: 1 }. The close-shift wizard builds
+ * it and the API recomputes the counted amount from it and keeps it on the session (closing_count).
+ */
+
+const CashCount = {
+    // Rupiah notes and coins in circulation, largest first (1.000 exists as both; count them together)
+    DENOMINATIONS: [100000, 50000, 20000, 10000, 5000, 2000, 1000, 500, 200, 100],
+
+    // Denominations issued as coins
+    COINS: [1000, 500, 200, 100],
+
+    /**
+     * Amount of a count
+     */
+    total(count = {}) {
+        return this.DENOMINATIONS.reduce((sum, value) => sum + value * (Number(count[value]) || 0), 0);
+    },
+
+    /**
+     * The count with only the denominations present, largest first
+     */
+    clean(count = {}) {
+        const cleaned = {};
+        this.DENOMINATIONS.forEach((value) => {
+            const pieces = Number(count[value]) || 0;
+            if (pieces > 0) cleaned[value] = pieces;
+        });
+        return cleaned;
+    },
+
+    /**
+     * Problems with a count (empty when valid)
+     */
+    validate(count) {
+        if (typeof count !== 'object' || count === null || Array.isArray(count)) {
+            return ['denominations must be an object of denomination: pieces'];
+        }
+        const errors = [];
+        Object.entries(count).forEach(([value, pieces]) => {
+            if (!this.DENOMINATIONS.includes(Number(value))) errors.push(`Unknown denomination: ${value}`);
+            else if (!(Number.isInteger(Number(pieces)) && Number(pieces) >= 0)) errors.push(`Pieces of ${value} must be a whole number`);
+        });
+        return errors;
+    }
+};
+
+// Browser global for the POS, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CashCount;
+} else {
+    window.CashCount = CashCount;
+}
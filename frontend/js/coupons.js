@@ -0,0 +1,99 @@
+/**
+ * Coupons Module - Coupon codes and their spend rule, shared by the POS and the API
+ *
+ * A coupon (coupons table) unlocks a promotion marked requires_coupon when one of its codes is
+ * entered: its shared code (printed, sent on WhatsApp) or a single-use code from a generated batch.
+ * The promotion says what comes off and on which items; the coupon says when it can be used, how
+ * often, and the least the promotion's items must come to (min_spend).
+ */
+
+// Which lines a promotion covers: a global in the browser (js/promotions.js loads first), required under Node
+const CouponPromotions = typeof Promotions !== 'undefined' ? Promotions : require('./promotions.js');
+
+const Coupons = {
+    // Characters of generated codes - no 0/O or 1/I to misread on paper
+    ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+
+    // Random characters after the prefix of a generated code
+    CODE_LENGTH: 8,
+
+    // Most codes generated in one batch
+    MAX_BATCH: 1000,
+
+    /**
+     * A code as stored: no spaces or dashes, upper case
+     */
+    normalize(code) {
+        return String(code ?? '').replace(/[\s-]/g, '').toUpperCase();
+    },
+
+    /**
+     * Why a code cannot be used (null when it can)
+     */
+    codeProblem(code) {
+        return /^[A-Z0-9]{4,30}$/.test(this.normalize(code)) ? null : 'Coupon codes are 4 to 30 letters and digits';
+    },
+
+    /**
+     * What the cart lines a coupon's promotion covers come to before discounts.
+     * lines: [{ item_id, category_id, unit_price, quantity, no_discount }] as for Promotions.evaluate
+     */
+    eligibleSpend(promotion, lines) {
+        return lines.reduce((sum, line) => (CouponPromotions.covers(promotion, line)
+            ? Math.round((sum + Number(line.unit_price) * Number(line.quantity)) * 100) / 100
+            : sum), 0);
+    },
+
+    /**
+     * Why a coupon cannot be used on a cart (null when it can)
+     */
+    spendProblem(coupon, promotion, lines) {
+        const spent = this.eligibleSpend(promotion, lines);
+        if (!(spent > 0)) return `Coupon ${coupon.name} does not cover anything in the cart`;
+        const min = Number(coupon.min_spend) || 0;
+        if (spent < min) return `Coupon ${coupon.name} needs ${min} spent on its items (${spent} so far)`;
+        return null;
+    },
+
+    /**
+     * Problems with a coupon payload (empty when valid)
+     */
+    validate(raw = {}) {
+        const errors = [];
+        if (raw.code !== undefined && raw.code !== null && raw.code !== '') {
+            const problem = this.codeProblem(raw.code);
+            if (problem) errors.push(problem);
+        }
+        if (raw.min_spend !== undefined && raw.min_spend !== null && !(Number(raw.min_spend) >= 0)) {
+            errors.push('min_spend must be 0 or more');
+        }
+        ['max_uses', 'max_uses_per_customer'].forEach((key) => {
+            if (raw[key] !== undefined && raw[key] !== null && !(Number.isInteger(Number(raw[key])) && Number(raw[key]) >= 1)) {
+                errors.push(`${key} must be a whole number of 1 or more`);
+            }
+        });
+        ['valid_from', 'valid_until'].forEach((key) => {
+            if (raw[key] && Number.isNaN(new Date(raw[key]).getTime())) errors.push(`${key} must be a date`);
+        });
+        return errors;
+    },
+
+    /**
+     * Problems with a request to generate a batch of codes (empty when valid)
+     */
+    batchProblems({ count, prefix = '' } = {}) {
+        const errors = [];
+        if (!(Number.isInteger(Number(count)) && Number(count) >= 1 && Number(count) <= this.MAX_BATCH)) {
+            errors.push(`count must be a whole number from 1 to ${this.MAX_BATCH}`);
+        }
+        if (!/^[A-Z0-9]{0,10}$/.test(this.normalize(prefix))) errors.push('prefix must be up to 10 letters and digits');
+        return errors;
+    }
+};
+
+// Browser global for the POS, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Coupons;
+} else {
+    window.Coupons = Coupons;
+}
@@ -0,0 +1,202 @@
+/**
+ * Customer Display Module - The customer-facing window opened from the POS (display.html)
+ *
+ * Shows what the POS broadcasts on the Display channel: the cart lines and totals, the payment with
+ * the method's QR, then the change. With an empty cart it rotates the branch's promo images. It never
+ * calls the server, and the POS works the same whether this window is open or not.
+ */
+
+const CustomerDisplay = {
+    root: null,
+    channel: null,
+    settings: Display.settings(),
+    state: null,
+    done: null,
+    mode: null,
+    promoIndex: 0,
+    promoTimer: null,
+    doneTimer: null,
+
+    // How long the thank-you screen stays when no next sale starts
+    DONE_SECONDS: 20,
+
+    /**
+     * Join the channel and ask the POS for its settings and cart
+     */
+    init() {
+        this.root = Utils.$('display-root');
+        if (!('BroadcastChannel' in window)) {
+            this.root.innerHTML = '<div class="display-idle"><h1 class="display-welcome">This browser cannot run the customer display</h1></div>';
+            return;
+        }
+        this.channel = new BroadcastChannel(Display.CHANNEL);
+        this.channel.onmessage = e => this.receive(e.data || {});
+        this.channel.postMessage({ type: 'hello' });
+        this.render();
+    },
+
+    /**
+     * Handle a message from the POS window
+     */
+    receive(message) {
+        switch (message.type) {
+            case 'config':
+                this.settings = Display.settings(message.settings || {});
+                this.promoIndex = 0;
+                this.render();
+                break;
+            case 'state':
+                this.state = message.state || null;
+                // A finished sale stays on screen until the next one starts (or the timer runs out)
+                if (this.state?.done) this.showDone(this.state.done);
+                else if (this.hasSale()) this.done = null;
+                this.render();
+                break;
+            case 'bye':
+                this.state = null;
+                this.render();
+                break;
+            default:
+                break;
+        }
+    },
+
+    /**
+     * Whether the POS has a sale (or return) in progress
+     */
+    hasSale() {
+        return !!this.state && (this.state.lines.length > 0 || this.state.returned > 0);
+    },
+
+    /**
+     * Keep the thank-you screen for DONE_SECONDS
+     */
+    showDone(done) {
+        this.done = done;
+        clearTimeout(this.doneTimer);
+        this.doneTimer = setTimeout(() => {
+            this.done = null;
+            this.render();
+        }, this.DONE_SECONDS * 1000);
+    },
+
+    /**
+     * Show the screen for the current state: the sale, the thank-you or the promos
+     */
+    render() {
+        const mode = this.hasSale() ? 'sale' : (this.done ? 'done' : 'idle');
+        if (mode !== 'idle') {
+            clearTimeout(this.promoTimer);
+            this.promoTimer = null;
+        }
+        this.mode = mode;
+
+        if (mode === 'sale') this.renderSale(this.state);
+        else if (mode === 'done') this.renderDone(this.done);
+        else this.renderIdle();
+    },
+
+    /**
+     * Welcome text over the current promo image; the next image comes after rotate_seconds
+     */
+    renderIdle() {
+        const images = this.settings.promo_images;
+        const image = images.length ? images[this.promoIndex % images.length] : null;
+        this.root.innerHTML = `
+      <div class="display-idle">
+        ${image ? `<img class="display-promo" src="${image}" alt="">` : ''}
+        <h1 class="display-welcome">${this.settings.welcome_text}</h1>
+      </div>
+    `;
+
+        if (images.length > 1 && !this.promoTimer) {
+            this.promoTimer = setTimeout(() => {
+                this.promoTimer = null;
+                this.promoIndex = (this.promoIndex + 1) % images.length;
+                if (this.mode === 'idle') this.renderIdle();
+            }, this.settings.rotate_seconds * 1000);
+        }
+    },
+
+    /**
+     * Cart lines with totals, and the payment once the cashier takes it
+     */
+    renderSale(state) {
+        const row = (label, value, cls = '') => `
+        <div class="display-row ${cls}">
+          <span>${label}</span>
+          <span>${value}</span>
+        </div>`;
+
+        const lines = state.lines.map(line => `
+        <div class="display-line">
+          <div class="display-line-name">${line.name}</div>
+          <div class="display-line-qty">
+            ${line.quantity}${line.unit ? ` ${line.unit}` : ''} × ${Utils.formatCurrency(line.price)}
+            ${line.price < line.catalog_price ? `<s>${Utils.formatCurrency(line.catalog_price)}</s>` : ''}
+            ${line.discount > 0 ? `<span class="display-line-discount">− ${Utils.formatCurrency(line.discount)}</span>` : ''}
+            ${line.promotions?.length ? `<span class="display-line-discount">${line.promotions.join(', ')}</span>` : ''}
+          </div>
+          <div class="display-line-total">${Utils.formatCurrency(line.net)}</div>
+        </div>
+      `).join('');
+
+        this.root.innerHTML = `
+      <div class="display-sale">
+        <div class="display-lines" id="display-lines">${lines}</div>
+        <aside class="display-summary">
+          ${state.customer ? `<div class="display-customer">${state.customer}</div>` : ''}
+          ${row('Subtotal', Utils.formatCurrency(state.subtotal))}
+          ${state.discount > 0 ? row('Discount', `− ${Utils.formatCurrency(state.discount)}`) : ''}
+          ${state.tax > 0 ? row(state.taxIncluded === state.tax ? 'Tax (included)' : 'Tax', Utils.formatCurrency(state.tax)) : ''}
+          ${state.returned > 0 ? row('Returned', `− ${Utils.formatCurrency(state.returned)}`) : ''}
+          ${row('Total', Utils.formatCurrency(state.payment ? state.payment.total : state.total), 'display-total')}
+          ${state.payment ? this.paymentHtml(state.payment, row) : ''}
+        </aside>
+      </div>
+    `;
+
+        // The newest line is the one the customer watches for
+        const list = Utils.$('display-lines');
+        list.scrollTop = list.scrollHeight;
+    },
+
+    /**
+     * Paid so far, what is left or the change, and the QR to scan for a QR payment method
+     */
+    paymentHtml(payment, row) {
+        return `
+        <div class="display-payment">
+          ${payment.paid > 0 ? row('Paid', Utils.formatCurrency(payment.paid)) : ''}
+          ${payment.change > 0
+        ? row('Change', Utils.formatCurrency(payment.change), 'display-due')
+        : row('Remaining', Utils.formatCurrency(payment.remaining), 'display-due')}
+          ${payment.qr ? `
+          <div class="display-qr">
+            <img src="${payment.qr.image}" alt="Payment QR">
+            <div>Scan to pay <strong>${Utils.formatCurrency(payment.qr.amount)}</strong> with ${payment.method}</div>
+          </div>` : ''}
+        </div>
+      `;
+    },
+
+    /**
+     * Thank-you with the change (or refund) due
+     */
+    renderDone(done) {
+        this.root.innerHTML = `
+      <div class="display-idle">
+        <h1 class="display-welcome">Thank you!</h1>
+        ${done.amount > 0 ? `
+        <div class="display-done-due">
+          <span>${done.label}</span>
+          <span>${Utils.formatCurrency(done.amount)}</span>
+        </div>` : ''}
+      </div>
+    `;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => CustomerDisplay.init());
+
+window.CustomerDisplay = CustomerDisplay;
@@ -31,6 +31,10 @@ const Customers = {
         Utils.delegate('customers-tbody', '.btn-delete', 'click', function () {
             Customers.deleteCustomer(this.dataset.id);
         });
+
+        Utils.delegate('customers-tbody', '.btn-account', 'click', function () {
+            Customers.showAccount(this.dataset.id);
+        });
     },
 
     async loadCustomers() {
@@ -56,7 +60,7 @@ const Customers = {
         const tbody = Utils.$('customers-tbody');
 
         if (customers.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; padding: 40px; color: var(--text-muted);">No customers found</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 40px; color: var(--text-muted);">No customers found</td></tr>';
             return;
         }
 
@@ -66,9 +70,11 @@ const Customers = {
         <td>${c.phone || '-'}</td>
         <td>${c.email || '-'}</td>
         <td>${c.total_orders || 0}</td>
+        <td>${Utils.formatCurrency(Number(c.current_balance) || 0)}</td>
         <td class="actions">
-          <button class="btn btn-sm btn-secondary btn-edit" data-id="${c.id}">Edit</button>
-          <button class="btn btn-sm btn-danger btn-delete" data-id="${c.id}">Delete</button>
+          <button class="btn btn-sm btn-secondary btn-account" data-id="${c.id}">Account</button>
+          ${Auth.hasPermission('customer.update') ? `<button class="btn btn-sm btn-secondary btn-edit" data-id="${c.id}">Edit</button>` : ''}
+          ${Auth.hasPermission('customer.delete') ? `<button class="btn btn-sm btn-danger btn-delete" data-id="${c.id}">Delete</button>` : ''}
         </td>
       </tr>
     `).join('');
@@ -114,12 +120,19 @@ const Customers = {
               <input type="email" id="customer-email" value="${customer?.email || ''}">
             </div>
           </div>
-          <div class="form-group">
-            <label>Group</label>
-            <select id="customer-group" class="select-input">
-              <option value="">Select Group</option>
-              ${groupsOptions}
-            </select>
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+            <div class="form-group">
+              <label>Group</label>
+              <select id="customer-group" class="select-input">
+                <option value="">Select Group</option>
+                ${groupsOptions}
+              </select>
+            </div>
+            ${Auth.hasPermission('pos.credit.override') ? `
+            <div class="form-group">
+              <label>Credit Limit</label>
+              <input type="number" id="customer-credit-limit" min="0" step="10000" value="${Number(customer?.credit_limit) || 0}">
+            </div>` : ''}
           </div>
           <div class="form-group">
             <label>Address</label>
@@ -129,6 +142,10 @@ const Customers = {
             <label>Notes</label>
             <textarea id="customer-notes" rows="2">${customer?.notes || ''}</textarea>
           </div>
+          ${Auth.hasPermission('settings.update') ? `
+          <div class="form-group">
+            <label><input type="checkbox" id="customer-tax-exempt" ${customer?.is_tax_exempt ? 'checked' : ''}> Tax exempt</label>
+          </div>` : ''}
         </form>
       </div>
       <div class="modal-footer">
@@ -147,8 +164,10 @@ const Customers = {
             phone: Utils.$('customer-phone').value || undefined,
             email: Utils.$('customer-email').value || undefined,
             group_id: Utils.$('customer-group').value || undefined,
+            credit_limit: Utils.$('customer-credit-limit') ? Number(Utils.$('customer-credit-limit').value) || 0 : undefined,
             address: Utils.$('customer-address').value || undefined,
-            notes: Utils.$('customer-notes').value || undefined
+            notes: Utils.$('customer-notes').value || undefined,
+            is_tax_exempt: Utils.$('customer-tax-exempt')?.checked
         };
 
         if (!data.name) {
@@ -178,6 +197,123 @@ const Customers = {
         }
     },
 
+    /**
+     * Account balance, credit limit and ledger, with payments received on account
+     */
+    async showAccount(id) {
+        let result;
+        try {
+            result = await API.customers.getLedger(id, { limit: 100 });
+        } catch (error) {
+            Utils.toast(error.message || 'Failed to load account', 'error');
+            return;
+        }
+        const { customer, entries } = result.data;
+        const balance = Number(customer.current_balance);
+        const limit = Number(customer.credit_limit) || 0;
+        const typeNames = { charge: 'Charge', payment: 'Payment', credit: 'Store credit', void: 'Void' };
+
+        const rows = entries.map(e => `
+          <tr>
+            <td>${Utils.formatDate(e.created_at, 'short')} ${Utils.formatDate(e.created_at, 'time')}</td>
+            <td>${typeNames[e.entry_type] || e.entry_type}</td>
+            <td>${e.transaction_number || e.payment_method_name || '-'}${e.reference_number ? ` <small>#${e.reference_number}</small>` : ''}${e.notes && !e.transaction_number ? `<div class="account-ledger-note">${e.notes}</div>` : ''}</td>
+            <td class="${Number(e.amount) < 0 ? 'account-ledger-credit' : ''}">${Utils.formatCurrency(Number(e.amount))}</td>
+            <td>${Utils.formatCurrency(Number(e.balance_after))}</td>
+            <td>${e.created_by_name || '-'}</td>
+          </tr>
+        `).join('');
+
+        const content = `
+      <div class="modal-header">
+        <h2>${customer.name} - Account</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="account-summary">
+          <div><span>${balance < 0 ? 'Store credit' : 'Owes'}</span><strong>${Utils.formatCurrency(Math.abs(balance))}</strong></div>
+          <div><span>Credit limit</span><strong>${Utils.formatCurrency(limit)}</strong></div>
+          <div><span>Available</span><strong>${Utils.formatCurrency(Math.max(0, limit - balance))}</strong></div>
+        </div>
+        <table class="data-table account-ledger">
+          <thead>
+            <tr><th>Date</th><th>Entry</th><th>Reference</th><th>Amount</th><th>Balance</th><th>By</th></tr>
+          </thead>
+          <tbody>${rows || '<tr><td colspan="6" style="text-align: center; color: var(--text-muted);">No account activity</td></tr>'}</tbody>
+        </table>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="Utils.closeModal()">Close</button>
+        ${Auth.hasPermission('pos.access') ? '<button class="btn btn-primary" id="account-payment-btn">Receive Payment</button>' : ''}
+      </div>
+    `;
+
+        Utils.showModal(content, { width: '760px' });
+        Utils.on('account-payment-btn', 'click', () => this.showPaymentForm(customer));
+    },
+
+    /**
+     * Take money against the account balance into the open shift's drawer
+     */
+    showPaymentForm(customer) {
+        if (!Shift.requireOpen()) return;
+        const methods = (POS.paymentMethods || []).filter(m => !['credit', 'points', 'gift_card'].includes(m.type));
+        const balance = Number(customer.current_balance);
+
+        const content = `
+      <div class="modal-header">
+        <h2>Receive Payment - ${customer.name}</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label>Payment Method</label>
+          <select id="account-payment-method" class="select-input">
+            ${methods.map(m => `<option value="${m.id}">${m.name}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Amount</label>
+          <input type="number" id="account-payment-amount" min="0" step="1000" value="${Math.max(0, balance)}">
+        </div>
+        <div class="form-group">
+          <label>Reference No.</label>
+          <input type="text" id="account-payment-reference" placeholder="Transfer / card slip ref">
+        </div>
+        <div class="form-group">
+          <label>Notes</label>
+          <input type="text" id="account-payment-notes">
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" id="account-payment-cancel">Back</button>
+        <button class="btn btn-primary" id="account-payment-save">Receive</button>
+      </div>
+    `;
+
+        Utils.showModal(content, { width: '420px' });
+        Utils.on('account-payment-cancel', 'click', () => this.showAccount(customer.id));
+        Utils.on('account-payment-save', 'click', async () => {
+            const amount = Number(Utils.$('account-payment-amount').value);
+            if (!(amount > 0)) {
+                Utils.toast('Enter an amount', 'warning');
+                return;
+            }
+            try {
+                await API.customers.receivePayment(customer.id, {
+                    payment_method_id: Utils.$('account-payment-method').value,
+                    amount,
+                    reference_number: Utils.$('account-payment-reference').value.trim() || undefined,
+                    notes: Utils.$('account-payment-notes').value.trim() || undefined
+                });
+                Utils.toast(`Received ${Utils.formatCurrency(amount)} from ${customer.name}`, 'success');
+                await Promise.all([this.loadCustomers(), this.showAccount(customer.id)]);
+            } catch (error) {
+                Utils.toast(error.message || 'Failed to receive payment', 'error');
+            }
+        });
+    },
+
     async deleteCustomer(id) {
         const confirmed = await Utils.confirm('Are you sure you want to delete this customer?', 'Delete Customer');
         if (!confirmed) return;
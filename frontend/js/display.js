@@ -0,0 +1,77 @@
+/**
+ * Display Module - Customer-facing display settings and channel, shared by the POS, the display
+ * window and the API
+ *
+ * The POS window broadcasts its cart over a BroadcastChannel to display.html on the second monitor;
+ * nothing goes through the server. The branch's display settings (branches.settings.display) hold the
+ * promotional images shown while the cart is idle and static payment QR images per payment method code.
+ */
+
+const Display = {
+    // Messages { type }: the display says 'hello' when it opens; the POS answers with 'config' and
+    // 'state', then sends 'state' on every change and 'bye' when its window closes
+    CHANNEL: 'pos-customer-display',
+
+    MAX_IMAGES: 20,
+    MAX_IMAGE_LENGTH: 200000,
+
+    // Branch settings.display when nothing is configured
+    DEFAULTS: { welcome_text: 'Welcome', promo_images: [], rotate_seconds: 8, payment_qr: {} },
+
+    /**
+     * Complete a branch's display settings with defaults
+     */
+    settings(raw = {}) {
+        const seconds = Number(raw?.rotate_seconds);
+        const qr = raw?.payment_qr && typeof raw.payment_qr === 'object' && !Array.isArray(raw.payment_qr) ? raw.payment_qr : {};
+        return {
+            welcome_text: String(raw?.welcome_text ?? this.DEFAULTS.welcome_text),
+            promo_images: Array.isArray(raw?.promo_images) ? raw.promo_images.filter(src => this.isImage(src)) : [],
+            rotate_seconds: Number.isInteger(seconds) && seconds >= 3 && seconds <= 120 ? seconds : this.DEFAULTS.rotate_seconds,
+            payment_qr: Object.fromEntries(Object.entries(qr).filter(([, src]) => this.isImage(src)))
+        };
+    },
+
+    /**
+     * Whether a value can be used as an image source: an http(s) URL, a path on this site or a data URI
+     */
+    isImage(src) {
+        return typeof src === 'string' && src.length <= this.MAX_IMAGE_LENGTH
+            && /^(https?:\/\/|\/|data:image\/)/.test(src);
+    },
+
+    /**
+     * Problems with a display settings payload (empty when valid)
+     */
+    validate(raw = {}) {
+        const errors = [];
+        if (raw.welcome_text !== undefined && (typeof raw.welcome_text !== 'string' || raw.welcome_text.length > 100)) {
+            errors.push('welcome_text must be text of at most 100 characters');
+        }
+        if (raw.promo_images !== undefined) {
+            if (!Array.isArray(raw.promo_images) || raw.promo_images.length > this.MAX_IMAGES) {
+                errors.push(`promo_images must be a list of at most ${this.MAX_IMAGES} images`);
+            } else if (!raw.promo_images.every(src => this.isImage(src))) {
+                errors.push('promo_images must be http(s) URLs, site paths or data:image URIs');
+            }
+        }
+        if (raw.rotate_seconds !== undefined) {
+            const seconds = Number(raw.rotate_seconds);
+            if (!(Number.isInteger(seconds) && seconds >= 3 && seconds <= 120)) errors.push('rotate_seconds must be a whole number from 3 to 120');
+        }
+        if (raw.payment_qr !== undefined) {
+            const qr = raw.payment_qr;
+            if (typeof qr !== 'object' || qr === null || Array.isArray(qr) || !Object.values(qr).every(src => this.isImage(src))) {
+                errors.push('payment_qr must map payment method codes to QR images');
+            }
+        }
+        return errors;
+    }
+};
+
+// Browser global for the POS and the display window, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Display;
+} else {
+    window.Display = Display;
+}
@@ -0,0 +1,85 @@
+/**
+ * Gift Cards Module - Card numbers and the gift card program, shared by the POS and the API
+ *
+ * A gift card (or a prepaid voucher - same thing with a printed number) is loaded by selling a
+ * 'gift_card' item on a sale line with the card number, and spent with the gift card payment tender.
+ * A branch's program (branches.settings.gift_cards) sets how long a load lasts (expiry_days, 0 = never),
+ * the smallest load and the most a card may hold.
+ */
+
+const GiftCards = {
+    // Branch settings.gift_cards when nothing is configured
+    DEFAULTS: {
+        expiry_days: 365,
+        min_load: 10000,
+        max_balance: 10000000
+    },
+
+    /**
+     * Complete a branch's gift card settings with defaults
+     */
+    settings(raw = {}) {
+        const number = (key, min) => {
+            const value = Number(raw?.[key]);
+            return Number.isFinite(value) && value >= min ? value : this.DEFAULTS[key];
+        };
+        return {
+            expiry_days: Math.floor(number('expiry_days', 0)),
+            min_load: number('min_load', 0),
+            max_balance: number('max_balance', 1)
+        };
+    },
+
+    /**
+     * Problems with a gift card settings payload (empty when valid)
+     */
+    validate(raw = {}) {
+        const errors = [];
+        if (raw.expiry_days !== undefined && !(Number.isInteger(Number(raw.expiry_days)) && Number(raw.expiry_days) >= 0)) {
+            errors.push('expiry_days must be a whole number of 0 or more');
+        }
+        if (raw.min_load !== undefined && !(Number(raw.min_load) >= 0)) errors.push('min_load must be 0 or more');
+        if (raw.max_balance !== undefined && !(Number(raw.max_balance) > 0)) errors.push('max_balance must be a positive number');
+        return errors;
+    },
+
+    /**
+     * A card number as stored: no spaces or dashes, upper case
+     */
+    normalize(number) {
+        return String(number ?? '').replace(/[\s-]/g, '').toUpperCase();
+    },
+
+    /**
+     * Why a card number cannot be used (null when it can)
+     */
+    numberProblem(number) {
+        return /^[A-Z0-9]{6,30}$/.test(this.normalize(number)) ? null : 'Gift card numbers are 6 to 30 letters and digits';
+    },
+
+    /**
+     * Card number as printed on receipts: only the last 4 characters
+     */
+    mask(number) {
+        const value = this.normalize(number);
+        return value.length > 4 ? `****${value.slice(-4)}` : value;
+    },
+
+    /**
+     * Why an amount cannot be loaded onto a card holding balance (null when it can)
+     */
+    loadProblem(amount, balance, settings) {
+        const value = Number(amount) || 0;
+        if (!(value > 0)) return 'Enter an amount to load';
+        if (value < settings.min_load) return `Load at least ${settings.min_load} onto a gift card`;
+        if ((Number(balance) || 0) + value > settings.max_balance) return `A gift card holds at most ${settings.max_balance}`;
+        return null;
+    }
+};
+
+// Browser global for the POS, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GiftCards;
+} else {
+    window.GiftCards = GiftCards;
+}
@@ -0,0 +1,210 @@
+/**
+ * Keyboard Module - Keyboard-first cashier mode
+ *
+ * One keydown handler runs the signed-in user's keymap (Keymap, users.preferences.keymap): screen
+ * navigation, POS actions, cart line editing and payment methods. The cheat sheet lists the keys and
+ * lets the user change them.
+ */
+
+const Keyboard = {
+    keymap: Keymap.resolve(),
+    recording: null,
+
+    /**
+     * Listen for shortcuts (once, for the whole app)
+     */
+    init() {
+        document.addEventListener('keydown', e => this.handle(e));
+    },
+
+    /**
+     * Use the signed-in user's keys and show them on the buttons they press
+     */
+    load() {
+        this.keymap = Keymap.resolve(Auth.user?.preferences?.keymap);
+        document.querySelectorAll('[data-shortcut]').forEach((el) => {
+            el.dataset.label = el.dataset.label || el.title || el.textContent.trim();
+            const key = this.keymap[el.dataset.shortcut];
+            el.title = key ? `${el.dataset.label} (${key})` : el.dataset.label;
+        });
+    },
+
+    /**
+     * Action bound to a combo, or null
+     */
+    actionFor(combo) {
+        return Object.keys(this.keymap).find(id => this.keymap[id] === combo) || null;
+    },
+
+    /**
+     * Whether a key pressed in a field should type instead. The empty product search is the
+     * cashier's home position, so cart keys still work from there.
+     */
+    isTypingIn(target, combo) {
+        const field = target?.closest?.('input, textarea, select, [contenteditable="true"]');
+        if (!field || !Keymap.isTyping(combo)) return false;
+        return !(field.id === 'product-search' && field.value === '');
+    },
+
+    /**
+     * Whether a modal window is open
+     */
+    modalOpen() {
+        return !Utils.$('modal-overlay')?.classList.contains('hidden');
+    },
+
+    /**
+     * Run the shortcut of a keydown, if any
+     */
+    handle(e) {
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return;
+        const combo = Keymap.fromEvent(e);
+
+        // The cheat sheet is waiting for a new key; Escape cancels without closing it
+        if (this.recording && !this.modalOpen()) this.recording = null;
+        if (this.recording) {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            this.recording(combo);
+            return;
+        }
+
+        const action = this.actionFor(combo);
+        if (!action || !Auth.user || this.isTypingIn(e.target, combo)) return;
+        if (this.run(action) !== false) e.preventDefault();
+    },
+
+    /**
+     * Click a visible, enabled button; false when there is none
+     */
+    press(id) {
+        const button = typeof id === 'string' ? Utils.$(id) : id;
+        if (!button || button.disabled || button.classList.contains('hidden')) return false;
+        button.click();
+        return true;
+    },
+
+    /**
+     * Run an action; returns false when it does not apply here so the key keeps its usual meaning
+     */
+    run(action) {
+        // In the payment window only the payment keys work
+        if (this.modalOpen()) {
+            if (action === 'modal.close') return Utils.closeModal();
+            if (action === 'pos.pay') return this.press('complete-payment-btn');
+            if (action.startsWith('tender.')) {
+                return this.press(document.querySelectorAll('.payment-method-btn')[Number(action.slice(7)) - 1]);
+            }
+            return false;
+        }
+
+        if (action.startsWith('nav.')) return App.navigateTo(action.slice(4));
+        if (action === 'help.shortcuts') return this.showCheatSheet();
+        if (App.currentScreen !== 'pos' || !(action.startsWith('pos.') || action.startsWith('cart.'))) return false;
+
+        const key = POS.selectedKey;
+        switch (action) {
+            case 'pos.search':
+                Utils.$('product-search').focus();
+                Utils.$('product-search').select();
+                return true;
+            case 'pos.customer': return this.press('select-customer-btn');
+            case 'pos.discount':
+                if (!key || !Auth.hasPermission('pos.discount')) return false;
+                return POS.showDiscountModal(key);
+            case 'pos.cart_discount': return this.press('discount-btn');
+            case 'pos.hold': return this.press('hold-btn');
+            case 'pos.holds': return this.press('holds-btn');
+            case 'pos.gift_card': return this.press('gift-card-btn');
+            case 'pos.pay': return this.press('pay-btn');
+            case 'pos.clear': return this.press('clear-cart-btn');
+            case 'cart.up': return POS.moveSelection(-1);
+            case 'cart.down': return POS.moveSelection(1);
+            case 'cart.increase': return key ? POS.updateQuantity(key, 'increase') : false;
+            case 'cart.decrease': return key ? POS.updateQuantity(key, 'decrease') : false;
+            case 'cart.quantity': return key ? POS.enterQuantity(key) : false;
+            case 'cart.remove': return key ? POS.removeFromCart(key) : false;
+            default: return false;
+        }
+    },
+
+    /**
+     * Cheat sheet of every shortcut; each key can be changed (press the new one) and saved for this user
+     */
+    showCheatSheet() {
+        const draft = { ...this.keymap };
+        const groups = [...new Set(Keymap.ACTIONS.map(a => a.group))];
+
+        const rows = () => groups.map(group => `
+        <tr class="keymap-group"><th colspan="3">${group}</th></tr>
+        ${Keymap.ACTIONS.filter(a => a.group === group).map(a => `
+        <tr>
+          <td>${a.label}</td>
+          <td><kbd>${draft[a.id]}</kbd></td>
+          <td><button class="btn btn-sm btn-secondary keymap-change" data-action="${a.id}">Change</button></td>
+        </tr>`).join('')}
+      `).join('');
+
+        const content = `
+      <div class="modal-header">
+        <h2>Keyboard Shortcuts</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <ul class="keymap-tips">
+          <li>Type <kbd>3*</kbd> before scanning or picking an item to add 3 of it</li>
+          <li><kbd>Enter</kbd> in the payment window adds the amount, or completes the sale once it is covered</li>
+        </ul>
+        <table class="data-table keymap-table">
+          <tbody id="keymap-rows">${rows()}</tbody>
+        </table>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" id="keymap-reset">Reset to Defaults</button>
+        <button class="btn btn-primary" id="keymap-save">Save</button>
+      </div>
+    `;
+        Utils.showModal(content, { width: '560px' });
+
+        Utils.delegate('keymap-rows', '.keymap-change', 'click', function () {
+            const action = this.dataset.action;
+            this.textContent = 'Press a key…';
+            Keyboard.recording = (combo) => {
+                Keyboard.recording = null;
+                if (combo === 'Escape') {
+                    Utils.$('keymap-rows').innerHTML = rows();
+                    return;
+                }
+                const taken = Object.keys(draft).find(id => id !== action && draft[id] === combo);
+                if (taken) {
+                    Utils.toast(`${combo} is already used for ${Keymap.ACTIONS.find(a => a.id === taken).label}`, 'warning');
+                } else {
+                    draft[action] = combo;
+                }
+                Utils.$('keymap-rows').innerHTML = rows();
+            };
+        });
+
+        Utils.on('keymap-save', 'click', () => this.savePreferences({ keymap: draft }));
+        Utils.on('keymap-reset', 'click', () => this.savePreferences({ keymap: null }));
+        return true;
+    },
+
+    /**
+     * Save the user's preferences and apply them
+     */
+    async savePreferences(changes) {
+        try {
+            const result = await API.auth.updatePreferences(changes);
+            Auth.user = { ...Auth.user, preferences: result.data };
+            localStorage.setItem('pos_user', JSON.stringify(Auth.user));
+            this.load();
+            Utils.closeModal();
+            Utils.toast('Shortcuts saved', 'success');
+        } catch (error) {
+            Utils.toast(error.message || 'Failed to save shortcuts', 'error');
+        }
+    }
+};
+
+window.Keyboard = Keyboard;
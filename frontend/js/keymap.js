@@ -0,0 +1,128 @@
+/**
+ * Keymap Module - Keyboard shortcut actions and their default keys, shared by the POS and the API
+ *
+ * A user's own keys are kept in users.preferences.keymap as { action: 'Combo' } and override the
+ * defaults; the API validates them with this file. Combos are written Ctrl+Alt+Shift+Key, with
+ * Shift left out for symbols ('+', '*') since the symbol already says it.
+ */
+
+const Keymap = {
+    // Every action that can have a key; tender.N picks the Nth payment method in the payment window
+    ACTIONS: [
+        { id: 'nav.pos', group: 'General', label: 'Go to POS', key: 'F1' },
+        { id: 'nav.products', group: 'General', label: 'Go to Products', key: 'F2' },
+        { id: 'nav.customers', group: 'General', label: 'Go to Customers', key: 'F3' },
+        { id: 'help.shortcuts', group: 'General', label: 'Keyboard shortcuts', key: 'Ctrl+/' },
+        { id: 'modal.close', group: 'General', label: 'Close window', key: 'Escape' },
+
+        { id: 'pos.search', group: 'Sale', label: 'Search / scan', key: 'F4' },
+        { id: 'pos.customer', group: 'Sale', label: 'Select customer', key: 'F6' },
+        { id: 'pos.discount', group: 'Sale', label: 'Discount selected line', key: 'F7' },
+        { id: 'pos.cart_discount', group: 'Sale', label: 'Discount whole sale', key: 'Shift+F7' },
+        { id: 'pos.hold', group: 'Sale', label: 'Hold sale', key: 'F8' },
+        { id: 'pos.holds', group: 'Sale', label: 'Held sales', key: 'Shift+F8' },
+        { id: 'pos.gift_card', group: 'Sale', label: 'Gift card balance', key: 'Shift+F4' },
+        { id: 'pos.pay', group: 'Sale', label: 'Pay / complete payment', key: 'F9' },
+        { id: 'pos.clear', group: 'Sale', label: 'Clear sale', key: 'Ctrl+Delete' },
+
+        { id: 'cart.up', group: 'Cart', label: 'Previous line', key: 'ArrowUp' },
+        { id: 'cart.down', group: 'Cart', label: 'Next line', key: 'ArrowDown' },
+        { id: 'cart.increase', group: 'Cart', label: 'One more', key: '+' },
+        { id: 'cart.decrease', group: 'Cart', label: 'One less', key: '-' },
+        { id: 'cart.quantity', group: 'Cart', label: 'Type quantity / weight', key: '*' },
+        { id: 'cart.remove', group: 'Cart', label: 'Remove line', key: 'Delete' },
+
+        ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map(n => ({
+            id: `tender.${n}`, group: 'Payment', label: `Payment method ${n}`, key: `Alt+${n}`
+        }))
+    ],
+
+    MODIFIERS: ['Ctrl', 'Alt', 'Shift'],
+
+    // Named keys as KeyboardEvent.key spells them, to fix the case of typed-in combos
+    KEY_NAMES: ['Escape', 'Enter', 'Tab', 'Space', 'Backspace', 'Delete', 'Insert', 'Home', 'End',
+        'PageUp', 'PageDown', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'],
+
+    /**
+     * The full keymap { action: combo } - the user's keys over the defaults
+     */
+    resolve(custom = {}) {
+        const keymap = {};
+        this.ACTIONS.forEach((action) => {
+            const own = custom?.[action.id];
+            keymap[action.id] = typeof own === 'string' && own ? this.normalize(own) : action.key;
+        });
+        return keymap;
+    },
+
+    /**
+     * A combo in canonical form: modifiers in Ctrl, Alt, Shift order, single letters upper case
+     */
+    normalize(combo) {
+        const parts = String(combo).split('+');
+        // 'Ctrl++' and '+' end in an empty part: the key is the plus sign
+        const key = parts[parts.length - 1] === '' ? '+' : parts[parts.length - 1];
+        const modifiers = parts.slice(0, key === '+' ? -2 : -1).map(m => m.trim());
+        const ordered = this.MODIFIERS.filter(m => modifiers.some(given => given.toLowerCase() === m.toLowerCase()));
+        const name = key.length === 1 || /^f\d{1,2}$/i.test(key)
+            ? key.toUpperCase()
+            : (this.KEY_NAMES.find(k => k.toLowerCase() === key.trim().toLowerCase()) || key.trim());
+        return [...ordered, name].join('+');
+    },
+
+    /**
+     * Combo of a keydown event, in the same form as normalize()
+     */
+    fromEvent(e) {
+        let key = e.key;
+        if (key === ' ') key = 'Space';
+        // Alt+digit can produce another character on some layouts; the physical key is meant
+        if (/^Digit\d$/.test(e.code || '') && (e.altKey || e.ctrlKey)) key = e.code.slice(5);
+        const symbol = key.length === 1 && !/[a-z]/i.test(key);
+
+        const modifiers = [];
+        if (e.ctrlKey || e.metaKey) modifiers.push('Ctrl');
+        if (e.altKey) modifiers.push('Alt');
+        if (e.shiftKey && !symbol) modifiers.push('Shift');
+        return [...modifiers, key.length === 1 ? key.toUpperCase() : key].join('+');
+    },
+
+    /**
+     * Whether a combo is a bare key that types something (or edits text) in an input field
+     */
+    isTyping(combo) {
+        if (combo.length === 1 || /^Shift\+.$/.test(combo)) return true;
+        return ['Space', 'Enter', 'Backspace', 'Delete', 'Home', 'End',
+            'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(combo);
+    },
+
+    /**
+     * Problems with a custom keymap { action: combo } (empty when valid); two actions may not share a key
+     */
+    validate(custom) {
+        if (typeof custom !== 'object' || custom === null || Array.isArray(custom)) {
+            return ['keymap must be an object of action: key'];
+        }
+        const errors = [];
+        Object.entries(custom).forEach(([id, combo]) => {
+            if (!this.ACTIONS.some(action => action.id === id)) errors.push(`Unknown shortcut action: ${id}`);
+            else if (typeof combo !== 'string' || !combo.trim() || combo.length > 30) errors.push(`Invalid key for ${id}`);
+        });
+        if (errors.length) return errors;
+
+        const keymap = this.resolve(custom);
+        const seen = {};
+        Object.entries(keymap).forEach(([id, combo]) => {
+            if (seen[combo]) errors.push(`${combo} is used for both ${seen[combo]} and ${id}`);
+            seen[combo] = id;
+        });
+        return errors;
+    }
+};
+
+// Browser global for the POS, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Keymap;
+} else {
+    window.Keymap = Keymap;
+}
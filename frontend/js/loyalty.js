@@ -0,0 +1,123 @@
+/**
+ * Loyalty Module - Points earned and redeemed by members, shared by the POS and the API
+ *
+ * A branch's program (branches.settings.loyalty) earns one point per spend_per_point rupiah paid
+ * for goods outside the excluded categories, and points are worth point_value rupiah when redeemed,
+ * either as a payment tender or as a discount off the sale (redeem_as). Members need min_balance
+ * points before they can redeem. Earned points expire expiry_days after the sale (0 = never).
+ */
+
+const Loyalty = {
+    REDEEM_AS: ['tender', 'discount'],
+
+    // Branch settings.loyalty when nothing is configured
+    DEFAULTS: {
+        enabled: false,
+        spend_per_point: 10000,
+        excluded_category_ids: [],
+        expiry_days: 365,
+        point_value: 100,
+        min_balance: 100,
+        redeem_as: 'tender'
+    },
+
+    /**
+     * Complete a branch's loyalty settings with defaults
+     */
+    settings(raw = {}) {
+        const number = (key, min) => {
+            const value = Number(raw?.[key]);
+            return Number.isFinite(value) && value >= min ? value : this.DEFAULTS[key];
+        };
+        return {
+            enabled: raw?.enabled === true,
+            spend_per_point: number('spend_per_point', 1),
+            excluded_category_ids: Array.isArray(raw?.excluded_category_ids)
+                ? raw.excluded_category_ids.filter(id => typeof id === 'string')
+                : [],
+            expiry_days: Math.floor(number('expiry_days', 0)),
+            point_value: number('point_value', 0.01),
+            min_balance: Math.floor(number('min_balance', 0)),
+            redeem_as: this.REDEEM_AS.includes(raw?.redeem_as) ? raw.redeem_as : this.DEFAULTS.redeem_as
+        };
+    },
+
+    /**
+     * Problems with a loyalty settings payload (empty when valid)
+     */
+    validate(raw = {}) {
+        const errors = [];
+        const positive = (key, label) => {
+            if (raw[key] !== undefined && !(Number(raw[key]) > 0)) errors.push(`${label} must be a positive number`);
+        };
+        const whole = (key, label) => {
+            if (raw[key] !== undefined && !(Number.isInteger(Number(raw[key])) && Number(raw[key]) >= 0)) {
+                errors.push(`${label} must be a whole number of 0 or more`);
+            }
+        };
+
+        if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') errors.push('enabled must be true or false');
+        positive('spend_per_point', 'spend_per_point');
+        positive('point_value', 'point_value');
+        whole('expiry_days', 'expiry_days');
+        whole('min_balance', 'min_balance');
+        if (raw.excluded_category_ids !== undefined
+            && !(Array.isArray(raw.excluded_category_ids) && raw.excluded_category_ids.every(id => typeof id === 'string'))) {
+            errors.push('excluded_category_ids must be a list of category ids');
+        }
+        if (raw.redeem_as !== undefined && !this.REDEEM_AS.includes(raw.redeem_as)) {
+            errors.push(`redeem_as must be one of: ${this.REDEEM_AS.join(', ')}`);
+        }
+        return errors;
+    },
+
+    /**
+     * Amount of lines ([{ category_id, amount }]) that earns points
+     */
+    eligibleAmount(lines, settings) {
+        return lines
+            .filter(line => !settings.excluded_category_ids.includes(line.category_id))
+            .reduce((sum, line) => sum + (Number(line.amount) || 0), 0);
+    },
+
+    /**
+     * Points for an amount spent; a negative amount (goods returned) gives the points to take back
+     */
+    points(amount, settings) {
+        const value = Number(amount) || 0;
+        return Math.sign(value) * Math.floor(Math.abs(value) / settings.spend_per_point) || 0;
+    },
+
+    /**
+     * Rupiah value of points redeemed
+     */
+    value(points, settings) {
+        return Math.round((Number(points) || 0) * settings.point_value * 100) / 100;
+    },
+
+    /**
+     * Points a tender amount redeems, or null when it is not a whole number of points
+     */
+    pointsFor(amount, settings) {
+        const points = Math.round(Number(amount) / settings.point_value * 1000) / 1000;
+        return Number.isInteger(points) ? points : null;
+    },
+
+    /**
+     * Why a member cannot redeem these points (null when they can)
+     */
+    redeemProblem(points, balance, settings) {
+        if (!settings.enabled) return 'The loyalty program is not enabled';
+        if (!(Number.isInteger(points) && points > 0)) return 'Redeem a whole number of points';
+        if (balance < settings.min_balance) return `Members need ${settings.min_balance} points before redeeming`;
+        if (points > balance) return `Only ${balance} points available`;
+        return null;
+    }
+};
+
+// Browser global for the POS, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Loyalty;
+} else {
+    window.Loyalty = Loyalty;
+}
@@ -8,16 +8,50 @@ const POS = {
     categories: [],
     paymentMethods: [],
     selectedCustomer: null,
+    cartDiscount: null,
+    taxSettings: null,
+    pricing: null,
+    scaleSettings: null,
+    receiptStore: null,
+    displaySettings: null,
+    display: null,
+    displayPayment: null,
+    paymentMethod: null,
+    loyaltySettings: null,
+    loyaltyRedeem: 0,
+    giftCardSettings: null,
+    tenderCard: null,
+    promotions: [],
+    coupons: [],
+    approvalTokens: [],
+    tenders: [],
+    returnMode: null,
+    selectedKey: null,
+    pendingQuantity: null,
+    listening: false,
 
     /**
      * Initialize POS
      */
     async init() {
-        this.setupEventListeners();
+        // init runs on every visit to the POS screen; the listeners stay for the page's life
+        if (!this.listening) {
+            this.setupEventListeners();
+            this.setupDisplay();
+            this.listening = true;
+        }
         await this.loadProducts();
         await this.loadCategories();
         await this.loadPaymentMethods();
-        this.renderCart();
+        await this.loadTaxSettings();
+        await this.loadReceiptSettings();
+        await this.loadScaleSettings();
+        await this.loadDisplaySettings();
+        await this.loadLoyaltySettings();
+        await this.loadGiftCardSettings();
+        await this.loadPromotions();
+        await Shift.load();
+        await this.loadPricing();
     },
 
     /**
@@ -27,13 +61,19 @@ const POS = {
         // Product search
         const searchInput = Utils.$('product-search');
         searchInput.addEventListener('input', Utils.debounce((e) => {
-            this.filterProducts(e.target.value);
+            this.filterProducts(this.splitQuantity(e.target.value).query);
         }, 300));
 
-        // Barcode scan (Enter key)
+        // Barcode scan (Enter key); "3*" before the code adds 3, and on its own applies to the next item
         searchInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
-                this.handleBarcodeScan(e.target.value);
+                const { quantity, query } = this.splitQuantity(e.target.value);
+                this.pendingQuantity = quantity;
+                if (query) {
+                    this.handleBarcodeScan(query);
+                } else if (quantity) {
+                    Utils.toast(`Next item × ${quantity}`, 'info');
+                }
                 e.target.value = '';
             }
         });
@@ -47,22 +87,54 @@ const POS = {
 
         // Product grid click
         Utils.delegate('product-grid', '.product-card', 'click', function () {
+            POS.takeSearchQuantity();
             POS.addToCart(this.dataset.id);
         });
 
         // Cart item quantity
         Utils.delegate('cart-items', '.qty-btn', 'click', function (e) {
             e.stopPropagation();
-            const itemId = this.closest('.cart-item').dataset.id;
+            const key = this.closest('.cart-item').dataset.id;
             const action = this.dataset.action;
-            POS.updateQuantity(itemId, action);
+            POS.updateQuantity(key, action);
+        });
+
+        // Loyalty points redeemed as a discount
+        Utils.delegate('cart-loyalty', '#loyalty-redeem-btn', 'click', () => this.showRedeem());
+
+        // Coupon codes
+        Utils.on('coupon-apply-btn', 'click', () => this.applyCoupon());
+        Utils.on('coupon-input', 'keydown', (e) => {
+            if (e.key === 'Enter') this.applyCoupon();
+        });
+        Utils.delegate('coupon-list', '.cart-coupon-remove', 'click', function () {
+            POS.removeCoupon(this.dataset.code);
+        });
+
+        // Select a line for the keyboard
+        Utils.delegate('cart-items', '.cart-item', 'click', function (e) {
+            if (e.target.closest('button, .qty-value')) return;
+            POS.selectedKey = this.dataset.id;
+            POS.renderCart();
+        });
+
+        // Typed quantity (weights)
+        Utils.delegate('cart-items', '.qty-value', 'click', function (e) {
+            e.stopPropagation();
+            POS.enterQuantity(this.closest('.cart-item').dataset.id);
+        });
+
+        // Line discount
+        Utils.delegate('cart-items', '.cart-item-discount-btn', 'click', function (e) {
+            e.stopPropagation();
+            POS.showDiscountModal(this.closest('.cart-item').dataset.id);
         });
 
         // Remove item
         Utils.delegate('cart-items', '.cart-item-remove', 'click', function (e) {
             e.stopPropagation();
-            const itemId = this.closest('.cart-item').dataset.id;
-            POS.removeFromCart(itemId);
+            const key = this.closest('.cart-item').dataset.id;
+            POS.removeFromCart(key);
         });
 
         // Clear cart
@@ -78,6 +150,32 @@ const POS = {
         // Hold transaction
         Utils.on('hold-btn', 'click', () => this.holdTransaction());
 
+        // Held transactions drawer
+        Utils.on('holds-btn', 'click', () => this.showHolds());
+
+        // Print the bill before payment
+        Utils.on('bill-btn', 'click', () => this.printBill());
+
+        // Keyboard shortcuts cheat sheet
+        Utils.on('shortcuts-btn', 'click', () => Keyboard.showCheatSheet());
+
+        // Cash shift: open, pay in/out, X report, close
+        Utils.on('shift-btn', 'click', () => Shift.handleButton());
+
+        // Gift card balance check
+        Utils.on('gift-card-btn', 'click', () => this.showGiftCard());
+
+        // Customer display on a second screen
+        Utils.on('display-btn', 'click', () => this.openDisplay());
+
+        // Returns and exchanges against a receipt
+        Utils.on('return-btn', 'click', () => this.startReturn());
+        Utils.delegate('cart-items', '.cart-return-edit', 'click', () => this.showReturnModal(this.returnMode.original));
+        Utils.delegate('cart-items', '.cart-return-cancel', 'click', () => {
+            this.returnMode = null;
+            this.renderCart();
+        });
+
         // Pay button
         Utils.on('pay-btn', 'click', () => this.showPaymentModal());
 
@@ -135,13 +233,209 @@ const POS = {
         } catch (error) {
             // Default payment methods
             this.paymentMethods = [
-                { id: '1', code: 'cash', name: 'Cash' },
-                { id: '2', code: 'card', name: 'Card' },
-                { id: '3', code: 'transfer', name: 'Transfer' }
+                { id: '1', code: 'cash', name: 'Cash', type: 'cash' },
+                { id: '2', code: 'card', name: 'Card', type: 'card' },
+                { id: '3', code: 'transfer', name: 'Transfer', type: 'transfer' }
             ];
         }
     },
 
+    /**
+     * Load the branch tax settings (default rate, rounding)
+     */
+    async loadTaxSettings() {
+        try {
+            const result = await API.settings.getTax();
+            this.taxSettings = result.data;
+        } catch (error) {
+            console.error('Failed to load tax settings:', error);
+            this.taxSettings = null;
+        }
+    },
+
+    /**
+     * Load the price rules of the selected customer (walk-in: the default price list) and reprice
+     * the cart. Without them lines sell at catalog prices.
+     */
+    async loadPricing() {
+        const customerId = this.selectedCustomer?.id || null;
+        try {
+            const result = await API.products.pricing(customerId);
+            // Another customer was picked while this one loaded
+            if ((this.selectedCustomer?.id || null) !== customerId) return;
+            this.pricing = result.data;
+        } catch (error) {
+            console.error('Failed to load pricing:', error);
+            this.pricing = null;
+        }
+        this.renderCart();
+    },
+
+    /**
+     * Price every cart line for the selected customer and its quantity with the same Pricing rules
+     * the API checks. Price lists may go under an item's min_price, so the floor follows the list price.
+     */
+    applyPricing() {
+        for (const item of this.cart.filter(line => !line.fixed_price)) {
+            item.catalog_price = item.catalog_price ?? item.price;
+            if (item.catalog_min_price === undefined) item.catalog_min_price = item.min_price ?? null;
+
+            const resolved = Pricing.resolve(this.pricing, {
+                itemId: item.id,
+                variantId: item.variant_id,
+                quantity: item.quantity,
+                catalogPrice: item.catalog_price
+            });
+            item.price = resolved.price;
+            item.price_source = resolved.source;
+            item.min_price = item.catalog_min_price === null ? null : Math.min(Number(item.catalog_min_price), resolved.price);
+        }
+    },
+
+    /**
+     * Load the branch scale label layout (weighed goods); without it the defaults apply
+     */
+    async loadScaleSettings() {
+        try {
+            const result = await API.settings.getScale();
+            this.scaleSettings = result.data;
+        } catch (error) {
+            console.error('Failed to load scale settings:', error);
+            this.scaleSettings = null;
+        }
+    },
+
+    /**
+     * Load the branch customer display settings and pass them to an open display
+     */
+    async loadDisplaySettings() {
+        try {
+            const result = await API.settings.getDisplay();
+            this.displaySettings = result.data;
+        } catch (error) {
+            console.error('Failed to load display settings:', error);
+            this.displaySettings = null;
+        }
+        this.display?.postMessage({ type: 'config', settings: this.displaySettings });
+    },
+
+    /**
+     * Load the branch's loyalty program (points earned and redeemed on member sales)
+     */
+    async loadLoyaltySettings() {
+        try {
+            const result = await API.settings.getLoyalty();
+            this.loyaltySettings = result.data;
+        } catch (error) {
+            console.error('Failed to load loyalty settings:', error);
+            this.loyaltySettings = null;
+        }
+    },
+
+    /**
+     * Load the branch's gift card program (smallest load, most a card holds); without it the defaults apply
+     */
+    async loadGiftCardSettings() {
+        try {
+            const result = await API.settings.getGiftCards();
+            this.giftCardSettings = result.data;
+        } catch (error) {
+            console.error('Failed to load gift card settings:', error);
+            this.giftCardSettings = GiftCards.settings();
+        }
+    },
+
+    /**
+     * Load the promotions this branch runs; the cart applies those whose day, hours and customer group fit
+     */
+    async loadPromotions() {
+        try {
+            const result = await API.promotions.active();
+            this.promotions = result.data || [];
+        } catch (error) {
+            console.error('Failed to load promotions:', error);
+            this.promotions = [];
+        }
+    },
+
+    /**
+     * Open the channel to the customer display (display.html). The POS works the same whether a
+     * display is open or not; a display that opens late asks for the current state.
+     */
+    setupDisplay() {
+        if (!('BroadcastChannel' in window)) return;
+        this.display = new BroadcastChannel(Display.CHANNEL);
+        this.display.onmessage = (e) => {
+            if (e.data?.type !== 'hello') return;
+            this.display.postMessage({ type: 'config', settings: this.displaySettings });
+            this.publishDisplay();
+        };
+        window.addEventListener('beforeunload', () => this.display.postMessage({ type: 'bye' }));
+    },
+
+    /**
+     * Open (or bring forward) the customer display window, to be moved to the customer-facing screen
+     */
+    openDisplay() {
+        if (!this.display) {
+            Utils.toast('This browser cannot run a customer display', 'error');
+            return;
+        }
+        const win = window.open('display.html', 'pos-customer-display', 'popup,width=1024,height=768');
+        if (!win) {
+            Utils.toast('Allow pop-ups for this site to open the customer display', 'warning');
+            return;
+        }
+        win.focus();
+    },
+
+    /**
+     * Send what the customer should see: the cart and totals, the payment in progress, or (with
+     * done) the change or refund of the sale just completed
+     */
+    publishDisplay(done = null) {
+        if (!this.display) return;
+        const totals = this.calculateTotals();
+        const returned = this.returnTotal();
+        this.display.postMessage({
+            type: 'state',
+            state: {
+                customer: this.selectedCustomer?.name || null,
+                lines: this.cart.map((item, i) => ({
+                    name: item.name,
+                    quantity: item.quantity,
+                    unit: item.allow_decimal_qty ? item.unit || null : null,
+                    price: item.price,
+                    catalog_price: item.catalog_price,
+                    discount: Totals.round(totals.lines[i].promotion + totals.lines[i].discount),
+                    promotions: totals.lines[i].promotions.map(p => p.name),
+                    net: totals.lines[i].net
+                })),
+                subtotal: totals.subtotal,
+                discount: totals.discount,
+                tax: totals.tax,
+                taxIncluded: totals.taxIncluded,
+                returned,
+                total: Totals.round(totals.total - returned),
+                payment: this.displayPayment,
+                done
+            }
+        });
+    },
+
+    /**
+     * Load the branch receipt header, footer and paper width
+     */
+    async loadReceiptSettings() {
+        try {
+            const result = await API.settings.getReceipt();
+            this.receiptStore = result.data;
+        } catch (error) {
+            console.error('Failed to load receipt settings:', error);
+            this.receiptStore = null;
+        }
+    },
+
     /**
      * Demo products for offline/testing
      */
@@ -169,13 +463,16 @@ const POS = {
             return;
         }
 
+        // Bundles show how many the scarcest component still allows
+        const available = p => (p.type === 'bundle' && p.stock !== null && p.stock !== undefined ? Number(p.stock) : null);
         grid.innerHTML = products.map(p => `
-      <div class="product-card" data-id="${p.id}">
+      <div class="product-card${available(p) === 0 ? ' out-of-stock' : ''}" data-id="${p.id}">
         <div class="product-card-image">
           ${p.image_url ? `<img src="${p.image_url}" alt="${p.name}">` : this.getTypeIcon(p.type)}
         </div>
         <div class="product-card-name">${p.name}</div>
-        <div class="product-card-price">${Utils.formatCurrency(p.selling_price)}</div>
+        <div class="product-card-price">${p.variants?.length ? `from ${Utils.formatCurrency(Math.min(...p.variants.map(v => this.variantPrice(p, v))))}` : Utils.formatCurrency(p.selling_price)}</div>
+        ${available(p) !== null ? `<div class="product-card-stock">${available(p) > 0 ? `${available(p)} available` : 'Out of stock'}</div>` : ''}
       </div>
     `).join('');
     },
@@ -187,7 +484,8 @@ const POS = {
         const icons = {
             product: '📦',
             service: '🔧',
-            bundle: '📋'
+            bundle: '📋',
+            gift_card: '🎁'
         };
         return icons[type] || '📦';
     },
@@ -237,7 +535,7 @@ const POS = {
     async handleBarcodeScan(barcode) {
         if (!barcode) return;
 
-        // First check local products
+        // First check local products, then their variants (a variant barcode adds that exact variant)
         const localProduct = this.products.find(p =>
             p.barcode === barcode || p.sku === barcode
         );
@@ -247,261 +545,1495 @@ const POS = {
             return;
         }
 
+        for (const product of this.products) {
+            const variant = product.variants?.find(v => v.barcode === barcode || v.sku === barcode);
+            if (variant) {
+                this.addToCart(product.id, variant.id);
+                return;
+            }
+        }
+
+        // In-store scale label: the item's PLU with the weight or price
+        const label = Scale.parse(barcode, this.scaleSettings);
+        const weighed = label && this.products.find(p => p.plu && Scale.normalizePlu(p.plu) === label.plu);
+        if (weighed) {
+            this.addToCart(weighed.id, null, label);
+            return;
+        }
+
         // Try API lookup
         try {
             const result = await API.products.getByBarcode(barcode);
             if (result.data) {
-                this.products.push(result.data);
-                this.addToCart(result.data.id);
+                const { variant, scale_label: scaleLabel, ...product } = result.data;
+                if (!this.products.some(p => p.id === product.id)) this.products.push(product);
+                this.addToCart(product.id, variant?.id || null, scaleLabel || null);
             }
         } catch (error) {
+            this.pendingQuantity = null;
+            // Not a product: a gift card scanned for its balance
+            if (!GiftCards.numberProblem(barcode)) {
+                try {
+                    const result = await API.giftCards.lookup(barcode);
+                    this.showGiftCardDetail(result.data);
+                    return;
+                } catch (lookupError) {
+                    // Neither a product nor a known card
+                }
+            }
             Utils.toast('Product not found', 'warning');
         }
     },
 
     /**
-     * Add product to cart
+     * Split a "3*" quantity prefix off a search or scan: { quantity (or null), query }
      */
-    addToCart(productId) {
-        const product = this.products.find(p => p.id === productId);
-        if (!product) return;
-
-        const existingItem = this.cart.find(item => item.id === productId);
-
-        if (existingItem) {
-            existingItem.quantity += 1;
-        } else {
-            this.cart.push({
-                id: product.id,
-                name: product.name,
-                price: Number(product.selling_price),
-                quantity: 1,
-                type: product.type
-            });
-        }
-
-        this.renderCart();
-        Utils.toast(`Added ${product.name}`, 'success');
+    splitQuantity(value) {
+        const text = String(value ?? '').trim();
+        const match = text.match(/^(\d+(?:[.,]\d+)?)\s*\*\s*(.*)$/);
+        if (!match) return { quantity: null, query: text };
+        const quantity = this.roundQuantity(match[1].replace(',', '.'));
+        return { quantity: quantity > 0 ? quantity : null, query: match[2] };
     },
 
     /**
-     * Update item quantity
+     * A "3*" typed in the search box before picking a product applies to that product
      */
-    updateQuantity(itemId, action) {
-        const item = this.cart.find(i => i.id === itemId);
-        if (!item) return;
-
-        if (action === 'increase') {
-            item.quantity += 1;
-        } else if (action === 'decrease') {
-            item.quantity -= 1;
-            if (item.quantity <= 0) {
-                this.removeFromCart(itemId);
-                return;
-            }
-        }
-
-        this.renderCart();
+    takeSearchQuantity() {
+        const search = Utils.$('product-search');
+        const { quantity } = this.splitQuantity(search.value);
+        if (!quantity) return;
+        this.pendingQuantity = quantity;
+        search.value = '';
+        this.renderProducts();
     },
 
     /**
-     * Remove item from cart
+     * Cart lines are keyed by item and variant
      */
-    removeFromCart(itemId) {
-        this.cart = this.cart.filter(i => i.id !== itemId);
-        this.renderCart();
+    lineKey(itemId, variantId = null) {
+        return variantId ? `${itemId}:${variantId}` : itemId;
     },
 
     /**
-     * Clear cart
+     * A variant's price: its own override, else the item's
      */
-    clearCart() {
-        this.cart = [];
-        this.selectedCustomer = null;
-        Utils.$('selected-customer-name').textContent = 'Walk-in Customer';
-        this.renderCart();
+    variantPrice(product, variant) {
+        return Number(variant?.selling_price ?? product.selling_price);
     },
 
     /**
-     * Calculate totals
+     * Round a quantity to the 3 decimals the API stores
      */
-    calculateTotals() {
-        const subtotal = this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const discount = 0; // Can be extended
-        const tax = subtotal * 0.1; // 10% tax
-        const total = subtotal - discount + tax;
-
-        return { subtotal, discount, tax, total };
+    roundQuantity(quantity) {
+        return Math.round((Number(quantity) || 0) * 1000) / 1000;
     },
 
     /**
-     * Render cart
+     * Add product to cart; items with variants need one picked first. A scale label (Scale.parse)
+     * adds its weight, or one unit at its printed price, on a line of its own; items sold by weight
+     * added any other way ask for the quantity.
      */
-    renderCart() {
-        const cartItems = Utils.$('cart-items');
-        const totals = this.calculateTotals();
+    addToCart(productId, variantId = null, label = null) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
 
-        if (this.cart.length === 0) {
-            cartItems.innerHTML = `
-        <div class="cart-empty">
-          <svg viewBox="0 0 24 24"><path d="M7 18c-1.1 0-1.99.9-1.99 2S5.9 22 7 22s2-.9 2-2-.9-2-2-2zM1 2v2h2l3.6 7.59-1.35 2.45c-.16.28-.25.61-.25.96 0 1.1.9 2 2 2h12v-2H7.42c-.14 0-.25-.11-.25-.25l.03-.12.9-1.63h7.45c.75 0 1.41-.41 1.75-1.03l3.58-6.49c.08-.14.12-.31.12-.48 0-.55-.45-1-1-1H5.21l-.94-2H1zm16 16c-1.1 0-1.99.9-1.99 2s.89 2 1.99 2 2-.9 2-2-.9-2-2-2z"/></svg>
-          <p>Cart is empty</p>
-        </div>
-      `;
-        } else {
-            cartItems.innerHTML = this.cart.map(item => `
-        <div class="cart-item" data-id="${item.id}">
-          <div class="cart-item-info">
-            <div class="cart-item-name">${item.name}</div>
-            <div class="cart-item-price">${Utils.formatCurrency(item.price)}</div>
-          </div>
-          <div class="cart-item-qty">
-            <button class="qty-btn" data-action="decrease">−</button>
-            <span class="qty-value">${item.quantity}</span>
-            <button class="qty-btn" data-action="increase">+</button>
-          </div>
-          <div class="cart-item-total">${Utils.formatCurrency(item.price * item.quantity)}</div>
-          <button class="cart-item-remove" title="Remove">✕</button>
-        </div>
-      `).join('');
+        if (product.type === 'gift_card') {
+            this.pendingQuantity = null;
+            this.showGiftCardLoad(product);
+            return;
         }
 
-        // Update totals
-        Utils.$('cart-subtotal').textContent = Utils.formatCurrency(totals.subtotal);
-        Utils.$('cart-tax').textContent = Utils.formatCurrency(totals.tax);
-        Utils.$('cart-total').textContent = Utils.formatCurrency(totals.total);
+        if (label && (product.variants?.length || (label.kind === 'weight' && !product.allow_decimal_qty))) {
+            this.pendingQuantity = null;
+            Utils.toast(`${product.name} cannot be sold from a scale label`, 'warning');
+            return;
+        }
+        if (product.variants?.length && !variantId) {
+            this.showVariantPicker(product);
+            return;
+        }
+        const variant = variantId ? product.variants?.find(v => v.id === variantId) : null;
+        if (variantId && !variant) return;
+
+        // A "3*" multiplier waits through the variant picker and applies to what is added now
+        const multiplier = this.pendingQuantity || 1;
+        this.pendingQuantity = null;
+        if (!product.allow_decimal_qty && !Number.isInteger(multiplier)) {
+            Utils.toast(`${product.name} is sold in whole units`, 'warning');
+            return;
+        }
+
+        const key = label ? `${this.lineKey(product.id)}@${label.code}` : this.lineKey(product.id, variant?.id);
+        const existingItem = this.cart.find(item => item.key === key);
+        const added = this.roundQuantity((label?.kind === 'weight' ? label.value : 1) * multiplier);
+
+        if (existingItem) {
+            existingItem.quantity = this.roundQuantity(existingItem.quantity + added);
+        } else {
+            this.cart.push({
+                key,
+                id: product.id,
+                variant_id: variant?.id || null,
+                variant_name: variant?.name || null,
+                name: variant ? `${product.name} - ${variant.name}` : product.name,
+                components: product.type === 'bundle'
+                    ? (product.components || []).map(c => ({
+                        name: c.variant_name ? `${c.name} - ${c.variant_name}` : c.name,
+                        quantity: Number(c.quantity)
+                    }))
+                    : null,
+                price: label?.kind === 'price' ? label.value : this.variantPrice(product, variant),
+                catalog_price: this.variantPrice(product, variant),
+                // A price printed on a label is what the customer pays, whatever the price lists say
+                fixed_price: label?.kind === 'price',
+                label: label?.code || null,
+                min_price: product.min_price ?? null,
+                catalog_min_price: product.min_price ?? null,
+                tax_rate: product.tax_rate ?? null,
+                is_tax_inclusive: !!product.is_tax_inclusive,
+                category_id: product.category_id || null,
+                quantity: added,
+                allow_decimal_qty: !!product.allow_decimal_qty,
+                unit: product.unit?.code || null,
+                type: product.type,
+                discount_type: null,
+                discount_value: 0
+            });
+        }
 
-        // Enable/disable pay button
-        Utils.$('pay-btn').disabled = this.cart.length === 0;
+        this.selectedKey = key;
+        this.renderCart();
+        if (!existingItem && !label && product.allow_decimal_qty && multiplier === 1) {
+            this.enterQuantity(key);
+            return;
+        }
+        const inCart = this.cart.find(item => item.key === key).quantity;
+        if (product.type === 'bundle' && product.stock !== null && inCart > Number(product.stock)) {
+            Utils.toast(`Only ${Number(product.stock)} ${product.name} can be made from the components in stock`, 'warning');
+        } else {
+            Utils.toast(`Added ${variant ? `${product.name} - ${variant.name}` : product.name}`, 'success');
+        }
     },
 
     /**
-     * Show payment modal
+     * Ask for the card number and the amount to load for a gift card item; a number already sold
+     * is topped up, a new one issued
      */
-    showPaymentModal() {
-        if (this.cart.length === 0) return;
-
-        const totals = this.calculateTotals();
-        const methodsHtml = this.paymentMethods.map(m =>
-            `<button class="btn btn-secondary payment-method-btn" data-id="${m.id}" data-code="${m.code}">${m.name}</button>`
-        ).join('');
-
+    showGiftCardLoad(product) {
+        const settings = this.giftCardSettings || GiftCards.settings();
         const content = `
       <div class="modal-header">
-        <h2>Payment</h2>
+        <h2>${product.name}</h2>
         <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
       </div>
       <div class="modal-body">
-        <div class="payment-total">
-          <span>Total</span>
-          <span class="payment-amount">${Utils.formatCurrency(totals.total)}</span>
-        </div>
         <div class="form-group">
-          <label>Payment Method</label>
-          <div class="payment-methods">${methodsHtml}</div>
+          <label>Card Number</label>
+          <input type="text" id="gift-card-number" class="form-control" placeholder="Scan or type the card number" autocomplete="off">
         </div>
+        <div class="payment-account" id="gift-card-status" hidden></div>
         <div class="form-group">
-          <label>Amount Received</label>
-          <input type="number" id="payment-received" class="form-control" value="${totals.total}" step="1000">
-        </div>
-        <div class="payment-change">
-          <span>Change</span>
-          <span id="payment-change">Rp 0</span>
+          <label>Amount to Load</label>
+          <input type="number" id="gift-card-amount" class="form-control" min="${settings.min_load}" step="1000" value="${Number(product.selling_price) || ''}">
         </div>
       </div>
       <div class="modal-footer">
         <button class="btn btn-secondary" onclick="Utils.closeModal()">Cancel</button>
-        <button class="btn btn-primary btn-large" id="complete-payment-btn">Complete Payment</button>
+        <button class="btn btn-primary" id="gift-card-add-btn">Add</button>
       </div>
     `;
+        Utils.showModal(content, { width: '420px' });
+        Utils.$('gift-card-number').focus();
+
+        // The card's current balance, looked up once per number typed
+        let checked = { number: null, balance: 0 };
+        const check = async () => {
+            const number = GiftCards.normalize(Utils.$('gift-card-number').value);
+            const box = Utils.$('gift-card-status');
+            if (!number || number === checked.number) return checked;
+            const problem = GiftCards.numberProblem(number);
+            if (problem) {
+                box.hidden = false;
+                box.innerHTML = `<div class="payment-account-warning">${problem}</div>`;
+                return null;
+            }
+            try {
+                const result = await API.giftCards.lookup(number);
+                const card = result.data;
+                checked = { number, balance: Number(card.balance), status: card.status };
+                box.innerHTML = `
+          <div><span>Card ${GiftCards.mask(number)} holds</span><span>${Utils.formatCurrency(card.balance)}</span></div>
+          ${card.status !== 'active' ? `<div class="payment-account-warning">This card is ${card.status}</div>` : ''}
+        `;
+            } catch (error) {
+                checked = { number, balance: 0, status: 'new' };
+                box.innerHTML = `<div><span>New card ${GiftCards.mask(number)}</span><span>Issued on this sale</span></div>`;
+            }
+            box.hidden = false;
+            return checked;
+        };
 
-        Utils.showModal(content, { width: '450px' });
+        const add = async () => {
+            const card = await check();
+            if (!card?.number) {
+                Utils.toast('Scan or type the card number', 'warning');
+                return;
+            }
+            if (card.status === 'inactive' || card.status === 'expired') {
+                Utils.toast(`Gift card ${GiftCards.mask(card.number)} is ${card.status === 'inactive' ? 'deactivated' : 'expired'}`, 'error');
+                return;
+            }
+            const amount = Totals.round(Utils.$('gift-card-amount').value);
+            const problem = GiftCards.loadProblem(amount, card.balance, settings);
+            if (problem) {
+                Utils.toast(problem, 'warning');
+                return;
+            }
+            Utils.closeModal();
+            this.addGiftCard(product, card.number, amount);
+        };
 
-        // Calculate change
-        const receivedInput = Utils.$('payment-received');
-        receivedInput.addEventListener('input', () => {
-            const received = Number(receivedInput.value) || 0;
-            const change = Math.max(0, received - totals.total);
-            Utils.$('payment-change').textContent = Utils.formatCurrency(change);
+        Utils.on('gift-card-number', 'change', check);
+        Utils.on('gift-card-number', 'keydown', async (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            if (await check()) Utils.$('gift-card-amount').select();
         });
-
-        // Select payment method
-        let selectedMethod = this.paymentMethods[0];
-        document.querySelectorAll('.payment-method-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                document.querySelectorAll('.payment-method-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                selectedMethod = this.paymentMethods.find(m => m.id === btn.dataset.id);
-            });
+        Utils.on('gift-card-amount', 'keydown', (e) => {
+            if (e.key === 'Enter') add();
         });
-        document.querySelector('.payment-method-btn')?.classList.add('active');
-
-        // Complete payment
-        Utils.on('complete-payment-btn', 'click', () => this.completePayment(selectedMethod, totals));
+        Utils.on('gift-card-add-btn', 'click', add);
     },
 
     /**
-     * Complete payment
+     * Put a gift card load on the cart: one line per card, untaxed, undiscounted and at the amount loaded
      */
-    async completePayment(paymentMethod, totals) {
-        const received = Number(Utils.$('payment-received').value) || 0;
-
-        if (received < totals.total) {
-            Utils.toast('Insufficient payment amount', 'error');
+    addGiftCard(product, number, amount) {
+        const key = `${this.lineKey(product.id)}#${number}`;
+        if (this.cart.some(item => item.key === key)) {
+            Utils.toast(`Gift card ${GiftCards.mask(number)} is already on this sale`, 'warning');
             return;
         }
+        this.cart.push({
+            key,
+            id: product.id,
+            variant_id: null,
+            variant_name: null,
+            name: `${product.name} ${GiftCards.mask(number)}`,
+            components: null,
+            price: amount,
+            catalog_price: amount,
+            fixed_price: true,
+            label: null,
+            min_price: null,
+            catalog_min_price: null,
+            tax_rate: 0,
+            is_tax_inclusive: false,
+            category_id: product.category_id || null,
+            quantity: 1,
+            allow_decimal_qty: false,
+            unit: null,
+            type: product.type,
+            gift_card_number: number,
+            discount_type: null,
+            discount_value: 0
+        });
+        this.selectedKey = key;
+        this.renderCart();
+        Utils.toast(`Added ${Utils.formatCurrency(amount)} to gift card ${GiftCards.mask(number)}`, 'success');
+    },
 
-        const btn = Utils.$('complete-payment-btn');
-        btn.disabled = true;
-        btn.textContent = 'Processing...';
-
+    /**
+     * Check a gift card's balance: ask for the number, then show the card
+     */
+    async showGiftCard() {
+        const number = await Utils.prompt('Scan or type the card number', '', 'Gift Card Balance');
+        if (number === null || !String(number).trim()) return;
+        const problem = GiftCards.numberProblem(number);
+        if (problem) {
+            Utils.toast(problem, 'warning');
+            return;
+        }
         try {
-            const transactionData = {
-                items: this.cart.map(item => ({
-                    item_id: item.id,
-                    quantity: item.quantity,
-                    unit_price: item.price
-                })),
-                payments: [{
-                    payment_method_id: paymentMethod.id,
-                    amount: totals.total
-                }],
-                customer_id: this.selectedCustomer?.id
-            };
-
-            await API.transactions.create(transactionData);
-
-            Utils.closeModal();
-            this.clearCart();
-
-            Utils.toast('Payment completed successfully!', 'success');
-
-            // Show receipt option
-            // this.showReceipt(result.data);
+            const result = await API.giftCards.lookup(number);
+            this.showGiftCardDetail(result.data);
         } catch (error) {
-            Utils.toast(error.message || 'Payment failed', 'error');
-        } finally {
-            btn.disabled = false;
-            btn.textContent = 'Complete Payment';
+            Utils.toast(error.message || 'Gift card not found', 'error');
         }
     },
 
     /**
-     * Hold transaction
+     * A gift card's balance, expiry and movements; pos.gift_card.manage can deactivate or reactivate it
      */
-    async holdTransaction() {
-        if (this.cart.length === 0) {
-            Utils.toast('Cart is empty', 'warning');
+    showGiftCardDetail(card) {
+        const labels = {
+            issue: 'Issued', top_up: 'Top-up', redeem: 'Spent', refund: 'Refund', void: 'Voided',
+            expire: 'Expired', deactivate: 'Deactivated', activate: 'Reactivated'
+        };
+        const statuses = { active: 'Active', inactive: 'Deactivated', expired: 'Expired' };
+        const canManage = Auth.hasPermission('pos.gift_card.manage') && card.status !== 'expired';
+        const rows = (card.movements || []).map(m => `
+      <tr>
+        <td>${Utils.formatDate(m.created_at, 'short')} ${Utils.formatDate(m.created_at, 'time')}</td>
+        <td>${labels[m.movement_type] || m.movement_type}</td>
+        <td>${m.transaction_number || '-'}${m.notes && !m.transaction_number ? `<div class="account-ledger-note">${m.notes}</div>` : ''}</td>
+        <td class="${Number(m.amount) > 0 ? 'account-ledger-credit' : ''}">${Utils.formatCurrency(Number(m.amount))}</td>
+        <td>${Utils.formatCurrency(Number(m.balance_after))}</td>
+        <td>${m.branch_name || '-'}</td>
+      </tr>
+    `).join('');
+
+        const content = `
+      <div class="modal-header">
+        <h2>Gift Card ${GiftCards.mask(card.card_number)}</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="account-summary">
+          <div><span>Balance</span><strong>${Utils.formatCurrency(Number(card.balance))}</strong></div>
+          <div><span>Status</span><strong>${statuses[card.status] || card.status}</strong></div>
+          <div><span>Valid until</span><strong>${card.expires_at ? Utils.formatDate(card.expires_at, 'short') : 'No expiry'}</strong></div>
+        </div>
+        <div class="account-ledger-note">Issued at ${card.branch_name || '-'}${card.customer_name ? ` to ${card.customer_name}` : ''}</div>
+        <table class="data-table account-ledger">
+          <thead>
+            <tr><th>Date</th><th>Movement</th><th>Reference</th><th>Amount</th><th>Balance</th><th>Branch</th></tr>
+          </thead>
+          <tbody>${rows || '<tr><td colspan="6" style="text-align: center; color: var(--text-muted);">No movements</td></tr>'}</tbody>
+        </table>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="Utils.closeModal()">Close</button>
+        ${canManage ? `<button class="btn ${card.status === 'active' ? 'btn-danger' : 'btn-primary'}" id="gift-card-status-btn">${card.status === 'active' ? 'Deactivate' : 'Reactivate'}</button>` : ''}
+      </div>
+    `;
+        Utils.showModal(content, { width: '760px' });
+
+        Utils.on('gift-card-status-btn', 'click', async () => {
+            const status = card.status === 'active' ? 'inactive' : 'active';
+            const reason = await Utils.prompt('Reason', '', status === 'active' ? 'Reactivate Gift Card' : 'Deactivate Gift Card');
+            if (reason === null) {
+                this.showGiftCardDetail(card);
+                return;
+            }
+            try {
+                const result = await API.giftCards.setStatus(card.id, { status, reason });
+                Utils.toast(`Gift card ${status === 'active' ? 'reactivated' : 'deactivated'}`, 'success');
+                this.showGiftCardDetail(result.data);
+            } catch (error) {
+                Utils.toast(error.message || 'Failed to update the gift card', 'error');
+                this.showGiftCardDetail(card);
+            }
+        });
+    },
+
+    /**
+     * Pick a variant by its attributes (e.g. size, then colour); variants without attributes are
+     * listed by name
+     */
+    showVariantPicker(product) {
+        const variants = product.variants;
+        const keys = [...new Set(variants.flatMap(v => Object.keys(v.attributes || {})))];
+        const chosen = {};
+
+        const optionsHtml = keys.length
+            ? keys.map(key => `
+        <div class="form-group">
+          <label>${key}</label>
+          <div class="variant-options" data-key="${key}">
+            ${[...new Set(variants.map(v => v.attributes?.[key]).filter(value => value !== undefined))].map(value =>
+        `<button class="btn btn-secondary variant-option" data-key="${key}" data-value="${value}">${value}</button>`).join('')}
+          </div>
+        </div>
+      `).join('')
+            : `<div class="variant-options">${variants.map(v =>
+                `<button class="btn btn-secondary variant-option" data-variant="${v.id}">${v.name}</button>`).join('')}</div>`;
+
+        const content = `
+      <div class="modal-header">
+        <h2>${product.name}</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div id="variant-picker">${optionsHtml}</div>
+        <div class="variant-selected" id="variant-selected">Choose ${keys.length ? keys.join(' and ') : 'a variant'}</div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="Utils.closeModal()">Cancel</button>
+        <button class="btn btn-primary" id="variant-add-btn" disabled>Add</button>
+      </div>
+    `;
+        Utils.showModal(content, { width: '440px' });
+
+        let selected = null;
+        const refresh = () => {
+            // Values that no variant matching the other choices has are greyed out
+            document.querySelectorAll('.variant-option[data-key]').forEach((btn) => {
+                const others = Object.entries(chosen).filter(([key]) => key !== btn.dataset.key);
+                const possible = variants.some(v => String(v.attributes?.[btn.dataset.key]) === btn.dataset.value
+                    && others.every(([key, value]) => String(v.attributes?.[key]) === value));
+                btn.classList.toggle('active', chosen[btn.dataset.key] === btn.dataset.value);
+                btn.disabled = !possible;
+            });
+
+            if (keys.length) {
+                selected = Object.keys(chosen).length === keys.length
+                    ? variants.find(v => keys.every(key => String(v.attributes?.[key]) === chosen[key])) || null
+                    : null;
+            }
+            Utils.$('variant-add-btn').disabled = !selected;
+            if (selected) {
+                Utils.$('variant-selected').textContent =
+                    `${selected.name} · ${Utils.formatCurrency(this.variantPrice(product, selected))} · ${Number(selected.stock)} in stock`;
+            }
+        };
+
+        Utils.delegate('variant-picker', '.variant-option', 'click', function () {
+            if (this.dataset.variant) {
+                document.querySelectorAll('.variant-option').forEach(b => b.classList.toggle('active', b === this));
+                selected = variants.find(v => v.id === this.dataset.variant);
+            } else if (chosen[this.dataset.key] === this.dataset.value) {
+                delete chosen[this.dataset.key];
+            } else {
+                chosen[this.dataset.key] = this.dataset.value;
+            }
+            refresh();
+        });
+        Utils.on('variant-add-btn', 'click', () => {
+            if (!selected) return;
+            Utils.closeModal();
+            this.addToCart(product.id, selected.id);
+        });
+    },
+
+    /**
+     * Update item quantity
+     */
+    updateQuantity(key, action) {
+        const item = this.cart.find(i => i.key === key);
+        if (!item) return;
+        if (item.gift_card_number && action === 'increase') {
+            Utils.toast('Gift cards are sold one card per line', 'warning');
+            return;
+        }
+
+        if (action === 'increase') {
+            item.quantity = this.roundQuantity(item.quantity + 1);
+        } else if (action === 'decrease') {
+            if (item.quantity <= 1) {
+                this.removeFromCart(key);
+                return;
+            }
+            item.quantity = this.roundQuantity(item.quantity - 1);
+        }
+
+        this.renderCart();
+    },
+
+    /**
+     * Move the keyboard selection up (-1) or down (1) the cart lines
+     */
+    moveSelection(step) {
+        if (this.cart.length === 0) return false;
+        const index = this.cart.findIndex(item => item.key === this.selectedKey);
+        const next = index === -1
+            ? (step > 0 ? 0 : this.cart.length - 1)
+            : Math.min(Math.max(index + step, 0), this.cart.length - 1);
+        this.selectedKey = this.cart[next].key;
+        this.renderCart();
+        return true;
+    },
+
+    /**
+     * Type a line's quantity: a weight for items sold by weight, whole units otherwise
+     */
+    async enterQuantity(key) {
+        const item = this.cart.find(i => i.key === key);
+        if (!item) return;
+        if (item.gift_card_number) {
+            Utils.toast('Gift cards are sold one card per line', 'warning');
+            return;
+        }
+
+        const unit = item.unit ? ` (${item.unit})` : '';
+        const value = await Utils.prompt(`Quantity of ${item.name}${unit}`, String(item.quantity),
+            item.allow_decimal_qty ? 'Enter Weight' : 'Enter Quantity');
+        if (value === null || value === undefined || String(value).trim() === '') return;
+
+        const quantity = this.roundQuantity(String(value).trim().replace(',', '.'));
+        if (!(quantity > 0)) {
+            Utils.toast('Enter a quantity above zero', 'warning');
+            return;
+        }
+        if (!item.allow_decimal_qty && !Number.isInteger(quantity)) {
+            Utils.toast(`${item.name} is sold in whole units`, 'warning');
+            return;
+        }
+
+        item.quantity = quantity;
+        this.renderCart();
+    },
+
+    /**
+     * Remove item from cart
+     */
+    async removeFromCart(key) {
+        const item = this.cart.find(i => i.key === key);
+        if (item?.printed && !Auth.hasPermission('pos.void')) {
+            const approval = await this.requestApproval('delete_line', { item_id: item.id }, `Remove ${item.name}`);
+            if (!approval) return;
+            this.approvalTokens.push(approval.approvalToken);
+        }
+
+        this.cart = this.cart.filter(i => i.key !== key);
+        this.renderCart();
+    },
+
+    /**
+     * Clear cart
+     */
+    clearCart() {
+        const hadCustomer = !!this.selectedCustomer;
+        this.cart = [];
+        this.cartDiscount = null;
+        this.loyaltyRedeem = 0;
+        this.coupons = [];
+        this.approvalTokens = [];
+        this.returnMode = null;
+        this.selectedCustomer = null;
+        Utils.$('selected-customer-name').textContent = 'Walk-in Customer';
+        this.renderCart();
+        if (hadCustomer) this.loadPricing();
+    },
+
+    /**
+     * Calculate totals (same Promotions and Totals modules the API uses to recompute the sale).
+     * Coupons entered add their promotions. Each line also gets the promotions applied to it;
+     * exchanges take none.
+     */
+    calculateTotals(cart = this.cart, cartDiscount = this.cartDiscount, redemption = this.redemptionValue()) {
+        const promoted = this.returnMode ? null : Promotions.evaluate(cart.map(item => ({
+            item_id: item.id,
+            category_id: item.category_id,
+            unit_price: item.price,
+            quantity: item.quantity,
+            no_discount: !!item.gift_card_number
+        })), [...this.promotions, ...this.coupons.map(c => c.promotion)], {
+            at: new Date(),
+            customerGroupId: this.selectedCustomer?.group_id || null,
+            timeZone: this.receiptStore?.timezone
+        });
+
+        const totals = Totals.calculate(cart.map((item, i) => ({
+            unit_price: item.price,
+            quantity: item.quantity,
+            promotion_discount: promoted ? promoted.lines[i].discount : 0,
+            discount_type: item.discount_type,
+            discount_value: item.discount_value,
+            min_price: item.min_price,
+            tax_rate: item.tax_rate,
+            is_tax_inclusive: item.is_tax_inclusive,
+            no_discount: !!item.gift_card_number
+        })), {
+            cartDiscount,
+            redemption,
+            tax: this.taxSettings,
+            taxExempt: !!this.selectedCustomer?.is_tax_exempt
+        });
+        totals.lines.forEach((line, i) => { line.promotions = promoted ? promoted.lines[i].promotions : []; });
+        return totals;
+    },
+
+    /**
+     * Whether the cart's customer earns and redeems points at this branch
+     */
+    isMember() {
+        return !!this.selectedCustomer && !!this.loyaltySettings?.enabled;
+    },
+
+    /**
+     * Rupiah of the points redeemed as a discount on this sale (exchanges take none)
+     */
+    redemptionValue() {
+        return this.isMember() && !this.returnMode && this.loyaltyRedeem > 0
+            ? Loyalty.value(this.loyaltyRedeem, this.loyaltySettings)
+            : 0;
+    },
+
+    /**
+     * Refresh the member's points (the API expires lapsed ones first) for the cart
+     */
+    async loadMember() {
+        const customer = this.selectedCustomer;
+        if (!customer || !this.loyaltySettings?.enabled) return;
+        try {
+            const result = await API.customers.getLoyalty(customer.id);
+            if (this.selectedCustomer !== customer) return;
+            customer.loyalty_points = result.data.balance;
+            customer.loyalty_expiring = result.data.expiring;
+            this.renderCart();
+        } catch (error) {
+            console.error('Failed to load loyalty points:', error);
+        }
+    },
+
+    /**
+     * The member's points, what this cart earns and what it redeems; points taken as a discount
+     * are redeemed from here
+     */
+    renderLoyalty(totals) {
+        const box = Utils.$('cart-loyalty');
+        box.hidden = !this.isMember() || !!this.returnMode;
+        if (box.hidden) return;
+
+        const settings = this.loyaltySettings;
+        const customer = this.selectedCustomer;
+        // Gift cards earn when they are spent, not when they are loaded
+        const earned = Math.max(0, Loyalty.points(Loyalty.eligibleAmount(this.cart.map((item, i) => ({
+            category_id: item.category_id,
+            amount: item.gift_card_number ? 0 : totals.lines[i].total
+        })), settings), settings));
+        const expiring = customer.loyalty_expiring;
+
+        box.innerHTML = `
+      <span class="cart-loyalty-balance">${Number(customer.loyalty_points) || 0} pts${expiring ? ` <small>${expiring.points} expire ${Utils.formatDate(expiring.expires_at, 'short')}</small>` : ''}</span>
+      <span>${this.loyaltyRedeem > 0 ? `−${this.loyaltyRedeem} · ` : ''}+${earned} this sale</span>
+      ${settings.redeem_as === 'discount' ? `<button class="btn btn-sm btn-secondary" id="loyalty-redeem-btn">${this.loyaltyRedeem > 0 ? 'Change' : 'Redeem'}</button>` : ''}
+    `;
+    },
+
+    /**
+     * Ask how many points to take off the sale as a discount (0 removes the redemption)
+     */
+    async showRedeem() {
+        if (!this.isMember()) return;
+        const settings = this.loyaltySettings;
+        const balance = Number(this.selectedCustomer.loyalty_points) || 0;
+        const value = await Utils.prompt(
+            `Points to redeem - ${balance} available, ${Utils.formatCurrency(settings.point_value)} each`,
+            this.loyaltyRedeem || '',
+            'Redeem Points'
+        );
+        if (value === null) return;
+
+        const points = Number(value) || 0;
+        if (points > 0) {
+            const problem = Loyalty.redeemProblem(points, balance, settings);
+            if (problem) {
+                Utils.toast(problem, 'warning');
+                return;
+            }
+            const worth = Loyalty.value(points, settings);
+            if (this.calculateTotals(this.cart, this.cartDiscount, worth).redemption < worth) {
+                Utils.toast('Points redeemed are worth more than the sale', 'warning');
+                return;
+            }
+        }
+        this.loyaltyRedeem = points;
+        this.renderCart();
+    },
+
+    /**
+     * Check the code typed in the coupon field and add its promotion to the cart
+     */
+    async applyCoupon() {
+        const input = Utils.$('coupon-input');
+        const code = Coupons.normalize(input.value);
+        if (!code) return;
+        if (this.coupons.some(c => c.code === code)) {
+            Utils.toast(`Coupon ${code} is already on this sale`, 'warning');
+            return;
+        }
+
+        try {
+            const result = await API.coupons.check(code, this.selectedCustomer?.id);
+            const entry = result.data;
+            if (this.coupons.some(c => c.coupon.id === entry.coupon.id || c.promotion.id === entry.promotion.id)) {
+                Utils.toast(`Coupon ${code} cannot be used with the coupons already on this sale`, 'warning');
+                return;
+            }
+            this.coupons.push(entry);
+            input.value = '';
+            this.renderCart();
+        } catch (error) {
+            Utils.toast(error.message || 'Coupon not accepted', 'error');
+        }
+    },
+
+    /**
+     * Take a coupon off the sale
+     */
+    removeCoupon(code) {
+        this.coupons = this.coupons.filter(c => c.code !== code);
+        this.renderCart();
+    },
+
+    /**
+     * Check the coupons again for a new customer (some are limited per customer); drop those that fail
+     */
+    async recheckCoupons() {
+        const customer = this.selectedCustomer;
+        for (const entry of [...this.coupons]) {
+            try {
+                await API.coupons.check(entry.code, customer?.id);
+            } catch (error) {
+                if (this.selectedCustomer !== customer) return;
+                Utils.toast(error.message || `Coupon ${entry.code} removed`, 'warning');
+                this.removeCoupon(entry.code);
+            }
+        }
+    },
+
+    /**
+     * Coupons on the sale with what each takes off; one that gives nothing says why
+     */
+    renderCoupons(totals) {
+        Utils.$('cart-coupon').hidden = !!this.returnMode;
+        const cart = this.cart.map(item => ({
+            item_id: item.id,
+            category_id: item.category_id,
+            unit_price: item.price,
+            quantity: item.quantity,
+            no_discount: !!item.gift_card_number
+        }));
+        Utils.$('coupon-list').innerHTML = this.coupons.map((entry) => {
+            const amount = Totals.round(totals.lines.reduce((sum, line) => sum + line.promotions
+                .filter(p => p.promotion_id === entry.promotion.id)
+                .reduce((total, p) => total + p.amount, 0), 0));
+            const problem = Coupons.spendProblem(entry.coupon, entry.promotion, cart)
+                || (amount > 0 ? null : 'Gives nothing off this sale');
+            return `
+        <div class="cart-coupon-item${problem ? ' invalid' : ''}" title="${problem || entry.coupon.name}">
+          <span><strong>${entry.code}</strong> ${problem || entry.coupon.name}</span>
+          <span>${amount > 0 ? `− ${Utils.formatCurrency(amount)}` : ''}</span>
+          <button class="cart-coupon-remove" data-code="${entry.code}" title="Remove coupon">✕</button>
+        </div>
+      `;
+        }).join('');
+    },
+
+    /**
+     * Render cart
+     */
+    renderCart() {
+        this.applyPricing();
+        const cartItems = Utils.$('cart-items');
+        const totals = this.calculateTotals();
+        const returned = this.returnTotal();
+
+        if (this.cart.length === 0 && !this.returnMode) {
+            cartItems.innerHTML = `
+        <div class="cart-empty">
+          <svg viewBox="0 0 24 24"><path d="M7 18c-1.1 0-1.99.9-1.99 2S5.9 22 7 22s2-.9 2-2-.9-2-2-2zM1 2v2h2l3.6 7.59-1.35 2.45c-.16.28-.25.61-.25.96 0 1.1.9 2 2 2h12v-2H7.42c-.14 0-.25-.11-.25-.25l.03-.12.9-1.63h7.45c.75 0 1.41-.41 1.75-1.03l3.58-6.49c.08-.14.12-.31.12-.48 0-.55-.45-1-1-1H5.21l-.94-2H1zm16 16c-1.1 0-1.99.9-1.99 2s.89 2 1.99 2 2-.9 2-2-.9-2-2-2z"/></svg>
+          <p>Cart is empty</p>
+        </div>
+      `;
+        } else {
+            const canDiscount = Auth.hasPermission('pos.discount');
+            if (!this.cart.some(item => item.key === this.selectedKey)) this.selectedKey = this.cart[this.cart.length - 1]?.key || null;
+            cartItems.innerHTML = this.renderReturn() + this.cart.map((item, i) => {
+                const line = totals.lines[i];
+                return `
+        <div class="cart-item${item.key === this.selectedKey ? ' selected' : ''}" data-id="${item.key}">
+          <div class="cart-item-info">
+            <div class="cart-item-name">${item.name}</div>
+            ${item.components?.length ? `<div class="cart-item-components">${item.components.map(c => `${c.quantity} × ${c.name}`).join(', ')}</div>` : ''}
+            <div class="cart-item-price">
+              ${Utils.formatCurrency(item.price)}
+              ${item.price < item.catalog_price ? `<s class="cart-item-list-price">${Utils.formatCurrency(item.catalog_price)}</s>` : ''}
+            </div>
+            ${line.promotions.map(p => `<div class="cart-item-promo">${p.name} − ${Utils.formatCurrency(p.amount)}</div>`).join('')}
+            ${line.discount > 0 ? `<div class="cart-item-discount">− ${Utils.formatCurrency(line.discount)} (${line.discountPercent}%)</div>` : ''}
+          </div>
+          <div class="cart-item-qty">
+            ${item.gift_card_number ? '<span class="qty-value">1</span>' : `
+            <button class="qty-btn" data-action="decrease">−</button>
+            <span class="qty-value" title="Enter quantity">${item.quantity}${item.allow_decimal_qty && item.unit ? ` ${item.unit}` : ''}</span>
+            <button class="qty-btn" data-action="increase">+</button>`}
+          </div>
+          <div class="cart-item-total">${Utils.formatCurrency(line.net)}</div>
+          ${canDiscount && !item.gift_card_number ? '<button class="cart-item-discount-btn" title="Line discount">%</button>' : ''}
+          <button class="cart-item-remove" title="Remove">✕</button>
+        </div>
+      `;
+            }).join('');
+            cartItems.querySelector('.cart-item.selected')?.scrollIntoView({ block: 'nearest' });
+        }
+
+        // Update totals
+        Utils.$('cart-subtotal').textContent = Utils.formatCurrency(totals.subtotal);
+        Utils.$('promotion-row').classList.toggle('hidden', totals.promotion <= 0);
+        Utils.$('cart-promotion').textContent = `- ${Utils.formatCurrency(totals.promotion)}`;
+        Utils.$('discount-row').classList.toggle('hidden', totals.discount - totals.promotion <= 0);
+        Utils.$('cart-discount').textContent = `- ${Utils.formatCurrency(Totals.round(totals.discount - totals.promotion))}`;
+        Utils.$('cart-tax-label').textContent = this.selectedCustomer?.is_tax_exempt
+            ? 'Tax (exempt)'
+            : (totals.tax > 0 && totals.taxIncluded === totals.tax ? 'Tax (included)' : 'Tax');
+        Utils.$('cart-tax').textContent = Utils.formatCurrency(totals.tax);
+        Utils.$('return-row').classList.toggle('hidden', !this.returnMode);
+        Utils.$('cart-return').textContent = `- ${Utils.formatCurrency(returned)}`;
+        Utils.$('cart-total').textContent = Utils.formatCurrency(Totals.round(totals.total - returned));
+
+        // Enable/disable pay button; a return with nothing to pay becomes a refund
+        Utils.$('pay-btn').disabled = this.cart.length === 0 && !this.returnMode;
+        Utils.$('pay-btn').textContent = this.returnMode && totals.total <= returned ? 'Refund' : 'Pay';
+        this.renderLoyalty(totals);
+        this.renderCoupons(totals);
+        this.publishDisplay();
+    },
+
+    /**
+     * Show payment modal - one or more tenders until the total is covered
+     */
+    showPaymentModal() {
+        if (this.cart.length === 0 && !this.returnMode) return;
+        if (!Shift.requireOpen()) return;
+
+        // Exchanges pay only the difference; when the return covers it all, it's a refund instead
+        const totals = this.calculateTotals();
+        if (this.returnMode) {
+            totals.total = Totals.round(totals.total - this.returnTotal());
+            if (totals.total <= 0) {
+                this.completeReturn();
+                return;
+            }
+        }
+        this.tenders = [];
+        this.paymentMethod = null;
+        this.tenderCard = null;
+        // Points are a tender only for members, when the branch takes them as payment
+        const methods = this.paymentMethods.filter(m => m.type !== 'points'
+            || (this.isMember() && this.loyaltySettings.redeem_as === 'tender'));
+        const methodsHtml = methods.map(m =>
+            `<button class="btn btn-secondary payment-method-btn" data-id="${m.id}" data-code="${m.code}">${m.name}</button>`
+        ).join('');
+
+        const content = `
+      <div class="modal-header">
+        <h2>Payment</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="payment-total">
+          <span>Total</span>
+          <span class="payment-amount">${Utils.formatCurrency(totals.total)}</span>
+        </div>
+        <div class="payment-tenders" id="payment-tenders"></div>
+        <div class="form-group">
+          <label>Payment Method</label>
+          <div class="payment-methods">${methodsHtml}</div>
+        </div>
+        <div class="payment-entry">
+          <div class="form-group">
+            <label>Amount</label>
+            <input type="number" id="payment-received" class="form-control" value="${totals.total}" step="1000" min="0">
+          </div>
+          <div class="form-group" id="payment-reference-group" hidden>
+            <label id="payment-reference-label">Reference No.</label>
+            <input type="text" id="payment-reference" class="form-control" placeholder="Card slip / transfer / e-wallet ref">
+          </div>
+          <div class="payment-account" id="payment-account" hidden></div>
+          <button class="btn btn-secondary" id="add-tender-btn">Add Payment</button>
+        </div>
+        <div class="payment-change">
+          <span id="payment-balance-label">Remaining</span>
+          <span id="payment-balance">${Utils.formatCurrency(totals.total)}</span>
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="Utils.closeModal()">Cancel</button>
+        <button class="btn btn-primary btn-large" id="complete-payment-btn">Complete Payment</button>
+      </div>
+    `;
+
+        // The customer display follows the payment until the window goes away
+        Utils.showModal(content, {
+            width: '480px',
+            onClose: () => {
+                this.displayPayment = null;
+                this.publishDisplay();
+            }
+        });
+
+        // Select payment method; non-cash tenders need a reference number
+        let selectedMethod = methods[0];
+        const selectMethod = (btn) => {
+            document.querySelectorAll('.payment-method-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            selectedMethod = this.paymentMethods.find(m => m.id === btn.dataset.id);
+            this.paymentMethod = selectedMethod;
+            // A gift card tender takes the card number in the reference field
+            const giftCard = this.isGiftCard(selectedMethod);
+            Utils.$('payment-reference-group').hidden = !this.needsReference(selectedMethod) && !giftCard;
+            Utils.$('payment-reference-label').textContent = giftCard ? 'Card No.' : 'Reference No.';
+            Utils.$('payment-reference').placeholder = giftCard ? 'Scan or type the card number' : 'Card slip / transfer / e-wallet ref';
+            // Non-cash tenders default to the balance left, never more
+            const remaining = this.tenderSummary(totals.total).remaining;
+            if (!this.isCash(selectedMethod) && remaining > 0) Utils.$('payment-received').value = remaining;
+            this.renderTenders(totals);
+            if (giftCard) {
+                Utils.$('payment-reference').focus();
+                return;
+            }
+            Utils.$('payment-received').focus();
+            Utils.$('payment-received').select();
+        };
+        document.querySelectorAll('.payment-method-btn').forEach(btn => {
+            btn.addEventListener('click', () => selectMethod(btn));
+        });
+        const firstMethod = document.querySelector('.payment-method-btn');
+        if (firstMethod) selectMethod(firstMethod);
+
+        Utils.$('payment-received').addEventListener('input', () => this.renderTenders(totals));
+
+        // Numpad flow: type the amount and press Enter - it is added as a tender while the total is
+        // not covered, and completes the payment once it is
+        const enterAmount = (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            const pending = Totals.round(Utils.$('payment-received').value);
+            if (pending > 0 && this.tenderSummary(totals.total, pending).remaining > 0) {
+                if (this.addTender(selectedMethod, totals)) this.renderTenders(totals);
+                Utils.$('payment-received').select();
+            } else {
+                Utils.$('complete-payment-btn').click();
+            }
+        };
+        Utils.on('payment-received', 'keydown', enterAmount);
+        Utils.on('payment-reference', 'keydown', async (e) => {
+            // A scanned gift card is looked up first: its balance shows and caps the amount
+            if (e.key === 'Enter' && this.isGiftCard(selectedMethod) && !this.tenderCardMatches()) {
+                e.preventDefault();
+                if (await this.checkTenderCard(totals)) Utils.$('payment-received').select();
+                return;
+            }
+            enterAmount(e);
+        });
+        Utils.on('payment-reference', 'change', () => {
+            if (this.isGiftCard(selectedMethod)) this.checkTenderCard(totals);
+        });
+        Utils.on('add-tender-btn', 'click', () => {
+            if (this.addTender(selectedMethod, totals)) this.renderTenders(totals);
+        });
+        Utils.delegate('payment-tenders', '.payment-tender-remove', 'click', function () {
+            POS.tenders.splice(Number(this.dataset.index), 1);
+            POS.renderTenders(totals);
+        });
+
+        // Complete payment (an amount still in the entry field counts as the last tender)
+        Utils.on('complete-payment-btn', 'click', () => {
+            if (Number(Utils.$('payment-received').value) > 0) {
+                if (!this.addTender(selectedMethod, totals)) return;
+                this.renderTenders(totals);
+            }
+            this.completePayment(totals);
+        });
+    },
+
+    /**
+     * Whether a payment method is cash (the only tender that can give change)
+     */
+    isCash(method) {
+        return method?.type === 'cash';
+    },
+
+    /**
+     * Card, transfer and e-wallet tenders are recorded with the terminal/bank reference
+     */
+    needsReference(method) {
+        return ['card', 'transfer', 'ewallet'].includes(method?.type);
+    },
+
+    /**
+     * Whether a payment method spends from a gift card
+     */
+    isGiftCard(method) {
+        return method?.type === 'gift_card';
+    },
+
+    /**
+     * Whether the card looked up for the payment window is the one in the card number field
+     */
+    tenderCardMatches() {
+        return !!this.tenderCard && this.tenderCard.card_number === GiftCards.normalize(Utils.$('payment-reference').value);
+    },
+
+    /**
+     * What a card still holds for this payment: its balance less the tenders already taken from it
+     */
+    tenderCardAvailable(card) {
+        const used = this.tenders.filter(t => t.giftCardNumber === card.card_number).reduce((sum, t) => sum + t.amount, 0);
+        return Totals.round(Number(card.balance) - used);
+    },
+
+    /**
+     * Look up the gift card in the card number field for the payment window; the amount defaults to
+     * what is left to pay, up to what the card holds
+     */
+    async checkTenderCard(totals) {
+        const number = GiftCards.normalize(Utils.$('payment-reference').value);
+        const problem = GiftCards.numberProblem(number);
+        if (problem) {
+            Utils.toast(problem, 'warning');
+            return false;
+        }
+        try {
+            const result = await API.giftCards.lookup(number);
+            this.tenderCard = result.data;
+        } catch (error) {
+            this.tenderCard = null;
+            Utils.toast(error.message || 'Gift card not found', 'error');
+            this.renderTenders(totals);
+            return false;
+        }
+        const { remaining } = this.tenderSummary(totals.total);
+        Utils.$('payment-received').value = Math.max(0, Math.min(remaining, this.tenderCardAvailable(this.tenderCard)));
+        this.renderTenders(totals);
+        return true;
+    },
+
+    /**
+     * Whether a payment method charges the customer's account
+     */
+    isAccount(method) {
+        return method?.type === 'credit';
+    },
+
+    /**
+     * Balance, limit and credit left on the selected customer's account after this sale's account
+     * tenders. Going over the limit needs a manager, which the API asks for when the sale is sent.
+     * For the points tender, the member's points and what they are worth; for a gift card, what it holds.
+     */
+    renderAccount(pending) {
+        const box = Utils.$('payment-account');
+        const points = this.paymentMethod?.type === 'points';
+        const giftCard = this.isGiftCard(this.paymentMethod);
+        box.hidden = !this.isAccount(this.paymentMethod) && !points && !(giftCard && this.tenderCardMatches());
+        if (box.hidden) return;
+
+        if (giftCard) {
+            const card = this.tenderCard;
+            const available = this.tenderCardAvailable(card);
+            box.innerHTML = `
+        <div><span>Card ${GiftCards.mask(card.card_number)} holds</span><span>${Utils.formatCurrency(available)}</span></div>
+        ${card.expires_at ? `<div><span>Valid until</span><span>${Utils.formatDate(card.expires_at, 'short')}</span></div>` : ''}
+        ${card.status !== 'active' ? `<div class="payment-account-warning">This card is ${card.status}</div>` : ''}
+        ${card.status === 'active' && pending > available ? `<div class="payment-account-warning">Short by ${Utils.formatCurrency(pending - available)}</div>` : ''}
+      `;
+            return;
+        }
+
+        if (points) {
+            const balance = Number(this.selectedCustomer.loyalty_points) || 0;
+            box.innerHTML = `
+        <div><span>${this.selectedCustomer.name} has</span><span>${balance} pts</span></div>
+        <div><span>Worth</span><span>${Utils.formatCurrency(Loyalty.value(balance, this.loyaltySettings))}</span></div>
+      `;
+            return;
+        }
+
+        const customer = this.selectedCustomer;
+        if (!customer) {
+            box.innerHTML = '<div class="payment-account-warning">Select a customer to charge their account</div>';
+            return;
+        }
+
+        const charged = this.tenders.filter(t => this.isAccount(t.method)).reduce((sum, t) => sum + t.amount, 0);
+        const balance = Totals.round(Number(customer.current_balance) + charged + pending);
+        const limit = Number(customer.credit_limit) || 0;
+        box.innerHTML = `
+        <div><span>${customer.name} owes</span><span>${Utils.formatCurrency(Number(customer.current_balance))}</span></div>
+        <div><span>Credit limit</span><span>${Utils.formatCurrency(limit)}</span></div>
+        <div><span>Available</span><span>${Utils.formatCurrency(Math.max(0, limit - Number(customer.current_balance) - charged))}</span></div>
+        ${balance > limit ? `<div class="payment-account-warning">Over the limit by ${Utils.formatCurrency(balance - limit)} - needs manager approval</div>` : ''}
+      `;
+    },
+
+    /**
+     * Paid, remaining and change for the tenders so far (plus an amount not yet added)
+     */
+    tenderSummary(total, pending = 0) {
+        const paid = Totals.round(this.tenders.reduce((sum, t) => sum + t.amount, 0) + pending);
+        return {
+            paid,
+            remaining: Totals.round(Math.max(0, total - paid)),
+            change: Totals.round(Math.max(0, paid - total))
+        };
+    },
+
+    /**
+     * Add the entered amount as a tender; returns false (with a message) when it cannot be taken
+     */
+    addTender(method, totals) {
+        const input = Utils.$('payment-received');
+        const amount = Totals.round(input.value);
+        const reference = Utils.$('payment-reference').value.trim();
+        const { remaining } = this.tenderSummary(totals.total);
+
+        if (!method) {
+            Utils.toast('Select a payment method', 'warning');
+            return false;
+        }
+        if (!(amount > 0)) {
+            Utils.toast('Enter an amount', 'warning');
+            return false;
+        }
+        if (!this.isCash(method) && amount > remaining) {
+            Utils.toast(`${method.name} cannot exceed the remaining ${Utils.formatCurrency(remaining)}`, 'error');
+            return false;
+        }
+        if (this.needsReference(method) && !reference) {
+            Utils.toast(`Enter the ${method.name} reference number`, 'warning');
+            return false;
+        }
+        if (this.isGiftCard(method)) {
+            if (!this.tenderCardMatches()) {
+                Utils.toast('Scan the gift card and press Enter to check its balance', 'warning');
+                return false;
+            }
+            const card = this.tenderCard;
+            // What is loaded onto gift cards on this sale cannot itself be paid from a gift card
+            const loads = this.cart.filter(item => item.gift_card_number).reduce((sum, item) => sum + item.price, 0);
+            const spent = this.tenders.filter(t => this.isGiftCard(t.method)).reduce((sum, t) => sum + t.amount, 0);
+            const problem = card.status !== 'active'
+                ? `Gift card ${GiftCards.mask(card.card_number)} is ${card.status === 'inactive' ? 'deactivated' : 'expired'}`
+                : amount > this.tenderCardAvailable(card)
+                    ? `Gift card ${GiftCards.mask(card.card_number)} only has ${Utils.formatCurrency(this.tenderCardAvailable(card))} left`
+                    : (loads > 0 && Totals.round(spent + amount) > Totals.round(totals.total - loads) ? 'Gift cards cannot be paid for with a gift card' : null);
+            if (problem) {
+                Utils.toast(problem, 'error');
+                return false;
+            }
+        }
+        if (this.isAccount(method) && !this.selectedCustomer) {
+            Utils.toast(`Select a customer to charge to ${method.name}`, 'warning');
+            return false;
+        }
+        if (method.type === 'points') {
+            const settings = this.loyaltySettings;
+            const points = Loyalty.pointsFor(amount, settings);
+            const used = this.tenders.filter(t => t.method.type === 'points')
+                .reduce((sum, t) => sum + Loyalty.pointsFor(t.amount, settings), 0);
+            const problem = points === null
+                ? `Points pay in steps of ${Utils.formatCurrency(settings.point_value)}`
+                : Loyalty.redeemProblem(points + used, Number(this.selectedCustomer.loyalty_points) || 0, settings);
+            if (problem) {
+                Utils.toast(problem, 'error');
+                return false;
+            }
+        }
+
+        if (this.isGiftCard(method)) {
+            const number = this.tenderCard.card_number;
+            this.tenders.push({ method, amount, reference: GiftCards.mask(number), giftCardNumber: number });
+        } else {
+            this.tenders.push({ method, amount, reference });
+        }
+        input.value = this.tenderSummary(totals.total).remaining || '';
+        Utils.$('payment-reference').value = '';
+        return true;
+    },
+
+    /**
+     * Render the tenders taken and the remaining balance or change
+     */
+    renderTenders(totals) {
+        Utils.$('payment-tenders').innerHTML = this.tenders.map((tender, i) => `
+      <div class="payment-tender">
+        <span>${tender.method.name}${tender.reference ? ` <small>#${tender.reference}</small>` : ''}</span>
+        <span>${Utils.formatCurrency(tender.amount)}</span>
+        <button class="payment-tender-remove" data-index="${i}" title="Remove">&times;</button>
+      </div>
+    `).join('');
+
+        // Preview what the amount in the entry field would leave
+        const summary = this.tenderSummary(totals.total, Totals.round(Utils.$('payment-received').value));
+        const isChange = summary.change > 0;
+        Utils.$('payment-balance-label').textContent = isChange ? 'Change' : 'Remaining';
+        Utils.$('payment-balance').textContent = Utils.formatCurrency(isChange ? summary.change : summary.remaining);
+        this.renderAccount(Totals.round(Utils.$('payment-received').value) || 0);
+
+        // The display shows the method's QR (settings.display.payment_qr) with the amount to scan for
+        const pending = Totals.round(Utils.$('payment-received').value);
+        const method = this.paymentMethod;
+        const qr = method && !this.isCash(method) && pending > 0 ? this.displaySettings?.payment_qr?.[method.code] : null;
+        this.displayPayment = {
+            total: totals.total,
+            paid: summary.paid,
+            remaining: summary.remaining,
+            change: summary.change,
+            method: method?.name || null,
+            qr: qr ? { image: qr, amount: pending } : null
+        };
+        this.publishDisplay();
+    },
+
+    /**
+     * Complete payment
+     */
+    async completePayment(totals) {
+        const summary = this.tenderSummary(totals.total);
+        if (summary.remaining > 0) {
+            Utils.toast(`${Utils.formatCurrency(summary.remaining)} still to pay`, 'error');
+            this.renderTenders(totals);
+            return;
+        }
+
+        const btn = Utils.$('complete-payment-btn');
+        btn.disabled = true;
+        btn.textContent = 'Processing...';
+
+        try {
+            const transactionData = {
+                ...this.saleRequest(),
+                payments: this.tenders.map(tender => ({
+                    payment_method_id: tender.method.id,
+                    amount: tender.amount,
+                    reference_number: tender.giftCardNumber ? undefined : tender.reference || undefined,
+                    gift_card_number: tender.giftCardNumber || undefined
+                }))
+            };
+
+            const result = await this.withApproval((approvalTokens) => {
+                const data = { ...transactionData, approval_tokens: [...this.approvalTokens, ...approvalTokens] };
+                return this.returnMode
+                    ? API.transactions.return(this.returnMode.original.id, { ...data, ...this.returnRequest() })
+                    : API.transactions.create(data);
+            });
+
+            Utils.closeModal();
+            this.clearCart();
+
+            Utils.toast('Payment completed successfully!', 'success');
+            this.showReceipt(result.data);
+        } catch (error) {
+            Utils.toast(error.message || 'Payment failed', 'error');
+        } finally {
+            btn.disabled = false;
+            btn.textContent = 'Complete Payment';
+        }
+    },
+
+    /**
+     * Cart lines, discounts and customer as sent to the API. The API prices the lines itself: only
+     * a gift card's amount is sent, and a scale label so its printed price can be checked.
+     */
+    saleRequest() {
+        return {
+            items: this.cart.map(item => ({
+                item_id: item.id,
+                variant_id: item.variant_id || undefined,
+                quantity: item.quantity,
+                unit_price: item.gift_card_number ? item.price : undefined,
+                scale_label: item.label || undefined,
+                discount_type: item.discount_type || undefined,
+                discount_value: item.discount_value || undefined,
+                gift_card_number: item.gift_card_number || undefined
+            })),
+            discount_type: this.cartDiscount?.type,
+            discount_value: this.cartDiscount?.value,
+            customer_id: this.selectedCustomer?.id,
+            redeem_points: this.redemptionValue() > 0 ? this.loyaltyRedeem : undefined,
+            coupon_codes: this.coupons.length ? this.coupons.map(c => c.code) : undefined
+        };
+    },
+
+    /**
+     * Show the receipt of a completed sale with the change (or refund) due and a print button
+     */
+    showReceipt(transaction) {
+        if (!this.receiptStore) return;
+        const doc = Receipt.build(transaction, this.receiptStore);
+        const change = Number(transaction.change_amount) || 0;
+        const paid = Number(transaction.paid_amount) || 0;
+        const refund = transaction.transaction_type === 'return' ? paid : Math.max(0, -paid);
+        const due = refund > 0 ? { label: 'Refund', amount: refund } : { label: 'Change', amount: change };
+
+        const content = `
+      <div class="modal-header">
+        <h2>${transaction.transaction_type === 'sale' ? 'Sale' : 'Return'} Complete</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        ${due.amount > 0 ? `
+        <div class="payment-change">
+          <span>${due.label}</span>
+          <span class="payment-amount">${Utils.formatCurrency(due.amount)}</span>
+        </div>` : ''}
+        <iframe class="receipt-preview" id="receipt-preview"></iframe>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="Utils.closeModal()">New Sale</button>
+        <button class="btn btn-primary" id="print-receipt-btn">Print Receipt</button>
+      </div>
+    `;
+
+        Utils.showModal(content, { width: '420px' });
+        Utils.$('receipt-preview').srcdoc = Receipt.html(doc);
+        this.publishDisplay(due);
+        Utils.on('print-receipt-btn', 'click', () => Utils.printHtml(Receipt.html(doc)));
+    },
+
+    /**
+     * Print the bill for the current cart (not a receipt). Printed lines need a manager
+     * approval to remove afterwards.
+     */
+    printBill() {
+        if (this.cart.length === 0 || !this.receiptStore) return;
+
+        const totals = this.calculateTotals();
+        const bill = {
+            subtotal: totals.subtotal,
+            discount_amount: totals.discount,
+            tax_amount: totals.tax,
+            total_amount: totals.total,
+            cashier_name: Auth.user?.fullName,
+            customer: this.selectedCustomer,
+            items: this.cart.map((item, i) => ({
+                item_name: item.name,
+                components: item.components,
+                quantity: item.quantity,
+                unit_price: item.price,
+                subtotal: totals.lines[i].gross,
+                discount_amount: totals.lines[i].totalDiscount,
+                promotions: totals.lines[i].promotions
+            }))
+        };
+        Utils.printHtml(Receipt.html(Receipt.build(bill, this.receiptStore, { title: 'BILL - NOT A RECEIPT' })));
+
+        this.cart.forEach((item) => { item.printed = true; });
+    },
+
+    /**
+     * Ask a manager to approve a restricted action with their PIN.
+     * Resolves with the one-time approval ({ approvalToken, approvedBy, ... }) or null if cancelled.
+     */
+    requestApproval(action, scope = {}, title = 'Manager Approval') {
+        return new Promise((resolve) => {
+            const keys = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'clear', '0', 'enter'];
+            const labels = { clear: 'C', enter: '↵' };
+            const content = `
+        <div class="modal-header">
+          <h2>${title}</h2>
+          <button class="modal-close" id="approval-cancel-x">&times;</button>
+        </div>
+        <div class="modal-body">
+          <div class="form-group">
+            <label>Reason</label>
+            <input type="text" id="approval-reason" class="form-control" placeholder="Why is this needed?">
+          </div>
+          <div class="pin-form">
+            <h3>Manager PIN</h3>
+            <div class="pin-input-container">
+              <input type="password" id="approval-pin" maxlength="6" pattern="[0-9]*" inputmode="numeric">
+            </div>
+            <div class="pin-keypad" id="approval-keypad">
+              ${keys.map(key => `<button class="pin-key${key === 'clear' ? ' pin-key-clear' : ''}${key === 'enter' ? ' pin-key-enter' : ''}" data-key="${key}">${labels[key] || key}</button>`).join('')}
+            </div>
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary" id="approval-cancel">Cancel</button>
+          <button class="btn btn-primary" id="approval-submit">Approve</button>
+        </div>
+      `;
+            Utils.showModal(content, { width: '380px', closeOnClickOutside: false });
+
+            const pinInput = Utils.$('approval-pin');
+            const cancel = () => {
+                Utils.closeModal();
+                resolve(null);
+            };
+            const submit = async () => {
+                const reason = Utils.$('approval-reason').value.trim();
+                if (!reason) {
+                    Utils.toast('Please enter a reason', 'warning');
+                    Utils.$('approval-reason').focus();
+                    return;
+                }
+                try {
+                    const result = await API.auth.approve(pinInput.value, action, reason, scope);
+                    Utils.closeModal();
+                    Utils.toast(`Approved by ${result.data.approvedBy.name}`, 'success');
+                    resolve(result.data);
+                } catch (error) {
+                    Utils.toast(error.message || 'Approval failed', 'error');
+                    pinInput.value = '';
+                }
+            };
+
+            Utils.$('approval-reason').focus();
+            Utils.on('approval-cancel', 'click', cancel);
+            Utils.on('approval-cancel-x', 'click', cancel);
+            Utils.on('approval-submit', 'click', submit);
+            Utils.on(pinInput, 'keydown', (e) => {
+                if (e.key === 'Enter') submit();
+            });
+            Utils.delegate('approval-keypad', '.pin-key', 'click', function () {
+                const key = this.dataset.key;
+                if (key === 'clear') {
+                    pinInput.value = '';
+                } else if (key === 'enter') {
+                    submit();
+                } else if (pinInput.value.length < 6) {
+                    pinInput.value += key;
+                }
+            });
+        });
+    },
+
+    /**
+     * Run a request that may need manager approval: when the API answers APPROVAL_REQUIRED,
+     * collect the approval and retry with the token (once per required approval)
+     */
+    async withApproval(run) {
+        const tokens = [];
+        for (;;) {
+            try {
+                return await run(tokens);
+            } catch (error) {
+                if (error.code !== 'APPROVAL_REQUIRED') throw error;
+
+                const { action, scope } = error.details || {};
+                const approval = await this.requestApproval(action, scope, error.message);
+                if (!approval) throw new Error('Approval cancelled');
+                tokens.push(approval.approvalToken);
+            }
+        }
+    },
+
+    /**
+     * Hold transaction
+     */
+    async holdTransaction() {
+        if (!Auth.hasPermission('pos.hold')) {
+            Utils.toast('You are not allowed to hold transactions', 'warning');
+            return;
+        }
+        if (this.cart.length === 0) {
+            Utils.toast('Cart is empty', 'warning');
+            return;
+        }
+        if (this.returnMode) {
+            Utils.toast('Finish or cancel the return first', 'warning');
             return;
         }
 
         const holdName = await Utils.prompt('Enter a name for this hold:', '', 'Hold Transaction');
         if (holdName === null) return;
 
+        const totals = this.calculateTotals();
         try {
             await API.transactions.hold({
                 items: this.cart,
-                totals: this.calculateTotals(),
+                totals: {
+                    subtotal: totals.subtotal,
+                    discount: totals.discount,
+                    tax: totals.tax,
+                    total: totals.total,
+                    cart_discount: this.cartDiscount
+                },
                 customer_id: this.selectedCustomer?.id,
                 hold_name: holdName || `Hold ${new Date().toLocaleTimeString()}`
             });
@@ -514,43 +2046,436 @@ const POS = {
     },
 
     /**
-     * Show discount modal
+     * Show the held transactions drawer
+     */
+    async showHolds() {
+        let holds = [];
+        try {
+            const result = await API.transactions.getHolds();
+            holds = result.data || [];
+        } catch (error) {
+            Utils.toast(error.message || 'Failed to load held transactions', 'error');
+            return;
+        }
+
+        const rows = holds.map(h => `
+      <div class="hold-item" data-id="${h.id}">
+        <div class="hold-info">
+          <div class="hold-name">${h.hold_name || h.hold_number}</div>
+          <div class="hold-meta">
+            ${h.customer?.name || 'Walk-in'} · ${h.items.length} item(s) · ${Utils.timeAgo(h.created_at)} · ${h.created_by_name || '-'}
+          </div>
+        </div>
+        <div class="hold-total">${Utils.formatCurrency(h.totals?.total || 0)}</div>
+        <button class="btn btn-sm btn-primary hold-resume">Resume</button>
+        <button class="btn btn-sm btn-danger hold-discard" title="Discard">✕</button>
+      </div>
+    `).join('');
+
+        const content = `
+      <div class="modal-header">
+        <h2>Held Transactions</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="hold-list" id="hold-list">
+          ${rows || '<div style="text-align: center; padding: 40px; color: var(--text-muted);">No held transactions</div>'}
+        </div>
+      </div>
+    `;
+
+        Utils.showModal(content, { width: '560px' });
+
+        Utils.delegate('hold-list', '.hold-resume', 'click', function () {
+            POS.resumeHold(this.closest('.hold-item').dataset.id);
+        });
+        Utils.delegate('hold-list', '.hold-discard', 'click', function () {
+            POS.discardHold(this.closest('.hold-item').dataset.id);
+        });
+    },
+
+    /**
+     * Restore a held cart (releasing the hold) with current prices, warning about any that changed
+     */
+    async resumeHold(holdId) {
+        if (this.cart.length > 0) {
+            const confirmed = await Utils.confirm('Replace the current cart with the held transaction?', 'Resume Hold');
+            if (!confirmed) return;
+        }
+
+        let hold;
+        try {
+            const result = await API.transactions.resumeHold(holdId);
+            hold = result.data;
+        } catch (error) {
+            Utils.toast(error.message || 'Failed to resume hold', 'error');
+            return;
+        }
+
+        const changes = hold.price_changes || [];
+        const changeOf = item => changes.find(c => c.item_id === item.id && (c.variant_id || null) === (item.variant_id || null));
+        this.cart = hold.items
+            .filter(item => changeOf(item)?.available !== false)
+            .map((item) => {
+                const change = changeOf(item);
+                const line = { ...item, key: item.key || this.lineKey(item.id, item.variant_id) };
+                return change ? { ...line, price: change.current_price, catalog_price: change.catalog_price } : line;
+            });
+        this.cartDiscount = hold.totals?.cart_discount || null;
+        this.approvalTokens = [];
+        this.loyaltyRedeem = 0;
+        this.selectedCustomer = hold.customer || null;
+        Utils.$('selected-customer-name').textContent = hold.customer ? hold.customer.name : 'Walk-in Customer';
+        this.renderCart();
+        this.loadPricing();
+        this.loadMember();
+        Utils.closeModal();
+
+        if (changes.length > 0) {
+            this.showPriceChanges(changes);
+        } else {
+            Utils.toast(`Resumed ${hold.hold_name || hold.hold_number}`, 'success');
+        }
+    },
+
+    /**
+     * Tell the cashier which held items now sell at a different price (or not at all)
+     */
+    showPriceChanges(changes) {
+        const rows = changes.map(c => `
+      <tr>
+        <td>${c.name}</td>
+        <td>${Utils.formatCurrency(c.held_price)}</td>
+        <td>${c.available ? Utils.formatCurrency(c.current_price) : 'No longer sold - removed'}</td>
+      </tr>
+    `).join('');
+
+        const content = `
+      <div class="modal-header">
+        <h2>Prices Changed</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p>These items changed since the sale was held. The cart now uses the current prices.</p>
+        <table class="data-table">
+          <thead><tr><th>Item</th><th>Held</th><th>Now</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-primary" onclick="Utils.closeModal()">OK</button>
+      </div>
+    `;
+
+        Utils.showModal(content, { width: '480px' });
+    },
+
+    /**
+     * Delete a held transaction without restoring it
+     */
+    async discardHold(holdId) {
+        const confirmed = await Utils.confirm('Discard this held transaction?', 'Discard Hold');
+        if (!confirmed) return;
+
+        try {
+            await API.transactions.releaseHold(holdId);
+            Utils.toast('Held transaction discarded', 'success');
+            this.showHolds();
+        } catch (error) {
+            Utils.toast(error.message || 'Failed to discard hold', 'error');
+        }
+    },
+
+    /**
+     * Start a return: look up the original sale by its receipt number (typed or scanned)
+     */
+    async startReturn() {
+        if (this.returnMode) {
+            this.showReturnModal(this.returnMode.original);
+            return;
+        }
+
+        const number = await Utils.prompt('Scan or enter the receipt number:', '', 'Return / Exchange');
+        if (!number || !number.trim()) return;
+
+        try {
+            const result = await API.transactions.lookup(number.trim());
+            const original = result.data;
+            if (original.transaction_type === 'return' || original.status !== 'completed') {
+                Utils.toast(`${original.transaction_number} cannot be returned`, 'error');
+                return;
+            }
+            if (!original.items.some(line => line.returnable_quantity > 0)) {
+                Utils.toast(`Everything on ${original.transaction_number} was already returned`, 'warning');
+                return;
+            }
+            this.showReturnModal(original);
+        } catch (error) {
+            Utils.toast(error.message || 'Sale not found', 'error');
+        }
+    },
+
+    /**
+     * Pick the lines and quantities to give back, whether they go back into stock, where the
+     * refund goes and why
+     */
+    showReturnModal(original) {
+        const current = this.returnMode?.original.id === original.id ? this.returnMode : null;
+        // Gift card loads are spent like cash and cannot come back
+        const lines = original.items.filter(line => line.returnable_quantity > 0 && line.item_type !== 'gift_card');
+        const customer = original.customer || this.selectedCustomer;
+
+        const linesHtml = lines.map((line) => {
+            const picked = current?.lines.find(l => l.line.id === line.id);
+            const stocked = line.item_type === 'product' && line.track_inventory;
+            return `
+        <div class="return-line" data-id="${line.id}">
+          <div>
+            <div>${line.variant_name ? `${line.item_name} - ${line.variant_name}` : line.item_name}</div>
+            <div class="return-line-meta">${Number(line.quantity)} sold, ${line.returnable_quantity} returnable · ${Utils.formatCurrency(line.returnable_total)}</div>
+          </div>
+          <input type="number" class="form-control return-qty" min="0" max="${line.returnable_quantity}" step="any" value="${picked ? picked.quantity : 0}">
+          <label class="return-line-restock">
+            <input type="checkbox" class="return-restock" ${stocked && picked?.restock !== false ? 'checked' : ''} ${stocked ? '' : 'disabled'}> Restock
+          </label>
+        </div>
+      `;
+        }).join('');
+
+        const content = `
+      <div class="modal-header">
+        <h2>Return ${original.transaction_number}</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="return-line-meta">${Utils.formatDate(original.transaction_time)} · ${original.customer?.name || 'Walk-in'} · ${Utils.formatCurrency(original.total_amount)}</div>
+        <div id="return-lines">${linesHtml}</div>
+        <div class="form-group">
+          <label>Refund To</label>
+          <select id="return-refund-to" class="form-control">
+            <option value="original">Original payment</option>
+            <option value="store_credit" ${customer ? '' : 'disabled'}>Store credit${customer ? ` (${customer.name})` : ' (needs a customer)'}</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Reason</label>
+          <input type="text" id="return-reason" class="form-control" value="${current?.reason || ''}" placeholder="Damaged, wrong size, changed mind...">
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="Utils.closeModal()">Cancel</button>
+        <button class="btn btn-primary" id="return-apply-btn">Apply</button>
+      </div>
+    `;
+
+        Utils.showModal(content, { width: '560px' });
+        if (current) Utils.$('return-refund-to').value = current.refundTo;
+
+        Utils.on('return-apply-btn', 'click', () => {
+            const picked = [];
+            for (const row of document.querySelectorAll('#return-lines .return-line')) {
+                const line = lines.find(l => l.id === row.dataset.id);
+                const quantity = Number(row.querySelector('.return-qty').value) || 0;
+                if (quantity < 0 || quantity > line.returnable_quantity) {
+                    Utils.toast(`Only ${line.returnable_quantity} of ${line.item_name} can be returned`, 'error');
+                    return;
+                }
+                if (quantity > 0) picked.push({ line, quantity, restock: row.querySelector('.return-restock').checked });
+            }
+            const reason = Utils.$('return-reason').value.trim();
+            if (picked.length === 0) {
+                Utils.toast('Enter a quantity to return', 'warning');
+                return;
+            }
+            if (!reason) {
+                Utils.toast('Please enter a reason', 'warning');
+                Utils.$('return-reason').focus();
+                return;
+            }
+
+            this.returnMode = { original, lines: picked, refundTo: Utils.$('return-refund-to').value, reason };
+            Utils.closeModal();
+            this.renderCart();
+        });
+    },
+
+    /**
+     * Value of returning part of a sold line: its share of what the line sold for, or the rest
+     * of the line when everything left comes back (as the API works it out)
+     */
+    returnValue(line, quantity) {
+        return quantity >= line.returnable_quantity
+            ? Number(line.returnable_total)
+            : Totals.round(Number(line.total) * quantity / Number(line.quantity));
+    },
+
+    /**
+     * Value of all the lines being returned
+     */
+    returnTotal() {
+        if (!this.returnMode) return 0;
+        return Totals.round(this.returnMode.lines.reduce((sum, { line, quantity }) => sum + this.returnValue(line, quantity), 0));
+    },
+
+    /**
+     * The returned lines block at the top of the cart
+     */
+    renderReturn() {
+        if (!this.returnMode) return '';
+        const { original, lines } = this.returnMode;
+        return `
+      <div class="cart-return">
+        <div class="cart-return-header">
+          <span>Return of ${original.transaction_number}</span>
+          <button class="btn btn-sm btn-secondary cart-return-edit">Edit</button>
+          <button class="btn btn-sm btn-danger cart-return-cancel">Cancel</button>
+        </div>
+        ${lines.map(({ line, quantity, restock }) => `
+        <div class="cart-return-line">
+          <span>${line.variant_name ? `${line.item_name} - ${line.variant_name}` : line.item_name} × ${quantity}${restock ? '' : ' (write-off)'}</span>
+          <span>- ${Utils.formatCurrency(this.returnValue(line, quantity))}</span>
+        </div>`).join('')}
+      </div>
+    `;
+    },
+
+    /**
+     * Return lines, refund destination and reason as sent to the API
+     */
+    returnRequest() {
+        const { lines, refundTo, reason } = this.returnMode;
+        return {
+            lines: lines.map(({ line, quantity, restock }) => ({ transaction_item_id: line.id, quantity, restock })),
+            refund_to: refundTo,
+            reason
+        };
+    },
+
+    /**
+     * Post a return, or an exchange that leaves money owed to the customer, and pay it back
+     */
+    async completeReturn() {
+        const refund = Totals.round(this.returnTotal() - this.calculateTotals().total);
+        const destination = this.returnMode.refundTo === 'store_credit' ? 'store credit' : 'the original payment';
+        const confirmed = await Utils.confirm(
+            refund > 0 ? `Refund ${Utils.formatCurrency(refund)} to ${destination}?` : 'Complete this exchange?',
+            'Complete Return'
+        );
+        if (!confirmed) return;
+
+        try {
+            const data = { ...this.saleRequest(), ...this.returnRequest() };
+            const result = await this.withApproval(approvalTokens => API.transactions.return(this.returnMode.original.id, {
+                ...data,
+                approval_tokens: [...this.approvalTokens, ...approvalTokens]
+            }));
+
+            this.clearCart();
+            Utils.toast('Return completed', 'success');
+            this.showReceipt(result.data);
+        } catch (error) {
+            Utils.toast(error.message || 'Return failed', 'error');
+        }
+    },
+
+    /**
+     * Show discount modal - for one cart line, or the whole cart when no line is given
      */
-    showDiscountModal() {
+    showDiscountModal(key = null) {
+        if (!Auth.hasPermission('pos.discount')) {
+            Utils.toast('You are not allowed to give discounts', 'warning');
+            return;
+        }
+        if (this.cart.length === 0) {
+            Utils.toast('Cart is empty', 'warning');
+            return;
+        }
+
+        const item = key ? this.cart.find(i => i.key === key) : null;
+        if (item?.gift_card_number) {
+            Utils.toast('Gift cards cannot be discounted', 'warning');
+            return;
+        }
+        const current = item
+            ? { type: item.discount_type, value: item.discount_value }
+            : (this.cartDiscount || {});
+        const cap = Auth.user?.maxDiscountPercent ?? 0;
+
         const content = `
       <div class="modal-header">
-        <h2>Apply Discount</h2>
+        <h2>${item ? `Discount: ${item.name}` : 'Cart Discount'}</h2>
         <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
       </div>
       <div class="modal-body">
         <div class="form-group">
           <label>Discount Type</label>
           <select id="discount-type" class="form-control">
-            <option value="percent">Percentage (%)</option>
-            <option value="amount">Fixed Amount</option>
+            <option value="percent" ${current.type !== 'fixed' ? 'selected' : ''}>Percentage (%)</option>
+            <option value="fixed" ${current.type === 'fixed' ? 'selected' : ''}>Fixed Amount</option>
           </select>
         </div>
         <div class="form-group">
           <label>Value</label>
-          <input type="number" id="discount-value" class="form-control" min="0" step="1">
+          <input type="number" id="discount-value" class="form-control" min="0" step="1" value="${current.value || ''}">
         </div>
+        <p style="font-size: 12px; color: var(--text-muted);">
+          Your limit is ${cap}%; larger discounts need a manager's approval. Enter 0 to remove the discount.
+        </p>
       </div>
       <div class="modal-footer">
         <button class="btn btn-secondary" onclick="Utils.closeModal()">Cancel</button>
-        <button class="btn btn-primary" onclick="POS.applyDiscount()">Apply</button>
+        <button class="btn btn-primary" id="apply-discount-btn">Apply</button>
       </div>
     `;
         Utils.showModal(content);
+        Utils.$('discount-value').focus();
+        Utils.on('apply-discount-btn', 'click', () => this.applyDiscount(key));
     },
 
     /**
-     * Apply discount
+     * Apply discount to a line or the cart; above the role's cap or under min_price it needs a manager
      */
-    applyDiscount() {
-        // Discount logic would go here
-        Utils.toast('Discount applied', 'success');
+    async applyDiscount(key = null) {
+        const type = Utils.$('discount-type').value;
+        const value = Number(Utils.$('discount-value').value) || 0;
+
+        if (value < 0 || (type === 'percent' && value > 100)) {
+            Utils.toast('Enter a discount between 0 and 100%', 'warning');
+            return;
+        }
+
+        // Preview the cart with the new discount before committing it
+        const discount = value > 0 ? { type, value } : null;
+        const cart = this.cart.map(item => (item.key === key
+            ? { ...item, discount_type: discount?.type || null, discount_value: discount?.value || 0 }
+            : item));
+        const cartDiscount = key ? this.cartDiscount : discount;
+        const totals = this.calculateTotals(cart, cartDiscount);
+
         Utils.closeModal();
+        const approvals = [];
+        if (totals.maxDiscountPercent > (Auth.user?.maxDiscountPercent ?? 0)) {
+            const approval = await this.requestApproval('discount', { percent: totals.maxDiscountPercent },
+                `Approve ${totals.maxDiscountPercent}% discount`);
+            if (!approval) return;
+            approvals.push(approval.approvalToken);
+        }
+        // Each line the discount takes under its minimum price needs its own price override
+        if (!Auth.hasPermission('pos.price.override')) {
+            const floored = cart.filter((item, i) => totals.lines[i].belowMinPrice);
+            for (const item of floored) {
+                const approval = await this.requestApproval('price_override', { item_id: item.id },
+                    `Discount takes ${item.name} below its minimum price`);
+                if (!approval) return;
+                approvals.push(approval.approvalToken);
+            }
+        }
+        this.approvalTokens.push(...approvals);
+
+        this.cart = cart;
+        this.cartDiscount = cartDiscount;
         this.renderCart();
+        Utils.toast(discount ? 'Discount applied' : 'Discount removed', 'success');
     },
 
     /**
@@ -613,8 +2538,15 @@ const POS = {
      */
     selectCustomer(customer) {
         this.selectedCustomer = customer;
+        this.loyaltyRedeem = 0;
         Utils.$('selected-customer-name').textContent = customer ? customer.name : 'Walk-in Customer';
         Utils.closeModal();
+        // Tax-exempt customers change the totals; the customer's group may have its own prices;
+        // members see their points
+        this.renderCart();
+        this.loadPricing();
+        this.loadMember();
+        this.recheckCoupons();
     }
 };
 
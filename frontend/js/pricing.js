@@ -0,0 +1,76 @@
+/**
+ * Pricing Module - Resolves a line's unit price from price lists, shared by the POS and the API
+ *
+ * The rules (the customer's group price list and discount, and the default price list) come from
+ * GET /products/pricing; the API loads the same rules and resolves every sale line with this file,
+ * so the price on the cashier's screen is the price that gets posted. Keep it free of DOM and API calls.
+ */
+
+const Pricing = {
+    /**
+     * Round money to 2 decimals (same rule as the API's roundMoney)
+     */
+    round(amount) {
+        return Math.round((Number(amount) || 0) * 100) / 100;
+    },
+
+    /**
+     * Whether a price list is in force at a moment: active and inside its validity window
+     */
+    isValid(list, at = new Date()) {
+        if (!list || list.is_active === false) return false;
+        if (list.valid_from && new Date(list.valid_from) > at) return false;
+        if (list.valid_until && new Date(list.valid_until) < at) return false;
+        return true;
+    },
+
+    /**
+     * Price a list gives a line, or null: the variant's own rows win over the item's, and among
+     * those the highest min_qty tier the quantity reaches (fractions of a unit get the base tier)
+     */
+    listPrice(list, itemId, variantId, quantity) {
+        const reached = (list.items || []).filter(row =>
+            row.item_id === itemId && Number(row.min_qty || 1) <= Math.max(Number(quantity) || 0, 1));
+        const own = variantId ? reached.filter(row => row.variant_id === variantId) : [];
+        const rows = own.length ? own : reached.filter(row => !row.variant_id);
+        if (rows.length === 0) return null;
+
+        const tier = rows.reduce((best, row) => (Number(row.min_qty || 1) > Number(best.min_qty || 1) ? row : best));
+        return Number(tier.price);
+    },
+
+    /**
+     * Unit price of a line: the group's price list, else the default list, else the catalog price,
+     * then the group discount on top. Returns { price, base, source, discountRate } where source is
+     * 'group', 'default' or 'catalog' and base is the price before the group discount.
+     */
+    resolve(rules, { itemId, variantId = null, quantity = 1, catalogPrice }, at = new Date()) {
+        let base = Number(catalogPrice) || 0;
+        let source = 'catalog';
+
+        const lists = [['group', rules?.group_list], ['default', rules?.default_list]];
+        for (const [name, list] of lists) {
+            if (!this.isValid(list, at)) continue;
+            const price = this.listPrice(list, itemId, variantId, quantity);
+            if (price === null) continue;
+            base = price;
+            source = name;
+            break;
+        }
+
+        const discountRate = Math.min(Math.max(Number(rules?.discount_rate) || 0, 0), 100);
+        return {
+            price: this.round(base * (100 - discountRate) / 100),
+            base: this.round(base),
+            source,
+            discountRate
+        };
+    }
+};
+
+// Browser global for the POS, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pricing;
+} else {
+    window.Pricing = Pricing;
+}
@@ -109,8 +109,8 @@ const Products = {
         <td>${Utils.formatCurrency(p.selling_price)}</td>
         <td>${p.type === 'product' ? (p.stock || 0) : '-'}</td>
         <td class="actions">
-          <button class="btn btn-sm btn-secondary btn-edit" data-id="${p.id}">Edit</button>
-          <button class="btn btn-sm btn-danger btn-delete" data-id="${p.id}">Delete</button>
+          ${Auth.hasPermission('item.update') ? `<button class="btn btn-sm btn-secondary btn-edit" data-id="${p.id}">Edit</button>` : ''}
+          ${Auth.hasPermission('item.delete') ? `<button class="btn btn-sm btn-danger btn-delete" data-id="${p.id}">Delete</button>` : ''}
         </td>
       </tr>
     `).join('');
@@ -148,6 +148,8 @@ const Products = {
      */
     showProductForm(product = null) {
         const isEdit = !!product;
+        const canViewCost = Auth.hasPermission('item.price.view');
+        const priceLocked = isEdit && !Auth.hasPermission('item.price.update');
         const categoriesOptions = this.categories.map(c =>
             `<option value="${c.id}" ${product?.category_id === c.id ? 'selected' : ''}>${c.name}</option>`
         ).join('');
@@ -169,6 +171,7 @@ const Products = {
               <option value="product" ${product?.type === 'product' ? 'selected' : ''}>Product</option>
               <option value="service" ${product?.type === 'service' ? 'selected' : ''}>Service</option>
               <option value="bundle" ${product?.type === 'bundle' ? 'selected' : ''}>Bundle</option>
+              <option value="gift_card" ${product?.type === 'gift_card' ? 'selected' : ''}>Gift Card</option>
             </select>
           </div>
           <div class="form-group">
@@ -185,6 +188,16 @@ const Products = {
               <input type="text" id="product-barcode" value="${product?.barcode || ''}">
             </div>
           </div>
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+            <div class="form-group">
+              <label>PLU (scale labels)</label>
+              <input type="text" id="product-plu" value="${product?.plu || ''}" inputmode="numeric" maxlength="8">
+            </div>
+            <div class="form-group">
+              <label>&nbsp;</label>
+              <label><input type="checkbox" id="product-decimal-qty" ${product?.allow_decimal_qty ? 'checked' : ''}> Sold by weight (decimal quantities)</label>
+            </div>
+          </div>
           <div class="form-group">
             <label>Category</label>
             <select id="product-category" class="select-input">
@@ -193,13 +206,24 @@ const Products = {
             </select>
           </div>
           <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+            ${canViewCost ? `
             <div class="form-group">
               <label>Cost Price</label>
-              <input type="number" id="product-cost" value="${product?.cost_price || 0}" min="0">
-            </div>
+              <input type="number" id="product-cost" value="${product?.cost_price || 0}" min="0" ${priceLocked ? 'disabled' : ''}>
+            </div>` : ''}
             <div class="form-group">
               <label>Selling Price *</label>
-              <input type="number" id="product-price" value="${product?.selling_price || 0}" min="0" required>
+              <input type="number" id="product-price" value="${product?.selling_price || 0}" min="0" required ${priceLocked ? 'disabled' : ''}>
+            </div>
+          </div>
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+            <div class="form-group">
+              <label>Tax Rate (%)</label>
+              <input type="number" id="product-tax-rate" value="${product?.tax_rate ?? ''}" min="0" max="100" step="0.01" placeholder="Branch default">
+            </div>
+            <div class="form-group">
+              <label>&nbsp;</label>
+              <label><input type="checkbox" id="product-tax-inclusive" ${product?.is_tax_inclusive ? 'checked' : ''}> Price includes tax</label>
             </div>
           </div>
           <div class="form-group">
@@ -235,10 +259,14 @@ const Products = {
             name: Utils.$('product-name').value,
             sku: Utils.$('product-sku').value || undefined,
             barcode: Utils.$('product-barcode').value || undefined,
+            plu: Utils.$('product-plu').value.trim() || null,
+            allow_decimal_qty: Utils.$('product-decimal-qty').checked,
             category_id: Utils.$('product-category').value || undefined,
-            cost_price: Number(Utils.$('product-cost').value) || 0,
             selling_price: Number(Utils.$('product-price').value),
             unit_id: Utils.$('product-unit').value || undefined,
+            // Blank rate = use the branch default
+            tax_rate: Utils.$('product-tax-rate').value === '' ? null : Number(Utils.$('product-tax-rate').value),
+            is_tax_inclusive: Utils.$('product-tax-inclusive').checked,
             description: Utils.$('product-description').value || undefined
         };
 
@@ -247,6 +275,15 @@ const Products = {
             return;
         }
 
+        // Only send prices the user can see and change
+        const costInput = Utils.$('product-cost');
+        if (costInput && !costInput.disabled) {
+            data.cost_price = Number(costInput.value) || 0;
+        }
+        if (Utils.$('product-price').disabled) {
+            delete data.selling_price;
+        }
+
         try {
             if (productId) {
                 await API.products.update(productId, data);
@@ -0,0 +1,304 @@
+/**
+ * Promotions Module - Automatic promotions on the cart, shared by the POS and the API
+ *
+ * A promotion (promotions table, GET /promotions/active) has a promo_type with its rules:
+ *   buy_x_get_y      { buy_qty, get_qty, percent }   buy 2 get 1 free (percent 100) or half price (50)
+ *   bundle_price     { quantity, price }             any 3 of the listed items for a fixed price
+ *   percent_off      { percent }                     e.g. happy hour, with days_of_week and start/end time
+ *   spend_threshold  { min_spend, discount_type, discount_value }   off the sale once it reaches min_spend
+ * Rules may list item_ids and category_ids (none = every item); customer_group_ids limits a promotion
+ * to members of those groups. The API evaluates the sale again with this file, so the promotions the
+ * cashier sees are the ones that get posted. Keep it free of DOM and API calls.
+ */
+
+// Money helpers: a global in the browser (js/totals.js loads first), required under Node
+const PromoTotals = typeof Totals !== 'undefined' ? Totals : require('./totals.js');
+
+const Promotions = {
+    TYPES: ['buy_x_get_y', 'bundle_price', 'percent_off', 'spend_threshold'],
+
+    // Up to this many line promotions are tried in every order for the best combination; past it,
+    // the most valuable on its own goes first
+    MAX_ORDERED: 6,
+
+    /**
+     * Minutes past midnight of a 'HH:MM[:SS]' time, or null
+     */
+    minutes(time) {
+        if (!time) return null;
+        const [hours, minutes] = String(time).split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    },
+
+    /**
+     * Weekday (0 = Sunday) and minutes past midnight of a moment in a time zone (the process's own
+     * when none is given or it is unknown)
+     */
+    clock(at, timeZone) {
+        const options = { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+        let parts;
+        try {
+            parts = new Intl.DateTimeFormat('en-US', { ...options, timeZone: timeZone || undefined }).formatToParts(at);
+        } catch {
+            parts = new Intl.DateTimeFormat('en-US', options).formatToParts(at);
+        }
+        const part = type => parts.find(p => p.type === type)?.value;
+        return {
+            day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday')),
+            minutes: Number(part('hour')) * 60 + Number(part('minute'))
+        };
+    },
+
+    /**
+     * Whether a promotion is in force at a moment for a customer group: active, inside its dates, on
+     * one of its weekdays (0 = Sunday) and inside its daily hours, both read in the branch time zone
+     */
+    isActive(promotion, { at = new Date(), customerGroupId = null, timeZone = null } = {}) {
+        if (!promotion || promotion.is_active === false) return false;
+        if (promotion.valid_from && new Date(promotion.valid_from) > at) return false;
+        if (promotion.valid_until && new Date(promotion.valid_until) < at) return false;
+        const clock = this.clock(at, timeZone);
+        if (promotion.days_of_week?.length && !promotion.days_of_week.map(Number).includes(clock.day)) return false;
+
+        const start = this.minutes(promotion.start_time);
+        const end = this.minutes(promotion.end_time);
+        if (start !== null || end !== null) {
+            const now = clock.minutes;
+            const from = start ?? 0;
+            const until = end ?? 24 * 60;
+            // Hours past midnight (22:00 - 02:00) wrap around
+            const inside = from <= until ? now >= from && now < until : now >= from || now < until;
+            if (!inside) return false;
+        }
+
+        const groups = promotion.customer_group_ids || [];
+        return groups.length === 0 || groups.includes(customerGroupId);
+    },
+
+    /**
+     * Whether a cart line counts towards a promotion
+     */
+    covers(promotion, line) {
+        const items = promotion.rules?.item_ids || [];
+        const categories = promotion.rules?.category_ids || [];
+        if (line.no_discount) return false;
+        if (items.length === 0 && categories.length === 0) return true;
+        return items.includes(line.item_id) || categories.includes(line.category_id);
+    },
+
+    /**
+     * Whole units of the covered lines not yet taken by another promotion, dearest first.
+     * Lines sold by weight only count for percent_off.
+     */
+    units(promotion, lines, left) {
+        const units = [];
+        lines.forEach((line, i) => {
+            if (!this.covers(promotion, line) || !Number.isInteger(Number(line.quantity))) return;
+            for (let n = 0; n < Math.floor(left[i]); n++) units.push({ index: i, price: PromoTotals.round(line.unit_price) });
+        });
+        return units.sort((a, b) => b.price - a.price);
+    },
+
+    /**
+     * Apply a line promotion as many times as it fits what is left of the lines.
+     * Returns { discount, shares (per line), used (quantity per line) }.
+     */
+    applyLine(promotion, lines, left) {
+        const rules = promotion.rules || {};
+        const shares = lines.map(() => 0);
+        const used = lines.map(() => 0);
+
+        if (promotion.promo_type === 'percent_off') {
+            lines.forEach((line, i) => {
+                if (!(left[i] > 0) || !this.covers(promotion, line)) return;
+                shares[i] = PromoTotals.round(line.unit_price * left[i] * Math.min(Number(rules.percent) || 0, 100) / 100);
+                used[i] = left[i];
+            });
+        } else if (promotion.promo_type === 'buy_x_get_y') {
+            // In each group of buy + get units the cheapest get_qty are the ones given away
+            const size = rules.buy_qty + rules.get_qty;
+            const units = this.units(promotion, lines, left);
+            for (let start = 0; start + size <= units.length; start += size) {
+                const group = units.slice(start, start + size);
+                group.forEach((unit) => { used[unit.index] += 1; });
+                group.slice(rules.buy_qty).forEach((unit) => {
+                    shares[unit.index] += unit.price * Math.min(Number(rules.percent) || 0, 100) / 100;
+                });
+            }
+        } else if (promotion.promo_type === 'bundle_price') {
+            // Groups of the dearest units first; a group only counts while it costs more than the price
+            const units = this.units(promotion, lines, left);
+            for (let start = 0; start + rules.quantity <= units.length; start += rules.quantity) {
+                const group = units.slice(start, start + rules.quantity);
+                const worth = PromoTotals.round(group.reduce((sum, unit) => sum + unit.price, 0));
+                if (worth <= rules.price) break;
+                PromoTotals.allocate(PromoTotals.round(worth - rules.price), group.map(unit => unit.price))
+                    .forEach((share, n) => { shares[group[n].index] += share; });
+                group.forEach((unit) => { used[unit.index] += 1; });
+            }
+        }
+
+        const rounded = shares.map(share => PromoTotals.round(share));
+        return { discount: PromoTotals.round(rounded.reduce((sum, share) => sum + share, 0)), shares: rounded, used };
+    },
+
+    /**
+     * Orders to try the line promotions in: every order when there are few, else by value alone
+     */
+    orders(promotions, lines) {
+        if (promotions.length <= this.MAX_ORDERED) {
+            const permute = list => (list.length <= 1 ? [list] : list.flatMap((first, i) =>
+                permute([...list.slice(0, i), ...list.slice(i + 1)]).map(rest => [first, ...rest])));
+            return permute(promotions);
+        }
+        const full = lines.map(line => Number(line.quantity) || 0);
+        const value = promotion => this.applyLine(promotion, lines, full).discount;
+        return [[...promotions].sort((a, b) => value(b) - value(a))];
+    },
+
+    /**
+     * Best combination of promotions for a cart.
+     * lines: [{ item_id, category_id, unit_price, quantity, no_discount }]
+     * context: { at, customerGroupId, timeZone } - timeZone is the branch's (settings.timezone)
+     *
+     * Line promotions never share a unit: each is applied as often as it fits what the ones before
+     * it left, and the order giving the most off wins (ties go to priority). Then the one spend
+     * threshold worth most is taken off what the covered lines come to after that. Returns
+     * { lines: [{ discount, promotions: [{ promotion_id, name, amount }] }], applied, discount }.
+     */
+    evaluate(lines, promotions, context = {}) {
+        const active = (promotions || [])
+            .filter(promotion => this.isActive(promotion, context))
+            .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0));
+        const result = lines.map(() => ({ discount: 0, promotions: [] }));
+        const give = (promotion, shares) => shares.forEach((share, i) => {
+            if (!(share > 0)) return;
+            result[i].discount = PromoTotals.round(result[i].discount + share);
+            result[i].promotions.push({ promotion_id: promotion.id, name: promotion.name, amount: share });
+        });
+
+        let best = { discount: 0, steps: [] };
+        for (const order of this.orders(active.filter(p => p.promo_type !== 'spend_threshold'), lines)) {
+            const left = lines.map(line => (line.no_discount ? 0 : Number(line.quantity) || 0));
+            const steps = [];
+            let discount = 0;
+            for (const promotion of order) {
+                const applied = this.applyLine(promotion, lines, left);
+                if (!(applied.discount > 0)) continue;
+                applied.used.forEach((quantity, i) => { left[i] = Math.round((left[i] - quantity) * 1000) / 1000; });
+                steps.push({ promotion, shares: applied.shares });
+                discount = PromoTotals.round(discount + applied.discount);
+            }
+            if (discount > best.discount) best = { discount, steps };
+        }
+        best.steps.forEach(step => give(step.promotion, step.shares));
+
+        let threshold = null;
+        for (const promotion of active.filter(p => p.promo_type === 'spend_threshold')) {
+            const bases = lines.map((line, i) => (this.covers(promotion, line)
+                ? PromoTotals.round(line.unit_price * line.quantity - result[i].discount)
+                : 0));
+            const spent = PromoTotals.round(bases.reduce((sum, base) => sum + base, 0));
+            if (spent < promotion.rules.min_spend) continue;
+            const amount = PromoTotals.discountAmount(spent, promotion.rules.discount_type, promotion.rules.discount_value);
+            if (amount > (threshold?.amount || 0)) threshold = { promotion, amount, bases };
+        }
+        if (threshold) give(threshold.promotion, PromoTotals.allocate(threshold.amount, threshold.bases));
+
+        const applied = [];
+        result.forEach(line => line.promotions.forEach((entry) => {
+            const found = applied.find(a => a.promotion_id === entry.promotion_id);
+            if (found) found.amount = PromoTotals.round(found.amount + entry.amount);
+            else applied.push({ ...entry });
+        }));
+        return {
+            lines: result,
+            applied,
+            discount: PromoTotals.round(result.reduce((sum, line) => sum + line.discount, 0))
+        };
+    },
+
+    /**
+     * A promotion's rules with numbers as numbers, for its type
+     */
+    rules(type, raw = {}) {
+        const lists = {
+            item_ids: Array.isArray(raw?.item_ids) ? raw.item_ids : [],
+            category_ids: Array.isArray(raw?.category_ids) ? raw.category_ids : []
+        };
+        switch (type) {
+            case 'buy_x_get_y':
+                return { buy_qty: Number(raw.buy_qty), get_qty: Number(raw.get_qty), percent: Number(raw.percent ?? 100), ...lists };
+            case 'bundle_price':
+                return { quantity: Number(raw.quantity), price: Number(raw.price), ...lists };
+            case 'percent_off':
+                return { percent: Number(raw.percent), ...lists };
+            case 'spend_threshold':
+                return {
+                    min_spend: Number(raw.min_spend),
+                    discount_type: raw.discount_type,
+                    discount_value: Number(raw.discount_value),
+                    ...lists
+                };
+            default:
+                return lists;
+        }
+    },
+
+    /**
+     * Problems with a promotion payload (empty when valid)
+     */
+    validate(raw = {}) {
+        const errors = [];
+        if (!this.TYPES.includes(raw.promo_type)) {
+            errors.push(`promo_type must be one of: ${this.TYPES.join(', ')}`);
+            return errors;
+        }
+
+        const rules = raw.rules || {};
+        const whole = (key, min) => {
+            if (!(Number.isInteger(Number(rules[key])) && Number(rules[key]) >= min)) errors.push(`rules.${key} must be a whole number of ${min} or more`);
+        };
+        const percent = (key) => {
+            if (!(Number(rules[key]) > 0 && Number(rules[key]) <= 100)) errors.push(`rules.${key} must be above 0 and at most 100`);
+        };
+        if (raw.promo_type === 'buy_x_get_y') {
+            whole('buy_qty', 1);
+            whole('get_qty', 1);
+            if (rules.percent !== undefined) percent('percent');
+        } else if (raw.promo_type === 'bundle_price') {
+            whole('quantity', 2);
+            if (!(Number(rules.price) > 0)) errors.push('rules.price must be a positive number');
+        } else if (raw.promo_type === 'percent_off') {
+            percent('percent');
+        } else {
+            if (!(Number(rules.min_spend) > 0)) errors.push('rules.min_spend must be a positive number');
+            if (!['percent', 'fixed'].includes(rules.discount_type)) errors.push('rules.discount_type must be percent or fixed');
+            else if (rules.discount_type === 'percent') percent('discount_value');
+            else if (!(Number(rules.discount_value) > 0)) errors.push('rules.discount_value must be a positive number');
+        }
+
+        const ids = value => value === undefined || value === null || (Array.isArray(value) && value.every(id => typeof id === 'string'));
+        if (!ids(rules.item_ids)) errors.push('rules.item_ids must be a list of item ids');
+        if (!ids(rules.category_ids)) errors.push('rules.category_ids must be a list of category ids');
+        if (!ids(raw.customer_group_ids)) errors.push('customer_group_ids must be a list of customer group ids');
+        if (raw.days_of_week !== undefined && raw.days_of_week !== null
+            && !(Array.isArray(raw.days_of_week) && raw.days_of_week.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+            errors.push('days_of_week must be a list of weekdays from 0 (Sunday) to 6');
+        }
+        ['start_time', 'end_time'].forEach((key) => {
+            if (raw[key] && !/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(raw[key])) errors.push(`${key} must be HH:MM`);
+        });
+        ['valid_from', 'valid_until'].forEach((key) => {
+            if (raw[key] && Number.isNaN(new Date(raw[key]).getTime())) errors.push(`${key} must be a date`);
+        });
+        return errors;
+    }
+};
+
+// Browser global for the POS, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Promotions;
+} else {
+    window.Promotions = Promotions;
+}
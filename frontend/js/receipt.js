@@ -0,0 +1,534 @@
+/**
+ * Receipt Module - Receipt layout shared by the POS and the API
+ *
+ * build() turns a transaction (as returned by GET /transactions/:id) and the branch into a receipt
+ * document, shift() a cash session report (X or Z) into one. html() renders it for the browser's
+ * print dialog and escpos() as raw bytes for thermal printers; both print the same fixed-width text
+ * rows, so the paper and on-screen receipts match.
+ */
+
+const Receipt = {
+    WIDTHS: [58, 80],
+
+    // Characters per line in the printer's default font (Font A) for each paper width (mm)
+    COLUMNS: { 58: 32, 80: 48 },
+
+    // Title printed on documents that are not plain sales
+    TITLES: { return: 'RETURN', exchange: 'EXCHANGE' },
+
+    // Shift report lines for the transaction types and drawer movements
+    TYPE_NAMES: { sale: 'Sales', return: 'Returns', exchange: 'Exchanges' },
+    MOVEMENT_NAMES: { deposit: 'Pay-in', withdrawal: 'Pay-out', expense: 'Expense' },
+
+    // Code 128 symbols as bar/space widths in modules, by value: 0-102 data, 103-105 start A/B/C, 106 stop
+    CODE128: [
+        '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+        '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+        '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+        '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+        '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+        '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+        '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+        '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+        '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+        '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+        '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+    ],
+
+    // Branch settings.receipt when nothing is configured
+    DEFAULTS: { header: '', footer: 'Thank you for your purchase', paper_width: 80, show_tax_id: true },
+
+    /**
+     * Complete a branch's receipt settings with defaults
+     */
+    settings(raw = {}) {
+        return {
+            header: String(raw?.header ?? this.DEFAULTS.header),
+            footer: String(raw?.footer ?? this.DEFAULTS.footer),
+            paper_width: this.WIDTHS.includes(Number(raw?.paper_width)) ? Number(raw.paper_width) : this.DEFAULTS.paper_width,
+            show_tax_id: raw?.show_tax_id === undefined ? this.DEFAULTS.show_tax_id : !!raw.show_tax_id
+        };
+    },
+
+    /**
+     * Problems with a receipt settings payload (empty when valid)
+     */
+    validate(raw = {}) {
+        const errors = [];
+        if (raw.paper_width !== undefined && !this.WIDTHS.includes(Number(raw.paper_width))) {
+            errors.push(`paper_width must be one of: ${this.WIDTHS.join(', ')}`);
+        }
+        ['header', 'footer'].forEach((key) => {
+            if (raw[key] !== undefined && raw[key] !== null && typeof raw[key] !== 'string') {
+                errors.push(`${key} must be text`);
+            }
+        });
+        return errors;
+    },
+
+    /**
+     * The store block of a receipt from a branches row
+     */
+    store(branch) {
+        return {
+            name: branch.name,
+            address: branch.address || '',
+            phone: branch.phone || '',
+            tax_id: branch.tax_id || '',
+            timezone: branch.settings?.timezone || null,
+            receipt: this.settings(branch.settings?.receipt)
+        };
+    },
+
+    /**
+     * Money without the currency symbol: 166.500 (decimals only when there are cents)
+     */
+    money(amount) {
+        return new Intl.NumberFormat('id-ID', { minimumFractionDigits: 0, maximumFractionDigits: 2 }).format(Number(amount) || 0);
+    },
+
+    /**
+     * Date and time in the branch time zone: 18/01/2026 14:05
+     */
+    dateTime(value, timeZone) {
+        const options = { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+        let parts;
+        try {
+            parts = new Intl.DateTimeFormat('en-GB', { ...options, timeZone: timeZone || undefined }).formatToParts(new Date(value));
+        } catch {
+            parts = new Intl.DateTimeFormat('en-GB', options).formatToParts(new Date(value));
+        }
+        const part = type => parts.find(p => p.type === type)?.value;
+        return `${part('day')}/${part('month')}/${part('year')} ${part('hour')}:${part('minute')}`;
+    },
+
+    /**
+     * Receipt document for a transaction.
+     * options.copy marks a reprint; options.title heads documents that are not receipts (e.g. 'BILL'),
+     * returns and exchanges get theirs from the transaction type; options.width overrides the branch paper width.
+     */
+    build(transaction, store, options = {}) {
+        const subtotal = Number(transaction.subtotal) || 0;
+        const discount = Number(transaction.discount_amount) || 0;
+        const tax = Number(transaction.tax_amount) || 0;
+        const total = Number(transaction.total_amount) || 0;
+        // Tax not added on top of the net amount was already inside the prices
+        const taxAdded = Math.max(0, Math.round((total - (subtotal - discount)) * 100) / 100);
+
+        return {
+            width: this.WIDTHS.includes(Number(options.width)) ? Number(options.width) : store.receipt.paper_width,
+            copy: !!options.copy,
+            title: options.title || this.TITLES[transaction.transaction_type] || null,
+            voided: transaction.status === 'cancelled',
+            store: {
+                name: store.name,
+                address: store.address,
+                phone: store.phone,
+                taxId: store.receipt.show_tax_id ? store.tax_id : ''
+            },
+            header: store.receipt.header,
+            footer: store.receipt.footer,
+            number: transaction.transaction_number || '',
+            // Printed as a Code 128 barcode so scanning the receipt finds the sale (returns)
+            barcode: transaction.transaction_number || '',
+            reference: transaction.reference_number || '',
+            date: this.dateTime(transaction.transaction_time || Date.now(), store.timezone),
+            cashier: transaction.cashier_name || '',
+            customer: transaction.customer?.name || '',
+            coupons: (transaction.coupons || []).map(c => c.code),
+            lines: (transaction.items || []).map(item => ({
+                name: item.variant_name ? `${item.item_name} - ${item.variant_name}` : item.item_name,
+                quantity: Number(item.quantity),
+                unitPrice: Number(item.unit_price),
+                amount: Number(item.subtotal),
+                discount: Number(item.discount_amount) || 0,
+                // Promotions that took part of the discount
+                promotions: (item.promotions || []).map(p => ({ name: p.name, amount: Number(p.amount) })),
+                // Bundle contents per unit
+                components: (item.components || []).map(c => ({ name: c.name, quantity: Number(c.quantity) }))
+            })),
+            subtotal,
+            discount,
+            tax,
+            taxIncluded: tax > 0 && taxAdded === 0,
+            total,
+            payments: (transaction.payments || []).map(payment => ({
+                name: payment.method_name,
+                reference: payment.reference_number || '',
+                amount: Number(payment.amount)
+            })),
+            change: Number(transaction.change_amount) || 0,
+            // A member's points on this document (transaction.loyalty from the API)
+            loyalty: transaction.loyalty ? {
+                earned: Number(transaction.loyalty.earned) || 0,
+                redeemed: Number(transaction.loyalty.redeemed) || 0,
+                adjusted: Number(transaction.loyalty.adjusted) || 0,
+                balance: Number(transaction.loyalty.balance) || 0
+            } : null,
+            // Gift cards loaded or spent on this document, card numbers masked (transaction.gift_cards from the API)
+            giftCards: (transaction.gift_cards || []).map(card => ({
+                number: card.card_number,
+                balance: Number(card.balance) || 0,
+                expires: card.expires_at ? this.dateTime(card.expires_at, store.timezone).slice(0, 10) : ''
+            }))
+        };
+    },
+
+    /**
+     * Shift report document from GET /cash/sessions/:id/report: X while the session is open,
+     * Z once it is closed (with the count and over/short)
+     */
+    shift(report, store, options = {}) {
+        const session = report.session;
+        const amount = value => Number(value) || 0;
+        const closed = report.type === 'Z';
+
+        return {
+            kind: 'shift',
+            width: this.WIDTHS.includes(Number(options.width)) ? Number(options.width) : store.receipt.paper_width,
+            title: `${report.type} REPORT`,
+            store: { name: store.name, address: store.address },
+            number: session.session_number,
+            register: [session.register_code, session.register_name].filter(Boolean).join(' '),
+            cashier: session.opened_by_name || '',
+            opened: this.dateTime(session.opened_at, store.timezone),
+            closed: closed && session.closed_at ? this.dateTime(session.closed_at, store.timezone) : '',
+            closedBy: closed ? session.closed_by_name || '' : '',
+            printed: this.dateTime(options.printedAt || Date.now(), store.timezone),
+            transactions: report.transactions.map(t => ({
+                name: this.TYPE_NAMES[t.transaction_type] || t.transaction_type,
+                count: t.count,
+                // Refunds take money back
+                total: (t.transaction_type === 'return' ? -1 : 1) * amount(t.total),
+                discount: amount(t.discount),
+                tax: amount(t.tax)
+            })),
+            tenders: report.tenders.map(t => ({ name: t.name, count: t.count, amount: amount(t.amount) })),
+            voids: { count: report.voids.count, total: amount(report.voids.total) },
+            movements: (report.movements || []).map(m => ({
+                name: this.MOVEMENT_NAMES[m.movement_type] || m.movement_type,
+                reason: m.reason || '',
+                // Pay-outs and expenses leave the drawer
+                amount: (m.movement_type === 'deposit' ? 1 : -1) * amount(m.amount)
+            })),
+            drawer: {
+                opening: amount(session.opening_amount),
+                cashSales: amount(session.cash_sales),
+                cashIn: amount(session.cash_in),
+                cashOut: amount(session.cash_out),
+                expected: amount(session.expected_amount),
+                counted: closed ? amount(session.actual_amount) : null,
+                difference: closed ? amount(session.difference) : null
+            },
+            count: closed && session.closing_count
+                ? Object.entries(session.closing_count)
+                    .map(([value, pieces]) => ({ value: Number(value), pieces: Number(pieces) }))
+                    .sort((a, b) => b.value - a.value)
+                : [],
+            notes: session.notes || ''
+        };
+    },
+
+    /**
+     * Split text into lines of at most `columns` characters, breaking at spaces where possible
+     */
+    wrap(text, columns) {
+        const lines = [];
+        String(text || '').split('\n').forEach((paragraph) => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+                while (word.length > columns) {
+                    if (line) lines.push(line);
+                    lines.push(word.slice(0, columns));
+                    word = word.slice(columns);
+                    line = '';
+                }
+                if (!line) line = word;
+                else if (line.length + 1 + word.length <= columns) line += ` ${word}`;
+                else {
+                    lines.push(line);
+                    line = word;
+                }
+            });
+            if (line) lines.push(line);
+        });
+        return lines;
+    },
+
+    /**
+     * One line with text on the left and an amount on the right; the left side is cut to fit
+     */
+    pair(left, right, columns) {
+        const room = Math.max(0, columns - right.length - 1);
+        const label = left.length > room ? left.slice(0, room) : left;
+        return label + ' '.repeat(columns - label.length - right.length) + right;
+    },
+
+    /**
+     * Row writers for a paper width: add, center, pair and divider append to rows
+     */
+    writer(columns) {
+        const rows = [];
+        const add = (text, style = {}) => rows.push({ text, align: 'left', bold: false, tall: false, ...style });
+        return {
+            rows,
+            add,
+            center: (text, style = {}) => this.wrap(text, columns).forEach(line => add(line, { align: 'center', ...style })),
+            pair: (left, right, style) => add(this.pair(left, right, columns), style),
+            divider: () => add('-'.repeat(columns))
+        };
+    },
+
+    /**
+     * The receipt as text rows: [{ text, align: 'left' | 'center', bold, tall }]
+     */
+    layout(doc) {
+        if (doc.kind === 'shift') return this.shiftLayout(doc);
+        const columns = this.COLUMNS[doc.width];
+        const { rows, add, center, pair, divider } = this.writer(columns);
+        const qty = value => String(Math.round(value * 1000) / 1000);
+
+        if (doc.copy) center('*** COPY ***', { bold: true });
+        if (doc.voided) center('*** VOID ***', { bold: true });
+        center(doc.store.name, { bold: true, tall: true });
+        center(doc.store.address);
+        if (doc.store.phone) center(`Tel: ${doc.store.phone}`);
+        if (doc.store.taxId) center(`Tax ID: ${doc.store.taxId}`);
+        center(doc.header);
+        divider();
+
+        if (doc.title) center(doc.title, { bold: true });
+        if (doc.number) add(`No      : ${doc.number}`);
+        if (doc.reference) add(`Ref     : ${doc.reference}`);
+        add(`Date    : ${doc.date}`);
+        if (doc.cashier) add(`Cashier : ${doc.cashier}`);
+        if (doc.customer) add(`Customer: ${doc.customer}`);
+        if (doc.coupons.length) add(`Coupon  : ${doc.coupons.join(', ')}`.slice(0, columns));
+        divider();
+
+        doc.lines.forEach((line) => {
+            this.wrap(line.name, columns).forEach(text => add(text));
+            pair(`  ${qty(line.quantity)} x ${this.money(line.unitPrice)}`, this.money(line.amount));
+            line.components.forEach(c => add(`    - ${qty(Math.abs(line.quantity) * c.quantity)} ${c.name}`.slice(0, columns)));
+            line.promotions.forEach(p => pair(`  ${p.name}`, `-${this.money(p.amount)}`));
+            const discount = Math.round((line.discount - line.promotions.reduce((sum, p) => sum + p.amount, 0)) * 100) / 100;
+            if (discount > 0) pair('  Discount', `-${this.money(discount)}`);
+        });
+        divider();
+
+        pair('Subtotal', this.money(doc.subtotal));
+        if (doc.discount > 0) pair('Discount', `-${this.money(doc.discount)}`);
+        if (doc.tax > 0) pair(doc.taxIncluded ? 'Tax (included)' : 'Tax', this.money(doc.tax));
+        pair('TOTAL', this.money(doc.total), { bold: true, tall: true });
+
+        if (doc.payments.length) {
+            divider();
+            doc.payments.forEach((payment) => {
+                pair(payment.reference ? `${payment.name} #${payment.reference}` : payment.name, this.money(payment.amount));
+            });
+            if (doc.change > 0) pair('Change', this.money(doc.change));
+        }
+
+        if (doc.loyalty) {
+            const signed = value => `${value > 0 ? '+' : ''}${value}`;
+            divider();
+            if (doc.loyalty.redeemed) pair('Points redeemed', signed(-doc.loyalty.redeemed));
+            if (doc.loyalty.earned) pair('Points earned', signed(doc.loyalty.earned));
+            if (doc.loyalty.adjusted) pair('Points adjusted', signed(doc.loyalty.adjusted));
+            pair('Points balance', String(doc.loyalty.balance));
+        }
+
+        if (doc.giftCards?.length) {
+            divider();
+            doc.giftCards.forEach((card) => {
+                pair(`Gift card ${card.number}`, this.money(card.balance));
+                if (card.expires) add(`  Valid until ${card.expires}`);
+            });
+        }
+
+        if (doc.footer) {
+            divider();
+            center(doc.footer);
+        }
+        if (doc.copy) center('*** COPY ***', { bold: true });
+        return rows;
+    },
+
+    /**
+     * A shift report as text rows
+     */
+    shiftLayout(doc) {
+        const columns = this.COLUMNS[doc.width];
+        const { rows, add, center, pair, divider } = this.writer(columns);
+        const signed = value => (value < 0 ? `-${this.money(-value)}` : this.money(value));
+
+        center(doc.store.name, { bold: true, tall: true });
+        center(doc.store.address);
+        divider();
+        center(doc.title, { bold: true, tall: true });
+        add(`Session : ${doc.number}`);
+        if (doc.register) add(`Register: ${doc.register}`);
+        if (doc.cashier) add(`Cashier : ${doc.cashier}`);
+        add(`Opened  : ${doc.opened}`);
+        if (doc.closed) add(`Closed  : ${doc.closed}${doc.closedBy ? ` (${doc.closedBy})` : ''}`);
+        add(`Printed : ${doc.printed}`);
+        divider();
+
+        add('TRANSACTIONS', { bold: true });
+        if (!doc.transactions.length) add('  None');
+        doc.transactions.forEach(t => pair(`  ${t.name} (${t.count})`, signed(t.total)));
+        const discount = doc.transactions.reduce((sum, t) => sum + t.discount, 0);
+        const tax = doc.transactions.reduce((sum, t) => sum + t.tax, 0);
+        if (discount > 0) pair('  Discounts given', this.money(discount));
+        if (tax > 0) pair('  Tax', this.money(tax));
+        if (doc.voids.count) pair(`  Voided (${doc.voids.count})`, this.money(doc.voids.total));
+        divider();
+
+        add('TENDERS', { bold: true });
+        if (!doc.tenders.length) add('  None');
+        doc.tenders.forEach(t => pair(`  ${t.name} (${t.count})`, signed(t.amount)));
+        divider();
+
+        if (doc.movements.length) {
+            add('PAY-INS / PAY-OUTS', { bold: true });
+            doc.movements.forEach((m) => {
+                pair(`  ${m.name}`, signed(m.amount));
+                if (m.reason) this.wrap(m.reason, columns - 4).forEach(line => add(`    ${line}`));
+            });
+            divider();
+        }
+
+        add('CASH DRAWER', { bold: true });
+        pair('  Opening float', this.money(doc.drawer.opening));
+        pair('  Cash sales', signed(doc.drawer.cashSales));
+        if (doc.drawer.cashIn > 0) pair('  Pay-ins', this.money(doc.drawer.cashIn));
+        if (doc.drawer.cashOut > 0) pair('  Pay-outs', `-${this.money(doc.drawer.cashOut)}`);
+        pair('  Expected cash', this.money(doc.drawer.expected), { bold: true });
+        if (doc.drawer.counted !== null) {
+            pair('  Counted cash', this.money(doc.drawer.counted), { bold: true });
+            const difference = doc.drawer.difference;
+            pair(difference > 0 ? '  Over' : (difference < 0 ? '  Short' : '  Over/Short'), signed(difference), { bold: true });
+        }
+
+        if (doc.count.length) {
+            divider();
+            add('COUNT', { bold: true });
+            doc.count.forEach(c => pair(`  ${this.money(c.value)} x ${c.pieces}`, this.money(c.value * c.pieces)));
+        }
+        if (doc.notes) {
+            divider();
+            this.wrap(`Notes: ${doc.notes}`, columns).forEach(line => add(line));
+        }
+        return rows;
+    },
+
+    /**
+     * Bar and space widths (in modules, starting with a bar) of text as a Code 128 (code set B)
+     * barcode with its check symbol, or null when text has characters code set B cannot hold
+     */
+    code128(text) {
+        const values = Array.from(String(text || ''), char => char.charCodeAt(0) - 32);
+        if (!values.length || values.some(value => !(value >= 0 && value <= 94))) return null;
+
+        const check = values.reduce((sum, value, i) => sum + value * (i + 1), 104) % 103;
+        return [104, ...values, check, 106].flatMap(symbol => this.CODE128[symbol].split('').map(Number));
+    },
+
+    /**
+     * A Code 128 barcode as inline SVG (empty when text cannot be encoded), with a 10-module quiet zone
+     */
+    barcodeSvg(text) {
+        const widths = this.code128(text);
+        if (!widths) return '';
+        const bars = [];
+        let x = 10;
+        widths.forEach((width, i) => {
+            if (i % 2 === 0) bars.push(`<rect x="${x}" y="0" width="${width}" height="1"/>`);
+            x += width;
+        });
+        return `<svg class="barcode" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${x + 10} 1" preserveAspectRatio="none" shape-rendering="crispEdges">${bars.join('')}</svg>`;
+    },
+
+    /**
+     * Printable HTML page sized to the paper width
+     */
+    html(doc) {
+        const escape = text => String(text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const rows = this.layout(doc).map((row) => {
+            const classes = ['row', row.align === 'center' && 'center', row.bold && 'bold', row.tall && 'tall'].filter(Boolean);
+            return `<div class="${classes.join(' ')}">${escape(row.text) || '&nbsp;'}</div>`;
+        }).join('\n');
+        const barcode = doc.barcode ? this.barcodeSvg(doc.barcode) : '';
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escape(doc.number || doc.title || 'Receipt')}</title>
+<style>
+@page { size: ${doc.width}mm auto; margin: 0; }
+body { margin: 0; }
+.receipt { width: ${this.COLUMNS[doc.width]}ch; margin: 0 auto; padding: 4mm 0; font: 2.5mm/1.35 'Courier New', monospace; color: #000; }
+.row { white-space: pre; overflow: hidden; }
+.center { text-align: center; }
+.bold { font-weight: bold; }
+.tall { font-size: 1.3em; }
+.barcode { display: block; width: 100%; height: 12mm; margin-top: 2mm; }
+</style>
+</head>
+<body>
+<div class="receipt">
+${rows}${barcode ? `\n${barcode}` : ''}
+</div>
+</body>
+</html>`;
+    },
+
+    /**
+     * Raw ESC/POS bytes: initialise, the text rows with alignment/bold/double-height, the document
+     * number's barcode, feed and cut. Characters outside ASCII print as '?' (accents are dropped
+     * first). options.drawer also pulses the cash drawer wired to the printer before the cut.
+     */
+    escpos(doc, options = {}) {
+        const ESC = 0x1b;
+        const GS = 0x1d;
+        const LF = 0x0a;
+        const bytes = [ESC, 0x40];
+        const state = { align: 'left', bold: false, tall: false };
+
+        this.layout(doc).forEach((row) => {
+            if (row.align !== state.align) bytes.push(ESC, 0x61, row.align === 'center' ? 1 : 0);
+            if (row.bold !== state.bold) bytes.push(ESC, 0x45, row.bold ? 1 : 0);
+            if (row.tall !== state.tall) bytes.push(GS, 0x21, row.tall ? 0x01 : 0x00);
+            Object.assign(state, { align: row.align, bold: row.bold, tall: row.tall });
+
+            const text = row.text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            for (const char of text) {
+                const code = char.charCodeAt(0);
+                bytes.push(code >= 0x20 && code < 0x7f ? code : 0x3f);
+            }
+            bytes.push(LF);
+        });
+
+        // The document number as a centred Code 128 barcode (code set B), narrower on 58mm paper
+        if (doc.barcode && this.code128(doc.barcode)) {
+            const data = Array.from(`{B${doc.barcode}`, char => char.charCodeAt(0));
+            bytes.push(ESC, 0x61, 1, GS, 0x68, 80, GS, 0x77, doc.width === 58 ? 1 : 2, GS, 0x48, 0);
+            bytes.push(GS, 0x6b, 73, data.length, ...data, LF);
+        }
+
+        // Feed past the tear bar, open the drawer (pin 2, 50ms on, 500ms off), then partial cut
+        bytes.push(ESC, 0x64, 4);
+        if (options.drawer) bytes.push(ESC, 0x70, 0x00, 0x19, 0xfa);
+        bytes.push(GS, 0x56, 0x01);
+        return Uint8Array.from(bytes);
+    }
+};
+
+// Browser global for the POS, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Receipt;
+} else {
+    window.Receipt = Receipt;
+}
@@ -31,7 +31,8 @@ const Reports = {
         await Promise.all([
             this.loadSalesSummary(startDate, endDate),
             this.loadWorkOrdersSummary(startDate, endDate),
-            this.loadTopProducts(startDate, endDate)
+            this.loadTopProducts(startDate, endDate),
+            this.loadPromotions(startDate, endDate)
         ]);
     },
 
@@ -96,6 +97,33 @@ const Reports = {
             console.error('Failed to load top products:', error);
             Utils.$('top-products-list').innerHTML = '<div style="text-align: center; color: var(--text-muted); padding: 20px;">Failed to load data</div>';
         }
+    },
+
+    async loadPromotions(startDate, endDate) {
+        try {
+            const result = await API.reports.salesByPromotion(startDate, endDate);
+            const promotions = result.data || result;
+
+            const list = Utils.$('promotions-report-list');
+
+            if (promotions.length === 0) {
+                list.innerHTML = '<div style="text-align: center; color: var(--text-muted); padding: 20px;">No promotions used</div>';
+                return;
+            }
+
+            list.innerHTML = promotions.map(p => `
+        <div class="top-product-item">
+          <div>
+            <span class="top-product-name">${p.name || 'Unknown'}</span>
+            <span style="color: var(--text-muted); margin-left: 8px;">${p.transaction_count} sales &middot; ${Utils.formatCurrency(p.line_sales || 0)}</span>
+          </div>
+          <span class="top-product-sales">-${Utils.formatCurrency(p.discount || 0)}</span>
+        </div>
+      `).join('');
+        } catch (error) {
+            console.error('Failed to load promotions report:', error);
+            Utils.$('promotions-report-list').innerHTML = '<div style="text-align: center; color: var(--text-muted); padding: 20px;">Failed to load data</div>';
+        }
     }
 };
 
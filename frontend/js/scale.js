@@ -0,0 +1,130 @@
+/**
+ * Scale Module - In-store scale labels shared by the POS and the API
+ *
+ * Weighed goods (deli, bulk) get an EAN-13 label from the scale: a 20-29 prefix, the item's PLU
+ * (items.plu), the weight or the price, and the check digit. Which prefixes carry a weight or a
+ * price and how many digits each part takes is set per branch (branches.settings.scale).
+ */
+
+const Scale = {
+    PREFIXES: ['20', '21', '22', '23', '24', '25', '26', '27', '28', '29'],
+
+    // Digits between the prefix and the check digit, shared by the PLU and the value
+    BODY_LENGTH: 10,
+
+    // Branch settings.scale when nothing is configured: 2x PPPPP VVVVV C, weights in grams
+    DEFAULTS: {
+        enabled: true,
+        weight_prefixes: ['20', '21', '22', '23', '24'],
+        price_prefixes: ['25', '26', '27', '28', '29'],
+        plu_length: 5,
+        value_length: 5,
+        weight_decimals: 3,
+        price_decimals: 0
+    },
+
+    /**
+     * Complete a branch's scale label settings with defaults
+     */
+    settings(raw = {}) {
+        const prefixes = (list, fallback) => (Array.isArray(list)
+            ? [...new Set(list.map(String))].filter(prefix => this.PREFIXES.includes(prefix))
+            : fallback);
+        const digits = (value, fallback) => (Number.isInteger(Number(value)) && value !== null && value !== ''
+            ? Number(value)
+            : fallback);
+
+        return {
+            enabled: raw?.enabled === undefined ? this.DEFAULTS.enabled : !!raw.enabled,
+            weight_prefixes: prefixes(raw?.weight_prefixes, this.DEFAULTS.weight_prefixes),
+            price_prefixes: prefixes(raw?.price_prefixes, this.DEFAULTS.price_prefixes),
+            plu_length: digits(raw?.plu_length, this.DEFAULTS.plu_length),
+            value_length: digits(raw?.value_length, this.DEFAULTS.value_length),
+            weight_decimals: digits(raw?.weight_decimals, this.DEFAULTS.weight_decimals),
+            price_decimals: digits(raw?.price_decimals, this.DEFAULTS.price_decimals)
+        };
+    },
+
+    /**
+     * Problems with a full scale settings object (current settings merged with the changes); empty when valid
+     */
+    validate(raw = {}) {
+        const errors = [];
+        const lists = ['weight_prefixes', 'price_prefixes'];
+        lists.forEach((key) => {
+            const list = raw[key];
+            if (list === undefined) return;
+            if (!Array.isArray(list) || list.some(prefix => !this.PREFIXES.includes(String(prefix)))) {
+                errors.push(`${key} must be a list of prefixes from 20 to 29`);
+            }
+        });
+        if (lists.every(key => Array.isArray(raw[key]))) {
+            const shared = raw.weight_prefixes.map(String).filter(prefix => raw.price_prefixes.map(String).includes(prefix));
+            if (shared.length) errors.push(`Prefixes cannot carry both a weight and a price: ${shared.join(', ')}`);
+        }
+
+        const between = (key, min, max) => {
+            if (raw[key] === undefined) return true;
+            const value = Number(raw[key]);
+            if (Number.isInteger(value) && value >= min && value <= max) return true;
+            errors.push(`${key} must be a whole number from ${min} to ${max}`);
+            return false;
+        };
+        const lengthsOk = [between('plu_length', 1, 8), between('value_length', 2, 8)].every(Boolean);
+        between('weight_decimals', 0, 3);
+        between('price_decimals', 0, 2);
+        if (lengthsOk && Number(raw.plu_length) + Number(raw.value_length) > this.BODY_LENGTH) {
+            errors.push(`plu_length and value_length together cannot exceed ${this.BODY_LENGTH} digits`);
+        }
+        return errors;
+    },
+
+    /**
+     * EAN-13 check digit of the first 12 digits
+     */
+    checkDigit(digits) {
+        const sum = digits.slice(0, 12).split('').reduce((total, d, i) => total + Number(d) * (i % 2 ? 3 : 1), 0);
+        return (10 - (sum % 10)) % 10;
+    },
+
+    /**
+     * A PLU compared without its leading zeros (labels pad it to plu_length)
+     */
+    normalizePlu(plu) {
+        return String(plu ?? '').trim().replace(/^0+(?=\d)/, '');
+    },
+
+    /**
+     * Read a scanned code as a scale label: { code, kind: 'weight' | 'price', plu, value } or null
+     * when it is not one under these settings. The PLU follows the prefix; the value ends right
+     * before the check digit (layouts with a price check digit in between simply skip it).
+     */
+    parse(code, rawSettings) {
+        const settings = this.settings(rawSettings);
+        const digits = String(code ?? '').trim();
+        if (!settings.enabled || !/^\d{13}$/.test(digits)) return null;
+
+        const prefix = digits.slice(0, 2);
+        const kind = settings.weight_prefixes.includes(prefix) ? 'weight'
+            : (settings.price_prefixes.includes(prefix) ? 'price' : null);
+        if (!kind || this.checkDigit(digits) !== Number(digits[12])) return null;
+
+        const decimals = kind === 'weight' ? settings.weight_decimals : settings.price_decimals;
+        const value = Number(digits.slice(12 - settings.value_length, 12)) / 10 ** decimals;
+        if (!(value > 0)) return null;
+
+        return {
+            code: digits,
+            kind,
+            plu: this.normalizePlu(digits.slice(2, 2 + settings.plu_length)),
+            value
+        };
+    }
+};
+
+// Browser global for the POS, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Scale;
+} else {
+    window.Scale = Scale;
+}
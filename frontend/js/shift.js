@@ -0,0 +1,377 @@
+/**
+ * Shift Module - The cashier's cash session on a register
+ *
+ * Sales and refunds need an open shift (the API refuses them with NO_OPEN_SHIFT). The cart shows the
+ * shift; from there the cashier opens it with a float, records pay-ins and pay-outs, prints the X
+ * report and closes it by counting the drawer note by note, which ends with the Z report.
+ */
+
+const Shift = {
+    session: null,
+    registers: [],
+
+    /**
+     * Load the user's open session and show it in the cart
+     */
+    async load() {
+        try {
+            const result = await API.cash.getCurrentSession();
+            this.session = result.data;
+        } catch (error) {
+            console.error('Failed to load cash session:', error);
+            this.session = null;
+        }
+        this.render();
+        return this.session;
+    },
+
+    /**
+     * Shift bar above the cart
+     */
+    render() {
+        const session = this.session;
+        Utils.$('cart-shift').classList.toggle('closed', !session);
+        Utils.$('shift-status').textContent = session
+            ? `${session.register_name || session.register_code} · ${session.session_number}`
+            : 'No open shift - sales are blocked';
+        Utils.$('shift-btn').textContent = session ? 'Shift' : 'Open Shift';
+    },
+
+    /**
+     * Shift button: open a shift, or the shift's actions when one is open
+     */
+    handleButton() {
+        if (this.session) this.showMenu();
+        else this.showOpen();
+    },
+
+    /**
+     * Whether sales can be taken; otherwise offers to open a shift
+     */
+    requireOpen() {
+        if (this.session) return true;
+        Utils.toast('Open a shift before taking payment', 'warning');
+        this.showOpen();
+        return false;
+    },
+
+    /**
+     * Open-shift dialog: register and opening float
+     */
+    async showOpen() {
+        if (!Auth.hasPermission('cash.session.open')) {
+            Utils.toast('You are not allowed to open a shift', 'error');
+            return;
+        }
+        try {
+            const result = await API.cash.getRegisters();
+            this.registers = result.data || [];
+        } catch (error) {
+            Utils.toast(error.message || 'Failed to load registers', 'error');
+            return;
+        }
+        if (!this.registers.length) {
+            Utils.toast('This branch has no active register', 'error');
+            return;
+        }
+
+        const options = this.registers.map(r => `
+          <option value="${r.id}" ${r.open_session_id ? 'disabled' : ''}>
+            ${r.code} - ${r.name}${r.open_session_id ? ` (in use by ${r.open_session_user})` : ''}
+          </option>`).join('');
+
+        const content = `
+      <div class="modal-header">
+        <h2>Open Shift</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label>Register</label>
+          <select id="shift-register" class="form-control">${options}</select>
+        </div>
+        <div class="form-group">
+          <label>Opening Float</label>
+          <input type="number" id="shift-opening" class="form-control" value="0" min="0" step="1000">
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="Utils.closeModal()">Cancel</button>
+        <button class="btn btn-primary" id="shift-open-confirm">Open Shift</button>
+      </div>
+    `;
+        Utils.showModal(content, { width: '420px' });
+
+        const free = this.registers.find(r => !r.open_session_id);
+        if (free) Utils.$('shift-register').value = free.id;
+        Utils.$('shift-opening').focus();
+        Utils.$('shift-opening').select();
+
+        Utils.on('shift-open-confirm', 'click', async () => {
+            const registerId = Utils.$('shift-register').value;
+            const opening = Totals.round(Utils.$('shift-opening').value);
+            if (!registerId || this.registers.find(r => r.id === registerId)?.open_session_id) {
+                Utils.toast('Choose a free register', 'warning');
+                return;
+            }
+            if (!(opening >= 0)) {
+                Utils.toast('Enter the opening float', 'warning');
+                return;
+            }
+            try {
+                await API.cash.openSession(registerId, opening);
+                await this.load();
+                Utils.closeModal();
+                Utils.toast(`Shift ${this.session?.session_number || ''} opened`, 'success');
+            } catch (error) {
+                Utils.toast(error.message || 'Failed to open shift', 'error');
+            }
+        });
+    },
+
+    /**
+     * Open shift summary with pay-in, pay-out, X report and close
+     */
+    async showMenu() {
+        await this.load();
+        const session = this.session;
+        if (!session) return;
+
+        const row = (label, amount) => `
+          <div class="summary-row"><span>${label}</span><span>${Utils.formatCurrency(amount)}</span></div>`;
+        const content = `
+      <div class="modal-header">
+        <h2>Shift ${session.session_number}</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p class="shift-meta">${session.register_code} - ${session.register_name} · opened ${Utils.formatDate(session.opened_at)} ${Utils.formatDate(session.opened_at, 'time')} by ${session.opened_by_name}</p>
+        <div class="shift-summary">
+          ${row('Opening float', session.opening_amount)}
+          ${row('Cash sales', session.cash_sales)}
+          ${row('Card sales', session.card_sales)}
+          ${row('Other sales', session.other_sales)}
+          ${row('Pay-ins', session.cash_in)}
+          ${row('Pay-outs', session.cash_out)}
+          <div class="summary-row total-row"><span>Expected cash</span><span>${Utils.formatCurrency(session.expected_amount)}</span></div>
+        </div>
+      </div>
+      <div class="modal-footer shift-actions">
+        <button class="btn btn-secondary" id="shift-pay-in" data-permission="cash.movement">Pay In</button>
+        <button class="btn btn-secondary" id="shift-pay-out" data-permission="cash.movement">Pay Out</button>
+        <button class="btn btn-secondary" id="shift-x-report">X Report</button>
+        <button class="btn btn-danger" id="shift-close" data-permission="cash.session.close">Close Shift</button>
+      </div>
+    `;
+        Utils.showModal(content, { width: '480px' });
+        document.querySelectorAll('.shift-actions [data-permission]').forEach((btn) => {
+            btn.classList.toggle('hidden', !Auth.hasPermission(btn.dataset.permission));
+        });
+
+        Utils.on('shift-pay-in', 'click', () => this.showMovement('deposit'));
+        Utils.on('shift-pay-out', 'click', () => this.showMovement('withdrawal'));
+        Utils.on('shift-x-report', 'click', () => this.showReport(session.id));
+        Utils.on('shift-close', 'click', () => this.showClose());
+    },
+
+    /**
+     * Pay-in (deposit) or pay-out (withdrawal) with its reason
+     */
+    showMovement(type) {
+        const title = type === 'deposit' ? 'Pay In' : 'Pay Out';
+        const content = `
+      <div class="modal-header">
+        <h2>${title}</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label>Amount</label>
+          <input type="number" id="movement-amount" class="form-control" min="0" step="1000">
+        </div>
+        <div class="form-group">
+          <label>Reason</label>
+          <input type="text" id="movement-reason" class="form-control" maxlength="200"
+            placeholder="${type === 'deposit' ? 'e.g. Extra change from the safe' : 'e.g. Cash drop to the safe'}">
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" id="movement-cancel">Cancel</button>
+        <button class="btn btn-primary" id="movement-confirm">${title}</button>
+      </div>
+    `;
+        Utils.showModal(content, { width: '420px' });
+        Utils.$('movement-amount').focus();
+
+        Utils.on('movement-cancel', 'click', () => this.showMenu());
+        Utils.on('movement-confirm', 'click', async () => {
+            const amount = Totals.round(Utils.$('movement-amount').value);
+            const reason = Utils.$('movement-reason').value.trim();
+            if (!(amount > 0)) {
+                Utils.toast('Enter an amount', 'warning');
+                return;
+            }
+            if (!reason) {
+                Utils.toast('Enter a reason', 'warning');
+                return;
+            }
+            try {
+                await API.cash.addMovement(this.session.id, type, amount, reason);
+                Utils.toast(`${title} of ${Utils.formatCurrency(amount)} recorded`, 'success');
+                this.showMenu();
+            } catch (error) {
+                Utils.toast(error.message || `Failed to record ${title.toLowerCase()}`, 'error');
+            }
+        });
+    },
+
+    /**
+     * Close-shift wizard: count the drawer by denomination, then review over/short (notes are
+     * required when it is not exact) and close, which prints the Z report
+     */
+    async showClose() {
+        await this.load();
+        const session = this.session;
+        if (!session) return;
+        const count = {};
+        let step = 'count';
+        let notes = '';
+        let difference = 0;
+
+        const countStep = () => {
+            const rows = CashCount.DENOMINATIONS.map(value => `
+          <tr>
+            <td>${Utils.formatCurrency(value)}${CashCount.COINS.includes(value) ? ' <small>coin</small>' : ''}</td>
+            <td><input type="number" class="form-control cash-count-input" data-value="${value}" min="0" step="1" value="${count[value] || ''}"></td>
+            <td class="cash-count-amount" data-value="${value}">${Utils.formatCurrency(value * (count[value] || 0))}</td>
+          </tr>`).join('');
+
+            Utils.$('shift-close-body').innerHTML = `
+        <p class="shift-meta">Step 1 of 2 - count the notes and coins in the drawer</p>
+        <table class="data-table cash-count-table">
+          <tbody id="cash-count-rows">${rows}</tbody>
+        </table>
+        <div class="summary-row total-row"><span>Counted</span><span id="cash-count-total">${Utils.formatCurrency(CashCount.total(count))}</span></div>
+      `;
+            Utils.$('shift-close-back').textContent = 'Cancel';
+            Utils.$('shift-close-next').textContent = 'Next';
+            document.querySelector('.cash-count-input')?.focus();
+
+            Utils.delegate('cash-count-rows', '.cash-count-input', 'input', function () {
+                const value = Number(this.dataset.value);
+                count[value] = Math.max(0, Math.floor(Number(this.value) || 0));
+                document.querySelector(`.cash-count-amount[data-value="${value}"]`).textContent = Utils.formatCurrency(value * count[value]);
+                Utils.$('cash-count-total').textContent = Utils.formatCurrency(CashCount.total(count));
+            });
+            step = 'count';
+        };
+
+        const reviewStep = () => {
+            const counted = CashCount.total(count);
+            const expected = Number(session.expected_amount);
+            const difference = Totals.round(counted - expected);
+            const label = difference > 0 ? 'Over' : (difference < 0 ? 'Short' : 'Exact');
+
+            Utils.$('shift-close-body').innerHTML = `
+        <p class="shift-meta">Step 2 of 2 - check and close</p>
+        <div class="shift-summary">
+          <div class="summary-row"><span>Expected cash</span><span>${Utils.formatCurrency(expected)}</span></div>
+          <div class="summary-row"><span>Counted cash</span><span>${Utils.formatCurrency(counted)}</span></div>
+          <div class="summary-row total-row shift-difference ${difference === 0 ? '' : 'off'}">
+            <span>${label}</span><span>${Utils.formatCurrency(Math.abs(difference))}</span>
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Notes${difference !== 0 ? ' (required - explain the difference)' : ''}</label>
+          <textarea id="shift-close-notes" class="form-control" rows="3">${notes}</textarea>
+        </div>
+      `;
+            Utils.$('shift-close-back').textContent = 'Back';
+            Utils.$('shift-close-next').textContent = 'Close Shift';
+            Utils.$('shift-close-notes').addEventListener('input', (e) => { notes = e.target.value; });
+            if (difference !== 0) Utils.$('shift-close-notes').focus();
+            step = 'review';
+            return difference;
+        };
+
+        const content = `
+      <div class="modal-header">
+        <h2>Close Shift ${session.session_number}</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body" id="shift-close-body"></div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" id="shift-close-back">Cancel</button>
+        <button class="btn btn-primary" id="shift-close-next">Next</button>
+      </div>
+    `;
+        Utils.showModal(content, { width: '480px' });
+        countStep();
+
+        Utils.on('shift-close-back', 'click', () => {
+            if (step === 'review') countStep();
+            else Utils.closeModal();
+        });
+        Utils.on('shift-close-next', 'click', async () => {
+            if (step === 'count') {
+                difference = reviewStep();
+                return;
+            }
+            if (difference !== 0 && !notes.trim()) {
+                Utils.toast('Notes are required when the drawer is over or short', 'warning');
+                Utils.$('shift-close-notes').focus();
+                return;
+            }
+            const btn = Utils.$('shift-close-next');
+            btn.disabled = true;
+            try {
+                await API.cash.closeSession(session.id, { denominations: CashCount.clean(count), notes: notes.trim() || undefined });
+                this.session = null;
+                this.render();
+                Utils.toast(`Shift ${session.session_number} closed`, 'success');
+                this.showReport(session.id);
+            } catch (error) {
+                Utils.toast(error.message || 'Failed to close shift', 'error');
+                btn.disabled = false;
+            }
+        });
+    },
+
+    /**
+     * X (open) or Z (closed) report of a session, ready to print
+     */
+    async showReport(sessionId) {
+        let report;
+        try {
+            const result = await API.cash.getSessionReport(sessionId);
+            report = result.data;
+        } catch (error) {
+            Utils.toast(error.message || 'Failed to load shift report', 'error');
+            return;
+        }
+        if (!POS.receiptStore) {
+            Utils.toast('Receipt settings are not loaded', 'error');
+            return;
+        }
+        const html = Receipt.html(Receipt.shift(report, POS.receiptStore));
+
+        const content = `
+      <div class="modal-header">
+        <h2>${report.type} Report</h2>
+        <button class="modal-close" onclick="Utils.closeModal()">&times;</button>
+      </div>
+      <div class="modal-body">
+        <iframe class="receipt-preview" id="shift-report-preview"></iframe>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="Utils.closeModal()">Close</button>
+        <button class="btn btn-primary" id="print-shift-report-btn">Print</button>
+      </div>
+    `;
+        Utils.showModal(content, { width: '420px' });
+        Utils.$('shift-report-preview').srcdoc = html;
+        Utils.on('print-shift-report-btn', 'click', () => Utils.printHtml(html));
+    }
+};
+
+window.Shift = Shift;
@@ -0,0 +1,87 @@
+/**
+ * Tax Module - Sales tax rules shared by the POS and the API
+ *
+ * Rates come from the item (items.tax_rate), or the branch default when the item has none.
+ * Prices are tax-exclusive (tax added on top) or tax-inclusive (tax already in the price).
+ * Tax is rounded per line, or once per invoice with the rounding difference put on one line.
+ */
+
+const Tax = {
+    ROUNDING: ['line', 'invoice'],
+
+    // Branch settings.tax when nothing is configured
+    DEFAULTS: { default_rate: 0, rounding: 'line' },
+
+    /**
+     * Round money to 2 decimals (same rule as Totals.round)
+     */
+    round(amount) {
+        return Math.round((Number(amount) || 0) * 100) / 100;
+    },
+
+    /**
+     * Complete a branch's tax settings with defaults
+     */
+    settings(raw = {}) {
+        return {
+            default_rate: Number(raw?.default_rate ?? this.DEFAULTS.default_rate) || 0,
+            rounding: this.ROUNDING.includes(raw?.rounding) ? raw.rounding : this.DEFAULTS.rounding
+        };
+    },
+
+    /**
+     * Problems with a tax settings payload (empty when valid)
+     */
+    validate(raw = {}) {
+        const errors = [];
+        if (raw.default_rate !== undefined) {
+            const rate = Number(raw.default_rate);
+            if (!(rate >= 0 && rate <= 100)) errors.push('default_rate must be between 0 and 100');
+        }
+        if (raw.rounding !== undefined && !this.ROUNDING.includes(raw.rounding)) {
+            errors.push(`rounding must be one of: ${this.ROUNDING.join(', ')}`);
+        }
+        return errors;
+    },
+
+    /**
+     * Rate for an item: its own rate, else the branch default (null/'' on the item means "use default")
+     */
+    rateFor(itemRate, settings) {
+        if (itemRate === null || itemRate === undefined || itemRate === '') return settings.default_rate;
+        return Number(itemRate) || 0;
+    },
+
+    /**
+     * Unrounded tax in an amount: added on top (exclusive) or contained in it (inclusive)
+     */
+    portion(amount, rate, inclusive) {
+        if (!(rate > 0)) return 0;
+        return inclusive ? amount - amount * 100 / (100 + rate) : amount * rate / 100;
+    },
+
+    /**
+     * Tax for each taxable line: [{ amount, rate, inclusive }] -> [tax].
+     * 'invoice' rounding rounds the total once and puts the difference on the line with the most tax.
+     */
+    compute(lines, settings) {
+        const raw = lines.map(line => this.portion(line.amount, line.rate, line.inclusive));
+        const taxes = raw.map(tax => this.round(tax));
+        if (settings.rounding !== 'invoice' || lines.length === 0) return taxes;
+
+        const total = this.round(raw.reduce((sum, tax) => sum + tax, 0));
+        const difference = this.round(total - taxes.reduce((sum, tax) => sum + tax, 0));
+        if (difference !== 0) {
+            const largest = raw.indexOf(Math.max(...raw));
+            taxes[largest] = this.round(taxes[largest] + difference);
+        }
+        return taxes;
+    }
+};
+
+// Browser global for the POS, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tax;
+} else {
+    window.Tax = Tax;
+}
@@ -0,0 +1,173 @@
+/**
+ * Totals Module - Cart arithmetic shared by the POS and the API
+ *
+ * The backend requires this same file to recompute every sale, so anything the cashier sees
+ * (discounts, tax, totals) is exactly what gets posted. Keep it free of DOM and API calls.
+ */
+
+// Tax rules: a global in the browser (js/tax.js loads first), required under Node
+const TaxRules = typeof Tax !== 'undefined' ? Tax : require('./tax.js');
+
+const Totals = {
+    /**
+     * Round money to 2 decimals (same rule as the API's roundMoney)
+     */
+    round(amount) {
+        return Math.round((Number(amount) || 0) * 100) / 100;
+    },
+
+    /**
+     * Amount a percent or fixed discount takes off a base - never negative, never more than the base
+     */
+    discountAmount(base, type, value) {
+        const amount = Number(value) || 0;
+        if (!(amount > 0) || !(base > 0)) return 0;
+        const discount = type === 'percent'
+            ? this.round(base * Math.min(amount, 100) / 100)
+            : this.round(amount);
+        return Math.min(discount, base);
+    },
+
+    /**
+     * Percent an amount is of a base
+     */
+    percentOf(amount, base) {
+        return base > 0 ? this.round(amount / base * 100) : 0;
+    },
+
+    /**
+     * Split an amount over weights pro rata; the last weighted entry absorbs the rounding remainder
+     */
+    allocate(amount, weights) {
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        const shares = weights.map(() => 0);
+        if (!(amount > 0) || !(totalWeight > 0)) return shares;
+
+        const last = weights.map(w => w > 0).lastIndexOf(true);
+        let left = amount;
+        weights.forEach((weight, i) => {
+            if (!(weight > 0)) return;
+            shares[i] = i === last ? this.round(left) : this.round(amount * weight / totalWeight);
+            left = this.round(left - shares[i]);
+        });
+        return shares;
+    },
+
+    /**
+     * Price a cart.
+     * lines: [{ unit_price, quantity, promotion_discount, discount_type, discount_value, min_price, tax_rate,
+     *           is_tax_inclusive, no_discount }]
+     * options.cartDiscount: { type: 'percent' | 'fixed', value } taken off the subtotal after line discounts
+     * options.redemption: rupiah of loyalty points redeemed as a discount, taken off after the cart discount
+     * options.tax: branch tax settings ({ default_rate, rounding }); options.taxExempt: customer pays no tax
+     *
+     * Each result line has gross (price x qty), the promotions' amount (see Promotions.evaluate), its
+     * own discount on what the promotions leave, its share of the cart discount, its share of the
+     * points redemption, the taxable amount left, tax and total. Tax is worked out after all discounts.
+     * belowMinPrice flags discounts that push the net unit price under min_price (or under the unit
+     * price, or what the promotions left, when that is already lower); promotions and the redemption
+     * are not the cashier's discounts, so they count neither towards that nor towards the discount
+     * percents. Lines marked no_discount (gift card loads) take no discount of any kind and are left
+     * out of the cart's.
+     */
+    calculate(lines, options = {}) {
+        const taxSettings = TaxRules.settings(options.tax);
+
+        const priced = lines.map((line) => {
+            const quantity = Number(line.quantity) || 0;
+            const unitPrice = this.round(line.unit_price);
+            const gross = this.round(unitPrice * quantity);
+            const noDiscount = !!line.no_discount;
+            const promotion = noDiscount ? 0 : Math.min(this.round(Math.max(0, Number(line.promotion_discount) || 0)), gross);
+            const promoted = this.round(gross - promotion);
+            const discount = noDiscount ? 0 : this.discountAmount(promoted, line.discount_type, line.discount_value);
+            return {
+                noDiscount,
+                quantity,
+                unitPrice,
+                gross,
+                promotion,
+                discount,
+                discountPercent: line.discount_type === 'percent' && discount > 0
+                    ? Math.min(Number(line.discount_value), 100)
+                    : this.percentOf(discount, gross),
+                net: this.round(promoted - discount),
+                minPrice: line.min_price === null || line.min_price === undefined ? null : Number(line.min_price),
+                itemTaxRate: TaxRules.rateFor(line.tax_rate, taxSettings),
+                taxInclusive: !!line.is_tax_inclusive
+            };
+        });
+
+        const subtotal = this.round(priced.reduce((sum, l) => sum + l.gross, 0));
+        const promotion = this.round(priced.reduce((sum, l) => sum + l.promotion, 0));
+        const lineDiscount = this.round(priced.reduce((sum, l) => sum + l.discount, 0));
+        const discountable = priced.map(l => (l.noDiscount ? 0 : l.net));
+        const afterLineDiscounts = this.round(discountable.reduce((sum, net) => sum + net, 0));
+
+        const cart = options.cartDiscount || {};
+        const cartDiscount = this.discountAmount(afterLineDiscounts, cart.type, cart.value);
+        const shares = this.allocate(cartDiscount, discountable);
+        const redemption = Math.min(
+            this.round(Math.max(0, Number(options.redemption) || 0)),
+            this.round(afterLineDiscounts - cartDiscount)
+        );
+        const redeemShares = this.allocate(redemption, discountable.map((net, i) => this.round(net - shares[i])));
+
+        priced.forEach((line, i) => {
+            line.cartShare = shares[i];
+            line.redeemShare = redeemShares[i];
+            line.effectiveDiscountPercent = this.percentOf(line.discount + line.cartShare, line.gross);
+            line.totalDiscount = this.round(line.promotion + line.discount + line.cartShare + line.redeemShare);
+            const discounted = this.round(line.net - line.cartShare);
+            line.taxable = this.round(discounted - line.redeemShare);
+            // Exempt customers pay no tax; tax already inside an inclusive price is taken off
+            line.taxRate = options.taxExempt ? 0 : line.itemTaxRate;
+            line.exempted = options.taxExempt && line.taxInclusive
+                ? this.round(TaxRules.portion(line.taxable, line.itemTaxRate, true))
+                : 0;
+
+            const floor = line.minPrice === null ? null : Math.min(line.minPrice, line.unitPrice);
+            line.belowMinPrice = floor !== null && line.discount + line.cartShare > 0
+                && discounted < Math.min(this.round(floor * line.quantity), this.round(line.gross - line.promotion));
+        });
+
+        const taxes = TaxRules.compute(priced.map(line => ({
+            amount: line.taxable,
+            rate: line.taxRate,
+            inclusive: line.taxInclusive
+        })), taxSettings);
+        priced.forEach((line, i) => {
+            line.tax = taxes[i];
+            line.total = this.round(line.taxInclusive ? line.taxable - line.exempted : line.taxable + line.tax);
+        });
+
+        const sum = key => this.round(priced.reduce((total, l) => total + l[key], 0));
+        const discount = this.round(promotion + lineDiscount + cartDiscount + redemption);
+
+        return {
+            lines: priced,
+            subtotal,
+            promotion,
+            lineDiscount,
+            cartDiscount,
+            cartDiscountPercent: cart.type === 'percent' && cartDiscount > 0
+                ? Math.min(Number(cart.value), 100)
+                : this.percentOf(cartDiscount, afterLineDiscounts),
+            redemption,
+            discount,
+            tax: sum('tax'),
+            taxIncluded: this.round(priced.filter(l => l.taxInclusive).reduce((total, l) => total + l.tax, 0)),
+            taxExempted: sum('exempted'),
+            taxRounding: taxSettings.rounding,
+            total: sum('total'),
+            maxDiscountPercent: priced.reduce((max, l) => Math.max(max, l.effectiveDiscountPercent), 0)
+        };
+    }
+};
+
+// Browser global for the POS, CommonJS export for the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Totals;
+} else {
+    window.Totals = Totals;
+}
@@ -0,0 +1,146 @@
+/**
+ * Transactions Module - Sales history and receipt reprints
+ */
+
+const Transactions = {
+    transactions: [],
+    session: null,
+
+    /**
+     * Initialize
+     */
+    async init() {
+        this.setupEventListeners();
+        Utils.$('transactions-date').value = Utils.today();
+    },
+
+    /**
+     * Load when screen is shown
+     */
+    async load() {
+        await this.loadSession();
+        await this.loadTransactions();
+    },
+
+    /**
+     * The user's open cash session (only its transactions can be voided)
+     */
+    async loadSession() {
+        try {
+            const result = await API.cash.getCurrentSession();
+            this.session = result.data;
+        } catch (error) {
+            this.session = null;
+        }
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Search by number or customer
+        Utils.on('transactions-search', 'input', Utils.debounce(() => this.loadTransactions(), 300));
+
+        // Filters
+        Utils.on('transactions-date', 'change', () => this.loadTransactions());
+        Utils.on('transactions-filter', 'change', () => this.loadTransactions());
+
+        // Table actions
+        Utils.delegate('transactions-tbody', '.btn-reprint', 'click', function () {
+            Transactions.reprint(this.dataset.id);
+        });
+        Utils.delegate('transactions-tbody', '.btn-void', 'click', function () {
+            Transactions.voidTransaction(this.dataset.id);
+        });
+    },
+
+    /**
+     * Load transactions for the selected day
+     */
+    async loadTransactions() {
+        const date = Utils.$('transactions-date').value;
+        const params = { limit: 100 };
+        if (date) Object.assign(params, { start_date: date, end_date: date });
+        if (Utils.$('transactions-filter').value !== 'all') params.status = Utils.$('transactions-filter').value;
+        if (Utils.$('transactions-search').value) params.search = Utils.$('transactions-search').value;
+
+        try {
+            const result = await API.transactions.list(params);
+            this.transactions = result.data || [];
+            this.renderTransactions();
+        } catch (error) {
+            Utils.toast('Failed to load transactions', 'error');
+        }
+    },
+
+    /**
+     * Render transactions table
+     */
+    renderTransactions() {
+        const tbody = Utils.$('transactions-tbody');
+
+        if (this.transactions.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; padding: 40px; color: var(--text-muted);">No transactions found</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = this.transactions.map(t => `
+      <tr>
+        <td>${t.transaction_number}${t.transaction_type !== 'sale' ? ` <span class="badge badge-refunded">${t.transaction_type}</span>` : ''}</td>
+        <td>${Utils.formatDate(t.transaction_time)} ${Utils.formatDate(t.transaction_time, 'time')}</td>
+        <td>${t.customer?.name || 'Walk-in'}</td>
+        <td>${t.cashier_name || '-'}</td>
+        <td>${Utils.formatCurrency(t.total_amount)}</td>
+        <td><span class="badge badge-${t.status}" title="${t.void_reason || ''}">${t.status === 'cancelled' ? 'voided' : t.status}</span></td>
+        <td class="actions">
+          <button class="btn btn-sm btn-secondary btn-reprint" data-id="${t.id}">Reprint</button>
+          ${this.canVoid(t) ? `<button class="btn btn-sm btn-danger btn-void" data-id="${t.id}">Void</button>` : ''}
+        </td>
+      </tr>
+    `).join('');
+    },
+
+    /**
+     * Completed transactions of the user's open session can be voided
+     */
+    canVoid(transaction) {
+        return transaction.status === 'completed' && !!this.session && transaction.cash_session_id === this.session.id;
+    },
+
+    /**
+     * Void a transaction with a reason; users without pos.void need a manager approval
+     */
+    async voidTransaction(id) {
+        const transaction = this.transactions.find(t => t.id === id);
+        if (!transaction) return;
+
+        const reason = await Utils.prompt(`Reason for voiding ${transaction.transaction_number}:`, '', 'Void Transaction');
+        if (reason === null) return;
+        if (!reason.trim()) {
+            Utils.toast('A reason is required', 'warning');
+            return;
+        }
+
+        try {
+            await POS.withApproval(approvalTokens => API.transactions.void(id, reason.trim(), approvalTokens));
+            Utils.toast(`${transaction.transaction_number} voided`, 'success');
+            await this.loadTransactions();
+        } catch (error) {
+            Utils.toast(error.message || 'Failed to void transaction', 'error');
+        }
+    },
+
+    /**
+     * Print a copy of a transaction's receipt
+     */
+    async reprint(id) {
+        try {
+            const result = await API.transactions.reprint(id);
+            Utils.printHtml(Receipt.html(result.data));
+        } catch (error) {
+            Utils.toast(error.message || 'Failed to reprint receipt', 'error');
+        }
+    }
+};
+
+window.Transactions = Transactions;
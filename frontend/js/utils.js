@@ -38,6 +38,17 @@ const Utils = {
         return d.toISOString();
     },
 
+    /**
+     * How long ago a date was: "just now", "5 min ago", "2 h ago", "3 d ago"
+     */
+    timeAgo(date) {
+        const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+        return `${Math.floor(minutes / (24 * 60))} d ago`;
+    },
+
     /**
      * Get today's date in YYYY-MM-DD format
      */
@@ -89,12 +100,15 @@ const Utils = {
     },
 
     /**
-     * Show modal
+     * Show modal; options.onClose runs once when it is closed or replaced by another modal
      */
     showModal(content, options = {}) {
         const overlay = document.getElementById('modal-overlay');
         const container = document.getElementById('modal-container');
 
+        this.runOnClose();
+        this.onClose = options.onClose || null;
+
         container.innerHTML = content;
         container.style.maxWidth = options.width || '500px';
         overlay.classList.remove('hidden');
@@ -124,6 +138,16 @@ const Utils = {
     closeModal() {
         const overlay = document.getElementById('modal-overlay');
         overlay.classList.add('hidden');
+        this.runOnClose();
+    },
+
+    /**
+     * Run (and forget) the open modal's onClose callback
+     */
+    runOnClose() {
+        const onClose = this.onClose;
+        this.onClose = null;
+        if (onClose) onClose();
     },
 
     /**
@@ -194,6 +218,21 @@ const Utils = {
         });
     },
 
+    /**
+     * Print an HTML document (e.g. a receipt) through a hidden frame
+     */
+    printHtml(html) {
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+        document.body.appendChild(frame);
+        frame.onload = () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            setTimeout(() => frame.remove(), 1000);
+        };
+        frame.srcdoc = html;
+    },
+
     /**
      * Generate unique ID
      */
@@ -205,6 +205,9 @@ const WorkOrders = {
         try {
             const result = await API.workOrders.get(id);
             const wo = result.data;
+            const isClosed = ['cancelled', 'delivered'].includes(wo.status);
+            const canUpdate = Auth.hasPermission('workorder.update') && !isClosed;
+            const canCancel = Auth.hasPermission('workorder.delete') && !isClosed;
 
             const statusOptions = ['pending', 'in_progress', 'waiting_parts', 'completed', 'delivered']
                 .map(s => `<option value="${s}" ${wo.status === s ? 'selected' : ''}>${this.formatStatus(s)}</option>`)
@@ -223,7 +226,7 @@ const WorkOrders = {
             </div>
             <div>
               <label style="font-size: 12px; color: var(--text-muted);">Status</label>
-              <select id="wo-status-update" class="select-input">${statusOptions}</select>
+              <select id="wo-status-update" class="select-input" ${canUpdate ? '' : 'disabled'}>${statusOptions}</select>
             </div>
           </div>
           <div style="margin-bottom: 16px;">
@@ -247,13 +250,27 @@ const WorkOrders = {
           </div>
         </div>
         <div class="modal-footer">
+          ${canCancel ? '<button class="btn btn-danger" id="cancel-wo-btn">Cancel Work Order</button>' : ''}
           <button class="btn btn-secondary" onclick="Utils.closeModal()">Close</button>
-          <button class="btn btn-primary" id="update-wo-status-btn">Update Status</button>
+          ${canUpdate ? '<button class="btn btn-primary" id="update-wo-status-btn">Update Status</button>' : ''}
         </div>
       `;
 
             Utils.showModal(content, { width: '500px' });
 
+            Utils.on('cancel-wo-btn', 'click', async () => {
+                const reason = await Utils.prompt('Reason for cancelling:', '', 'Cancel Work Order');
+                if (reason === null) return;
+                try {
+                    await API.workOrders.cancel(id, reason);
+                    Utils.toast('Work order cancelled', 'success');
+                    Utils.closeModal();
+                    await this.loadWorkOrders();
+                } catch (error) {
+                    Utils.toast(error.message || 'Failed to cancel work order', 'error');
+                }
+            });
+
             Utils.on('update-wo-status-btn', 'click', async () => {
                 const newStatus = Utils.$('wo-status-update').value;
                 if (newStatus !== wo.status) {
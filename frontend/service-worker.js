@@ -10,11 +10,28 @@ const RUNTIME_CACHE = 'pos-runtime-v1';
 const PRECACHE_URLS = [
     '/',
     '/index.html',
+    '/display.html',
     '/css/styles.css',
     '/js/api.js',
     '/js/utils.js',
     '/js/auth.js',
+    '/js/keymap.js',
+    '/js/tax.js',
+    '/js/totals.js',
+    '/js/promotions.js',
+    '/js/coupons.js',
+    '/js/pricing.js',
+    '/js/scale.js',
+    '/js/receipt.js',
+    '/js/cashcount.js',
+    '/js/display.js',
+    '/js/customer-display.js',
+    '/js/loyalty.js',
+    '/js/giftcards.js',
+    '/js/shift.js',
     '/js/pos.js',
+    '/js/keyboard.js',
+    '/js/transactions.js',
     '/js/products.js',
     '/js/customers.js',
     '/js/workorders.js',